@@ -1,13 +1,12 @@
 import React from "react";
-import PamWebSerialDashboard from "./PamWebSerialDashboard";
+import MultiPamDashboard from "./MultiPamDashboard";
 
 function App() {
   return (
     <div className="App">
-      <PamWebSerialDashboard />
+      <MultiPamDashboard />
     </div>
   );
 }
 
 export default App;
-
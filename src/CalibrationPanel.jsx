@@ -0,0 +1,327 @@
+import React, { useEffect, useRef, useState } from "react";
+import {
+  CAL_VIEWS,
+  RH_CORRECTED_KEYS,
+  normalizeProfile,
+  parseProfilesFile,
+  profilesToFile,
+} from "./calibration";
+import { downloadFile, localStamp } from "./csv";
+
+/* =========================================================================
+   Calibration profile editor
+   - One profile per DeviceId; edits are kept in a string draft until saved
+   - Import merges profiles from a shared JSON file (same DeviceId replaces)
+   ======================================================================= */
+
+const BLANK_ROW = {
+  enabled: false,
+  offset: "0",
+  slope: "1",
+  poly: "",
+  rhA: "",
+  rhB: "",
+};
+
+// Rows for every calibrated key, including sensors the current header lacks,
+// so saving doesn't drop them
+function toDraft(profile, deviceId) {
+  const rows = {};
+  for (const [key, cal] of Object.entries(profile?.sensors || {})) {
+    rows[key] = {
+      enabled: true,
+      offset: String(cal.offset),
+      slope: String(cal.slope),
+      poly: cal.poly ? cal.poly.join(", ") : "",
+      rhA: cal.rh ? String(cal.rh.a) : "",
+      rhB: cal.rh ? String(cal.rh.b) : "",
+    };
+  }
+  return {
+    deviceId: profile?.deviceId ?? deviceId ?? "",
+    name: profile?.name ?? "",
+    rows,
+  };
+}
+
+// Draft -> profile; returns { profile } or { error }
+function fromDraft(draft) {
+  const sensors = {};
+  for (const [key, r] of Object.entries(draft.rows)) {
+    if (!r.enabled) continue;
+    const cal = { offset: r.offset, slope: r.slope };
+    if (r.poly.trim()) cal.poly = r.poly.split(/[,\s]+/).filter(Boolean);
+    if (r.rhA.trim() || r.rhB.trim()) cal.rh = { a: r.rhA, b: r.rhB };
+    for (const v of [cal.offset, cal.slope, ...(cal.poly || [])]) {
+      if (!Number.isFinite(Number(v)) || String(v).trim() === "") {
+        return { error: `${key}: "${v}" is not a number` };
+      }
+    }
+    if (
+      cal.rh &&
+      ![cal.rh.a, cal.rh.b].every((v) => v.trim() && Number.isFinite(Number(v)))
+    ) {
+      return { error: `${key}: RH correction needs numeric a and b` };
+    }
+    sensors[key] = cal;
+  }
+  const profile = normalizeProfile({
+    ...draft,
+    sensors,
+    updatedAt: Date.now(),
+  });
+  if (!profile) return { error: "Enter a DeviceId for the profile" };
+  return { profile };
+}
+
+export default function CalibrationPanel({
+  profiles,
+  onProfilesChange,
+  deviceId,
+  sensors,
+  view,
+  onViewChange,
+}) {
+  const [selected, setSelected] = useState(deviceId || "");
+  const [draft, setDraft] = useState(() =>
+    toDraft(profiles[deviceId], deviceId)
+  );
+  const [message, setMessage] = useState("");
+  const fileRef = useRef(null);
+
+  // Follow the connected device until the user picks something else
+  const followRef = useRef(true);
+  useEffect(() => {
+    if (followRef.current && deviceId && deviceId !== selected) {
+      setSelected(deviceId);
+      setDraft(toDraft(profiles[deviceId], deviceId));
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [deviceId]);
+
+  function pick(id) {
+    followRef.current = id === deviceId;
+    setSelected(id);
+    setDraft(toDraft(profiles[id], id));
+    setMessage("");
+  }
+
+  function setRow(key, patch) {
+    setDraft((d) => ({
+      ...d,
+      rows: { ...d.rows, [key]: { ...(d.rows[key] || BLANK_ROW), ...patch } },
+    }));
+  }
+
+  function save() {
+    const { profile, error } = fromDraft(draft);
+    if (error) {
+      setMessage(`⚠️ ${error}`);
+      return;
+    }
+    const next = { ...profiles, [profile.deviceId]: profile };
+    if (selected && selected !== profile.deviceId) delete next[selected];
+    onProfilesChange(next);
+    setSelected(profile.deviceId);
+    setMessage(`Saved profile for ${profile.deviceId}`);
+  }
+
+  function remove() {
+    if (!profiles[selected]) return;
+    if (!window.confirm(`Delete the calibration profile for ${selected}?`))
+      return;
+    const next = { ...profiles };
+    delete next[selected];
+    onProfilesChange(next);
+    setDraft(toDraft(null, selected));
+    setMessage(`Deleted profile for ${selected}`);
+  }
+
+  async function importFile(file) {
+    if (!file) return;
+    try {
+      const imported = parseProfilesFile(await file.text());
+      const next = { ...profiles };
+      for (const p of imported) next[p.deviceId] = p;
+      onProfilesChange(next);
+      if (next[selected]) setDraft(toDraft(next[selected], selected));
+      setMessage(`Imported ${imported.length} profile(s)`);
+    } catch (err) {
+      setMessage(`⚠️ ${err.message}`);
+    } finally {
+      if (fileRef.current) fileRef.current.value = "";
+    }
+  }
+
+  function exportFile() {
+    const list = Object.values(profiles);
+    if (!list.length) {
+      alert("No calibration profiles to export yet.");
+      return;
+    }
+    downloadFile(
+      `pam_calibration_${localStamp()}.json`,
+      profilesToFile(list),
+      "application/json"
+    );
+  }
+
+  const ids = Object.keys(profiles).sort();
+  if (selected && !ids.includes(selected)) ids.unshift(selected);
+
+  return (
+    <section className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+      <div className="mb-3 flex flex-wrap items-center justify-between gap-2">
+        <div className="text-sm font-medium text-slate-700">Calibration</div>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <label className="text-slate-600">Show values</label>
+          <select
+            value={view}
+            onChange={(e) => onViewChange(e.target.value)}
+            className="rounded-lg border border-slate-300 px-2 py-1 text-sm"
+          >
+            {CAL_VIEWS.map(([v, label]) => (
+              <option key={v} value={v}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <label className="cursor-pointer rounded-lg border border-slate-300 px-3 py-1 hover:bg-slate-50">
+            Import JSON
+            <input
+              ref={fileRef}
+              type="file"
+              accept=".json,application/json"
+              onChange={(e) => void importFile(e.target.files?.[0])}
+              className="hidden"
+            />
+          </label>
+          <button
+            onClick={exportFile}
+            className="rounded-lg border border-slate-300 px-3 py-1 hover:bg-slate-50"
+          >
+            Export JSON
+          </button>
+        </div>
+      </div>
+
+      <div className="mb-3 flex flex-wrap items-center gap-2 text-sm">
+        <label className="text-slate-600">Profile</label>
+        <select
+          value={selected}
+          onChange={(e) => pick(e.target.value)}
+          className="rounded-lg border border-slate-300 px-2 py-1 text-sm"
+        >
+          {!ids.length && <option value="">(none)</option>}
+          {ids.map((id) => (
+            <option key={id} value={id}>
+              {id}
+              {id === deviceId ? " (connected)" : ""}
+              {profiles[id] ? "" : " — new"}
+            </option>
+          ))}
+        </select>
+        <input
+          type="text"
+          placeholder="DeviceId"
+          value={draft.deviceId}
+          onChange={(e) =>
+            setDraft((d) => ({ ...d, deviceId: e.target.value }))
+          }
+          className="w-28 rounded-lg border border-slate-300 px-2 py-1 text-sm"
+        />
+        <input
+          type="text"
+          placeholder="Name / reference site (optional)"
+          value={draft.name}
+          onChange={(e) => setDraft((d) => ({ ...d, name: e.target.value }))}
+          className="min-w-0 flex-1 rounded-lg border border-slate-300 px-2 py-1 text-sm"
+        />
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-left text-sm">
+          <thead className="text-xs text-slate-500">
+            <tr>
+              <th className="py-1 pr-2">Sensor</th>
+              <th className="py-1 pr-2">Offset</th>
+              <th className="py-1 pr-2">Slope</th>
+              <th className="py-1 pr-2">Polynomial c0, c1, c2…</th>
+              <th className="py-1 pr-2">RH a</th>
+              <th className="py-1">RH b</th>
+            </tr>
+          </thead>
+          <tbody>
+            {sensors.map((m) => {
+              const r = draft.rows[m.key] || BLANK_ROW;
+              const field = (name, width, disabled) => (
+                <input
+                  type="text"
+                  inputMode="decimal"
+                  aria-label={`${m.label} ${name}`}
+                  value={r[name]}
+                  disabled={!r.enabled || disabled}
+                  onChange={(e) => setRow(m.key, { [name]: e.target.value })}
+                  className={`${width} rounded border border-slate-300 px-1.5 py-0.5 disabled:bg-slate-50 disabled:text-slate-400`}
+                />
+              );
+              const hasPoly = !!r.poly.trim();
+              const rhOk = RH_CORRECTED_KEYS.includes(m.key);
+              return (
+                <tr key={m.key} className="border-t border-slate-100">
+                  <td className="py-1 pr-2">
+                    <label className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={r.enabled}
+                        onChange={(e) =>
+                          setRow(m.key, { enabled: e.target.checked })
+                        }
+                      />
+                      {m.label}
+                    </label>
+                  </td>
+                  <td className="py-1 pr-2">
+                    {field("offset", "w-20", hasPoly)}
+                  </td>
+                  <td className="py-1 pr-2">
+                    {field("slope", "w-20", hasPoly)}
+                  </td>
+                  <td className="py-1 pr-2">{field("poly", "w-40")}</td>
+                  <td className="py-1 pr-2">
+                    {rhOk ? field("rhA", "w-16") : null}
+                  </td>
+                  <td className="py-1">{rhOk ? field("rhB", "w-16") : null}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="mt-3 flex flex-wrap items-center gap-2">
+        <button
+          onClick={save}
+          className="rounded-lg bg-blue-600 px-3 py-1 text-sm text-white hover:bg-blue-500"
+        >
+          Save profile
+        </button>
+        <button
+          onClick={remove}
+          disabled={!profiles[selected]}
+          className="rounded-lg border border-slate-300 px-3 py-1 text-sm hover:bg-slate-50 disabled:opacity-50"
+        >
+          Delete
+        </button>
+        {message && <span className="text-sm text-slate-600">{message}</span>}
+      </div>
+
+      <p className="mt-3 text-xs text-slate-500">
+        Corrected = slope × raw + offset, or c0 + c1·raw + c2·raw² … when a
+        polynomial is given. For PM, a humidity correction raw / (1 + a·hᵇ/(1 −
+        h)) with h = RH/100 is applied first. Profiles apply to rows from the
+        matching DeviceId as they are parsed; raw values are always kept.
+      </p>
+    </section>
+  );
+}
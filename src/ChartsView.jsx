@@ -0,0 +1,440 @@
+import React, { useMemo, useState } from "react";
+import {
+  Brush,
+  CartesianGrid,
+  Legend,
+  Line,
+  LineChart,
+  ReferenceArea,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+
+/* =========================================================================
+   Graphs tab
+   - One chart per sensor, plus an overlay chart with left/right Y axes
+   - Shared time range: brush on the timeline strip, drag across any chart
+     to zoom in, pan/zoom-out buttons. A set range holds the view still
+     (auto-scroll paused) until "Live" is pressed
+   - Crosshair: hovering any chart shows every sensor's value at that time
+   - Points arrive ready to plot ({ x, y, c? }), already limited to the
+     range and decimated; unit conversion and the raw/corrected choice are
+     the dashboard's job. `timeline` samples the whole history for the
+     brush, `pointAt(key, t)` looks up exact values for the crosshair
+   ======================================================================= */
+
+const SYNC_ID = "pam-graphs";
+const OVERLAY_COLORS = [
+  "#2563eb",
+  "#dc2626",
+  "#16a34a",
+  "#9333ea",
+  "#ea580c",
+  "#0891b2",
+  "#ca8a04",
+  "#db2777",
+];
+
+function fmtTime(ms) {
+  return new Date(ms).toLocaleTimeString();
+}
+
+// Real time along x, so gaps and drag selections keep their true width
+const TIME_AXIS = {
+  dataKey: "x",
+  type: "number",
+  scale: "time",
+  domain: ["dataMin", "dataMax"],
+  tickFormatter: fmtTime,
+  minTickGap: 40,
+};
+
+// Range shifted by `frac` of its width, kept inside [min, max]
+function panRange(range, frac, min, max) {
+  const width = range.end - range.start;
+  let start = range.start + width * frac;
+  start = Math.max(min, Math.min(start, max - width));
+  return { start, end: start + width };
+}
+
+function zoomOutRange(range, min, max) {
+  const width = (range.end - range.start) * 2;
+  const mid = (range.start + range.end) / 2;
+  return {
+    start: Math.max(min, mid - width / 2),
+    end: Math.min(max, mid + width / 2),
+  };
+}
+
+function gapAreas(gaps, points) {
+  if (!points.length) return null;
+  const first = points[0].x;
+  const last = points[points.length - 1].x;
+  return gaps
+    .filter((g) => g.start <= last && (g.end ?? last) >= first)
+    .map((g) => (
+      <ReferenceArea
+        key={g.start}
+        x1={Math.max(g.start, first)}
+        x2={Math.min(g.end ?? last, last)}
+        fill="#f59e0b"
+        fillOpacity={0.15}
+        ifOverflow="hidden"
+      />
+    ));
+}
+
+export default function ChartsView({
+  sensors,
+  data,
+  timeline,
+  pointAt,
+  view,
+  gaps,
+  range,
+  onRangeChange,
+  overlay,
+  onOverlayChange,
+  onExportRange,
+}) {
+  // Drag-to-zoom selection: { a, b } as x values while the mouse is down
+  const [drag, setDrag] = useState(null);
+  // Chart under the mouse; only it shows the crosshair list, the others
+  // just follow with the cursor line
+  const [hovered, setHovered] = useState(null);
+
+  const times = timeline;
+  const min = times[0];
+  const max = times[times.length - 1];
+  const overlayKeys = useMemo(
+    () => sensors.filter((s) => overlay[s.key]),
+    [sensors, overlay]
+  );
+
+  // One row per time any overlaid sensor plots (decimation keeps different
+  // rows per sensor), with every overlaid value at that time
+  const overlayData = useMemo(() => {
+    if (!overlayKeys.length) return [];
+    const xs = new Set();
+    for (const s of overlayKeys) for (const p of data[s.key] || []) xs.add(p.x);
+    return Array.from(xs)
+      .sort((a, b) => a - b)
+      .map((x) => {
+        const row = { x };
+        for (const s of overlayKeys) row[s.key] = pointAt(s.key, x)?.y;
+        return row;
+      });
+  }, [data, pointAt, overlayKeys]);
+
+  // Brush indexes for the current range
+  const brushStart = range ? times.findIndex((t) => t >= range.start) : 0;
+  let brushEnd = times.length - 1;
+  if (range) {
+    while (brushEnd > 0 && times[brushEnd] > range.end) brushEnd--;
+  }
+
+  function onBrushChange({ startIndex, endIndex }) {
+    if (startIndex == null || endIndex == null || !times.length) return;
+    if (startIndex === 0 && endIndex === times.length - 1 && !range) return;
+    onRangeChange({ start: times[startIndex], end: times[endIndex] });
+  }
+
+  // Mouse handlers shared by every chart; points is that chart's data
+  function mouseHandlers(chartKey, points) {
+    const xAt = (e) => {
+      const i = Number(e?.activeTooltipIndex ?? e?.activeIndex);
+      return Number.isInteger(i) && points[i] ? points[i].x : null;
+    };
+    return {
+      onMouseDown: (e) => {
+        const x = xAt(e);
+        if (x != null) setDrag({ a: x, b: x });
+      },
+      onMouseMove: (e) => {
+        if (!drag) return;
+        const x = xAt(e);
+        if (x != null) setDrag({ ...drag, b: x });
+      },
+      onMouseUp: () => {
+        if (drag && drag.a !== drag.b) {
+          onRangeChange({
+            start: Math.min(drag.a, drag.b),
+            end: Math.max(drag.a, drag.b),
+          });
+        }
+        setDrag(null);
+      },
+      onMouseEnter: () => setHovered(chartKey),
+      onMouseLeave: () => {
+        setHovered(null);
+        setDrag(null);
+      },
+    };
+  }
+
+  // Tooltip listing every sensor at the hovered time
+  const crosshair =
+    (chartKey) =>
+    ({ active, label }) => {
+      if (chartKey !== hovered || !active || label == null) return null;
+      const t = Number(label);
+      return (
+        <div className="rounded-lg border border-slate-200 bg-white/95 p-2 text-xs shadow">
+          <div className="mb-1 font-medium text-slate-700">{fmtTime(t)}</div>
+          {sensors.map((s) => {
+            const p = pointAt(s.key, t);
+            const showCorrected = view === "both" && p?.c != null;
+            return (
+              <div key={s.key} className="flex justify-between gap-3">
+                <span className="text-slate-500">{s.label}</span>
+                <span className="font-mono text-slate-900">
+                  {p?.y ?? "—"}
+                  {showCorrected ? ` → ${p.c}` : ""}
+                  {s.unit ? ` ${s.unit}` : ""}
+                </span>
+              </div>
+            );
+          })}
+        </div>
+      );
+    };
+
+  const selection = drag && drag.a !== drag.b && (
+    <ReferenceArea
+      x1={Math.min(drag.a, drag.b)}
+      x2={Math.max(drag.a, drag.b)}
+      fill="#3b82f6"
+      fillOpacity={0.15}
+    />
+  );
+
+  const button =
+    "rounded-lg border border-slate-300 px-3 py-1 text-sm hover:bg-slate-50 disabled:opacity-50";
+
+  return (
+    <>
+      {/* Range controls + timeline brush */}
+      <div className="lg:col-span-2 rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+        <div className="mb-2 flex flex-wrap items-center gap-2 text-sm">
+          <span
+            className={`rounded-full px-2 py-0.5 text-xs font-semibold uppercase tracking-wide ${
+              range
+                ? "bg-amber-100 text-amber-800"
+                : "bg-green-100 text-green-800"
+            }`}
+          >
+            {range ? "Paused" : "Live"}
+          </span>
+          <span className="text-slate-600">
+            {range
+              ? `${fmtTime(range.start)} – ${fmtTime(range.end)}`
+              : "Following new data"}
+          </span>
+          <div className="ml-auto flex flex-wrap gap-2">
+            {range ? (
+              <button onClick={() => onRangeChange(null)} className={button}>
+                Live
+              </button>
+            ) : (
+              <button
+                onClick={() => onRangeChange({ start: min, end: max })}
+                disabled={!times.length}
+                className={button}
+              >
+                Pause
+              </button>
+            )}
+            <button
+              onClick={() => onRangeChange(panRange(range, -0.5, min, max))}
+              disabled={!range}
+              className={button}
+              title="Pan earlier"
+            >
+              ◀
+            </button>
+            <button
+              onClick={() => onRangeChange(panRange(range, 0.5, min, max))}
+              disabled={!range}
+              className={button}
+              title="Pan later"
+            >
+              ▶
+            </button>
+            <button
+              onClick={() => onRangeChange(zoomOutRange(range, min, max))}
+              disabled={!range}
+              className={button}
+            >
+              Zoom out
+            </button>
+            <button
+              onClick={() => onExportRange(range)}
+              disabled={!range}
+              className={button}
+            >
+              Save range to CSV
+            </button>
+          </div>
+        </div>
+        {times.length > 1 && (
+          <div className="h-14">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={times.map((x) => ({ x }))}>
+                <XAxis dataKey="x" hide />
+                <Brush
+                  dataKey="x"
+                  height={40}
+                  startIndex={Math.max(0, brushStart)}
+                  endIndex={Math.max(0, brushEnd)}
+                  tickFormatter={fmtTime}
+                  onChange={onBrushChange}
+                />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+        <p className="mt-1 text-xs text-slate-500">
+          Drag the handles, or drag across any chart, to zoom in.
+        </p>
+      </div>
+
+      {/* Overlay */}
+      <div className="lg:col-span-2 rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+        <div className="mb-2 flex flex-wrap items-center gap-2 text-sm">
+          <span className="font-medium text-slate-700">Overlay</span>
+          {sensors.map((s) => (
+            <button
+              key={s.key}
+              onClick={() => {
+                // off -> left -> right -> off
+                const next = { ...overlay };
+                if (!overlay[s.key]) next[s.key] = "left";
+                else if (overlay[s.key] === "left") next[s.key] = "right";
+                else delete next[s.key];
+                onOverlayChange(next);
+              }}
+              title="Click to cycle: off → left axis → right axis"
+              className={`rounded-full border px-3 py-0.5 text-xs ${
+                overlay[s.key]
+                  ? "border-slate-900 bg-slate-900 text-white"
+                  : "border-slate-300 text-slate-700"
+              }`}
+            >
+              {s.label}
+              {overlay[s.key] === "left" ? " · L" : ""}
+              {overlay[s.key] === "right" ? " · R" : ""}
+            </button>
+          ))}
+        </div>
+        {overlayKeys.length > 0 ? (
+          <div className="h-64">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart
+                data={overlayData}
+                syncId={SYNC_ID}
+                syncMethod="value"
+                margin={{ top: 5, right: 12, bottom: 5, left: 0 }}
+                {...mouseHandlers("overlay", overlayData)}
+              >
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis {...TIME_AXIS} />
+                <YAxis yAxisId="left" allowDecimals width={50} />
+                <YAxis
+                  yAxisId="right"
+                  orientation="right"
+                  allowDecimals
+                  width={50}
+                  hide={!overlayKeys.some((s) => overlay[s.key] === "right")}
+                />
+                <Tooltip content={crosshair("overlay")} />
+                <Legend />
+                {overlayKeys.map((s, i) => (
+                  <Line
+                    key={s.key}
+                    yAxisId={overlay[s.key]}
+                    type="monotone"
+                    dataKey={s.key}
+                    name={`${s.label}${s.unit ? ` (${s.unit})` : ""}${
+                      overlay[s.key] === "right" ? " →" : ""
+                    }`}
+                    stroke={OVERLAY_COLORS[i % OVERLAY_COLORS.length]}
+                    dot={false}
+                    strokeWidth={2}
+                    isAnimationActive={false}
+                  />
+                ))}
+                {selection}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        ) : (
+          <p className="text-sm text-slate-500">
+            Pick sensors above to plot them on one chart, e.g. PM2.5 on the left
+            axis against Relative Humidity on the right.
+          </p>
+        )}
+      </div>
+
+      {sensors.map((s) => {
+        const points = data[s.key] || [];
+        const showBoth = view === "both" && points.some((p) => p.c != null);
+        return (
+          <div
+            key={s.key}
+            className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm"
+          >
+            <div className="mb-2 text-sm font-medium text-slate-700">
+              {s.label}
+              {s.unit ? `  (${s.unit})` : ""}
+            </div>
+            <div className="h-48">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart
+                  data={points}
+                  syncId={SYNC_ID}
+                  syncMethod="value"
+                  margin={{ top: 5, right: 12, bottom: 5, left: 0 }}
+                  {...mouseHandlers(s.key, points)}
+                >
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis {...TIME_AXIS} />
+                  <YAxis
+                    allowDecimals
+                    tickFormatter={(v) => `${v}`}
+                    width={50}
+                  />
+                  <Tooltip content={crosshair(s.key)} />
+                  <Legend />
+                  <Line
+                    type="monotone"
+                    dataKey="y"
+                    name={showBoth ? `${s.label} (raw)` : s.label}
+                    dot={false}
+                    strokeWidth={2}
+                    isAnimationActive={false}
+                  />
+                  {showBoth && (
+                    <Line
+                      type="monotone"
+                      dataKey="c"
+                      name={`${s.label} (corrected)`}
+                      stroke="#16a34a"
+                      strokeDasharray="5 3"
+                      dot={false}
+                      strokeWidth={2}
+                      isAnimationActive={false}
+                    />
+                  )}
+                  {gapAreas(gaps, points)}
+                  {selection}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+        );
+      })}
+    </>
+  );
+}
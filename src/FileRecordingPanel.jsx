@@ -0,0 +1,141 @@
+import React from "react";
+import {
+  FLUSH_INTERVALS_S,
+  ROTATE_SIZES_MB,
+  SINGLE_FILE_MAX_MB,
+  formatBytes,
+} from "./fileRecorder";
+
+/* =========================================================================
+   Record to file (Settings) — options, start / stop and status of the
+   ./fileRecorder stream; the header bar shows the same status in short
+   ======================================================================= */
+
+export default function FileRecordingPanel({
+  supported,
+  options,
+  onOptionsChange,
+  status,
+  onStart,
+  onStop,
+}) {
+  const active = !!status?.active;
+  const set = (patch) => onOptionsChange({ ...options, ...patch });
+
+  return (
+    <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+      <div className="mb-2 text-sm font-medium text-slate-700">
+        Record to File
+      </div>
+      {!supported ? (
+        <p className="text-sm text-slate-500">
+          Needs a browser with the File System Access API (e.g. Chrome or Edge).
+        </p>
+      ) : (
+        <>
+          <div className="space-y-2 text-sm text-slate-600">
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={options.raw}
+                disabled={active}
+                onChange={(e) => set({ raw: e.target.checked })}
+              />
+              Also write the raw log (folder only)
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={options.daily}
+                disabled={active}
+                onChange={(e) => set({ daily: e.target.checked })}
+              />
+              Start a new file each day (folder only)
+            </label>
+            <label className="flex items-center gap-2">
+              Size limit (new file in a folder)
+              <select
+                value={options.maxMb}
+                disabled={active}
+                onChange={(e) => set({ maxMb: Number(e.target.value) })}
+                className="rounded-lg border border-slate-300 px-2 py-1 text-sm disabled:opacity-50"
+              >
+                {ROTATE_SIZES_MB.map((mb) => (
+                  <option key={mb} value={mb}>
+                    {mb ? `${mb} MB` : "No size limit"}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="flex items-center gap-2">
+              Write to disk every
+              <select
+                value={options.flushS}
+                disabled={active}
+                onChange={(e) => set({ flushS: Number(e.target.value) })}
+                className="rounded-lg border border-slate-300 px-2 py-1 text-sm disabled:opacity-50"
+              >
+                {FLUSH_INTERVALS_S.map((s) => (
+                  <option key={s} value={s}>
+                    {s} s
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <div className="mt-3 flex flex-wrap gap-2">
+            {active ? (
+              <button
+                onClick={onStop}
+                className="rounded-lg bg-red-600 px-3 py-1 text-sm text-white hover:bg-red-500"
+              >
+                Stop recording
+              </button>
+            ) : (
+              <>
+                <button
+                  onClick={() => onStart("folder")}
+                  className="rounded-lg bg-blue-600 px-3 py-1 text-sm text-white hover:bg-blue-500"
+                >
+                  Record to folder…
+                </button>
+                <button
+                  onClick={() => onStart("file")}
+                  className="rounded-lg border border-slate-300 px-3 py-1 text-sm hover:bg-slate-50"
+                >
+                  Record to file…
+                </button>
+              </>
+            )}
+          </div>
+
+          {status && (
+            <p
+              className={`mt-2 text-sm ${
+                status.error ? "text-red-700" : "text-slate-600"
+              }`}
+            >
+              {active ? "Recording" : "Recorded"}
+              {status.folder ? ` in ${status.folder}/` : ""}
+              {status.name ? ` ${status.name}` : ""} ·{" "}
+              {formatBytes(status.bytes)} in {status.files}{" "}
+              {status.files === 1 ? "file" : "files"}
+              {status.pending
+                ? ` · ${formatBytes(status.pending)} waiting`
+                : ""}
+              {status.error ? ` · Write failed: ${status.error}` : ""}
+            </p>
+          )}
+        </>
+      )}
+      <p className="mt-2 text-xs text-slate-500">
+        Rows are appended as they arrive and kept across reconnects; picking an
+        existing file carries on at its end. The browser copies the file on
+        every write, so a single file is never rotated and stops at its size
+        limit ({SINGLE_FILE_MAX_MB} MB if none is set): use a folder for long
+        runs.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,137 @@
+import React, { useEffect, useLayoutEffect, useRef, useState } from "react";
+import { toLocalISO } from "./csv";
+
+/* =========================================================================
+   Virtualised serial log (Log tab, lines view)
+   - Rows have a fixed height and only those in view (plus some overscan)
+     are in the DOM, so 100k+ entries of ./logBuffer scroll smoothly
+   - Each row: host receive time, direction, text; data rows are dimmed
+   - Follows the newest entry unless scrolled up
+   - Search matches are highlighted
+   ======================================================================= */
+
+const ROW_HEIGHT = 18; // px
+const OVERSCAN = 20; // rows drawn above and below the view
+const FALLBACK_HEIGHT = 480; // before the pane has been measured
+
+const DIR_STYLES = {
+  rx: ["RX", "text-emerald-700"],
+  tx: ["TX", "text-blue-700"],
+  sys: ["SYS", "text-amber-700"],
+};
+
+function highlight(text, search) {
+  if (!search) return text;
+  const re = new RegExp(search.source, "gi");
+  const out = [];
+  let last = 0;
+  let m;
+  while ((m = re.exec(text))) {
+    if (!m[0]) {
+      re.lastIndex++; // empty match: step past it
+      continue;
+    }
+    if (m.index > last) out.push(text.slice(last, m.index));
+    out.push(
+      <mark key={m.index} className="rounded-sm bg-yellow-200">
+        {m[0]}
+      </mark>
+    );
+    last = m.index + m[0].length;
+  }
+  if (last < text.length) out.push(text.slice(last));
+  return out;
+}
+
+export default function LogList({
+  buffer,
+  seqs,
+  version,
+  search,
+  onKeyDown,
+  onPaste,
+}) {
+  const paneRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [height, setHeight] = useState(0);
+  const [follow, setFollow] = useState(true);
+  const total = seqs.length;
+
+  useEffect(() => {
+    const el = paneRef.current;
+    if (!el) return undefined;
+    setHeight(el.clientHeight);
+    if (typeof ResizeObserver === "undefined") return undefined;
+    const observer = new ResizeObserver(() => setHeight(el.clientHeight));
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  // version: new entries, even when the filtered count didn't change
+  useLayoutEffect(() => {
+    const el = paneRef.current;
+    if (el && follow) el.scrollTop = el.scrollHeight;
+  }, [follow, total, version]);
+
+  const viewHeight = height || FALLBACK_HEIGHT;
+  const top = follow ? Math.max(0, total * ROW_HEIGHT - viewHeight) : scrollTop;
+  const start = Math.max(0, Math.floor(top / ROW_HEIGHT) - OVERSCAN);
+  const end = Math.min(
+    total,
+    Math.ceil((top + viewHeight) / ROW_HEIGHT) + OVERSCAN
+  );
+
+  const rows = [];
+  for (let i = start; i < end; i++) {
+    const e = buffer.entry(seqs[i]);
+    const [label, color] = DIR_STYLES[e.dir];
+    rows.push(
+      <div
+        key={e.seq}
+        className="flex gap-2"
+        style={{ height: ROW_HEIGHT, lineHeight: `${ROW_HEIGHT}px` }}
+      >
+        <span className="shrink-0 text-slate-400">
+          {toLocalISO(e.t).slice(11, 23)}
+        </span>
+        <span className={`w-7 shrink-0 font-semibold ${color}`}>{label}</span>
+        <span
+          data-testid="log-text"
+          className={e.data ? "text-slate-500" : "text-slate-800"}
+        >
+          {highlight(e.text, search)}
+        </span>
+      </div>
+    );
+  }
+
+  return (
+    <div
+      ref={paneRef}
+      tabIndex={0}
+      role="log"
+      aria-label="Serial log"
+      onKeyDown={onKeyDown}
+      onPaste={onPaste}
+      onScroll={(e) => {
+        const el = e.currentTarget;
+        setScrollTop(el.scrollTop);
+        setFollow(el.scrollHeight - el.scrollTop - el.clientHeight < 4);
+      }}
+      className="h-[50vh] overflow-auto whitespace-pre rounded-lg p-2 font-mono text-xs outline-none focus:ring-2 focus:ring-blue-200"
+      title="Click here and type to send characters to the device"
+    >
+      {total === 0 ? (
+        <p className="text-slate-500">
+          {buffer.length ? "No lines match." : "No log lines yet."}
+        </p>
+      ) : (
+        <div style={{ height: total * ROW_HEIGHT, position: "relative" }}>
+          <div style={{ transform: `translateY(${start * ROW_HEIGHT}px)` }}>
+            {rows}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,314 @@
+import React, { useCallback, useMemo, useRef, useState } from "react";
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+  Legend,
+} from "recharts";
+import PamWebSerialDashboard from "./PamWebSerialDashboard";
+import { csvCell, downloadCsv, localStamp, toLocalISO } from "./csv";
+
+/* =========================================================================
+   Multi-device host
+   - One PamWebSerialDashboard per port; each keeps its own port, header,
+     parser, saved settings and log. Hidden devices stay mounted (and
+     connected).
+   - Devices are identified by DeviceId once their first row is parsed
+   - "Combined" view overlays the same sensor from every device
+   - Export: one wide CSV per device, or one merged long-format CSV
+   ======================================================================= */
+
+const DEVICE_COLORS = [
+  "#2563eb",
+  "#dc2626",
+  "#16a34a",
+  "#9333ea",
+  "#ea580c",
+  "#0891b2",
+  "#ca8a04",
+  "#db2777",
+];
+
+// Children only re-render on their own prop changes
+const DeviceDashboard = React.memo(PamWebSerialDashboard);
+
+// Each slot saves its own settings (baud, tab, alarms, …); the first keeps
+// the single-device keys
+function slotStoragePrefix(id) {
+  return id === 1 ? "pam." : `pam.slot${id}.`;
+}
+
+function fmtTime(ms) {
+  return new Date(ms).toLocaleTimeString();
+}
+
+function OverlayChart({ label, unit, lines }) {
+  return (
+    <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+      <div className="mb-2 text-sm font-medium text-slate-700">
+        {label}
+        {unit ? `  (${unit})` : ""}
+      </div>
+      <div className="h-56">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart margin={{ top: 5, right: 12, bottom: 5, left: 0 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis
+              dataKey="x"
+              type="number"
+              domain={["dataMin", "dataMax"]}
+              tickFormatter={fmtTime}
+              minTickGap={40}
+              allowDuplicatedCategory={false}
+            />
+            <YAxis allowDecimals width={50} />
+            <Tooltip labelFormatter={(x) => fmtTime(Number(x))} />
+            <Legend />
+            {lines.map((l) => (
+              <Line
+                key={l.id}
+                name={l.name}
+                data={l.data}
+                dataKey="y"
+                type="monotone"
+                dot={false}
+                stroke={l.color}
+                strokeWidth={2}
+                isAnimationActive={false}
+                connectNulls={false}
+              />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
+
+export default function MultiPamDashboard({ backends }) {
+  const [slots, setSlots] = useState([{ id: 1 }]);
+  const [activeSlot, setActiveSlot] = useState(1); // slot id or "combined"
+  const [snapshots, setSnapshots] = useState({}); // slot id -> snapshot
+  const nextIdRef = useRef(2);
+  const dashRefs = useRef({}); // slot id -> imperative handle
+  const handlers = useRef({}); // slot id -> stable { onSnapshot, ref }
+
+  // Stable per-slot callbacks so the memoized dashboards don't re-render
+  const slotHandlers = useCallback((id) => {
+    if (!handlers.current[id]) {
+      handlers.current[id] = {
+        onSnapshot: (snap) => setSnapshots((prev) => ({ ...prev, [id]: snap })),
+        ref: (h) => {
+          if (h) dashRefs.current[id] = h;
+        },
+      };
+    }
+    return handlers.current[id];
+  }, []);
+
+  function addSlot() {
+    const id = nextIdRef.current++;
+    setSlots((prev) => [...prev, { id }]);
+    setActiveSlot(id);
+  }
+
+  async function removeSlot(id) {
+    await dashRefs.current[id]?.disconnect();
+    delete dashRefs.current[id];
+    delete handlers.current[id];
+    setSnapshots((prev) => {
+      const next = { ...prev };
+      delete next[id];
+      return next;
+    });
+    // From the latest list: another removal may have finished meanwhile
+    setSlots((prev) => {
+      const remaining = prev.filter((s) => s.id !== id);
+      setActiveSlot((active) =>
+        active === id || (active === "combined" && remaining.length < 2)
+          ? (remaining[0]?.id ?? null)
+          : active
+      );
+      return remaining;
+    });
+  }
+
+  const slotName = (slot, i) => {
+    const id = snapshots[slot.id]?.deviceId;
+    return id ? `Device ${id}` : `Port ${i + 1}`;
+  };
+
+  // Combined charts: one per sensor key, one line per device
+  const combined = useMemo(() => {
+    const byKey = {};
+    slots.forEach((slot, i) => {
+      const snap = snapshots[slot.id];
+      if (!snap) return;
+      for (const s of snap.sensors) {
+        const data = snap.store
+          .decimatedPoints(s.key)
+          .map((p) => ({ x: p.t, y: p.v }));
+        if (!data.length) continue;
+        if (!byKey[s.key]) {
+          byKey[s.key] = { key: s.key, label: s.label, units: new Set(), lines: [] };
+        }
+        byKey[s.key].units.add(snap.units[s.key] || "");
+        byKey[s.key].lines.push({
+          id: slot.id,
+          name: slotName(slot, i),
+          color: DEVICE_COLORS[i % DEVICE_COLORS.length],
+          data,
+        });
+      }
+    });
+    return Object.values(byKey).filter((c) => c.key !== "BAT");
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [slots, snapshots]);
+
+  function exportPerDevice() {
+    const withData = slots.filter((slot) =>
+      snapshots[slot.id]?.store?.length > 0
+    );
+    if (!withData.length) {
+      alert("No time-series data to export yet.");
+      return;
+    }
+    for (const slot of withData) dashRefs.current[slot.id]?.exportSeriesCsv();
+  }
+
+  // Long format: one row per device × time × sensor
+  function exportMergedLong() {
+    const rows = ["device_id,time,sensor,value,unit"];
+    slots.forEach((slot, i) => {
+      const snap = snapshots[slot.id];
+      if (!snap) return;
+      const device = snap.deviceId || `port${i + 1}`;
+      for (const s of snap.sensors) {
+        for (const p of snap.store.points(s.key)) {
+          rows.push(
+            [device, toLocalISO(p.t), s.label, p.v, snap.units[s.key]]
+              .map(csvCell)
+              .join(",")
+          );
+        }
+      }
+    });
+    if (rows.length === 1) {
+      alert("No time-series data to export yet.");
+      return;
+    }
+    downloadCsv(`pam_multi_${localStamp()}.csv`, rows.join("\r\n"));
+  }
+
+  const multi = slots.length > 1;
+
+  return (
+    <div className="min-h-screen bg-slate-50">
+      {/* Device bar */}
+      <nav className="border-b border-slate-200 bg-slate-100">
+        <div className="mx-auto flex max-w-7xl flex-wrap items-center gap-2 px-4 py-2 text-sm">
+          {slots.map((slot, i) => (
+            <span
+              key={slot.id}
+              className={`flex items-center gap-1 rounded-full px-3 py-1 ${
+                activeSlot === slot.id
+                  ? "bg-slate-900 text-white"
+                  : "border border-slate-300 bg-white text-slate-700"
+              }`}
+            >
+              <span
+                className="h-2 w-2 rounded-full"
+                style={{ background: DEVICE_COLORS[i % DEVICE_COLORS.length] }}
+              />
+              <button onClick={() => setActiveSlot(slot.id)}>
+                {slotName(slot, i)}
+              </button>
+              {multi && (
+                <button
+                  onClick={() => void removeSlot(slot.id)}
+                  title="Disconnect and remove"
+                  className="ml-1 opacity-60 hover:opacity-100"
+                >
+                  ×
+                </button>
+              )}
+            </span>
+          ))}
+          {multi && (
+            <button
+              onClick={() => setActiveSlot("combined")}
+              className={`rounded-full px-3 py-1 ${
+                activeSlot === "combined"
+                  ? "bg-slate-900 text-white"
+                  : "border border-slate-300 bg-white text-slate-700"
+              }`}
+            >
+              Combined
+            </button>
+          )}
+          <button
+            onClick={addSlot}
+            className="rounded-full border border-dashed border-slate-400 px-3 py-1 text-slate-600 hover:bg-white"
+          >
+            + Add device
+          </button>
+        </div>
+      </nav>
+
+      {slots.map((slot) => (
+        <div key={slot.id} hidden={activeSlot !== slot.id}>
+          <DeviceDashboard
+            backends={backends}
+            ref={slotHandlers(slot.id).ref}
+            onSnapshot={slotHandlers(slot.id).onSnapshot}
+            storagePrefix={slotStoragePrefix(slot.id)}
+          />
+        </div>
+      ))}
+
+      {activeSlot === "combined" && (
+        <main className="mx-auto max-w-7xl px-4 py-6">
+          <div className="mb-4 flex flex-wrap items-center justify-between gap-2">
+            <h1 className="text-xl font-semibold text-slate-900">
+              Combined view
+            </h1>
+            <div className="flex gap-2">
+              <button
+                onClick={exportPerDevice}
+                className="rounded-lg border border-slate-300 px-3 py-1 text-sm hover:bg-slate-50"
+              >
+                CSV per device
+              </button>
+              <button
+                onClick={exportMergedLong}
+                className="rounded-lg border border-slate-300 px-3 py-1 text-sm hover:bg-slate-50"
+              >
+                Merged CSV (long)
+              </button>
+            </div>
+          </div>
+          {combined.length === 0 ? (
+            <p className="text-sm text-slate-500">
+              No data yet. Connect devices from their tabs above.
+            </p>
+          ) : (
+            <section className="grid grid-cols-1 gap-4 lg:grid-cols-2">
+              {combined.map((c) => (
+                <OverlayChart
+                  key={c.key}
+                  label={c.label}
+                  unit={[...c.units].filter(Boolean).join(" / ")}
+                  lines={c.lines}
+                />
+              ))}
+            </section>
+          )}
+        </main>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,64 @@
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import MultiPamDashboard from './MultiPamDashboard';
+import { createSimulatorBackend } from './serialBackends';
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('runs two simulated devices side by side and combines them', async () => {
+  const sim = createSimulatorBackend({ cadenceMs: [10, 10] });
+  const view = render(<MultiPamDashboard backends={[sim]} />);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Connect' }));
+  await screen.findByRole('button', { name: 'Disconnect' });
+  await screen.findByRole('button', { name: 'Device 1042' });
+
+  // Second slot: the first dashboard is hidden but stays connected
+  fireEvent.click(screen.getByRole('button', { name: '+ Add device' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Connect' }));
+  await waitFor(() =>
+    expect(screen.getAllByRole('button', { name: 'Device 1042' })).toHaveLength(2)
+  );
+
+  // Charts have no size under jsdom; Recharts warns about it
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  fireEvent.click(screen.getByRole('button', { name: 'Combined' }));
+  expect(screen.getByText('Combined view')).toBeInTheDocument();
+  expect(screen.queryByText(/No data yet/)).not.toBeInTheDocument();
+
+  for (const btn of screen.getAllByTitle('Disconnect and remove')) {
+    fireEvent.click(btn);
+  }
+  await waitFor(() =>
+    expect(screen.queryByRole('button', { name: 'Combined' })).not.toBeInTheDocument()
+  );
+  view.unmount();
+  warn.mockRestore();
+});
+
+test('keeps each device slot\'s settings under its own keys', async () => {
+  const sim = createSimulatorBackend({ cadenceMs: [60000, 60000] });
+  const view = render(<MultiPamDashboard backends={[sim]} />);
+  fireEvent.change(screen.getByRole('spinbutton'), { target: { value: '9600' } });
+  fireEvent.click(screen.getByRole('button', { name: '+ Add device' }));
+  fireEvent.change(screen.getByRole('spinbutton'), { target: { value: '57600' } });
+  await waitFor(() => expect(localStorage.getItem('pam.slot2.baud')).toBe('57600'));
+  expect(localStorage.getItem('pam.baud')).toBe('9600');
+  view.unmount();
+});
+
+test('removing two devices in quick succession removes both', async () => {
+  const sim = createSimulatorBackend({ cadenceMs: [60000, 60000] });
+  const view = render(<MultiPamDashboard backends={[sim]} />);
+  fireEvent.click(screen.getByRole('button', { name: '+ Add device' }));
+  fireEvent.click(screen.getByRole('button', { name: '+ Add device' }));
+  const [first, second] = screen.getAllByTitle('Disconnect and remove');
+  fireEvent.click(second);
+  fireEvent.click(first);
+  await waitFor(() => expect(screen.getAllByRole('button', { name: /^Port / })).toHaveLength(1));
+  expect(screen.queryByTitle('Disconnect and remove')).not.toBeInTheDocument();
+  // The one left is shown
+  expect(screen.getByRole('button', { name: 'Connect' })).toBeVisible();
+  view.unmount();
+});
@@ -1,187 +1,265 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, {
+  useCallback,
+  useEffect,
+  useImperativeHandle,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+import { DEFAULT_BACKENDS } from "./serialBackends";
+import { SIM_FAULTS } from "./simulatedPamPort";
 import {
-  LineChart,
-  Line,
-  XAxis,
-  YAxis,
-  CartesianGrid,
-  Tooltip,
-  ResponsiveContainer,
-  Legend,
-} from "recharts";
-
-// --- Persistent settings keys ---
-const LS = {
-  BAUD: "pam.baud",
-  NL: "pam.nl",
-  TAB: "pam.tab",
+  DEFAULT_HEADER,
+  DEFAULT_SENSOR_DEFINITIONS,
+  PamLineParser,
+  buildTimestamp,
+  cellIssue,
+  compileSensorMap,
+  looksLikeNumericCsv,
+  parseMaybeNumber,
+  splitCsvLine,
+  unitForMeta,
+  resolveSensors,
+} from "./pamParser";
+import TrackView from "./TrackView";
+import SummaryView from "./SummaryView";
+import ChartsView from "./ChartsView";
+import ScriptPanel from "./ScriptPanel";
+import CalibrationPanel from "./CalibrationPanel";
+import SensorMapEditor from "./SensorMapEditor";
+import { loadSensorDefinitions } from "./sensorDefinitions";
+import {
+  HEADER_PROFILES,
+  loadHeaderProfiles,
+  newHeaderProfileId,
+} from "./headerProfiles";
+import {
+  CAL_VIEWS,
+  calibrateSensors,
+  loadProfiles,
+  pointValue,
+} from "./calibration";
+import { loadScripts, parseScript, runScript } from "./pamScript";
+import {
+  UNIT_QUANTITIES,
+  ambientFrom,
+  defaultUnitPrefs,
+  displayConversion,
+  loadUnitPrefs,
+} from "./units";
+import {
+  SIMULATOR_CLOCK_SCRIPT,
+  DEFAULT_DRIFT_LIMIT_S,
+  describeOffset,
+  fillClockScript,
+  updateClockStats,
+} from "./clockSync";
+import {
+  csvCell,
+  deviceIdFilePrefix,
+  downloadCsv,
+  downloadFile,
+  localStamp,
+  parseCsvRow,
+  toLocalISO,
+} from "./csv";
+import { AQI_POLLUTANTS, aqiTimeline, computeAqi } from "./aqi";
+import {
+  ALARM_TYPES,
+  batteryRule,
+  describeRule,
+  evaluateSample,
+  evaluateStale,
+  loadRules,
+  newRuleId,
+} from "./alarms";
+import { positionColumns, trackPointFromReading } from "./geo";
+import { toGeoJson, toKml } from "./geoExport";
+import { checkReading, createQcState, physicalRanges, qcNames } from "./qc";
+import QualityView from "./QualityView";
+import TerminalView, { LineInput } from "./TerminalView";
+import LogList from "./LogList";
+import FileRecordingPanel from "./FileRecordingPanel";
+import {
+  LOG_DIRECTIONS,
+  LogBuffer,
+  compileSearch,
+  filterLog,
+  logToCsv,
+  logToText,
+  receivedLines,
+} from "./logBuffer";
+import {
+  TerminalScreen,
+  createLineEditor,
+  editLine,
+  insertText,
+} from "./terminal";
+import { startReader } from "./serialReader";
+import {
+  DEFAULT_CAPACITY,
+  HISTORY_OPTIONS,
+  LineRing,
+  SeriesStore,
+} from "./seriesStore";
+import {
+  createSessionRecorder,
+  deleteSession,
+  isSessionStoreAvailable,
+  listSessions,
+  loadSession,
+  renameSession,
+} from "./sessionStore";
+import {
+  FileRecorder,
+  formatBytes,
+  isFileRecordingSupported,
+  loadFileOptions,
+  pickRecordingTarget,
+} from "./fileRecorder";
+
+// --- Persistent settings keys (after the instance's storagePrefix) ---
+const LS_KEYS = {
+  BAUD: "baud",
+  NL: "nl",
+  TAB: "tab",
+  BACKEND: "backend",
+  RECORD: "record",
+  TRACK_COLOR: "trackColor",
+  TILE_URL: "tileUrl",
+  AQI_NOWCAST: "aqiNowcast",
+  EXPORT_AQI: "exportAqi",
+  ALARMS: "alarms",
+  ALARM_NOTIFY: "alarmNotify",
+  ALARM_SOUND: "alarmSound",
+  AUTO_RECONNECT: "autoReconnect",
+  SCRIPTS: "scripts",
+  DRIFT_LIMIT: "driftLimit",
+  CLOCK_SCRIPT: "clockScript",
+  EXPORT_HOST_TIME: "exportHostTime",
+  CALIBRATION: "calibration",
+  CAL_VIEW: "calView",
+  UNITS: "units",
+  OVERLAY: "overlay",
+  HISTORY: "history",
+  EXPORT_TRACK_LINE: "exportTrackLine",
+  SUMMARY_THRESHOLDS: "summaryThresholds",
+  SENSORS: "sensors",
+  HEADER_PROFILES: "headerProfiles",
+  LOG_VIEW: "logView",
+  INPUT_MODE: "inputMode",
+  FILE_RECORDING: "fileRecording",
 };
 
+// Slot 1 of the multi-device host keeps the plain "pam." keys, so a single
+// dashboard finds the settings it always had
+function settingsKeys(prefix) {
+  return Object.fromEntries(
+    Object.entries(LS_KEYS).map(([name, key]) => [name, prefix + key])
+  );
+}
+
 /* =========================================================================
    PAM WebSerial Dashboard — JS-only, robust parsing
    - Works with/without a printed header
    - Uses refs to avoid stale closures in the serial read loop
    - Handles CRLF/LF/CR newlines
    - “Assume Default Header” + custom header input
+   - Line parsing lives in ./pamParser (headless, event based)
+   - Reopens a dropped port automatically (backoff, no chooser) and marks
+     the outage as a gap in charts and CSV exports
+   - Tracks device-vs-host clock offset; can set the PAM clock from the host
+   - Per-DeviceId calibration: corrected values ride alongside raw ones
+     (store columns v and c); AQI and alarms use corrected where present
+   - Display units (°F, inHg, ppb, …) are converted at the edges: cards,
+     charts and CSV; series and alarms stay in the header's units
+   - Readings go into a typed-array ring buffer (./seriesStore); the read
+     loop only touches refs and the UI catches up in batches (UI_FLUSH_MS)
+   - Graphs share one time range (brush / drag-zoom, see ./ChartsView); a
+     set range pauses auto-scroll and can be exported on its own
+   - Rows keep their GPS fix (store columns LAT/LON), so the Track tab can
+     export the whole history as GeoJSON or KML (./geoExport)
+   - Summary tab: per-sensor statistics, gaps and battery trends for a
+     deployment report (./SummaryView)
+   - Data quality: rejected lines are kept with their reason, readings get
+     QC flags (./qc) shown on the cards, in CSV exports and on the Quality
+     tab (./QualityView)
+   - The sensor map (header columns -> keys, labels, units, valid ranges)
+     is editable in Settings (./SensorMapEditor); the built-in one is the
+     default
+   - Header-less rows get a header profile (./headerProfiles); a different
+     header mid-stream starts a new segment, and each segment's header is
+     recorded with the session
    ======================================================================= */
 
-// -----------------------------
-// Sensor map + defaults
-// -----------------------------
-const SENSOR_MAP = [
-  {
-    key: "PM1",
-    matches: (h) => /\bPM1\b/i.test(h),
-    label: "PM1",
-    unit: "µg/m³",
-  },
-  {
-    key: "PM2_5",
-    matches: (h) => /PM2\.5/i.test(h),
-    label: "PM2.5",
-    unit: "µg/m³",
-  },
-  {
-    key: "PM10",
-    matches: (h) => /\bPM10\b/i.test(h),
-    label: "PM10",
-    unit: "µg/m³",
-  },
-  { key: "NO2", matches: (h) => /\bNO2\b/i.test(h), label: "NO₂", unit: "ppb" },
-  { key: "CO", matches: (h) => /\bCO\b/i.test(h), label: "CO", unit: "ppb" },
-  { key: "CO2", matches: (h) => /\bCO2\b/i.test(h), label: "CO₂", unit: "ppm" },
-  { key: "TVOC", matches: (h) => /TVOC/i.test(h), label: "TVOCs", unit: "ppb" },
-  {
-    key: "RH",
-    matches: (h) => /RELH|RH\b/i.test(h),
-    label: "Relative Humidity",
-    unit: "%",
-  },
-  {
-    key: "TEMP",
-    matches: (h) => /TEMP\b/i.test(h),
-    label: "Temperature",
-    unit: "°C",
-  },
-  {
-    key: "PRESS",
-    matches: (h) => /PRESS\b/i.test(h),
-    label: "Pressure",
-    unit: "hPa",
-  },
-  {
-    key: "CH4",
-    matches: (h) => /METHANE|CH4/i.test(h),
-    label: "Methane",
-    unit: "ppm",
-  },
-  {
-    key: "CELL",
-    matches: (h) => /Cell-Strength/i.test(h),
-    label: "Cell Strength",
-    unit: "dBm",
-  },
-  {
-    key: "BAT",
-    matches: (h) => /Battery/i.test(h),
-    label: "Battery",
-    unit: "%",
-  },
+// Single-letter PAM menu commands exposed as quick buttons
+const QUICK_COMMANDS = [
+  { cmd: "m", label: "Menu", hint: "Open the PAM menu" },
+  { cmd: "k", label: "Header", hint: "Print the CSV column header" },
+  { cmd: "x", label: "Exit", hint: "Leave the menu / resume data output" },
 ];
-//DeviceId,CO(PPM),PM1(UGM3),PM2.5(UGM3),PM10(UGM3),CO2(PPM),RELHUM(%),TEMP(C),PRESS(HPA),LAT(LAT),LON(LON),Battery(%),Date,Time
-const DEFAULT_HEADER = [
-  "DeviceId",
-  "CO(PPM)",
-  "PM1(UGM3)",
-  "PM2.5(UGM3)",
-  "PM10(UGM3)",
-  "CO2(PPM)",
-  "RELHUM(%)",
-  "TEMP(C)",
-  "PRESS(HPA)",
-  "LAT(LAT)",
-  "LON(LON)",
-  "Battery(%)",
-  "Date",
-  "Time",
+const MAX_CMD_HISTORY = 50;
+const MAX_TRACK_POINTS = 5000;
+const MAX_ALARM_HISTORY = 1000;
+const MAX_REJECTED = 500;
+const UI_FLUSH_MS = 100; // batch state updates from the read loop
+const AQI_WINDOW_MS = 24 * 3600 * 1000; // longest EPA averaging window
+const AQI_REFRESH_MS = 10000; // recompute AQI every 10 s of data time
+const TIMELINE_POINTS = 500; // brush strip samples
+
+// Offline replay: playback speeds and pacing limits
+const REPLAY_SPEEDS = [
+  ["instant", "Instant load"],
+  ["1", "Real-time"],
+  ["10", "10×"],
+  ["100", "100×"],
 ];
-
-const looksLikeNumericCsv = (line) => /^[0-9 .,:\-]+$/.test(String(line));
-
-// -----------------------------
-// Line splitter (bytes -> text lines)
-// -----------------------------
-class LineBreakTransformer {
-  constructor() {
-    this.container = "";
-  }
-  transform(chunk, controller) {
-    this.container += chunk;
-    // IMPORTANT: one-line regex (CRLF, LF, or CR)
-    const lines = this.container.split(/\r\n|[\r\n]/);
-    this.container = lines.pop() || "";
-    for (const line of lines) controller.enqueue(line);
-  }
-  flush(controller) {
-    if (this.container) controller.enqueue(this.container);
-  }
-}
+const REPLAY_DEFAULT_GAP_MS = 3500; // PAM cadence when rows carry no Date/Time
+const REPLAY_MAX_GAP_MS = 60000; // don't sit idle on long recording gaps
+const REPLAY_BATCH = 500; // lines per tick for instant load
+const RECONNECT_DELAYS_MS = [1000, 2000, 5000, 10000, 30000]; // then every 30 s
+const MIN_DRIFT_SAMPLES = 3; // rows before a drift warning is shown
 
 // -----------------------------
 // Helpers
 // -----------------------------
-function parseMaybeNumber(value) {
-  if (value == null) return null;
-  const v = String(value).trim();
-  if (!v || v.toUpperCase() === "N/A") return null;
-  const n = Number(v);
-  return Number.isFinite(n) ? n : null;
-}
-function buildTimestamp(row, fallbackMs) {
-  const dateStr = row["Date"] || row["DATE"];
-  const timeStr = row["Time"] || row["TIME"];
-  if (dateStr && timeStr) {
-    const ms = new Date(`${dateStr}T${timeStr}`).getTime();
-    if (!Number.isNaN(ms)) return ms;
-  }
-  return fallbackMs;
+// Timestamp of a data line under the given header: undefined if the line is
+// not a data row, null if the row carries no usable Date/Time
+function rowTimestamp(line, header) {
+  if (!header || !line.includes(",")) return undefined;
+  const cells = splitCsvLine(line);
+  if (cells.length !== header.length) return undefined;
+  const row = {};
+  for (let i = 0; i < header.length; i++) row[header[i]] = cells[i];
+  return buildTimestamp(row, null);
 }
 function fmtTime(ms) {
   return new Date(ms).toLocaleTimeString();
 }
-
-function mapHeaderUnit(u) {
-  const U = String(u || "").toUpperCase();
-  if (U === "UGM3") return "µg/m³";
-  if (U === "HPA") return "hPa";
-  if (U === "PPM") return "ppm";
-  if (U === "PPB") return "ppb";
-  if (U === "%") return "%";
-  if (U === "C") return "°C";
-  return u || "";
-}
-
-function unitForMeta(meta, header) {
-  if (!header) return meta.unit;
-  const h = header.find((x) => meta.matches(x));
-  if (!h) return meta.unit;
-  const m = /\(([^)]*)\)/.exec(h);
-  return mapHeaderUnit(m ? m[1] : meta.unit);
-}
-
-function unitForHeader(pattern, header, fallback) {
-  if (!header) return fallback;
-  const h = header.find((x) => pattern.test(x));
-  if (!h) return fallback;
-  const m = /\(([^)]*)\)/.exec(h);
-  return mapHeaderUnit(m ? m[1] : fallback);
+// DeviceId cell of a parsed row, as a trimmed string ("" if absent)
+function readingDeviceId(values) {
+  const key = Object.keys(values || {}).find((k) => /DeviceId/i.test(k));
+  return key ? String(values[key] ?? "").trim() : "";
 }
 
 // -----------------------------
 // Component
 // -----------------------------
-export default function PamWebSerialDashboard() {
-  const readerRef = useRef(null);
+// Props (all optional):
+//   backends    serial backends offered in the header (see serialBackends.js)
+//   onSnapshot  called with { deviceId, header, store, version, units,
+//               sensors } when parsed data changes (store is the live
+//               SeriesStore) — used by the multi-device combined view
+//   ref         exposes { exportSeriesCsv, disconnect }
+export default function PamWebSerialDashboard({
+  backends = DEFAULT_BACKENDS,
+  onSnapshot,
+  ref,
+  storagePrefix = "pam.", // per device in the multi-device host
+}) {
+  const LS = useMemo(() => settingsKeys(storagePrefix), [storagePrefix]);
+  const readerRef = useRef(null); // startReader controller (./serialReader)
+  const [readStats, setReadStats] = useState(null); // { received, queued, dropped, worker }
   const writerRef = useRef(null);
   const portRef = useRef(null);
 
@@ -190,26 +268,194 @@ export default function PamWebSerialDashboard() {
     () => typeof navigator !== "undefined" && navigator.serial
   );
   const [isConnected, setIsConnected] = useState(false);
+  const [backendId, setBackendId] = useState(backends[0].id);
+  const backend = backends.find((b) => b.id === backendId) || backends[0];
   const [baudRate, setBaudRate] = useState(115200);
   const [autoNewline, setAutoNewline] = useState("\r"); // "none" | "\r" | "\n" | "\r\n"
   const [csvHeader, setCsvHeader] = useState(null);
   const [latest, setLatest] = useState({});
-  const [series, setSeries] = useState({});
-  const [rawLog, setRawLog] = useState([]);
+  // Readings live in a ring-buffer store; seriesView gets a new identity on
+  // every UI flush so memos can depend on it
+  const storeRef = useRef(null);
+  if (!storeRef.current) storeRef.current = new SeriesStore();
+  const [seriesView, setSeriesView] = useState(() => ({
+    store: storeRef.current,
+    version: 0,
+  }));
+  // Serial log entries (./logBuffer); logVersion moves on every flush
+  const logBufferRef = useRef(null);
+  if (!logBufferRef.current) logBufferRef.current = new LogBuffer();
+  const [logVersion, setLogVersion] = useState(0);
+  const lastRxSeqRef = useRef(null); // log entry of the latest RX line
+  const filteredLogRef = useRef(null);
+  const [logDirs, setLogDirs] = useState({ rx: true, tx: true, sys: true });
+  const [logKind, setLogKind] = useState("all"); // "all" | "data" | "other"
+  const [logSearch, setLogSearch] = useState("");
+  const logSearchRe = useMemo(() => compileSearch(logSearch), [logSearch]);
+  const logFilter = useMemo(
+    () => ({ dirs: logDirs, kind: logKind, search: logSearchRe.re }),
+    [logDirs, logKind, logSearchRe]
+  );
+  // Extended with each flush's new entries (see filterLog)
+  const filteredLog = useMemo(() => {
+    const view = filterLog(
+      logBufferRef.current,
+      logFilter,
+      filteredLogRef.current
+    );
+    filteredLogRef.current = view;
+    return view;
+    // logVersion: the buffer mutates in place
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [logFilter, logVersion]);
   const [activeTab, setActiveTab] = useState("latest");
   const [sending, setSending] = useState(false);
   const [customCmd, setCustomCmd] = useState("");
+  const [cmdHistory, setCmdHistory] = useState([]);
+  const historyIndexRef = useRef(-1); // -1 = editing a fresh command
   const [customHeaderText, setCustomHeaderText] = useState("");
-  const [maxPoints] = useState(600);
+  const [historySize, setHistorySize] = useState(DEFAULT_CAPACITY); // rows
+
+  // Offline replay of a saved log/CSV file
+  const [replay, setReplay] = useState(null); // { name, total, done, finished }
+  const [replaySpeed, setReplaySpeed] = useState("instant");
+  const replayRunRef = useRef(0); // bumped to cancel an in-flight replay
+  const replaySpeedRef = useRef(replaySpeed);
+  const replayFileRef = useRef(null);
+
+  // Session recording (IndexedDB)
+  const [recordSessions, setRecordSessions] = useState(true);
+  const [sessions, setSessions] = useState([]);
+  const [sessionError, setSessionError] = useState("");
+  const recorderRef = useRef(null);
+
+  // Record to file (File System Access API); outlives reconnects
+  const [fileOptions, setFileOptions] = useState(() => loadFileOptions());
+  const [fileStatus, setFileStatus] = useState(null); // { active, …status() }
+  const fileRecorderRef = useRef(null);
+
+  // GPS track (valid fixes only)
+  const [track, setTrack] = useState([]);
+  const [trackColorKey, setTrackColorKey] = useState("PM2_5");
+  const [tileUrl, setTileUrl] = useState("");
+
+  // AQI options
+  const [aqiNowcast, setAqiNowcast] = useState(false);
+  const [exportAqi, setExportAqi] = useState(false);
+  const [exportTrackLine, setExportTrackLine] = useState(true);
+  const [summaryThresholds, setSummaryThresholds] = useState({}); // key -> text
+
+  // Alarms
+  const [alarmRules, setAlarmRules] = useState([]);
+  const [activeAlarms, setActiveAlarms] = useState({}); // ruleId -> event
+  const [alarmHistory, setAlarmHistory] = useState([]);
+  const [alarmNotify, setAlarmNotify] = useState(false);
+  const [alarmSound, setAlarmSound] = useState(false);
+  const [newRule, setNewRule] = useState({
+    key: "PM2_5",
+    type: "above",
+    threshold: "35",
+    hysteresis: "2",
+  });
+  const alarmRulesRef = useRef([]);
+  const alarmStateRef = useRef({});
+  const alarmOptsRef = useRef({ notify: false, sound: false });
+  const alarmHistoryRef = useRef([]);
+
+  // Automatic reconnect after an unexpected loss
+  const [autoReconnect, setAutoReconnect] = useState(true);
+  const [reconnect, setReconnect] = useState(null); // { attempt } while retrying
+  const [gaps, setGaps] = useState([]); // [{ start, end }] in reading time
+  const reconnecting = !!reconnect;
+  const isLinked = isConnected || reconnecting; // connected or retrying
+  const autoReconnectRef = useRef(true);
+  const baudRateRef = useRef(baudRate);
+  const connectedBackendRef = useRef(null);
+  const reconnectRef = useRef(null); // { port, attempt, timer, busy }
+  const lastReadingTRef = useRef(null);
+  const openGapRef = useRef(null);
+
+  // Saved command scripts
+  const [scripts, setScripts] = useState([]);
+
+  // Device clock vs host clock
+  const [clockStats, setClockStats] = useState(null);
+  const [driftLimit, setDriftLimit] = useState(DEFAULT_DRIFT_LIMIT_S);
+  const [clockScript, setClockScript] = useState("");
+  const [exportHostTime, setExportHostTime] = useState(false);
+  const [clockSetting, setClockSetting] = useState(false);
+  const clockStatsRef = useRef(null);
+  const clockSetsRef = useRef([]); // [{ t, offsetBeforeMs }] this session
+
+  // Calibration profiles by DeviceId
+  const [calProfiles, setCalProfiles] = useState({});
+  const [calView, setCalView] = useState("corrected"); // see CAL_VIEWS
+  const [latestCorrected, setLatestCorrected] = useState({}); // by sensor key
+  const [latestQc, setLatestQc] = useState({}); // QC bitmask by sensor key
+  const [rejected, setRejected] = useState({ lines: [], counts: {} });
+  const calProfilesRef = useRef({});
+
+  // Sensor map: user definitions (null = built-in), compiled for matching
+  const [sensorDefs, setSensorDefs] = useState(null);
+  const activeSensorDefs = sensorDefs ?? DEFAULT_SENSOR_DEFINITIONS;
+  const sensorMap = useMemo(
+    () => compileSensorMap(activeSensorDefs),
+    [activeSensorDefs]
+  );
+  const sensorMapRef = useRef(sensorMap);
+  const sensorDefsRef = useRef(activeSensorDefs);
+
+  // Header profiles: built-in + saved by the user; segments of this data
+  // ({ start, header, source, profile }), one per header in effect
+  const [userHeaderProfiles, setUserHeaderProfiles] = useState([]);
+  const headerProfiles = useMemo(
+    () => [...HEADER_PROFILES, ...userHeaderProfiles],
+    [userHeaderProfiles]
+  );
+  const headerProfilesRef = useRef(headerProfiles);
+  const [newProfileName, setNewProfileName] = useState("");
+  const [segments, setSegments] = useState([]);
+  const segmentsRef = useRef([]);
+
+  // Display unit per quantity ("" = as reported by the header)
+  const [unitPrefs, setUnitPrefs] = useState(defaultUnitPrefs);
 
-  // Terminal typing echo
+  // Graphs: shared time range (null = live) and overlay axes by sensor key
+  const [chartRange, setChartRange] = useState(null);
+  const [overlay, setOverlay] = useState({});
+
+  // Terminal typing echo; Log tab view ("log" lines | "terminal" screen,
+  // see ./terminal) and input mode ("char" sends each key | "line" sends
+  // an edited line on Enter)
   const [echoInput, setEchoInput] = useState(true);
-  const logRef = useRef(null);
+  const [logView, setLogView] = useState("log");
+  const [inputMode, setInputMode] = useState("char");
+  const [lineEdit, setLineEdit] = useState(createLineEditor);
+  const [terminalVersion, setTerminalVersion] = useState(0);
+  const terminalRef = useRef(null);
+  if (!terminalRef.current) terminalRef.current = new TerminalScreen();
+  const logViewRef = useRef(logView);
 
   // Refs to avoid stale closures in the stream loop
   const csvHeaderRef = useRef(null);
+  const parserRef = useRef(null);
+  if (!parserRef.current) parserRef.current = new PamLineParser();
   const latestRef = useRef({});
-  const seriesRef = useRef({});
+  const latestCorrectedRef = useRef({});
+  const trackRef = useRef([]);
+  const qcStateRef = useRef(createQcState());
+  const latestQcRef = useRef({});
+  // Rejected lines: the newest MAX_REJECTED, counted by reason
+  const rejectedRef = useRef(null);
+  if (!rejectedRef.current) {
+    rejectedRef.current = { lines: new LineRing(MAX_REJECTED), counts: {} };
+  }
+
+  // Batched UI updates: the read loop marks what changed, flushUi copies the
+  // refs into state at most every UI_FLUSH_MS
+  const dirtyRef = useRef({});
+  const readStatsRef = useRef(null);
+  const flushTimerRef = useRef(null);
 
   useEffect(() => {
     csvHeaderRef.current = csvHeader;
@@ -217,9 +463,149 @@ export default function PamWebSerialDashboard() {
   useEffect(() => {
     latestRef.current = latest;
   }, [latest]);
+  useEffect(() => () => clearTimeout(flushTimerRef.current), []);
   useEffect(() => {
-    seriesRef.current = series;
-  }, [series]);
+    replaySpeedRef.current = replaySpeed;
+  }, [replaySpeed]);
+
+  // Parser events -> React state
+  useEffect(() => {
+    const parser = parserRef.current;
+    const subs = [
+      // Always log raw for debugging
+      parser.on("line", (line) => {
+        lastRxSeqRef.current = pushLog(line, "rx");
+      }),
+      // Undivided serial text (terminal view only, see ./readPump)
+      parser.on("raw", (text) => {
+        terminalRef.current.write(text);
+        scheduleFlush("terminal");
+      }),
+      parser.on("header", ({ header, source, profile, previous }) => {
+        csvHeaderRef.current = header;
+        setCsvHeader(header);
+        recorderRef.current?.setHeader(header);
+        liveFileRecorder()?.setHeader(header);
+        if (!header) return;
+        if (previous) {
+          pushLog(
+            `Header changed (${previous.length} → ${header.length} columns) — new segment`
+          );
+        } else if (profile) {
+          pushLog(`Assumed the ${profile.name} header`);
+        }
+        const segs = segmentsRef.current;
+        const last = segs[segs.length - 1];
+        if (last && last.header.join() === header.join()) return;
+        segs.push({
+          start: null,
+          header,
+          source,
+          profile: profile?.name ?? null,
+        });
+        recorderRef.current?.setMeta({ segments: segs.slice() });
+        scheduleFlush("segments");
+      }),
+      parser.on("malformed", ({ line, reason, expected, got }) => {
+        // Shown on the Quality tab
+        const rej = rejectedRef.current;
+        rej.lines.push({ t: Date.now(), line, reason, expected, got });
+        rej.counts[reason] = (rej.counts[reason] || 0) + 1;
+        scheduleFlush("rejected");
+      }),
+      parser.on("reading", (reading) => {
+        const { t, values, sensors } = reading;
+        const segs = segmentsRef.current;
+        const segment = segs.length - 1;
+        if (segs[segment]?.start === null) {
+          segs[segment].start = t;
+          recorderRef.current?.setMeta({ segments: segs.slice() });
+          scheduleFlush("segments");
+        }
+        recorderRef.current?.addReading(
+          segment < 0 ? reading : { ...reading, segment }
+        );
+        liveFileRecorder()?.addReading(reading);
+        // Flag the row's log copy (gone if it was shed under load)
+        const rx = lastRxSeqRef.current;
+        lastRxSeqRef.current = null;
+        const log = logBufferRef.current;
+        if (
+          rx != null &&
+          log.has(rx) &&
+          splitCsvLine(log.text(rx)).length === reading.header?.length
+        ) {
+          log.markData(rx);
+        }
+        lastReadingTRef.current = t;
+
+        // Host receive time only means something for a live port
+        const live = !!portRef.current;
+        const h = live ? reading.hostTime : undefined;
+        if (live && reading.deviceTime != null) {
+          const stats = updateClockStats(
+            clockStatsRef.current,
+            reading.deviceTime,
+            reading.hostTime
+          );
+          clockStatsRef.current = stats;
+          scheduleFlush("clock");
+          const { window: _samples, ...clock } = stats;
+          recorderRef.current?.setMeta({ clock });
+        }
+        if (openGapRef.current) {
+          const gap = openGapRef.current;
+          openGapRef.current = null;
+          setGaps((prev) => prev.map((g) => (g === gap ? { ...g, end: t } : g)));
+        }
+
+        const corrected = calibrateSensors(
+          calProfilesRef.current[readingDeviceId(values)],
+          sensors
+        );
+        latestCorrectedRef.current = corrected;
+        const qc = checkReading(qcStateRef.current, sensors);
+        latestQcRef.current = qc;
+
+        const byKey = {};
+        for (const s of sensors) {
+          byKey[s.key] = s.key in corrected ? corrected[s.key] : s.value;
+        }
+        // Replays and reopened sessions are history: no alarms for them
+        if (live) {
+          handleAlarmEvents(
+            evaluateSample(
+              alarmRulesRef.current,
+              alarmStateRef.current,
+              { t, values: byKey },
+              Date.now()
+            )
+          );
+        }
+        latestRef.current = { ...latestRef.current, ...values };
+        const fix = trackPointFromReading(reading);
+        storeRef.current.push(
+          t,
+          [...sensors, ...positionColumns(fix)],
+          corrected,
+          h,
+          qc
+        );
+        if (fix) {
+          trackRef.current.push(fix);
+          if (trackRef.current.length > MAX_TRACK_POINTS) {
+            trackRef.current.splice(
+              0,
+              trackRef.current.length - MAX_TRACK_POINTS
+            );
+          }
+        }
+        scheduleFlush("series", "latest", fix ? "track" : null);
+      }),
+    ];
+    return () => subs.forEach((off) => off());
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
 
   // Derive DeviceId from header/latest for display in the title
   const deviceId = useMemo(() => {
@@ -244,8 +630,209 @@ export default function PamWebSerialDashboard() {
 
   const presentSensors = useMemo(() => {
     if (!csvHeader) return [];
-    return SENSOR_MAP.filter((meta) => csvHeader.some((h) => meta.matches(h)));
-  }, [csvHeader]);
+    return sensorMap.filter((meta) => csvHeader.some((h) => meta.matches(h)));
+  }, [csvHeader, sensorMap]);
+
+  // Units as resolved from the header, by sensor key
+  const unitsByKey = useMemo(() => {
+    const out = {};
+    for (const m of presentSensors) out[m.key] = unitForMeta(m, csvHeader);
+    return out;
+  }, [presentSensors, csvHeader]);
+
+  // Display unit + converter per sensor key
+  const displayByKey = useMemo(() => {
+    const out = {};
+    for (const m of presentSensors) {
+      out[m.key] = displayConversion(m.key, unitsByKey[m.key], unitPrefs);
+    }
+    return out;
+  }, [presentSensors, unitsByKey, unitPrefs]);
+
+  // TEMP/PRESS of a stored row, for gas ppm <-> µg/m³ conversions
+  const ambientAt = useCallback(
+    (i) => {
+      const store = storeRef.current;
+      return ambientFrom(
+        store.viewValueAt("TEMP", i, "corrected"),
+        unitsByKey.TEMP,
+        store.viewValueAt("PRESS", i, "corrected"),
+        unitsByKey.PRESS
+      );
+    },
+    [unitsByKey]
+  );
+
+  // Ambient conditions of the newest row, for the Latest cards
+  const latestAmbient = useMemo(() => {
+    const value = (key) => {
+      if (key in latestCorrected) return latestCorrected[key];
+      const meta = presentSensors.find((m) => m.key === key);
+      const h = meta && csvHeader.find((x) => meta.matches(x));
+      return h ? parseMaybeNumber(latest[h]) : null;
+    };
+    return ambientFrom(
+      value("TEMP"),
+      unitsByKey.TEMP,
+      value("PRESS"),
+      unitsByKey.PRESS
+    );
+  }, [latest, latestCorrected, presentSensors, csvHeader, unitsByKey]);
+
+  // Value in the display unit; unconverted values pass through untouched
+  const displayValue = useCallback(
+    (key, v, ambient) => {
+      const d = displayByKey[key];
+      if (!d || d.identity || v == null || v === "") return v;
+      return d.convert(
+        typeof v === "number" ? v : parseMaybeNumber(v),
+        ambient
+      );
+    },
+    [displayByKey]
+  );
+
+  // One plot-ready point from a stored row: display units, raw/corrected
+  // per the view; gap rows become line breaks
+  const chartPoint = useCallback(
+    (key, i) => {
+      const store = storeRef.current;
+      const x = store.timeAt(i);
+      if (store.isGap(i)) return { x, y: null };
+      const ambient = displayByKey[key]?.needsAmbient ? ambientAt(i) : null;
+      const shown = calView === "both" ? "raw" : calView;
+      const point = {
+        x,
+        y: displayValue(key, store.viewValueAt(key, i, shown), ambient),
+      };
+      if (store.hasCorrected(key)) {
+        point.c = displayValue(key, store.valueAt(key, i, "c"), ambient);
+      }
+      return point;
+    },
+    [displayByKey, ambientAt, calView, displayValue]
+  );
+
+  // Chart points per sensor, min/max-decimated over the visible range
+  const chartData = useMemo(() => {
+    const { store } = seriesView;
+    const shown = calView === "both" ? "raw" : calView;
+    const out = {};
+    for (const m of presentSensors) {
+      if (!store.has(m.key)) {
+        out[m.key] = [];
+        continue;
+      }
+      out[m.key] = store
+        .decimateRows(m.key, chartRange, { view: shown })
+        .map((i) => chartPoint(m.key, i));
+    }
+    return out;
+  }, [seriesView, presentSensors, calView, chartRange, chartPoint]);
+
+  // Brush timeline over everything kept, and undecimated crosshair lookups
+  const chartTimeline = useMemo(
+    () => seriesView.store.sampleTimes(TIMELINE_POINTS),
+    [seriesView]
+  );
+  const chartPointAt = useCallback(
+    (key, t) => {
+      const store = storeRef.current;
+      const i = store.nearestRow(t);
+      return i < 0 || !store.has(key) ? null : chartPoint(key, i);
+    },
+    [chartPoint]
+  );
+
+  // Summary tab: every present sensor, values as the charts show them
+  // (display units; corrected unless the view is raw)
+  const summarySensors = useMemo(
+    () =>
+      presentSensors.map((m) => ({
+        key: m.key,
+        label: m.label,
+        unit: displayByKey[m.key]?.unit ?? m.unit,
+      })),
+    [presentSensors, displayByKey]
+  );
+  const summaryValueAt = useCallback(
+    (key, i) => {
+      const store = storeRef.current;
+      const ambient = displayByKey[key]?.needsAmbient ? ambientAt(i) : null;
+      const shown = calView === "raw" ? "raw" : "corrected";
+      return displayValue(key, store.viewValueAt(key, i, shown), ambient);
+    },
+    [displayByKey, ambientAt, calView, displayValue]
+  );
+
+  // Track readings in display units (TEMP/PRESS from the same fix)
+  const displayTrack = useMemo(() => {
+    if (Object.values(displayByKey).every((d) => d.identity)) return track;
+    return track.map((p) => {
+      const r = p.readings;
+      const ambient = ambientFrom(
+        r.TEMP,
+        unitsByKey.TEMP,
+        r.PRESS,
+        unitsByKey.PRESS
+      );
+      const readings = {};
+      for (const [key, v] of Object.entries(r)) {
+        const d = displayByKey[key];
+        readings[key] = d ? d.convert(v, ambient) : v;
+      }
+      return { ...p, readings };
+    });
+  }, [track, displayByKey, unitsByKey]);
+
+  // AQI from corrected concentrations where a calibration applies. Only the
+  // last 24 h matter, and it's recomputed every AQI_REFRESH_MS of data time
+  const aqiEpoch = `${seriesView.store.resets}:${Math.floor(
+    (seriesView.store.lastTime() ?? 0) / AQI_REFRESH_MS
+  )}`;
+  const aqi = useMemo(() => {
+    const store = storeRef.current;
+    const since = {
+      start: (store.lastTime() ?? 0) - AQI_WINDOW_MS,
+      end: Infinity,
+    };
+    const input = {};
+    for (const key of Object.keys(AQI_POLLUTANTS)) {
+      if (!store.has(key)) continue;
+      input[key] = store.points(key, since).map((p) => ({
+        t: p.t,
+        v: pointValue(p, "corrected"),
+      }));
+    }
+    return computeAqi(input, unitsByKey, { nowcast: aqiNowcast });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [aqiEpoch, unitsByKey, aqiNowcast]);
+
+  // Active alarm messages per sensor key (for StatCard highlighting)
+  const alarmTextByKey = useMemo(() => {
+    const out = {};
+    for (const e of Object.values(activeAlarms)) {
+      out[e.key] = out[e.key] ? `${out[e.key]}; ${e.message}` : e.message;
+    }
+    return out;
+  }, [activeAlarms]);
+
+  // Report parsed data to a parent (multi-device view)
+  useEffect(() => {
+    onSnapshot?.({
+      deviceId,
+      header: csvHeader,
+      store: seriesView.store,
+      version: seriesView.version,
+      units: unitsByKey,
+      sensors: presentSensors.map((m) => ({ key: m.key, label: m.label })),
+    });
+  }, [onSnapshot, deviceId, csvHeader, seriesView, unitsByKey, presentSensors]);
+
+  useImperativeHandle(ref, () => ({
+    exportSeriesCsv: (opts) => exportSeriesCsv(opts),
+    disconnect: () => disconnect(),
+  }));
 
   // Helpers for conditional Latest rendering
   const hasHdr = (re) =>
@@ -257,10 +844,9 @@ export default function PamWebSerialDashboard() {
   };
 
   useEffect(() => {
-    if (!isSupported) return;
     return () => void disconnect();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [isSupported]);
+  }, []);
 
   // Load saved settings once
   useEffect(() => {
@@ -277,11 +863,85 @@ export default function PamWebSerialDashboard() {
       setAutoNewline(savedNl);
     }
 
+    const savedRecord = localStorage.getItem(LS.RECORD);
+    if (savedRecord === "0" || savedRecord === "1") {
+      setRecordSessions(savedRecord === "1");
+    }
+
+    const savedTrackColor = localStorage.getItem(LS.TRACK_COLOR);
+    if (savedTrackColor) setTrackColorKey(savedTrackColor);
+    setTileUrl(localStorage.getItem(LS.TILE_URL) || "");
+    setExportTrackLine(localStorage.getItem(LS.EXPORT_TRACK_LINE) !== "0");
+    try {
+      const saved = JSON.parse(
+        localStorage.getItem(LS.SUMMARY_THRESHOLDS) || "{}"
+      );
+      const valid = {};
+      for (const [key, v] of Object.entries(saved || {})) {
+        if (typeof v === "string") valid[key] = v;
+      }
+      setSummaryThresholds(valid);
+    } catch {
+      // ignore corrupt saved thresholds
+    }
+
+    setAqiNowcast(localStorage.getItem(LS.AQI_NOWCAST) === "1");
+    setExportAqi(localStorage.getItem(LS.EXPORT_AQI) === "1");
+
+    setAlarmRules(loadRules(localStorage.getItem(LS.ALARMS)));
+    setAlarmNotify(localStorage.getItem(LS.ALARM_NOTIFY) === "1");
+    setAlarmSound(localStorage.getItem(LS.ALARM_SOUND) === "1");
+    setAutoReconnect(localStorage.getItem(LS.AUTO_RECONNECT) !== "0");
+    setScripts(loadScripts(localStorage.getItem(LS.SCRIPTS)));
+    const savedDrift = Number(localStorage.getItem(LS.DRIFT_LIMIT));
+    if (Number.isFinite(savedDrift) && savedDrift > 0) setDriftLimit(savedDrift);
+    setClockScript(localStorage.getItem(LS.CLOCK_SCRIPT) || "");
+    setExportHostTime(localStorage.getItem(LS.EXPORT_HOST_TIME) === "1");
+    setCalProfiles(loadProfiles(localStorage.getItem(LS.CALIBRATION)));
+    setSensorDefs(loadSensorDefinitions(localStorage.getItem(LS.SENSORS)));
+    setUserHeaderProfiles(
+      loadHeaderProfiles(localStorage.getItem(LS.HEADER_PROFILES))
+    );
+    if (localStorage.getItem(LS.LOG_VIEW) === "terminal") {
+      setLogView("terminal");
+    }
+    if (localStorage.getItem(LS.INPUT_MODE) === "line") setInputMode("line");
+    setFileOptions(loadFileOptions(localStorage.getItem(LS.FILE_RECORDING)));
+    const savedCalView = localStorage.getItem(LS.CAL_VIEW);
+    if (["raw", "corrected", "both"].includes(savedCalView)) {
+      setCalView(savedCalView);
+    }
+    setUnitPrefs(loadUnitPrefs(localStorage.getItem(LS.UNITS)));
+    const savedHistory = Number(localStorage.getItem(LS.HISTORY));
+    if (HISTORY_OPTIONS.some(([rows]) => rows === savedHistory)) {
+      setHistorySize(savedHistory);
+    }
+    try {
+      const saved = JSON.parse(localStorage.getItem(LS.OVERLAY) || "{}");
+      const valid = {};
+      for (const [key, axis] of Object.entries(saved || {})) {
+        if (axis === "left" || axis === "right") valid[key] = axis;
+      }
+      setOverlay(valid);
+    } catch {
+      // ignore a corrupt saved overlay
+    }
+
+    const savedBackend = localStorage.getItem(LS.BACKEND);
+    if (backends.some((b) => b.id === savedBackend)) setBackendId(savedBackend);
+
     const savedTab = localStorage.getItem(LS.TAB);
     if (
       savedTab === "latest" ||
       savedTab === "graphs" ||
       savedTab === "settings" ||
+      savedTab === "sessions" ||
+      savedTab === "track" ||
+      savedTab === "summary" ||
+      savedTab === "quality" ||
+      savedTab === "alarms" ||
+      savedTab === "scripts" ||
+      savedTab === "calibration" ||
       savedTab === "log"
     ) {
       setActiveTab(savedTab);
@@ -291,14 +951,123 @@ export default function PamWebSerialDashboard() {
 
   // Persist on change
   useEffect(() => {
+    baudRateRef.current = baudRate;
     localStorage.setItem(LS.BAUD, String(baudRate));
-  }, [baudRate]);
+  }, [baudRate, LS.BAUD]);
   useEffect(() => {
     localStorage.setItem(LS.NL, autoNewline);
-  }, [autoNewline]);
+  }, [autoNewline, LS.NL]);
   useEffect(() => {
     localStorage.setItem(LS.TAB, activeTab);
-  }, [activeTab]);
+  }, [activeTab, LS.TAB]);
+  useEffect(() => {
+    localStorage.setItem(LS.BACKEND, backendId);
+  }, [backendId, LS.BACKEND]);
+  useEffect(() => {
+    localStorage.setItem(LS.RECORD, recordSessions ? "1" : "0");
+  }, [recordSessions, LS.RECORD]);
+  useEffect(() => {
+    localStorage.setItem(LS.TRACK_COLOR, trackColorKey);
+  }, [trackColorKey, LS.TRACK_COLOR]);
+  useEffect(() => {
+    localStorage.setItem(LS.TILE_URL, tileUrl);
+  }, [tileUrl, LS.TILE_URL]);
+  useEffect(() => {
+    localStorage.setItem(LS.EXPORT_TRACK_LINE, exportTrackLine ? "1" : "0");
+  }, [exportTrackLine, LS.EXPORT_TRACK_LINE]);
+  useEffect(() => {
+    localStorage.setItem(
+      LS.SUMMARY_THRESHOLDS,
+      JSON.stringify(summaryThresholds)
+    );
+  }, [summaryThresholds, LS.SUMMARY_THRESHOLDS]);
+  useEffect(() => {
+    localStorage.setItem(LS.AQI_NOWCAST, aqiNowcast ? "1" : "0");
+  }, [aqiNowcast, LS.AQI_NOWCAST]);
+  useEffect(() => {
+    localStorage.setItem(LS.EXPORT_AQI, exportAqi ? "1" : "0");
+  }, [exportAqi, LS.EXPORT_AQI]);
+  useEffect(() => {
+    alarmRulesRef.current = alarmRules;
+    localStorage.setItem(LS.ALARMS, JSON.stringify(alarmRules));
+  }, [alarmRules, LS.ALARMS]);
+  useEffect(() => {
+    alarmOptsRef.current = { notify: alarmNotify, sound: alarmSound };
+    localStorage.setItem(LS.ALARM_NOTIFY, alarmNotify ? "1" : "0");
+    localStorage.setItem(LS.ALARM_SOUND, alarmSound ? "1" : "0");
+  }, [alarmNotify, alarmSound, LS.ALARM_NOTIFY, LS.ALARM_SOUND]);
+  useEffect(() => {
+    autoReconnectRef.current = autoReconnect;
+    localStorage.setItem(LS.AUTO_RECONNECT, autoReconnect ? "1" : "0");
+  }, [autoReconnect, LS.AUTO_RECONNECT]);
+  useEffect(() => {
+    localStorage.setItem(LS.SCRIPTS, JSON.stringify(scripts));
+  }, [scripts, LS.SCRIPTS]);
+  useEffect(() => {
+    localStorage.setItem(LS.DRIFT_LIMIT, String(driftLimit));
+  }, [driftLimit, LS.DRIFT_LIMIT]);
+  useEffect(() => {
+    localStorage.setItem(LS.CLOCK_SCRIPT, clockScript);
+  }, [clockScript, LS.CLOCK_SCRIPT]);
+  useEffect(() => {
+    localStorage.setItem(LS.EXPORT_HOST_TIME, exportHostTime ? "1" : "0");
+  }, [exportHostTime, LS.EXPORT_HOST_TIME]);
+  useEffect(() => {
+    calProfilesRef.current = calProfiles;
+    localStorage.setItem(LS.CALIBRATION, JSON.stringify(calProfiles));
+  }, [calProfiles, LS.CALIBRATION]);
+  useEffect(() => {
+    localStorage.setItem(LS.CAL_VIEW, calView);
+  }, [calView, LS.CAL_VIEW]);
+  // The reader only passes raw text on while the terminal is showing
+  useEffect(() => {
+    logViewRef.current = logView;
+    localStorage.setItem(LS.LOG_VIEW, logView);
+    readerRef.current?.setRaw(logView === "terminal");
+  }, [logView, LS.LOG_VIEW]);
+  useEffect(() => {
+    localStorage.setItem(LS.INPUT_MODE, inputMode);
+    setLineEdit(createLineEditor());
+  }, [inputMode, LS.INPUT_MODE]);
+  useEffect(() => {
+    localStorage.setItem(LS.FILE_RECORDING, JSON.stringify(fileOptions));
+  }, [fileOptions, LS.FILE_RECORDING]);
+  useEffect(() => {
+    // Only a custom map is saved, so built-in updates reach everyone else
+    if (!sensorDefs) localStorage.removeItem(LS.SENSORS);
+    else localStorage.setItem(LS.SENSORS, JSON.stringify(sensorDefs));
+  }, [sensorDefs, LS.SENSORS]);
+  // A new sensor map applies from the next row, here and in the read worker
+  useEffect(() => {
+    if (sensorMapRef.current === sensorMap) return;
+    sensorMapRef.current = sensorMap;
+    sensorDefsRef.current = activeSensorDefs;
+    parserRef.current.setSensorMap(sensorMap);
+    readerRef.current?.setSensors(activeSensorDefs);
+    qcStateRef.current = createQcState(physicalRanges(sensorMap));
+  }, [sensorMap, activeSensorDefs]);
+  useEffect(() => {
+    localStorage.setItem(
+      LS.HEADER_PROFILES,
+      JSON.stringify(userHeaderProfiles)
+    );
+    if (headerProfilesRef.current === headerProfiles) return;
+    headerProfilesRef.current = headerProfiles;
+    parserRef.current.setHeaderProfiles(headerProfiles);
+    readerRef.current?.setHeaderProfiles(headerProfiles);
+  }, [userHeaderProfiles, headerProfiles, LS.HEADER_PROFILES]);
+  useEffect(() => {
+    localStorage.setItem(LS.UNITS, JSON.stringify(unitPrefs));
+  }, [unitPrefs, LS.UNITS]);
+  useEffect(() => {
+    localStorage.setItem(LS.OVERLAY, JSON.stringify(overlay));
+  }, [overlay, LS.OVERLAY]);
+  useEffect(() => {
+    localStorage.setItem(LS.HISTORY, String(historySize));
+    storeRef.current.setCapacity(historySize);
+    scheduleFlush("series");
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [historySize]);
 
   // Prefix helper: pulls DeviceId from the current header/latest and sanitizes it
   function getDeviceIdPrefix() {
@@ -312,11 +1081,7 @@ export default function PamWebSerialDashboard() {
       // Fallback to direct field
       if (id == null && latest && latest.DeviceId != null) id = latest.DeviceId;
 
-      const s = String(id ?? "").trim();
-      if (!s) return "";
-      // Safe for filenames
-      const safe = s.replace(/[^A-Za-z0-9._-]/g, "_").slice(0, 64);
-      return safe ? `${safe}_` : "";
+      return deviceIdFilePrefix(id);
     } catch {
       return "";
     }
@@ -326,18 +1091,57 @@ export default function PamWebSerialDashboard() {
   // Serial connect / disconnect
   // -----------------------------
 
-  // Export the Raw Serial Log (one column: raw)
-  function exportRawLogCsv() {
+  // Export the serial log as filtered on the Log tab, with receive times
+  // and directions; format "csv" | "text"
+  function exportRawLogCsv(format = "csv") {
     const prefix = getDeviceIdPrefix();
     const stamp = new Date().toISOString().replace(/[:.]/g, "-");
-    const header = "raw";
-    const rows = rawLog.map((line) => csvCell(line));
-    const csv = [header, ...rows].join("\r\n");
-    downloadCsv(`${prefix}_pam_log_${stamp}.csv`, csv);
+    const log = logBufferRef.current;
+    if (format === "text") {
+      downloadFile(
+        `${prefix}_pam_log_${stamp}.txt`,
+        logToText(log, filteredLog.seqs)
+      );
+    } else {
+      downloadCsv(
+        `${prefix}_pam_log_${stamp}.csv`,
+        logToCsv(log, filteredLog.seqs)
+      );
+    }
+  }
+
+  // Raw and/or corrected value column per sensor, depending on the view:
+  // [{ key, field: "v" | "c", label: "Label (unit)" }]; opts.qc adds a
+  // field "q" column of QC flags after each sensor's values
+  function seriesColumns(view, opts = {}) {
+    const store = storeRef.current;
+    const columns = [];
+    for (const m of presentSensors) {
+      const calibrated = store.hasCorrected(m.key);
+      const u = displayByKey[m.key]?.unit ?? m.unit;
+      const unit = u ? ` (${u})` : "";
+      if (view !== "corrected" || !calibrated) {
+        columns.push({ key: m.key, field: "v", label: `${m.label}${unit}` });
+      }
+      if (view !== "raw" && calibrated) {
+        columns.push({
+          key: m.key,
+          field: "c",
+          label: `${m.label} corrected${unit}`,
+        });
+      }
+      if (opts.qc) {
+        columns.push({ key: m.key, field: "q", label: `${m.label} QC` });
+      }
+    }
+    return columns;
   }
 
   // Export the current time-series (wide table: Time + one col per sensor)
-  function exportSeriesCsv() {
+  // opts.includeAqi: append rolling AQI sub-index columns + overall AQI
+  function exportSeriesCsv(opts = {}) {
+    const includeAqi = opts.includeAqi ?? exportAqi;
+    const view = opts.calView ?? calView;
     // Which sensors are present?
     const sensors = presentSensors.map((m) => m); // copy
     if (!sensors.length) {
@@ -345,34 +1149,78 @@ export default function PamWebSerialDashboard() {
       return;
     }
 
-    // Build a map of t -> value for each sensor
-    const mapsByKey = {};
-    const allTimes = new Set();
-    for (const m of sensors) {
-      const arr = series[m.key] || [];
-      mapsByKey[m.key] = new Map(arr.map((p) => [p.t, p.v]));
-      for (const p of arr) allTimes.add(p.t);
+    const store = storeRef.current;
+    const columns = seriesColumns(view, { qc: true });
+    // Only the selected graph range, if one was given
+    const [i0, i1] = store.rowRange(opts.range);
+
+    // AQI sub-index per timestamp, averaged over each pollutant's EPA window.
+    // From corrected values, like the AQI card, whatever columns are shown
+    const aqiKeys = includeAqi
+      ? sensors.map((m) => m.key).filter((k) => AQI_POLLUTANTS[k])
+      : [];
+    const aqiByKey = {};
+    for (const k of aqiKeys) {
+      const points = store
+        .points(k)
+        .map((p) => ({ t: p.t, v: pointValue(p, "corrected") }));
+      aqiByKey[k] = aqiTimeline(k, points, unitsByKey[k]);
     }
-    const times = Array.from(allTimes).sort((a, b) => a - b);
 
     // Header row: Time, "Label (unit)"...
     const headerCells = [
-      "Time",
-      ...sensors.map((m) => {
-        const withUnit = m.unit ? `${m.label} (${m.unit})` : m.label;
-        return csvCell(withUnit);
-      }),
+      exportHostTime ? "Time (host)" : "Time",
+      ...columns.map((col) => csvCell(col.label)),
+      ...aqiKeys.map((k) => csvCell(`AQI ${AQI_POLLUTANTS[k].label}`)),
+      ...(aqiKeys.length ? ["AQI"] : []),
+      ...(gaps.length ? ["Note"] : []),
     ];
     const rows = [headerCells.join(",")];
 
-    // Body rows
-    for (const t of times) {
-      const timeIso = new Date(t).toISOString();
-      const row = [csvCell(toLocalISO(t))];
-      for (const m of sensors) {
-        const v = mapsByKey[m.key].get(t);
+    // Connection gaps: the empty break row right after the last reading
+    const gapByBreak = new Map(gaps.map((g) => [g.start + 1, g]));
+
+    // Body rows, optionally re-based onto the host receive time
+    for (let i = i0; i < i1; i++) {
+      const t = store.timeAt(i);
+      const host = exportHostTime ? store.hostTimeAt(i) : null;
+      const row = [csvCell(toLocalISO(host ?? t))];
+      const gapRow = store.isGap(i);
+      const ambient = gapRow ? null : ambientAt(i);
+      for (const col of columns) {
+        if (col.field === "q") {
+          // e.g. "range;spike"
+          row.push(csvCell(qcNames(store.qcAt(col.key, i)).join(";")));
+          continue;
+        }
+        const v = gapRow
+          ? null
+          : displayValue(
+              col.key,
+              store.valueAt(col.key, i, col.field),
+              ambient
+            );
         row.push(csvCell(v == null ? "" : v));
       }
+      if (aqiKeys.length) {
+        let overall = null;
+        for (const k of aqiKeys) {
+          const a = aqiByKey[k].get(t);
+          row.push(csvCell(a ?? ""));
+          if (a != null && (overall == null || a > overall)) overall = a;
+        }
+        row.push(csvCell(overall ?? ""));
+      }
+      if (gaps.length) {
+        const gap = gapByBreak.get(t);
+        let note = "";
+        if (gap) {
+          note = gap.end
+            ? `connection lost until ${toLocalISO(gap.end)}`
+            : "connection lost";
+        }
+        row.push(csvCell(note));
+      }
       rows.push(row.join(","));
     }
 
@@ -381,12 +1229,64 @@ export default function PamWebSerialDashboard() {
     downloadCsv(`${prefix}pam_${stamp}.csv`, rows.join("\r\n"));
   }
 
+  // Export the rows with a GPS fix as GeoJSON or KML ("geojson" | "kml"):
+  // the CSV's value columns as properties, KML colored by the Track tab's
+  // color-by sensor
+  function exportGeo(format) {
+    const store = storeRef.current;
+    const columns = seriesColumns(calView);
+    const rows = [];
+    for (let i = 0; i < store.length; i++) {
+      if (store.isGap(i)) {
+        if (rows.length) rows.push(null);
+        continue;
+      }
+      const lat = store.valueAt("LAT", i);
+      const lon = store.valueAt("LON", i);
+      if (lat == null || lon == null) continue;
+      const ambient = ambientAt(i);
+      const properties = {};
+      for (const col of columns) {
+        properties[col.label] = displayValue(
+          col.key,
+          store.valueAt(col.key, i, col.field),
+          ambient
+        );
+      }
+      const host = exportHostTime ? store.hostTimeAt(i) : null;
+      rows.push({ t: host ?? store.timeAt(i), lat, lon, properties });
+    }
+    if (!rows.some(Boolean)) {
+      alert("No GPS fixes to export yet.");
+      return;
+    }
+
+    const prefix = getDeviceIdPrefix();
+    const name = `${prefix}pam_${localStamp()}`;
+    if (format === "kml") {
+      // Same sensor as the map (TrackView falls back to the first one);
+      // corrected values color the points where the view shows them
+      const mapped = presentSensors.filter((m) => m.chartable);
+      const colorKey = mapped.some((m) => m.key === trackColorKey)
+        ? trackColorKey
+        : mapped[0]?.key;
+      const byKey = columns.filter((col) => col.key === colorKey);
+      const colorBy = byKey[byKey.length - 1]?.label;
+      const kml = toKml(rows, { name, colorBy, track: exportTrackLine });
+      downloadFile(`${name}.kml`, kml, "application/vnd.google-earth.kml+xml");
+    } else {
+      const geojson = toGeoJson(rows, { name, track: exportTrackLine });
+      downloadFile(
+        `${name}.geojson`,
+        JSON.stringify(geojson, null, 2),
+        "application/geo+json"
+      );
+    }
+  }
+
   // Export time-series if present; otherwise export the raw log
   function exportSmartCsv() {
-    const hasSeries = presentSensors.some(
-      (m) => (series[m.key] || []).length > 0
-    );
-    if (hasSeries) {
+    if (presentSensors.length && storeRef.current.length) {
       exportSeriesCsv();
     } else {
       exportRawLogCsv();
@@ -395,40 +1295,13 @@ export default function PamWebSerialDashboard() {
 
   async function connect() {
     try {
-      if (!navigator.serial) throw new Error("Web Serial API not available");
-      const filters = [{ usbVendorId: 0x10c4 }]; // optional: CP210x filter
-      const port = await navigator.serial
-        .requestPort({ filters })
-        .catch(() => null);
+      const port = await backend.requestPort();
       if (!port) return;
-
-      await port.open({ baudRate, bufferSize: 65536 });
-      portRef.current = port;
-
-      // Reader: bytes -> text -> lines
-      const textDecoder = new TextDecoderStream();
-      port.readable.pipeTo(textDecoder.writable).catch(() => {});
-      const lb = new LineBreakTransformer(); // reuse one instance
-      const lineStream = textDecoder.readable.pipeThrough(
-        new TransformStream({
-          start() {},
-          transform(chunk, controller) {
-            lb.transform(chunk, controller);
-          },
-          flush(controller) {
-            lb.flush(controller);
-          },
-        })
-      );
-      readerRef.current = lineStream.getReader();
-
-      // Writer: text -> bytes
-      const textEncoder = new TextEncoderStream();
-      textEncoder.readable.pipeTo(port.writable).catch(() => {});
-      writerRef.current = textEncoder.writable.getWriter();
-
-      setIsConnected(true);
-      readLoop();
+      await openPort(port);
+      connectedBackendRef.current = backend;
+      resetClockStats();
+      clockSetsRef.current = [];
+      if (recordSessions) startRecording(backend.id);
     } catch (err) {
       console.error(err);
       pushLog(`⚠️ Connect error: ${err.message}`);
@@ -436,14 +1309,46 @@ export default function PamWebSerialDashboard() {
     }
   }
 
-  async function disconnect() {
-    try {
-      if (readerRef.current) {
-        try {
-          await readerRef.current.cancel();
-        } catch {}
-        readerRef.current = null;
+  async function openPort(port) {
+    await port.open({ baudRate: baudRateRef.current, bufferSize: 65536 });
+    portRef.current = port;
+
+    // Reader: decoding and parsing run in a worker (./readPump) and come
+    // back as batches of parser events. A header we already know (e.g.
+    // before a reconnect) carries over
+    readStatsRef.current = null;
+    setReadStats(null);
+    const reader = await startReader(
+      port.readable,
+      (batch) => {
+        parserRef.current.applyEvents(batch.events);
+        readStatsRef.current = batch.stats;
+        scheduleFlush("readStats");
+      },
+      {
+        header: parserRef.current.header,
+        sensors: sensorDefsRef.current,
+        headerProfiles: headerProfilesRef.current,
+        raw: logViewRef.current === "terminal",
       }
+    );
+    readerRef.current = reader;
+
+    // Writer: text -> bytes
+    const textEncoder = new TextEncoderStream();
+    textEncoder.readable.pipeTo(port.writable).catch(() => {});
+    writerRef.current = textEncoder.writable.getWriter();
+
+    setIsConnected(true);
+    void watchReader(reader);
+  }
+
+  // Tear down streams + port; the session and parsed data are left alone
+  async function closePort() {
+    try {
+      const reader = readerRef.current;
+      readerRef.current = null; // tells readLoop this end was expected
+      if (reader) await reader.cancel();
       if (writerRef.current) {
         try {
           await writerRef.current.close();
@@ -461,107 +1366,630 @@ export default function PamWebSerialDashboard() {
     }
   }
 
-  function pushLog(line) {
-    setRawLog((prev) => {
-      const next = [...prev, line];
-      if (next.length > 2000) next.splice(0, next.length - 2000);
-      return next;
-    });
+  async function disconnect() {
+    cancelReconnect();
+    try {
+      await closePort();
+    } finally {
+      stopRecording();
+    }
+  }
+
+  // dir: "rx" | "tx" | "sys" (see ./logBuffer); returns the entry's seq
+  function pushLog(line, dir = "sys") {
+    const t = Date.now();
+    recorderRef.current?.addLine(line, t, dir);
+    liveFileRecorder()?.addLine(line, t, dir);
+    scheduleFlush("log");
+    return logBufferRef.current.push(line, dir, t);
+  }
+
+  // Mark parts of the UI stale; they're redrawn together on the next flush.
+  // Only touches refs and state setters, so stale closures are fine.
+  function scheduleFlush(...what) {
+    for (const w of what) if (w) dirtyRef.current[w] = true;
+    if (flushTimerRef.current) return;
+    flushTimerRef.current = setTimeout(flushUi, UI_FLUSH_MS);
+  }
+
+  function flushUi() {
+    clearTimeout(flushTimerRef.current);
+    flushTimerRef.current = null;
+    const dirty = dirtyRef.current;
+    dirtyRef.current = {};
+    if (dirty.series) {
+      const store = storeRef.current;
+      setSeriesView({ store, version: store.version });
+    }
+    if (dirty.log) setLogVersion(logBufferRef.current.version);
+    if (dirty.latest) {
+      setLatest(latestRef.current);
+      setLatestCorrected(latestCorrectedRef.current);
+      setLatestQc(latestQcRef.current);
+    }
+    if (dirty.rejected) {
+      const { lines, counts } = rejectedRef.current;
+      setRejected({ lines: lines.toArray(), counts: { ...counts } });
+    }
+    if (dirty.track) setTrack(trackRef.current.slice());
+    if (dirty.clock) setClockStats(clockStatsRef.current);
+    if (dirty.readStats) setReadStats(readStatsRef.current);
+    if (dirty.segments) setSegments(segmentsRef.current.slice());
+    if (dirty.terminal) setTerminalVersion(terminalRef.current.version);
   }
 
   // -----------------------------
   // Stream read & parse
   // -----------------------------
-  async function readLoop() {
-    const reader = readerRef.current;
-    if (!reader) return;
+  async function watchReader(reader) {
+    const { error } = await reader.done;
+    if (error) pushLog(`⚠️ Read error: ${error}`);
+    // Still the active reader: the device went away rather than us closing it
+    if (readerRef.current === reader) void handleConnectionLost();
+  }
+
+  // Replayed lines go through the parser here; live ones via the reader
+  function handleLine(line) {
+    parserRef.current.pushLine(line);
+  }
+
+  // While connected the reader's parser owns the header; it comes back to
+  // parserRef with the next batch
+  function setParserHeader(tokens) {
+    if (readerRef.current) readerRef.current.setHeader(tokens, "manual");
+    else parserRef.current.setHeader(tokens, "manual");
+  }
+
+  // -----------------------------
+  // Automatic reconnect
+  // -----------------------------
+  async function handleConnectionLost() {
+    const port = portRef.current;
+    const retry =
+      autoReconnectRef.current && !!connectedBackendRef.current?.findPort;
+    if (retry) setReconnect({ attempt: 1 }); // before isConnected drops
+    await closePort();
+    markGap();
+    if (!retry) {
+      pushLog("⚠️ Connection lost");
+      stopRecording();
+      return;
+    }
+    pushLog("⚠️ Connection lost — reconnecting…");
+    scheduleReconnect(port, 0);
+  }
+
+  // Break every series at the last reading so charts don't draw across the
+  // outage; the gap is closed by the first reading after reconnect.
+  function markGap() {
+    const last = lastReadingTRef.current;
+    if (last == null || openGapRef.current) return;
+    const gap = { start: last, end: null };
+    openGapRef.current = gap;
+    setGaps((prev) => [...prev, gap]);
+    storeRef.current.pushGap(last + 1);
+    scheduleFlush("series");
+  }
+
+  function scheduleReconnect(port, attempt) {
+    const delay =
+      RECONNECT_DELAYS_MS[Math.min(attempt, RECONNECT_DELAYS_MS.length - 1)];
+    reconnectRef.current = {
+      port,
+      attempt,
+      busy: false,
+      timer: setTimeout(() => void tryReconnect(), delay),
+    };
+    setReconnect({ attempt: attempt + 1 });
+  }
+
+  async function tryReconnect() {
+    const rc = reconnectRef.current;
+    if (!rc || rc.busy) return;
+    rc.busy = true;
+    clearTimeout(rc.timer);
     try {
-      while (true) {
-        const { value, done } = await reader.read();
-        if (done) break;
-        if (typeof value === "string") handleLine(value);
+      const port = await connectedBackendRef.current.findPort(rc.port);
+      if (reconnectRef.current !== rc) return; // cancelled meanwhile
+      if (port) {
+        await openPort(port);
+        reconnectRef.current = null;
+        setReconnect(null);
+        pushLog("🔌 Reconnected");
+        return;
       }
     } catch (err) {
-      pushLog(`⚠️ Read error: ${err.message}`);
+      pushLog(`⚠️ Reconnect failed: ${err.message}`);
+      await closePort();
     }
+    if (reconnectRef.current === rc) scheduleReconnect(rc.port, rc.attempt + 1);
   }
 
-  function handleLine(line) {
-    const trimmed = String(line).trim();
-    if (!trimmed) return;
-
-    // Always log raw for debugging
-    pushLog(trimmed);
-
-    // If we don't have a header yet, try to detect one or assume default
-    if (!csvHeaderRef.current) {
-      // Textual header (with letters/units)
-      if (/,/.test(trimmed) && /[A-Za-z]/.test(trimmed)) {
-        const tokens = trimmed.split(/\s*,\s*/);
-        csvHeaderRef.current = tokens;
-        setCsvHeader(tokens);
-        return;
+  function cancelReconnect() {
+    const rc = reconnectRef.current;
+    if (!rc) return;
+    clearTimeout(rc.timer);
+    reconnectRef.current = null;
+    setReconnect(null);
+  }
+
+  // -----------------------------
+  // Device clock
+  // -----------------------------
+  function resetClockStats() {
+    clockStatsRef.current = null;
+    setClockStats(null);
+  }
+
+  // Only a script written (or loaded) in Settings: menu text varies by device
+  const hasClockScript = clockScript.trim() !== "";
+  const noClockScriptTitle = hasClockScript
+    ? undefined
+    : "Write the clock-set script for your PAM's menu in Settings first";
+
+  // Walk the PAM menu with the clock script; {date}/{time} are filled in at
+  // the moment each line is sent so menu round-trips don't add error
+  async function setDeviceClock() {
+    if (!isConnected || clockSetting || !hasClockScript) return;
+    const { steps, errors } = parseScript(clockScript);
+    if (errors.length) {
+      pushLog(`⚠️ Clock script line ${errors[0].line}: ${errors[0].message}`);
+      return;
+    }
+    setClockSetting(true);
+    pushLog("🕑 Setting device clock…");
+    const result = await runScript(steps, {
+      send: (text) => send(fillClockScript(text, Date.now())),
+      subscribe: (cb) => parserRef.current.on("line", cb),
+    });
+    setClockSetting(false);
+    if (!result.ok) {
+      pushLog(`⚠️ Set device clock failed: ${result.error}`);
+      return;
+    }
+    clockSetsRef.current = [
+      ...clockSetsRef.current,
+      { t: Date.now(), offsetBeforeMs: clockStatsRef.current?.offsetMs ?? null },
+    ];
+    recorderRef.current?.setMeta({ clockSets: clockSetsRef.current });
+    resetClockStats();
+    pushLog("🕑 Device clock set from host");
+  }
+
+  // Retry right away when a device is plugged back in
+  useEffect(() => {
+    if (!reconnecting) return;
+    const b = connectedBackendRef.current;
+    return b?.onPortConnect?.(() => void tryReconnect());
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [reconnecting]);
+
+  // -----------------------------
+  // Alarms
+  // -----------------------------
+  // "No data" rules run on the host clock while a device is connected,
+  // including while it is being reconnected
+  useEffect(() => {
+    if (!isLinked) return;
+    alarmStateRef.current = {};
+    setActiveAlarms({});
+    const id = setInterval(() => {
+      handleAlarmEvents(
+        evaluateStale(alarmRulesRef.current, alarmStateRef.current, Date.now())
+      );
+    }, 1000);
+    return () => clearInterval(id);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isLinked]);
+
+  function alarmMessage(rule) {
+    const meta = sensorMapRef.current.find((m) => m.key === rule.key);
+    if (!meta) return describeRule(rule);
+    return describeRule(rule, meta.label, unitForMeta(meta, csvHeaderRef.current));
+  }
+
+  function handleAlarmEvents(events) {
+    if (!events.length) return;
+    const rules = alarmRulesRef.current;
+    const entries = [];
+    for (const ev of events) {
+      const rule = rules.find((r) => r.id === ev.ruleId);
+      if (!rule) continue;
+      entries.push({ ...ev, key: rule.key, message: alarmMessage(rule) });
+    }
+    if (!entries.length) return;
+
+    setActiveAlarms((prev) => {
+      const next = { ...prev };
+      for (const e of entries) {
+        if (e.kind === "fire") next[e.ruleId] = e;
+        else delete next[e.ruleId];
       }
-      // Numeric row first — assume default if length matches
-      if (/,/.test(trimmed) && looksLikeNumericCsv(trimmed)) {
-        const cells = trimmed.split(/\s*,\s*/);
-        if (cells.length === DEFAULT_HEADER.length) {
-          csvHeaderRef.current = DEFAULT_HEADER;
-          setCsvHeader(DEFAULT_HEADER);
-          // fall through to parse this very row as data
-        } else {
-          return; // wait for a header or matching-length row
-        }
-      } else {
-        return;
+      return next;
+    });
+    const history = [...alarmHistoryRef.current, ...entries].slice(
+      -MAX_ALARM_HISTORY
+    );
+    alarmHistoryRef.current = history;
+    setAlarmHistory(history);
+    recorderRef.current?.setMeta({ alarms: history });
+
+    const fired = entries.filter((e) => e.kind === "fire");
+    if (!fired.length) return;
+    for (const e of fired) pushLog(`🚨 Alarm: ${e.message} (value ${e.value ?? "—"})`);
+    const { notify, sound } = alarmOptsRef.current;
+    if (sound) playAlarmSound();
+    if (
+      notify &&
+      typeof Notification !== "undefined" &&
+      Notification.permission === "granted"
+    ) {
+      for (const e of fired) {
+        try {
+          new Notification("PAM alarm", { body: e.message, tag: e.ruleId });
+        } catch {}
       }
     }
+  }
 
-    // Parse data with a known header
-    if (trimmed.includes(",")) {
-      const hdr = csvHeaderRef.current;
-      const cells = trimmed.split(/\s*,\s*/);
-      if (cells.length !== hdr.length) {
-        // Helpful debug
-        console.warn("CSV length mismatch", {
-          expected: hdr.length,
-          got: cells.length,
-          hdr,
-          line: trimmed,
-        });
+  function addAlarmRule(rule) {
+    setAlarmRules((prev) => [...prev, rule]);
+  }
+
+  function updateAlarmRule(id, patch) {
+    setAlarmRules((prev) => prev.map((r) => (r.id === id ? { ...r, ...patch } : r)));
+    if (patch.enabled === false) clearAlarm(id);
+  }
+
+  function removeAlarmRule(id) {
+    setAlarmRules((prev) => prev.filter((r) => r.id !== id));
+    clearAlarm(id);
+  }
+
+  function clearAlarm(id) {
+    delete alarmStateRef.current[id];
+    setActiveAlarms((prev) => {
+      if (!prev[id]) return prev;
+      const next = { ...prev };
+      delete next[id];
+      return next;
+    });
+  }
+
+  async function toggleAlarmNotify(on) {
+    if (on && typeof Notification !== "undefined") {
+      if (Notification.permission === "default") {
+        await Notification.requestPermission().catch(() => {});
+      }
+      if (Notification.permission !== "granted") {
+        pushLog("⚠️ Notifications are blocked for this page");
         return;
       }
+    }
+    setAlarmNotify(on);
+  }
+
+  function exportAlarmHistoryCsv(history, deviceId) {
+    const rows = ["time,event,rule,sensor,value"];
+    for (const e of history) {
+      rows.push(
+        [toLocalISO(e.t), e.kind, e.message, e.key, e.value]
+          .map(csvCell)
+          .join(",")
+      );
+    }
+    const prefix = deviceIdFilePrefix(deviceId);
+    downloadCsv(`${prefix}pam_alarms_${localStamp()}.csv`, rows.join("\r\n"));
+  }
+
+  // -----------------------------
+  // Session recording (IndexedDB)
+  // -----------------------------
+  function startRecording(source) {
+    if (!isSessionStoreAvailable()) return;
+    setSessionError("");
+    const recorder = createSessionRecorder({
+      source,
+      onError: (err) => {
+        console.error(err);
+        setSessionError(err.message || String(err));
+      },
+    });
+    if (csvHeaderRef.current) recorder.setHeader(csvHeaderRef.current);
+    if (segmentsRef.current.length) {
+      recorder.setMeta({ segments: segmentsRef.current.slice() });
+    }
+    alarmHistoryRef.current = [];
+    setAlarmHistory([]);
+    recorderRef.current = recorder;
+  }
 
-      const row = {};
-      for (let i = 0; i < hdr.length; i++) row[hdr[i]] = cells[i] ?? "";
+  function stopRecording() {
+    const recorder = recorderRef.current;
+    recorderRef.current = null;
+    if (!recorder) return;
+    recorder
+      .stop()
+      .then(refreshSessions)
+      .catch(() => {});
+  }
 
-      const nowMs = Date.now();
-      const t = buildTimestamp(row, nowMs);
+  // -----------------------------
+  // Record to file
+  // -----------------------------
+  // Only what comes off a device is written, not replays or reopened sessions
+  function liveFileRecorder() {
+    return portRef.current || reconnectRef.current
+      ? fileRecorderRef.current
+      : null;
+  }
 
-      setLatest((prev) => {
-        const next = { ...prev };
-        for (const h of hdr) {
-          const num = parseMaybeNumber(row[h]);
-          next[h] = num ?? row[h] ?? null;
+  async function startFileRecording(kind) {
+    let target;
+    try {
+      target = await pickRecordingTarget(kind);
+    } catch (err) {
+      if (err?.name !== "AbortError") {
+        pushLog(`Record to file failed: ${err.message || err}`);
+      }
+      return;
+    }
+    await stopFileRecording();
+    const recorder = new FileRecorder({
+      target,
+      ...fileOptions,
+      onStatus: (status) => {
+        if (fileRecorderRef.current === recorder) {
+          setFileStatus({ ...status, active: true });
         }
-        return next;
+      },
+    });
+    if (csvHeaderRef.current) recorder.setHeader(csvHeaderRef.current);
+    fileRecorderRef.current = recorder;
+    setFileStatus({ ...recorder.status(), active: true });
+    pushLog(`Recording to ${target.handle.name}`);
+  }
+
+  async function stopFileRecording() {
+    const recorder = fileRecorderRef.current;
+    fileRecorderRef.current = null;
+    if (!recorder) return;
+    const status = await recorder.stop();
+    setFileStatus({ ...status, active: false });
+    pushLog(
+      `Stopped recording to file (${formatBytes(status.bytes)} written)` +
+        (status.error ? ` — ${status.error}` : "")
+    );
+  }
+
+  // Write out what's pending when the page goes away
+  useEffect(() => {
+    const flush = () => void fileRecorderRef.current?.flush();
+    window.addEventListener("pagehide", flush);
+    return () => {
+      window.removeEventListener("pagehide", flush);
+      void fileRecorderRef.current?.stop();
+    };
+  }, []);
+
+  async function refreshSessions() {
+    if (!isSessionStoreAvailable()) return;
+    try {
+      setSessions(await listSessions());
+    } catch (err) {
+      setSessionError(err.message || String(err));
+    }
+  }
+
+  useEffect(() => {
+    if (activeTab === "sessions") void refreshSessions();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [activeTab]);
+
+  // Show a stored session in the Latest/Graphs/Log views (read-only)
+  async function reopenSession(id) {
+    if (isLinked) return;
+    try {
+      const { session, readings, lines } = await loadSession(id);
+      if (!session) return;
+      replayRunRef.current++;
+      resetParsedState();
+      if (session.header) parserRef.current.setHeader(session.header, "manual");
+
+      // Each reading is resolved against the header of its segment
+      const segs = session.segments?.length
+        ? session.segments
+        : [{ start: null, header: session.header }];
+      const segSensors = segs.map((g) => resolveSensors(g.header, sensorMap));
+      const segmentOf = (r) => (segs[r.segment] ? r.segment : segs.length - 1);
+      if (session.segments?.length) {
+        segmentsRef.current = session.segments.map((g) => ({ ...g }));
+      }
+      const readingSensors = (r) =>
+        segSensors[segmentOf(r)].map(({ meta, column, unit }) => {
+          const cell = r.values?.[column];
+          const entry = { key: meta.key, unit, value: parseMaybeNumber(cell) };
+          if (entry.value == null) entry.issue = cellIssue(cell);
+          return entry;
+        });
+      // Stored readings are raw; today's calibration profile is applied
+      const profile = calProfilesRef.current[session.deviceId];
+      const store = storeRef.current;
+      const nextTrack = [];
+      let qc = {};
+      for (const r of readings) {
+        const rs = readingSensors(r);
+        qc = checkReading(qcStateRef.current, rs);
+        const fix = trackPointFromReading({
+          t: r.t,
+          header: segs[segmentOf(r)].header,
+          values: r.values || {},
+          sensors: rs,
+        });
+        if (fix) nextTrack.push(fix);
+        store.push(
+          r.t,
+          [...rs, ...positionColumns(fix)],
+          calibrateSensors(profile, rs),
+          r.hostTime,
+          qc
+        );
+      }
+      trackRef.current = nextTrack.slice(-MAX_TRACK_POINTS);
+      latestQcRef.current = qc;
+      const last = readings[readings.length - 1];
+      latestRef.current = last ? { ...last.values } : {};
+      latestCorrectedRef.current = last
+        ? calibrateSensors(profile, readingSensors(last))
+        : {};
+      // Sessions recorded before directions were kept: TX lines start
+      // with "→"; data rows are told apart by their shape
+      const log = logBufferRef.current;
+      for (const l of lines) {
+        const dir = l.dir || (l.line.startsWith("→ ") ? "tx" : "rx");
+        const seq = log.push(l.line, dir, l.hostTime);
+        if (dir === "rx" && looksLikeNumericCsv(l.line)) log.markData(seq);
+      }
+      scheduleFlush("series", "log", "latest", "track", "segments");
+      flushUi();
+      setReplay({
+        kind: "session",
+        name: session.name,
+        total: readings.length,
+        done: readings.length,
+        finished: true,
       });
+      setActiveTab("latest");
+    } catch (err) {
+      setSessionError(err.message || String(err));
+    }
+  }
 
-      setSeries((prev) => {
-        const next = { ...prev };
-        for (const meta of SENSOR_MAP) {
-          const matchingHeader = hdr.find((h) => meta.matches(h));
-          if (!matchingHeader) continue;
-          const v = parseMaybeNumber(row[matchingHeader]);
-          if (!next[meta.key]) next[meta.key] = [];
-          next[meta.key] = [...next[meta.key], { t, v }];
-          if (next[meta.key].length > maxPoints) {
-            next[meta.key].splice(0, next[meta.key].length - maxPoints);
-          }
+  async function renameStoredSession(s) {
+    const name = window.prompt("Session name", s.name);
+    if (name == null || !name.trim()) return;
+    await renameSession(s.id, name.trim());
+    await refreshSessions();
+  }
+
+  async function deleteStoredSession(s) {
+    if (!window.confirm(`Delete session "${s.name}"? This cannot be undone.`)) {
+      return;
+    }
+    await deleteSession(s.id);
+    await refreshSessions();
+  }
+
+  // Full-resolution export: Time + every header column of every reading
+  async function exportStoredSession(s) {
+    const { session, readings } = await loadSession(s.id);
+    const header = session.header || Object.keys(readings[0]?.values || {});
+    const rows = [["Time", ...header].map(csvCell).join(",")];
+    for (const r of readings) {
+      rows.push(
+        [toLocalISO(r.t), ...header.map((h) => r.values?.[h])]
+          .map(csvCell)
+          .join(",")
+      );
+    }
+    const prefix = deviceIdFilePrefix(session.deviceId);
+    downloadCsv(`${prefix}pam_session_${localStamp()}.csv`, rows.join("\r\n"));
+  }
+
+  async function exportStoredSessionLog(s) {
+    const { session, lines } = await loadSession(s.id);
+    const rows = [
+      "time,raw",
+      ...lines.map((l) => `${csvCell(toLocalISO(l.hostTime))},${csvCell(l.line)}`),
+    ];
+    const prefix = deviceIdFilePrefix(session.deviceId);
+    downloadCsv(`${prefix}pam_session_log_${localStamp()}.csv`, rows.join("\r\n"));
+  }
+
+  // -----------------------------
+  // Offline replay (file -> handleLine)
+  // -----------------------------
+  function resetParsedState() {
+    parserRef.current.reset();
+    readerRef.current?.reset();
+    csvHeaderRef.current = null;
+    latestRef.current = {};
+    latestCorrectedRef.current = {};
+    trackRef.current = [];
+    storeRef.current.clear();
+    logBufferRef.current.clear();
+    lastRxSeqRef.current = null;
+    terminalRef.current.reset();
+    qcStateRef.current = createQcState(physicalRanges(sensorMapRef.current));
+    latestQcRef.current = {};
+    segmentsRef.current = [];
+    clearRejected();
+    setCsvHeader(null);
+    scheduleFlush("series", "log", "latest", "track", "segments", "terminal");
+    flushUi();
+    setGaps([]);
+    setChartRange(null);
+    lastReadingTRef.current = null;
+    openGapRef.current = null;
+    resetClockStats();
+  }
+
+  function clearRejected() {
+    rejectedRef.current.lines.clear();
+    rejectedRef.current.counts = {};
+    scheduleFlush("rejected");
+  }
+
+  async function startReplay(file) {
+    if (!file || isLinked) return;
+    const runId = ++replayRunRef.current;
+    let text;
+    try {
+      text = await file.text();
+    } catch (err) {
+      pushLog(`⚠️ Open file error: ${err.message}`);
+      return;
+    }
+    if (runId !== replayRunRef.current) return;
+
+    const lines = splitReplayLines(text);
+    resetParsedState();
+    setReplay({ name: file.name, total: lines.length, done: 0, finished: false });
+    pushLog(`Replaying ${file.name} (${lines.length} lines)`);
+
+    let prevT = null;
+    for (let i = 0; i < lines.length; i++) {
+      if (runId !== replayRunRef.current) return; // stopped or superseded
+      const speed = replaySpeedRef.current;
+
+      if (speed === "instant") {
+        if (i % REPLAY_BATCH === 0 && i > 0) {
+          setReplay((r) => (r ? { ...r, done: i } : r));
+          await sleep(0);
         }
-        return next;
-      });
+      } else {
+        const t = rowTimestamp(lines[i].trim(), csvHeaderRef.current);
+        const isData = t !== undefined;
+        if (isData && prevT != null) {
+          const gap = t != null ? t - prevT : REPLAY_DEFAULT_GAP_MS;
+          const wait = Math.min(Math.max(gap, 0), REPLAY_MAX_GAP_MS);
+          await sleep(wait / Number(speed));
+          if (runId !== replayRunRef.current) return;
+        }
+        if (isData) prevT = t ?? (prevT ?? 0) + REPLAY_DEFAULT_GAP_MS;
+        setReplay((r) => (r ? { ...r, done: i } : r));
+      }
+
+      handleLine(lines[i]);
     }
+    setReplay((r) => (r ? { ...r, done: lines.length, finished: true } : r));
+    pushLog(`Replay finished: ${file.name}`);
+  }
+
+  function stopReplay() {
+    replayRunRef.current++;
+    setReplay(null);
+    if (replayFileRef.current) replayFileRef.current.value = "";
   }
 
   // -----------------------------
@@ -573,7 +2001,8 @@ export default function PamWebSerialDashboard() {
     try {
       const payload = text + (autoNewline === "none" ? "" : autoNewline);
       await writerRef.current.write(payload);
-      pushLog(`→ ${JSON.stringify(payload)}`);
+      pushLog(`→ ${JSON.stringify(payload)}`, "tx");
+      echoOnScreen(payload);
     } catch (err) {
       pushLog(`⚠️ Write error: ${err.message}`);
     } finally {
@@ -581,16 +2010,78 @@ export default function PamWebSerialDashboard() {
     }
   }
 
+  // Free-text command box: send, remember, and reset history navigation
+  async function submitCustomCmd() {
+    const text = customCmd;
+    if (!text.trim() || sending) return;
+    await send(text);
+    rememberCommand(text);
+    historyIndexRef.current = -1;
+    setCustomCmd("");
+  }
+
+  function rememberCommand(text) {
+    setCmdHistory((prev) => {
+      const next = prev[prev.length - 1] === text ? prev : [...prev, text];
+      return next.slice(-MAX_CMD_HISTORY);
+    });
+  }
+
+  // Arrow keys recall previous commands (newest first), Enter sends
+  function handleCmdKey(e) {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      void submitCustomCmd();
+      return;
+    }
+    if (e.key !== "ArrowUp" && e.key !== "ArrowDown") return;
+    if (!cmdHistory.length) return;
+    e.preventDefault();
+    let idx = historyIndexRef.current;
+    if (e.key === "ArrowUp") {
+      idx = idx < 0 ? cmdHistory.length - 1 : Math.max(0, idx - 1);
+    } else {
+      idx = idx < 0 ? -1 : idx + 1;
+      if (idx >= cmdHistory.length) idx = -1;
+    }
+    historyIndexRef.current = idx;
+    setCustomCmd(idx < 0 ? "" : cmdHistory[idx]);
+  }
+
+  // Local echo on the terminal screen, in the TX style (the PAM doesn't
+  // echo what it receives)
+  function echoOnScreen(text) {
+    if (!echoInput || logViewRef.current !== "terminal") return;
+    terminalRef.current.writeLocal(text);
+    scheduleFlush("terminal");
+  }
+
   // --- Terminal typing handlers ---
   function handleTerminalKey(e) {
     if (!writerRef.current || !isConnected) return;
     const k = e.key;
 
+    // Line mode: edit locally, Enter sends the line (history as in the
+    // command box)
+    if (inputMode === "line") {
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+      const result = editLine(lineEdit, k, cmdHistory);
+      if (!result) return;
+      e.preventDefault();
+      setLineEdit(result.state);
+      if (result.submit !== undefined && !sending) {
+        void send(result.submit);
+        if (result.submit.trim()) rememberCommand(result.submit);
+      }
+      return;
+    }
+
     // Printable characters
     if (k.length === 1) {
       e.preventDefault();
       writerRef.current.write(k);
-      if (echoInput) pushLog(`→ ${JSON.stringify(k)}`);
+      if (echoInput) pushLog(`→ ${JSON.stringify(k)}`, "tx");
+      echoOnScreen(k);
       return;
     }
     // Controls
@@ -598,19 +2089,22 @@ export default function PamWebSerialDashboard() {
       e.preventDefault();
       const nl = autoNewline === "none" ? "\n" : autoNewline;
       writerRef.current.write(nl);
-      if (echoInput) pushLog(`→ ${JSON.stringify(nl)}`);
+      if (echoInput) pushLog(`→ ${JSON.stringify(nl)}`, "tx");
+      echoOnScreen(nl);
       return;
     }
     if (k === "Backspace") {
       e.preventDefault();
       writerRef.current.write("\b");
-      if (echoInput) pushLog('→ "\\b"');
+      if (echoInput) pushLog('→ "\\b"', "tx");
+      echoOnScreen("\b \b");
       return;
     }
     if (k === "Tab") {
       e.preventDefault();
       writerRef.current.write("\t");
-      if (echoInput) pushLog('→ "\\t"');
+      if (echoInput) pushLog('→ "\\t"', "tx");
+      echoOnScreen("\t");
       return;
     }
   }
@@ -620,62 +2114,33 @@ export default function PamWebSerialDashboard() {
     const text = e.clipboardData?.getData?.("text");
     if (!text) return;
     e.preventDefault();
+    if (inputMode === "line") {
+      setLineEdit((edit) => insertText(edit, text));
+      return;
+    }
     writerRef.current.write(text);
-    if (echoInput) pushLog(`→ ${JSON.stringify(text)}`);
-  }
-
-  function StatCard({ title, value, unit }) {
-    return (
-      <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
-        <div className="text-sm text-slate-500">{title}</div>
-        <div className="mt-1 text-2xl font-semibold text-slate-900">
-          {value ?? "—"}
-          {unit ? (
-            <span className="ml-1 align-middle text-base font-normal text-slate-500">
-              {unit}
-            </span>
-          ) : null}
-        </div>
-      </div>
-    );
+    if (echoInput) pushLog(`→ ${JSON.stringify(text)}`, "tx");
+    echoOnScreen(text);
   }
 
-  function ChartCard({ meta, data }) {
-    const chartData = useMemo(
-      () => (data || []).map((d) => ({ x: d.t, y: d.v })),
-      [data]
-    );
+  // Raw / corrected / both selector shown beside the CSV buttons
+  function renderCalViewSelect() {
+    if (!Object.keys(calProfiles).length) return null;
     return (
-      <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
-        <div className="mb-2 text-sm font-medium text-slate-700">
-          {meta.label}
-          {meta.unit ? `  (${meta.unit})` : ""}
-        </div>
-        <div className="h-48">
-          <ResponsiveContainer width="100%" height="100%">
-            <LineChart
-              data={chartData}
-              margin={{ top: 5, right: 12, bottom: 5, left: 0 }}
-            >
-              <CartesianGrid strokeDasharray="3 3" />
-              <XAxis dataKey="x" tickFormatter={fmtTime} minTickGap={40} />
-              <YAxis allowDecimals tickFormatter={(v) => `${v}`} width={50} />
-              <Tooltip
-                labelFormatter={(x) => fmtTime(Number(x))}
-                formatter={(v) => [v, meta.label]}
-              />
-              <Legend />
-              <Line
-                type="monotone"
-                dataKey="y"
-                dot={false}
-                strokeWidth={2}
-                isAnimationActive={false}
-              />
-            </LineChart>
-          </ResponsiveContainer>
-        </div>
-      </div>
+      <label className="flex items-center gap-2 text-sm text-slate-600">
+        Values
+        <select
+          value={calView}
+          onChange={(e) => setCalView(e.target.value)}
+          className="rounded-lg border border-slate-300 px-2 py-1 text-sm"
+        >
+          {CAL_VIEWS.map(([v, label]) => (
+            <option key={v} value={v}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
     );
   }
 
@@ -689,11 +2154,24 @@ export default function PamWebSerialDashboard() {
         <div className="mx-auto max-w-7xl px-4 py-3">
           <div className="flex items-center justify-between gap-3">
             <div className="flex items-center gap-3">
-              <div
-                className={`h-3 w-3 rounded-full ${
-                  isConnected ? "bg-green-500" : "bg-slate-300"
-                }`}
-              />
+              {replay ? (
+                <span
+                  className="rounded-full bg-amber-100 px-2 py-0.5 text-xs font-semibold uppercase tracking-wide text-amber-800"
+                  title={replay.name}
+                >
+                  {replay.kind === "session" ? "Session" : "Replay"}
+                </span>
+              ) : (
+                <div
+                  className={`h-3 w-3 rounded-full ${
+                    isConnected
+                      ? "bg-green-500"
+                      : reconnecting
+                      ? "animate-pulse bg-amber-500"
+                      : "bg-slate-300"
+                  }`}
+                />
+              )}
               <h1 className="text-xl font-semibold text-slate-900">
                 PAM WebSerial Dashboard
                 {deviceId ? (
@@ -702,13 +2180,77 @@ export default function PamWebSerialDashboard() {
                   </span>
                 ) : null}
               </h1>
-              {!isSupported && (
+              {!isSupported && backend.id === "webserial" && (
                 <span className="ml-2 text-sm text-red-600">
                   Web Serial not supported in this browser.
                 </span>
               )}
             </div>
             <div className="flex items-center gap-3">
+              {replay ? (
+                <span className="text-sm text-slate-600">
+                  {replay.name} ·{" "}
+                  {replay.finished
+                    ? "done"
+                    : `${Math.round(
+                        (replay.done / Math.max(replay.total, 1)) * 100
+                      )}%`}
+                </span>
+              ) : null}
+              <select
+                value={replaySpeed}
+                onChange={(e) => setReplaySpeed(e.target.value)}
+                disabled={isLinked}
+                title="Replay speed"
+                className="rounded-lg border border-slate-300 px-2 py-1 text-sm disabled:opacity-50"
+              >
+                {REPLAY_SPEEDS.map(([v, label]) => (
+                  <option key={v} value={v}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              {replay ? (
+                <button
+                  onClick={stopReplay}
+                  className="rounded-xl border border-slate-300 px-3 py-1.5 text-sm hover:bg-slate-50"
+                >
+                  {replay.kind === "session" ? "Close session" : "Close file"}
+                </button>
+              ) : (
+                <label
+                  className={`rounded-xl border border-slate-300 px-3 py-1.5 text-sm ${
+                    isLinked
+                      ? "cursor-not-allowed opacity-50"
+                      : "cursor-pointer hover:bg-slate-50"
+                  }`}
+                >
+                  Open file
+                  <input
+                    ref={replayFileRef}
+                    type="file"
+                    accept=".txt,.log,.csv,text/plain,text/csv"
+                    disabled={isLinked}
+                    onChange={(e) => void startReplay(e.target.files?.[0])}
+                    className="hidden"
+                  />
+                </label>
+              )}
+              {backends.length > 1 && (
+                <select
+                  value={backendId}
+                  onChange={(e) => setBackendId(e.target.value)}
+                  disabled={isLinked}
+                  title="Serial backend"
+                  className="rounded-lg border border-slate-300 px-2 py-1 text-sm disabled:opacity-50"
+                >
+                  {backends.map((b) => (
+                    <option key={b.id} value={b.id}>
+                      {b.label}
+                    </option>
+                  ))}
+                </select>
+              )}
               <label className="text-sm text-slate-600">Baud</label>
               <input
                 type="number"
@@ -716,7 +2258,44 @@ export default function PamWebSerialDashboard() {
                 onChange={(e) => setBaudRate(Number(e.target.value) || 0)}
                 className="w-28 rounded-lg border border-slate-300 px-2 py-1 text-sm"
               />
-              {isConnected ? (
+              {reconnecting && (
+                <span className="text-sm text-amber-700">
+                  Reconnecting… (attempt {reconnect.attempt})
+                </span>
+              )}
+              {fileStatus?.active && (
+                <span
+                  className={`text-sm ${
+                    fileStatus.error ? "text-red-600" : "text-slate-600"
+                  }`}
+                  title={
+                    fileStatus.full
+                      ? fileStatus.error
+                      : fileStatus.error
+                      ? `Writing failed: ${fileStatus.error}; retrying`
+                      : "Recording to file"
+                  }
+                >
+                  ⏺ {fileStatus.name || fileStatus.folder} ·{" "}
+                  {formatBytes(fileStatus.bytes)} ·{" "}
+                  {fileStatus.full
+                    ? "file full"
+                    : fileStatus.error
+                    ? "write failed"
+                    : fileStatus.lastFlush
+                    ? `flushed ${toLocalISO(fileStatus.lastFlush).slice(11, 19)}`
+                    : "not flushed yet"}
+                </span>
+              )}
+              {isConnected && readStats?.dropped > 0 && (
+                <span
+                  className="text-sm text-amber-700"
+                  title="The display fell behind the port; see the Log tab"
+                >
+                  {readStats.dropped.toLocaleString()} lines dropped
+                </span>
+              )}
+              {isLinked ? (
                 <button
                   onClick={() => void disconnect()}
                   className="rounded-xl bg-red-600 px-3 py-1.5 text-white shadow hover:bg-red-500"
@@ -726,7 +2305,8 @@ export default function PamWebSerialDashboard() {
               ) : (
                 <button
                   onClick={() => void connect()}
-                  className="rounded-xl bg-blue-600 px-3 py-1.5 text-white shadow hover:bg-blue-500"
+                  disabled={!!replay}
+                  className="rounded-xl bg-blue-600 px-3 py-1.5 text-white shadow hover:bg-blue-500 disabled:opacity-50"
                 >
                   Connect
                 </button>
@@ -738,11 +2318,61 @@ export default function PamWebSerialDashboard() {
 
       {/* Tabs */}
       <main className="mx-auto max-w-7xl px-4 py-6">
+        {/* Clock drift warning */}
+        {isConnected &&
+          clockStats &&
+          clockStats.samples >= MIN_DRIFT_SAMPLES &&
+          Math.abs(clockStats.offsetMs) > driftLimit * 1000 && (
+            <div
+              role="status"
+              className="mb-4 flex flex-wrap items-center justify-between gap-2 rounded-2xl border border-amber-300 bg-amber-50 px-4 py-3 text-sm text-amber-900"
+            >
+              <span>
+                🕑 Device clock is {describeOffset(clockStats.offsetMs)} of this
+                computer (limit {driftLimit} s).
+              </span>
+              <button
+                onClick={() => void setDeviceClock()}
+                disabled={clockSetting || !hasClockScript}
+                title={noClockScriptTitle}
+                className="rounded-lg border border-amber-400 bg-white px-3 py-1 text-sm hover:bg-amber-100 disabled:opacity-50"
+              >
+                {clockSetting ? "Setting…" : "Set device clock"}
+              </button>
+            </div>
+          )}
+
+        {/* Active alarms banner */}
+        {Object.keys(activeAlarms).length > 0 && (
+          <div
+            role="alert"
+            className="mb-4 rounded-2xl border border-red-300 bg-red-50 px-4 py-3 text-sm text-red-800"
+          >
+            <div className="font-semibold">🚨 Active alarms</div>
+            <ul className="mt-1 list-inside list-disc">
+              {Object.values(activeAlarms).map((e) => (
+                <li key={e.ruleId}>
+                  {e.message}
+                  {e.value != null ? ` — ${e.value}` : ""} (since{" "}
+                  {fmtTime(e.t)})
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         <div className="mb-4 flex flex-wrap items-center gap-2">
           {[
             ["latest", "Latest"],
             ["graphs", "Graphs"],
+            ["track", "Track"],
+            ["summary", "Summary"],
+            ["quality", "Quality"],
             ["settings", "Settings"],
+            ["alarms", "Alarms"],
+            ["scripts", "Scripts"],
+            ["calibration", "Calibration"],
+            ["sessions", "Sessions"],
             ["log", "Log"],
           ].map(([key, label]) => (
             <button
@@ -761,14 +2391,30 @@ export default function PamWebSerialDashboard() {
 
         {activeTab === "latest" && (
           <section className="grid grid-cols-1 gap-4 md:grid-cols-2 lg:grid-cols-3">
-            <div className="md:col-span-2 lg:col-span-3 mb-2 flex justify-end">
+            <div className="md:col-span-2 lg:col-span-3 mb-2 flex items-center justify-end gap-3">
+              <label className="flex items-center gap-2 text-sm text-slate-600">
+                <input
+                  type="checkbox"
+                  checked={exportAqi}
+                  onChange={(e) => setExportAqi(e.target.checked)}
+                />
+                Include AQI columns
+              </label>
+              {renderCalViewSelect()}
               <button
-                onClick={exportSeriesCsv}
+                onClick={() => exportSeriesCsv()}
                 className="rounded-lg border border-slate-300 px-3 py-1 text-sm hover:bg-slate-50"
               >
                 Save to CSV
               </button>
             </div>
+            {presentSensors.some((m) => AQI_POLLUTANTS[m.key]) && (
+              <AqiCard
+                result={aqi}
+                nowcast={aqiNowcast}
+                onNowcastChange={setAqiNowcast}
+              />
+            )}
             {/* Device ID + Timestamp only if present */}
             {hasHdr(/DeviceId/i) && (
               <StatCard
@@ -791,13 +2437,37 @@ export default function PamWebSerialDashboard() {
             {/* All sensor cards come from the header-driven sensor list */}
             {presentSensors.map((meta) => {
               const h = csvHeader.find((x) => meta.matches(x));
-              const v = h ? latest[h] : null;
+              const raw = displayValue(
+                meta.key,
+                h ? latest[h] : null,
+                latestAmbient
+              );
+              const calibrated =
+                calView !== "raw" && meta.key in latestCorrected;
+              const corrected = displayValue(
+                meta.key,
+                latestCorrected[meta.key],
+                latestAmbient
+              );
               return (
                 <StatCard
                   key={meta.key}
                   title={meta.label}
-                  value={v ?? "—"}
-                  unit={meta.unit}
+                  value={(calibrated ? corrected : raw) ?? "—"}
+                  unit={displayByKey[meta.key]?.unit}
+                  alarm={alarmTextByKey[meta.key]}
+                  qc={
+                    h && latest[h] !== undefined
+                      ? qcNames(latestQc[meta.key] || 0)
+                      : null
+                  }
+                  sub={
+                    calibrated
+                      ? calView === "both"
+                        ? `corrected · raw ${raw ?? "—"}`
+                        : "corrected"
+                      : null
+                  }
                 />
               );
             })}
@@ -821,29 +2491,116 @@ export default function PamWebSerialDashboard() {
         {/* Graphs */}
         {activeTab === "graphs" && (
           <section className="grid grid-cols-1 gap-4 lg:grid-cols-2">
-            <div className="lg:col-span-2 mb-2 flex justify-end">
+            <div className="lg:col-span-2 mb-2 flex items-center justify-end gap-3">
+              {renderCalViewSelect()}
               <button
-                onClick={exportSeriesCsv}
+                onClick={() => exportSeriesCsv()}
                 className="rounded-lg border border-slate-300 px-3 py-1 text-sm hover:bg-slate-50"
               >
                 Save to CSV
               </button>
             </div>
-            {presentSensors
-              .filter((m) => m.key !== "BAT")
-              .map((meta) => {
-                const u = unitForMeta(meta, csvHeader);
-                return (
-                  <ChartCard
-                    key={meta.key}
-                    meta={{ ...meta, unit: u }}
-                    data={series[meta.key] || []}
-                  />
-                );
-              })}
+            <ChartsView
+              sensors={presentSensors
+                .filter((m) => m.chartable)
+                .map((m) => ({
+                  key: m.key,
+                  label: m.label,
+                  unit: displayByKey[m.key]?.unit,
+                }))}
+              data={chartData}
+              timeline={chartTimeline}
+              pointAt={chartPointAt}
+              view={calView}
+              gaps={gaps}
+              range={chartRange}
+              onRangeChange={setChartRange}
+              overlay={overlay}
+              onOverlayChange={setOverlay}
+              onExportRange={(range) => exportSeriesCsv({ range })}
+            />
           </section>
         )}
 
+        {/* GPS track */}
+        {activeTab === "track" && (
+          <section>
+            <div className="mb-2 flex items-center justify-end gap-3">
+              <label className="flex items-center gap-2 text-sm text-slate-600">
+                <input
+                  type="checkbox"
+                  checked={exportTrackLine}
+                  onChange={(e) => setExportTrackLine(e.target.checked)}
+                />
+                Include track line
+              </label>
+              {renderCalViewSelect()}
+              <button
+                onClick={() => exportGeo("geojson")}
+                className="rounded-lg border border-slate-300 px-3 py-1 text-sm hover:bg-slate-50"
+              >
+                Save GeoJSON
+              </button>
+              <button
+                onClick={() => exportGeo("kml")}
+                className="rounded-lg border border-slate-300 px-3 py-1 text-sm hover:bg-slate-50"
+              >
+                Save KML
+              </button>
+            </div>
+            <TrackView
+              track={displayTrack}
+              sensors={presentSensors
+                .filter((m) => m.chartable)
+                .map((m) => ({
+                  key: m.key,
+                  label: m.label,
+                  unit: displayByKey[m.key]?.unit,
+                }))}
+              colorKey={trackColorKey}
+              onColorKeyChange={setTrackColorKey}
+              tileUrl={tileUrl}
+              onTileUrlChange={setTileUrl}
+            />
+          </section>
+        )}
+
+        {/* Session summary */}
+        {activeTab === "summary" && (
+          <SummaryView
+            store={seriesView.store}
+            sensors={summarySensors}
+            valueAt={summaryValueAt}
+            viewLabel={
+              calView === "raw" || !Object.keys(calProfiles).length
+                ? "raw values"
+                : "corrected where calibrated"
+            }
+            viewSelect={renderCalViewSelect()}
+            graphRange={chartRange}
+            thresholds={summaryThresholds}
+            onThresholdsChange={setSummaryThresholds}
+            deviceId={deviceId}
+            filePrefix={getDeviceIdPrefix()}
+          />
+        )}
+
+        {/* Data quality */}
+        {activeTab === "quality" && (
+          <QualityView
+            rejected={rejected}
+            onClearRejected={() => {
+              clearRejected();
+              flushUi();
+            }}
+            store={seriesView.store}
+            version={seriesView.version}
+            sensors={summarySensors}
+            segments={segments}
+            filePrefix={getDeviceIdPrefix()}
+          />
+        )}
+
         {/* Settings */}
         {activeTab === "settings" && (
           <section className="grid grid-cols-1 gap-6 lg:grid-cols-3">
@@ -864,6 +2621,25 @@ export default function PamWebSerialDashboard() {
                   <option value="\n">LF (\n)</option>
                   <option value="\r\n">CRLF (\r\n)</option>
                 </select>
+              </div>
+              <div className="mt-2 flex items-center gap-2">
+                <label className="text-sm" htmlFor="history-size">
+                  Keep history:
+                </label>
+                <select
+                  id="history-size"
+                  value={historySize}
+                  onChange={(e) => setHistorySize(Number(e.target.value))}
+                  className="rounded-lg border border-slate-300 px-2 py-1 text-sm"
+                >
+                  {HISTORY_OPTIONS.map(([rows, label]) => (
+                    <option key={rows} value={rows}>
+                      {label} at 1 Hz
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="mt-2 flex items-center gap-2">
                 <button
                   onClick={() => {
                     setBaudRate(115200);
@@ -872,6 +2648,29 @@ export default function PamWebSerialDashboard() {
                     localStorage.removeItem(LS.BAUD);
                     localStorage.removeItem(LS.NL);
                     localStorage.removeItem(LS.TAB);
+                    localStorage.removeItem(LS.BACKEND);
+                    localStorage.removeItem(LS.RECORD);
+                    localStorage.removeItem(LS.TRACK_COLOR);
+                    localStorage.removeItem(LS.TILE_URL);
+                    localStorage.removeItem(LS.EXPORT_TRACK_LINE);
+                    localStorage.removeItem(LS.SUMMARY_THRESHOLDS);
+                    localStorage.removeItem(LS.AQI_NOWCAST);
+                    localStorage.removeItem(LS.EXPORT_AQI);
+                    localStorage.removeItem(LS.ALARM_NOTIFY);
+                    localStorage.removeItem(LS.ALARM_SOUND);
+                    localStorage.removeItem(LS.AUTO_RECONNECT);
+                    localStorage.removeItem(LS.DRIFT_LIMIT);
+                    localStorage.removeItem(LS.CLOCK_SCRIPT);
+                    localStorage.removeItem(LS.EXPORT_HOST_TIME);
+                    localStorage.removeItem(LS.CAL_VIEW);
+                    localStorage.removeItem(LS.UNITS);
+                    localStorage.removeItem(LS.HISTORY);
+                    localStorage.removeItem(LS.LOG_VIEW);
+                    localStorage.removeItem(LS.INPUT_MODE);
+                    localStorage.removeItem(LS.FILE_RECORDING);
+                    setUnitPrefs(defaultUnitPrefs());
+                    setHistorySize(DEFAULT_CAPACITY);
+                    setFileOptions(loadFileOptions());
                   }}
                   className="mt-3 rounded-lg border border-slate-300 px-3 py-1 text-sm hover:bg-slate-50"
                 >
@@ -881,8 +2680,7 @@ export default function PamWebSerialDashboard() {
 
               <button
                 onClick={() => {
-                  csvHeaderRef.current = DEFAULT_HEADER;
-                  setCsvHeader(DEFAULT_HEADER);
+                  setParserHeader(DEFAULT_HEADER);
                   pushLog("Assumed default header");
                 }}
                 className="mt-3 rounded-lg border border-slate-300 px-3 py-1 text-sm hover:bg-slate-50"
@@ -905,8 +2703,7 @@ export default function PamWebSerialDashboard() {
                       .map((s) => s.trim())
                       .filter(Boolean);
                     if (tokens.length) {
-                      csvHeaderRef.current = tokens;
-                      setCsvHeader(tokens);
+                      setParserHeader(tokens);
                       pushLog("Custom header set");
                     }
                   }}
@@ -916,12 +2713,543 @@ export default function PamWebSerialDashboard() {
                 </button>
               </div>
 
+              <label className="mt-3 flex items-center gap-2 text-sm text-slate-600">
+                <input
+                  type="checkbox"
+                  checked={recordSessions}
+                  onChange={(e) => setRecordSessions(e.target.checked)}
+                />
+                Record connections to the Sessions tab
+              </label>
+
+              <label className="mt-2 flex items-center gap-2 text-sm text-slate-600">
+                <input
+                  type="checkbox"
+                  checked={autoReconnect}
+                  onChange={(e) => setAutoReconnect(e.target.checked)}
+                />
+                Reconnect automatically if the device drops out
+              </label>
+
               <p className="mt-2 text-xs text-slate-500">
                 Tip: PAM menu commands are single letters (e.g., <code>m</code>{" "}
                 to open menu, <code>k</code> for header, <code>x</code> to
                 exit).
               </p>
             </div>
+
+            {/* Device clock */}
+            <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+              <div className="mb-2 text-sm font-medium text-slate-700">
+                Device Clock
+              </div>
+              <p className="text-sm text-slate-600">
+                {clockStats
+                  ? `Device clock is ${describeOffset(clockStats.offsetMs)} (${
+                      clockStats.samples
+                    } rows; range ${Math.round(
+                      clockStats.minOffsetMs / 1000
+                    )}…${Math.round(clockStats.maxOffsetMs / 1000)} s)`
+                  : "No timestamped rows received yet."}
+              </p>
+              <div className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+                <label className="text-slate-600">Warn when off by more than</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={driftLimit}
+                  onChange={(e) =>
+                    setDriftLimit(Math.max(1, Number(e.target.value) || 0))
+                  }
+                  className="w-20 rounded-lg border border-slate-300 px-2 py-1 text-sm"
+                />
+                <span className="text-slate-600">s</span>
+                <button
+                  onClick={() => void setDeviceClock()}
+                  disabled={!isConnected || clockSetting || !hasClockScript}
+                  title={noClockScriptTitle}
+                  className="rounded-lg border border-slate-300 px-3 py-1 text-sm hover:bg-slate-50 disabled:opacity-50"
+                >
+                  {clockSetting ? "Setting…" : "Set device clock"}
+                </button>
+              </div>
+              <label className="mt-3 flex items-center gap-2 text-sm text-slate-600">
+                <input
+                  type="checkbox"
+                  checked={exportHostTime}
+                  onChange={(e) => setExportHostTime(e.target.checked)}
+                />
+                Export timestamps on the host clock (receive time)
+              </label>
+              <details className="mt-3 text-sm">
+                <summary className="cursor-pointer text-slate-600">
+                  Clock-set script
+                </summary>
+                <textarea
+                  aria-label="Clock-set script"
+                  value={clockScript}
+                  onChange={(e) => setClockScript(e.target.value)}
+                  placeholder={"send m\nwait /…/ 3000\nsend {date} {time}\n…"}
+                  spellCheck={false}
+                  rows={8}
+                  className="mt-2 w-full rounded-lg border border-slate-300 px-3 py-2 font-mono text-sm"
+                />
+                <div className="mt-1 flex items-center justify-between gap-2">
+                  <span className="text-xs text-slate-500">
+                    Same steps as the Scripts tab, written for your PAM's menu;{" "}
+                    <code>{"{date}"}</code> and <code>{"{time}"}</code> are
+                    filled from this computer. The example only matches the
+                    simulator.
+                  </span>
+                  <button
+                    onClick={() => setClockScript(SIMULATOR_CLOCK_SCRIPT)}
+                    className="rounded-lg border border-slate-300 px-2 py-0.5 text-xs hover:bg-slate-50"
+                  >
+                    Load simulator example
+                  </button>
+                </div>
+              </details>
+            </div>
+
+            {/* Display units */}
+            <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+              <div className="mb-2 text-sm font-medium text-slate-700">
+                Display Units
+              </div>
+              <div className="grid grid-cols-[auto_1fr] items-center gap-2 text-sm">
+                {UNIT_QUANTITIES.map(([q, label, options]) => (
+                  <React.Fragment key={q}>
+                    <label htmlFor={`unit-${q}`} className="text-slate-600">
+                      {label}
+                    </label>
+                    <select
+                      id={`unit-${q}`}
+                      value={unitPrefs[q]}
+                      onChange={(e) =>
+                        setUnitPrefs((prev) => ({
+                          ...prev,
+                          [q]: e.target.value,
+                        }))
+                      }
+                      className="rounded-lg border border-slate-300 px-2 py-1 text-sm"
+                    >
+                      <option value="">As reported</option>
+                      {options.map((u) => (
+                        <option key={u} value={u}>
+                          {u}
+                        </option>
+                      ))}
+                    </select>
+                  </React.Fragment>
+                ))}
+              </div>
+              <p className="mt-3 text-xs text-slate-500">
+                Applies to cards, charts and CSV exports. Gas ppm ↔ µg/m³ uses
+                each row's TEMP and PRESS (25 °C / 1013.25 hPa if missing).
+                Alarm thresholds and calibration stay in the reported units.
+              </p>
+            </div>
+
+            {/* Header profiles (firmware variants) */}
+            <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+              <div className="mb-2 text-sm font-medium text-slate-700">
+                Header Profiles
+              </div>
+              <ul className="space-y-1 text-sm">
+                {headerProfiles.map((p) => (
+                  <li key={p.id} className="flex items-center gap-2">
+                    <span
+                      className="flex-1 truncate text-slate-700"
+                      title={p.header.join(",")}
+                    >
+                      {p.name}{" "}
+                      <span className="text-slate-500">
+                        ({p.header.length} columns)
+                      </span>
+                    </span>
+                    <button
+                      onClick={() => {
+                        setParserHeader(p.header);
+                        pushLog(`Header set from the ${p.name} profile`);
+                      }}
+                      className="rounded-lg border border-slate-300 px-2 py-0.5 text-xs hover:bg-slate-50"
+                    >
+                      Use
+                    </button>
+                    {!HEADER_PROFILES.includes(p) && (
+                      <button
+                        onClick={() =>
+                          setUserHeaderProfiles((prev) =>
+                            prev.filter((q) => q.id !== p.id)
+                          )
+                        }
+                        className="rounded-lg border border-slate-300 px-2 py-0.5 text-xs hover:bg-slate-50"
+                      >
+                        Delete
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+              <div className="mt-3 flex gap-2">
+                <input
+                  type="text"
+                  placeholder="Profile name"
+                  value={newProfileName}
+                  onChange={(e) => setNewProfileName(e.target.value)}
+                  className="min-w-0 flex-1 rounded-lg border border-slate-300 px-2 py-1 text-sm"
+                />
+                <button
+                  onClick={() => {
+                    const name = newProfileName.trim();
+                    if (!name || !csvHeader) return;
+                    setUserHeaderProfiles((prev) => [
+                      ...prev,
+                      { id: newHeaderProfileId(), name, header: csvHeader },
+                    ]);
+                    setNewProfileName("");
+                  }}
+                  disabled={!csvHeader || !newProfileName.trim()}
+                  className="rounded-lg border border-slate-300 px-3 py-1 text-sm hover:bg-slate-50 disabled:opacity-50"
+                >
+                  Save current header
+                </button>
+              </div>
+              <p className="mt-2 text-xs text-slate-500">
+                Rows that arrive without a header get the profile with the same
+                number of columns whose values fit best (DeviceId, Date, Time,
+                LAT/LON, numbers).
+              </p>
+            </div>
+
+            {/* Sensor map: header columns -> sensors */}
+            <SensorMapEditor
+              definitions={activeSensorDefs}
+              onChange={setSensorDefs}
+              header={csvHeader}
+            />
+
+            {/* Record to file (overnight runs) */}
+            <FileRecordingPanel
+              supported={isFileRecordingSupported()}
+              options={fileOptions}
+              onOptionsChange={setFileOptions}
+              status={fileStatus}
+              onStart={(kind) => void startFileRecording(kind)}
+              onStop={() => void stopFileRecording()}
+            />
+
+            {/* Simulator faults (only when connected to the simulator) */}
+            {isConnected && typeof portRef.current?.injectFault === "function" && (
+              <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+                <div className="mb-2 text-sm font-medium text-slate-700">
+                  Simulator Faults
+                </div>
+                <div className="flex flex-wrap gap-2">
+                  {SIM_FAULTS.map(([kind, label]) => (
+                    <button
+                      key={kind}
+                      onClick={() => portRef.current?.injectFault(kind)}
+                      className="rounded-lg border border-slate-300 px-3 py-1 text-sm hover:bg-slate-50"
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+          </section>
+        )}
+
+        {/* Command scripts */}
+        {activeTab === "scripts" && (
+          <ScriptPanel
+            scripts={scripts}
+            onScriptsChange={setScripts}
+            send={send}
+            subscribe={(cb) => parserRef.current.on("line", cb)}
+            connected={isConnected}
+            onLog={pushLog}
+          />
+        )}
+
+        {/* Calibration profiles */}
+        {activeTab === "calibration" && (
+          <CalibrationPanel
+            profiles={calProfiles}
+            onProfilesChange={setCalProfiles}
+            deviceId={deviceId}
+            sensors={presentSensors.length ? presentSensors : sensorMap}
+            view={calView}
+            onViewChange={setCalView}
+          />
+        )}
+
+        {/* Alarms */}
+        {activeTab === "alarms" && (
+          <section className="grid grid-cols-1 gap-6 lg:grid-cols-2">
+            <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+              <div className="mb-2 text-sm font-medium text-slate-700">
+                Alarm Rules
+              </div>
+              {alarmRules.length === 0 ? (
+                <p className="text-sm text-slate-500">No rules yet.</p>
+              ) : (
+                <ul className="space-y-1 text-sm">
+                  {alarmRules.map((r) => (
+                    <li key={r.id} className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={r.enabled}
+                        onChange={(e) =>
+                          updateAlarmRule(r.id, { enabled: e.target.checked })
+                        }
+                      />
+                      <span
+                        className={`flex-1 ${
+                          activeAlarms[r.id] ? "font-semibold text-red-700" : ""
+                        }`}
+                      >
+                        {alarmMessage(r)}
+                        {r.type !== "stale" && Number(r.hysteresis) > 0
+                          ? ` (±${r.hysteresis})`
+                          : ""}
+                      </span>
+                      <button
+                        onClick={() => removeAlarmRule(r.id)}
+                        className="rounded-lg border border-slate-300 px-2 py-0.5 text-xs hover:bg-slate-50"
+                      >
+                        Remove
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              <div className="mt-4 flex flex-wrap items-end gap-2 text-sm">
+                <select
+                  value={newRule.key}
+                  onChange={(e) => setNewRule({ ...newRule, key: e.target.value })}
+                  className="rounded-lg border border-slate-300 px-2 py-1"
+                >
+                  {sensorMap.map((m) => (
+                    <option key={m.key} value={m.key}>
+                      {m.label}
+                    </option>
+                  ))}
+                </select>
+                <select
+                  value={newRule.type}
+                  onChange={(e) => setNewRule({ ...newRule, type: e.target.value })}
+                  className="rounded-lg border border-slate-300 px-2 py-1"
+                >
+                  {ALARM_TYPES.map(([v, label]) => (
+                    <option key={v} value={v}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  value={newRule.threshold}
+                  onChange={(e) =>
+                    setNewRule({ ...newRule, threshold: e.target.value })
+                  }
+                  title="Threshold"
+                  className="w-24 rounded-lg border border-slate-300 px-2 py-1"
+                />
+                {newRule.type !== "stale" && (
+                  <input
+                    type="number"
+                    min="0"
+                    value={newRule.hysteresis}
+                    onChange={(e) =>
+                      setNewRule({ ...newRule, hysteresis: e.target.value })
+                    }
+                    title="Hysteresis"
+                    placeholder="Hysteresis"
+                    className="w-24 rounded-lg border border-slate-300 px-2 py-1"
+                  />
+                )}
+                <button
+                  onClick={() => {
+                    const threshold = Number(newRule.threshold);
+                    if (!Number.isFinite(threshold)) return;
+                    addAlarmRule({
+                      id: newRuleId(),
+                      key: newRule.key,
+                      type: newRule.type,
+                      threshold,
+                      hysteresis: Math.abs(Number(newRule.hysteresis) || 0),
+                      enabled: true,
+                    });
+                  }}
+                  className="rounded-lg bg-blue-600 px-3 py-1 text-white hover:bg-blue-500"
+                >
+                  Add rule
+                </button>
+                <button
+                  onClick={() => addAlarmRule(batteryRule(20))}
+                  className="rounded-lg border border-slate-300 px-3 py-1 hover:bg-slate-50"
+                >
+                  + Battery below 20%
+                </button>
+              </div>
+
+              <div className="mt-4 flex flex-wrap gap-4 text-sm text-slate-600">
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={alarmNotify}
+                    onChange={(e) => void toggleAlarmNotify(e.target.checked)}
+                  />
+                  Browser notification
+                </label>
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={alarmSound}
+                    onChange={(e) => setAlarmSound(e.target.checked)}
+                  />
+                  Sound
+                </label>
+              </div>
+            </div>
+
+            <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+              <div className="mb-2 flex items-center justify-between gap-2">
+                <div className="text-sm font-medium text-slate-700">
+                  Alarm History
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => exportAlarmHistoryCsv(alarmHistory, deviceId)}
+                    disabled={!alarmHistory.length}
+                    className="rounded-lg border border-slate-300 px-3 py-1 text-sm hover:bg-slate-50 disabled:opacity-50"
+                  >
+                    Export
+                  </button>
+                  <button
+                    onClick={() => {
+                      alarmHistoryRef.current = [];
+                      setAlarmHistory([]);
+                    }}
+                    className="rounded-lg border border-slate-300 px-3 py-1 text-sm hover:bg-slate-50"
+                  >
+                    Clear
+                  </button>
+                </div>
+              </div>
+              {alarmHistory.length === 0 ? (
+                <p className="text-sm text-slate-500">No alarms this session.</p>
+              ) : (
+                <ul className="max-h-[50vh] space-y-1 overflow-auto text-sm">
+                  {[...alarmHistory].reverse().map((e, i) => (
+                    <li
+                      key={`${e.t}-${e.ruleId}-${i}`}
+                      className={e.kind === "fire" ? "text-red-700" : "text-slate-500"}
+                    >
+                      {fmtTime(e.t)} · {e.kind === "fire" ? "FIRED" : "cleared"} ·{" "}
+                      {e.message}
+                      {e.value != null ? ` (${e.value})` : ""}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </section>
+        )}
+
+        {/* Sessions */}
+        {activeTab === "sessions" && (
+          <section className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+            <div className="mb-2 flex items-center justify-between gap-2">
+              <div className="text-sm font-medium text-slate-700">
+                Recorded Sessions
+              </div>
+              <button
+                onClick={() => void refreshSessions()}
+                className="rounded-lg border border-slate-300 px-3 py-1 text-sm hover:bg-slate-50"
+              >
+                Refresh
+              </button>
+            </div>
+            {!isSessionStoreAvailable() && (
+              <p className="text-sm text-red-600">
+                IndexedDB is not available in this browser; sessions are not
+                recorded.
+              </p>
+            )}
+            {sessionError && (
+              <p className="mb-2 text-sm text-red-600">⚠️ {sessionError}</p>
+            )}
+            {sessions.length === 0 ? (
+              <p className="text-sm text-slate-500">No sessions recorded yet.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-left text-sm">
+                  <thead className="text-xs uppercase text-slate-500">
+                    <tr>
+                      <th className="py-1 pr-3">Name</th>
+                      <th className="py-1 pr-3">Device</th>
+                      <th className="py-1 pr-3">Started</th>
+                      <th className="py-1 pr-3">Ended</th>
+                      <th className="py-1 pr-3">Readings</th>
+                      <th className="py-1" />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {sessions.map((s) => (
+                      <tr key={s.id} className="border-t border-slate-100">
+                        <td className="py-1 pr-3">{s.name}</td>
+                        <td className="py-1 pr-3">{s.deviceId || "—"}</td>
+                        <td className="py-1 pr-3">
+                          {new Date(s.startedAt).toLocaleString()}
+                        </td>
+                        <td className="py-1 pr-3">
+                          {s.endedAt
+                            ? new Date(s.endedAt).toLocaleString()
+                            : "recording…"}
+                        </td>
+                        <td className="py-1 pr-3">{s.readingCount}</td>
+                        <td className="flex flex-wrap justify-end gap-1 py-1">
+                          {[
+                            ["Open", () => reopenSession(s.id), isLinked],
+                            ["Rename", () => renameStoredSession(s)],
+                            ["CSV", () => exportStoredSession(s)],
+                            ["Log", () => exportStoredSessionLog(s)],
+                            [
+                              "Alarms",
+                              async () =>
+                                exportAlarmHistoryCsv(s.alarms || [], s.deviceId),
+                              !s.alarms?.length,
+                            ],
+                            [
+                              "Delete",
+                              () => deleteStoredSession(s),
+                              recorderRef.current?.id === s.id,
+                            ],
+                          ].map(([label, action, disabled]) => (
+                            <button
+                              key={label}
+                              onClick={() =>
+                                void action().catch((err) =>
+                                  setSessionError(err.message || String(err))
+                                )
+                              }
+                              disabled={!!disabled}
+                              className="rounded-lg border border-slate-300 px-2 py-0.5 text-xs hover:bg-slate-50 disabled:opacity-50"
+                            >
+                              {label}
+                            </button>
+                          ))}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
           </section>
         )}
 
@@ -930,9 +3258,22 @@ export default function PamWebSerialDashboard() {
           <section className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
             <div className="mb-2 flex flex-wrap items-center justify-between gap-2">
               <div className="text-sm font-medium text-slate-700">
-                Raw Serial Log
+                {logView === "terminal" ? "Terminal" : "Raw Serial Log"}
               </div>
               <div className="flex flex-wrap items-center gap-3">
+                {readStats && (
+                  <span
+                    className={`text-xs ${
+                      readStats.dropped ? "text-amber-700" : "text-slate-500"
+                    }`}
+                    title="Lines are decoded and parsed off the main thread when the browser allows it"
+                  >
+                    {readStats.worker ? "Worker" : "Main thread"} ·{" "}
+                    {readStats.received.toLocaleString()} lines ·{" "}
+                    {readStats.queued.toLocaleString()} queued ·{" "}
+                    {readStats.dropped.toLocaleString()} dropped
+                  </span>
+                )}
                 <label className="flex items-center gap-2 text-sm text-slate-600">
                   <input
                     type="checkbox"
@@ -941,15 +3282,52 @@ export default function PamWebSerialDashboard() {
                   />
                   Echo typed input in log
                 </label>
+                <label className="flex items-center gap-2 text-sm text-slate-600">
+                  View
+                  <select
+                    value={logView}
+                    onChange={(e) => setLogView(e.target.value)}
+                    className="rounded-lg border border-slate-300 px-2 py-1 text-sm"
+                  >
+                    <option value="log">Lines</option>
+                    <option value="terminal">Terminal</option>
+                  </select>
+                </label>
+                <label className="flex items-center gap-2 text-sm text-slate-600">
+                  Input
+                  <select
+                    value={inputMode}
+                    onChange={(e) => setInputMode(e.target.value)}
+                    title="Character: every key goes out as typed. Line: edit locally, Enter sends"
+                    className="rounded-lg border border-slate-300 px-2 py-1 text-sm"
+                  >
+                    <option value="char">Character</option>
+                    <option value="line">Line</option>
+                  </select>
+                </label>
                 <button
-                  onClick={() => setRawLog([])}
+                  onClick={() => {
+                    if (logView === "terminal") {
+                      terminalRef.current.reset();
+                      scheduleFlush("terminal");
+                      return;
+                    }
+                    logBufferRef.current.clear();
+                    setLogVersion(logBufferRef.current.version);
+                  }}
                   className="rounded-lg border border-slate-300 px-3 py-1 text-sm hover:bg-slate-50"
                 >
                   Clear
                 </button>
                 <button
                   onClick={() =>
-                    navigator.clipboard.writeText(rawLog.join("\n"))
+                    navigator.clipboard.writeText(
+                      logView === "terminal"
+                        ? terminalRef.current.text()
+                        : filteredLog.seqs
+                            .map((seq) => logBufferRef.current.text(seq))
+                            .join("\n")
+                    )
                   }
                   className="rounded-lg border border-slate-300 px-3 py-1 text-sm hover:bg-slate-50"
                 >
@@ -965,16 +3343,130 @@ export default function PamWebSerialDashboard() {
               </div>
             </div>
 
-            <pre
-              ref={logRef}
-              tabIndex={0}
-              onKeyDown={handleTerminalKey}
-              onPaste={handleTerminalPaste}
-              className="max-h-[50vh] overflow-auto whitespace-pre-wrap text-xs text-slate-700 outline-none focus:ring-2 focus:ring-blue-200 rounded-lg p-2"
-              title="Click here and type to send characters to the device"
-            >
-              {rawLog.join("\n")}
-            </pre>
+            {/* Command panel */}
+            <div className="mb-3 flex flex-wrap items-center gap-2 rounded-lg border border-slate-200 bg-slate-50 p-2">
+              {QUICK_COMMANDS.map((q) => (
+                <button
+                  key={q.cmd}
+                  onClick={() => void send(q.cmd)}
+                  disabled={!isConnected || sending}
+                  title={q.hint}
+                  className="rounded-lg border border-slate-300 bg-white px-3 py-1 text-sm hover:bg-slate-50 disabled:opacity-50"
+                >
+                  {q.label} <code className="text-slate-500">{q.cmd}</code>
+                </button>
+              ))}
+              <input
+                type="text"
+                placeholder="Command (↑/↓ for history)"
+                value={customCmd}
+                onChange={(e) => {
+                  historyIndexRef.current = -1;
+                  setCustomCmd(e.target.value);
+                }}
+                onKeyDown={handleCmdKey}
+                disabled={!isConnected}
+                className="min-w-[12rem] flex-1 rounded-lg border border-slate-300 px-3 py-1 text-sm disabled:opacity-50"
+              />
+              <button
+                onClick={() => void submitCustomCmd()}
+                disabled={!isConnected || sending || !customCmd.trim()}
+                className="rounded-lg bg-blue-600 px-3 py-1 text-sm text-white hover:bg-blue-500 disabled:opacity-50"
+              >
+                Send
+              </button>
+              <span className="text-xs text-slate-500">
+                {sending ? (
+                  <span className="inline-flex items-center gap-1">
+                    <span className="h-2 w-2 animate-pulse rounded-full bg-amber-500" />
+                    Sending…
+                  </span>
+                ) : (
+                  `newline: ${
+                    autoNewline === "none" ? "none" : JSON.stringify(autoNewline)
+                  }`
+                )}
+              </span>
+            </div>
+
+            {logView === "terminal" ? (
+              <TerminalView
+                screen={terminalRef.current}
+                version={terminalVersion}
+                showCursor={inputMode === "char"}
+                onKeyDown={handleTerminalKey}
+                onPaste={handleTerminalPaste}
+              />
+            ) : (
+              <>
+                <div className="mb-2 flex flex-wrap items-center gap-3 text-sm text-slate-600">
+                  <input
+                    type="search"
+                    aria-label="Search log"
+                    placeholder="Search (regex)"
+                    value={logSearch}
+                    onChange={(e) => setLogSearch(e.target.value)}
+                    className={`min-w-[12rem] rounded-lg border px-3 py-1 font-mono text-sm ${
+                      logSearchRe.error ? "border-red-400" : "border-slate-300"
+                    }`}
+                  />
+                  {LOG_DIRECTIONS.map(([dir, label, hint]) => (
+                    <label
+                      key={dir}
+                      title={hint}
+                      className="flex items-center gap-1"
+                    >
+                      <input
+                        type="checkbox"
+                        checked={logDirs[dir]}
+                        onChange={(e) =>
+                          setLogDirs((d) => ({ ...d, [dir]: e.target.checked }))
+                        }
+                      />
+                      {label}
+                    </label>
+                  ))}
+                  <select
+                    value={logKind}
+                    onChange={(e) => setLogKind(e.target.value)}
+                    aria-label="Line kind"
+                    className="rounded-lg border border-slate-300 px-2 py-1 text-sm"
+                  >
+                    <option value="all">All lines</option>
+                    <option value="data">Data rows</option>
+                    <option value="other">Other lines</option>
+                  </select>
+                  <span className="text-xs text-slate-500">
+                    {logSearchRe.error
+                      ? `Invalid pattern: ${logSearchRe.error}`
+                      : `${filteredLog.seqs.length.toLocaleString()} of ${logBufferRef.current.length.toLocaleString()} lines`}
+                  </span>
+                  <button
+                    onClick={() => exportRawLogCsv("csv")}
+                    disabled={!filteredLog.seqs.length}
+                    className="rounded-lg border border-slate-300 px-3 py-1 text-sm hover:bg-slate-50 disabled:opacity-50"
+                  >
+                    Save view (CSV)
+                  </button>
+                  <button
+                    onClick={() => exportRawLogCsv("text")}
+                    disabled={!filteredLog.seqs.length}
+                    className="rounded-lg border border-slate-300 px-3 py-1 text-sm hover:bg-slate-50 disabled:opacity-50"
+                  >
+                    Save view (text)
+                  </button>
+                </div>
+                <LogList
+                  buffer={logBufferRef.current}
+                  seqs={filteredLog.seqs}
+                  version={logVersion}
+                  search={logFilter.search}
+                  onKeyDown={handleTerminalKey}
+                  onPaste={handleTerminalPaste}
+                />
+              </>
+            )}
+            {inputMode === "line" && <LineInput edit={lineEdit} />}
           </section>
         )}
       </main>
@@ -982,14 +3474,114 @@ export default function PamWebSerialDashboard() {
       <footer className="mx-auto max-w-7xl px-4 pb-8 pt-4 text-center text-xs text-slate-500">
         <p>
           Tip: A new data line typically appears every 3–4 s (or ~12–15 s if NO₂
-          is present). Use the "Header" quick command to capture column labels
-          if they don’t appear automatically.
+          is present). Use the "Header" quick command on the Log tab to capture
+          column labels if they don’t appear automatically.
         </p>
       </footer>
     </div>
   );
 }
 
+// -----------------------------
+// Cards (module scope, so the 100 ms UI flushes don't remount them)
+// -----------------------------
+// qc: flag names of the latest value ([] = passed), or null if unchecked
+function StatCard({ title, value, unit, alarm, sub, qc }) {
+  return (
+    <div
+      className={`rounded-2xl border p-4 shadow-sm ${
+        alarm
+          ? "border-red-500 bg-red-50 ring-2 ring-red-300"
+          : qc?.length
+            ? "border-amber-400 bg-amber-50"
+            : "border-slate-200 bg-white"
+      }`}
+      title={alarm || undefined}
+    >
+      <div className="text-sm text-slate-500">{title}</div>
+      <div className="mt-1 text-2xl font-semibold text-slate-900">
+        {value ?? "—"}
+        {unit ? (
+          <span className="ml-1 align-middle text-base font-normal text-slate-500">
+            {unit}
+          </span>
+        ) : null}
+      </div>
+      {sub ? (
+        <div className="mt-0.5 text-xs text-slate-500">{sub}</div>
+      ) : null}
+      {qc ? (
+        <div
+          className={`mt-0.5 text-xs ${
+            qc.length ? "font-medium text-amber-700" : "text-emerald-700"
+          }`}
+        >
+          {qc.length ? `QC: ${qc.join(", ")}` : "QC ok"}
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+function AqiCard({ result, nowcast, onNowcastChange }) {
+  const cat = result?.category;
+  return (
+    <div className="md:col-span-2 lg:col-span-3 rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex items-center gap-4">
+          <div
+            className="flex h-16 w-16 items-center justify-center rounded-2xl text-2xl font-bold"
+            style={{
+              background: cat?.color || "#e2e8f0",
+              color: cat?.text || "#475569",
+            }}
+          >
+            {result ? result.aqi : "—"}
+          </div>
+          <div>
+            <div className="text-sm text-slate-500">US AQI</div>
+            <div className="text-lg font-semibold text-slate-900">
+              {cat ? cat.label : "No AQI pollutants yet"}
+            </div>
+            {result && (
+              <div className="text-sm text-slate-500">
+                Dominant: {AQI_POLLUTANTS[result.dominant].label}
+              </div>
+            )}
+          </div>
+        </div>
+        <label className="flex items-center gap-2 text-sm text-slate-600">
+          <input
+            type="checkbox"
+            checked={nowcast}
+            onChange={(e) => onNowcastChange(e.target.checked)}
+          />
+          NowCast for PM
+        </label>
+      </div>
+      {result && (
+        <div className="mt-3 flex flex-wrap gap-2">
+          {result.subIndices.map((s) => (
+            <div
+              key={s.key}
+              className="flex items-center gap-2 rounded-full border border-slate-200 px-3 py-1 text-sm"
+              title={`${s.concentration.toFixed(2)} ${s.unit} (${s.averaging})`}
+            >
+              <span
+                className="h-3 w-3 rounded-full"
+                style={{ background: s.category.color }}
+              />
+              <span className="text-slate-700">{s.label}</span>
+              <span className="font-semibold text-slate-900">{s.aqi}</span>
+              <span className="text-xs text-slate-500">{s.averaging}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
 // -----------------------------
 // Utilities
 // -----------------------------
@@ -1003,64 +3595,52 @@ function latestFind(header, latest, pattern) {
   return val;
 }
 
-// --- CSV helpers ---
-// ---- Local time helpers ----
-function pad2(n) {
-  return String(n).padStart(2, "0");
-}
-function pad3(n) {
-  return String(n).padStart(3, "0");
-}
-
-function tzOffsetString(d) {
-  // minutes *east* of UTC (positive = ahead)
-  const off = -d.getTimezoneOffset(); // JS gives minutes *west*, invert
-  const sign = off >= 0 ? "+" : "-";
-  const abs = Math.abs(off);
-  const hh = pad2(Math.floor(abs / 60));
-  const mm = pad2(abs % 60);
-  return `${sign}${hh}:${mm}`;
-}
-
-// For filenames (no colons), e.g. 2025-09-22T14-07-03-123
-function localStamp() {
-  const d = new Date();
-  return (
-    `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}` +
-    `T${pad2(d.getHours())}-${pad2(d.getMinutes())}-${pad2(
-      d.getSeconds()
-    )}-${pad3(d.getMilliseconds())}`
-  );
-}
-
-// For CSV cells (ISO-like local with offset), e.g. 2025-09-22T14:07:03.123-06:00
-function toLocalISO(ms) {
-  const d = new Date(ms);
-  return (
-    `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}` +
-    `T${pad2(d.getHours())}:${pad2(d.getMinutes())}:${pad2(
-      d.getSeconds()
-    )}.${pad3(d.getMilliseconds())}` +
-    tzOffsetString(d)
-  );
+// Short two-tone beep via Web Audio (no asset needed)
+let alarmAudioCtx = null;
+function playAlarmSound() {
+  try {
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    if (!Ctx) return;
+    if (!alarmAudioCtx) alarmAudioCtx = new Ctx();
+    const ctx = alarmAudioCtx;
+    [880, 660].forEach((freq, i) => {
+      const osc = ctx.createOscillator();
+      const gain = ctx.createGain();
+      osc.frequency.value = freq;
+      gain.gain.value = 0.15;
+      osc.connect(gain).connect(ctx.destination);
+      const start = ctx.currentTime + i * 0.25;
+      osc.start(start);
+      osc.stop(start + 0.2);
+    });
+  } catch {}
 }
 
-function csvCell(v) {
-  if (v == null) return "";
-  const s = String(v);
-  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
-function downloadCsv(filename, csvString) {
-  // Prepend UTF-8 BOM so Excel opens the file with the right encoding
-  const BOM = new Uint8Array([0xef, 0xbb, 0xbf]);
-  const blob = new Blob([BOM, csvString], { type: "text/csv;charset=utf-8" });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  a.href = url;
-  a.download = filename;
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
-  URL.revokeObjectURL(url);
+// Split a saved file into lines for replay. Raw-log exports (single "raw"
+// column) are unquoted back to the original device lines.
+// The dashboard's own log exports are unwrapped to what the device sent:
+// the Log tab's CSV / text (RX lines), a stored session's log ("time,raw";
+// commands sent, logged as "→ …", left out) and older "raw" CSVs
+function splitReplayLines(text) {
+  const lines = String(text)
+    .replace(/^\uFEFF/, "")
+    .split(/\r\n|[\r\n]/);
+  const first = lines[0]?.trim();
+  if (first === "time,raw") {
+    return lines
+      .slice(1)
+      .map((l) => parseCsvRow(l)[1] ?? "")
+      .filter((l) => !l.startsWith("→ "));
+  }
+  const received = receivedLines(lines);
+  if (received) return received;
+  if (first !== "raw") return lines;
+  return lines.slice(1).map((l) => {
+    const m = /^"(.*)"$/.exec(l);
+    return m ? m[1].replace(/""/g, '"') : l;
+  });
 }
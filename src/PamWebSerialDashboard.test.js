@@ -0,0 +1,483 @@
+import { act, fireEvent, render, screen, waitFor, within } from '@testing-library/react';
+import PamWebSerialDashboard from './PamWebSerialDashboard';
+import { createSimulatorBackend } from './serialBackends';
+import { simulatorHeader } from './simulatedPamPort';
+import { aqiFromConcentration } from './aqi';
+
+// Text of the log lines in view, one per line
+function logText() {
+  const log = screen.getByRole('log', { name: 'Serial log' });
+  return within(log)
+    .queryAllByTestId('log-text')
+    .map((n) => n.textContent)
+    .join('\n');
+}
+
+async function connectToSimulator(options) {
+  const sim = createSimulatorBackend({ cadenceMs: [10, 10], ...options });
+  const view = render(<PamWebSerialDashboard backends={[sim]} />);
+  fireEvent.click(screen.getByRole('button', { name: 'Connect' }));
+  await screen.findByRole('button', { name: 'Disconnect' });
+  return { sim, view };
+}
+
+// Saved files: what the dashboard hands to URL.createObjectURL, instead
+// of downloading it. text(i) reads the i-th one back
+const { createObjectURL, revokeObjectURL } = URL;
+
+function captureDownloads() {
+  const blobs = [];
+  URL.createObjectURL = jest.fn((blob) => {
+    blobs.push(blob);
+    return 'blob:pam';
+  });
+  URL.revokeObjectURL = jest.fn();
+  jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+  // The simulator keeps streaming, so the UI flushes while a blob is read
+  const text = (i) =>
+    act(
+      () =>
+        new Promise((resolve) => {
+          const reader = new FileReader();
+          reader.onload = () => resolve(reader.result);
+          reader.readAsText(blobs[i]);
+        })
+    );
+  return { text };
+}
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+afterEach(() => {
+  URL.createObjectURL = createObjectURL;
+  URL.revokeObjectURL = revokeObjectURL;
+  jest.restoreAllMocks();
+});
+
+test('connects to the simulator and parses header + data rows', async () => {
+  const { view } = await connectToSimulator();
+  // Device ID card fills in once a data row has been parsed
+  await waitFor(() => expect(document.body).toHaveTextContent('Device ID1042'));
+  expect(document.body).toHaveTextContent('PM2.5');
+  // Cards keep their DOM across UI flushes (new rows every 10 ms)
+  const title = screen.getByText('Device ID');
+  await act(() => new Promise((resolve) => setTimeout(resolve, 300)));
+  expect(title).toBeInTheDocument();
+  view.unmount();
+});
+
+test('falls back to the default header when none is printed', async () => {
+  const { view } = await connectToSimulator({ printHeader: false });
+  await waitFor(() => expect(document.body).toHaveTextContent('Device ID1042'));
+  view.unmount();
+});
+
+test('quick commands and the command box go through send()', async () => {
+  const { view } = await connectToSimulator();
+  fireEvent.click(screen.getByRole('button', { name: 'Log' }));
+
+  fireEvent.click(screen.getByRole('button', { name: /Menu/ }));
+  await waitFor(() => expect(logText()).toMatch(/PAM MENU/));
+  expect(logText()).toContain('→ "m\\r"');
+
+  const box = screen.getByPlaceholderText(/Command/);
+  fireEvent.change(box, { target: { value: 'x' } });
+  fireEvent.keyDown(box, { key: 'Enter' });
+  await waitFor(() => expect(logText()).toMatch(/Exiting menu/));
+
+  // History recall
+  fireEvent.keyDown(box, { key: 'ArrowUp' });
+  expect(box).toHaveValue('x');
+  view.unmount();
+});
+
+test('drops truncated rows and reports a lost connection', async () => {
+  const { sim, view } = await connectToSimulator({ cadenceMs: [60000, 60000] });
+  fireEvent.click(screen.getByRole('button', { name: 'Log' }));
+
+  act(() => {
+    sim.lastPort.injectFault('truncated');
+    sim.lastPort.tick();
+  });
+  fireEvent.click(screen.getByRole('button', { name: 'Quality' }));
+  await waitFor(() => expect(document.body).toHaveTextContent('Wrong number of cells: 1'));
+  expect(document.body).toHaveTextContent(/\(expected \d+, got \d+\)/);
+  expect(screen.getByText(/^1042,/, { selector: 'code' })).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Log' }));
+
+  act(() => sim.lastPort.injectFault('disconnect'));
+  await waitFor(() => expect(logText()).toMatch(/Read error/));
+  view.unmount();
+});
+
+test('reconnects after a dropped connection and marks the gap', async () => {
+  // From the start, so no real timer is left for a fake clearTimeout
+  jest.useFakeTimers();
+  const { sim, view } = await connectToSimulator({ cadenceMs: [60000, 60000] });
+  fireEvent.click(screen.getByRole('button', { name: 'Log' }));
+  act(() => sim.lastPort.tick());
+  await waitFor(() => expect(logText()).toMatch(/^1042,/m));
+
+  act(() => sim.lastPort.injectFault('disconnect'));
+  await waitFor(() => expect(document.body).toHaveTextContent('Reconnecting… (attempt 1)'));
+  await waitFor(() => expect(logText()).toMatch(/Connection lost — reconnecting/));
+
+  act(() => jest.advanceTimersByTime(1000));
+  await waitFor(() => expect(logText()).toMatch(/Reconnected/));
+  jest.useRealTimers();
+  expect(screen.getByRole('button', { name: 'Disconnect' })).toBeInTheDocument();
+  expect(document.body).not.toHaveTextContent('Reconnecting');
+  view.unmount();
+});
+
+test('stays disconnected when automatic reconnect is off', async () => {
+  localStorage.setItem('pam.autoReconnect', '0');
+  const { sim, view } = await connectToSimulator({ cadenceMs: [60000, 60000] });
+  fireEvent.click(screen.getByRole('button', { name: 'Log' }));
+  act(() => sim.lastPort.injectFault('disconnect'));
+  await waitFor(() => expect(logText()).toMatch(/Connection lost$/m));
+  expect(screen.getByRole('button', { name: 'Connect' })).toBeInTheDocument();
+  view.unmount();
+});
+
+test('runs a command script against the simulator', async () => {
+  const { view } = await connectToSimulator({ cadenceMs: [60000, 60000] });
+  fireEvent.click(screen.getByRole('button', { name: 'Scripts' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Run' }));
+  await screen.findByText('Script finished');
+  expect(document.body).toHaveTextContent('⇐ Exiting menu');
+  view.unmount();
+});
+
+test('warns about a drifted device clock and sets it from the host', async () => {
+  const { sim, view } = await connectToSimulator({ clockOffsetMs: 2 * 3600 * 1000 });
+  // Rows carry whole seconds, so the offset reads 1 h 59 min 59 s or 2 h
+  await screen.findByText(/Device clock is (2 h|1 h 59 min 59 s) ahead/);
+  // No built-in script: the example only matches the simulator's menu
+  const banner = screen.getByRole('status');
+  expect(within(banner).getByRole('button', { name: 'Set device clock' })).toBeDisabled();
+  fireEvent.click(screen.getByRole('button', { name: 'Settings' }));
+  expect(screen.getByLabelText('Clock-set script')).toHaveValue('');
+  fireEvent.click(screen.getByRole('button', { name: 'Load simulator example' }));
+
+  fireEvent.click(within(banner).getByRole('button', { name: 'Set device clock' }));
+  await waitFor(() => expect(sim.lastPort.clockOffsetMs).toBeLessThan(2000));
+  await waitFor(() => expect(screen.queryByText(/Device clock is/)).not.toBeInTheDocument());
+  view.unmount();
+});
+
+test('shows calibrated values for a device with a profile', async () => {
+  localStorage.setItem(
+    'pam.calibration',
+    JSON.stringify({ 1042: { deviceId: '1042', sensors: { PM2_5: { slope: 0, offset: 123.5 } } } })
+  );
+  const { view } = await connectToSimulator();
+  await waitFor(() => expect(document.body).toHaveTextContent(/PM2\.5123\.5.*corrected/));
+
+  fireEvent.change(screen.getByLabelText('Values'), { target: { value: 'both' } });
+  await waitFor(() => expect(document.body).toHaveTextContent(/corrected · raw \d/));
+
+  // Exported AQI comes from the corrected values, as on the AQI card
+  const downloads = captureDownloads();
+  fireEvent.click(screen.getByRole('checkbox', { name: 'Include AQI columns' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Save to CSV' }));
+  const csv = await downloads.text(0);
+  const [head, row] = csv.replace(/^\uFEFF/, '').split('\r\n');
+  const cell = (name) => row.split(',')[head.split(',').findIndex((h) => h.replace(/"/g, '') === name)];
+  expect(cell('AQI PM2.5')).toBe(String(aqiFromConcentration('PM2_5', 123.5)));
+  view.unmount();
+});
+
+test('shows values in the chosen display units', async () => {
+  localStorage.setItem('pam.units', JSON.stringify({ temperature: '°F', gas: 'ppb' }));
+  const { view } = await connectToSimulator();
+  // The simulator reports TEMP(C) around 22 °C and CO(PPM) below 20 ppm
+  await waitFor(() => expect(document.body).toHaveTextContent(/Temperature7\d(\.\d+)?°F/));
+  expect(document.body).toHaveTextContent(/CO\d+(\.\d+)?ppb/);
+  view.unmount();
+});
+
+test('pauses the graphs on a range and exports just that range', async () => {
+  // Charts have no size in jsdom
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  let clock = Date.parse('2026-01-01T10:00:00');
+  const { sim, view } = await connectToSimulator({ cadenceMs: [60000, 60000], now: () => clock });
+  const rows = () => document.body.textContent;
+  const tick = () =>
+    act(() => {
+      clock += 1000;
+      sim.lastPort.tick();
+    });
+
+  fireEvent.click(screen.getByRole('button', { name: 'Graphs' }));
+  await screen.findByText('Following new data');
+  tick();
+  tick();
+  tick();
+  await waitFor(() => expect(rows()).toMatch(/Temperature/));
+  // The graphs catch up on the next batched UI update
+  await waitFor(() => expect(screen.getByRole('button', { name: 'Pause' })).toBeEnabled());
+
+  // Overlay chips cycle off -> left -> right
+  fireEvent.click(screen.getByRole('button', { name: 'Relative Humidity' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Relative Humidity · L' }));
+  expect(screen.getByRole('button', { name: 'Relative Humidity · R' })).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Pause' }));
+  expect(screen.getByText('Paused')).toBeInTheDocument();
+  tick();
+  tick();
+  await act(() => new Promise((r) => setTimeout(r, 50)));
+
+  const downloads = captureDownloads();
+  fireEvent.click(screen.getByRole('button', { name: 'Save range to CSV' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Save to CSV' }));
+  const range = await downloads.text(0);
+  const all = await downloads.text(1);
+  // Header + the three rows received before pausing
+  expect(range.trim().split('\r\n')).toHaveLength(4);
+  expect(all.trim().split('\r\n')).toHaveLength(6);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Live' }));
+  expect(screen.getByText('Following new data')).toBeInTheDocument();
+  view.unmount();
+});
+
+test('summarizes the session and exports the report as JSON', async () => {
+  let clock = Date.parse('2026-01-01T10:00:00');
+  const { sim, view } = await connectToSimulator({ cadenceMs: [60000, 60000], now: () => clock });
+  const tick = () =>
+    act(() => {
+      clock += 1000;
+      sim.lastPort.tick();
+    });
+  for (let i = 0; i < 5; i++) tick();
+  await waitFor(() => expect(document.body).toHaveTextContent('Device ID1042'));
+
+  fireEvent.click(screen.getByRole('button', { name: 'Summary' }));
+  await waitFor(() => expect(document.body).toHaveTextContent(/5 rows, 4 s/));
+  expect(document.body).toHaveTextContent(/Battery:/);
+  fireEvent.change(screen.getByLabelText('PM2.5 threshold'), { target: { value: '-1' } });
+  expect(document.body).toHaveTextContent(/5 s \(100\.0%\)/);
+
+  const downloads = captureDownloads();
+  fireEvent.click(screen.getByRole('button', { name: 'Save JSON' }));
+  const report = JSON.parse(await downloads.text(0));
+  expect(report).toMatchObject({ deviceId: '1042', rows: 5, range: 'Whole session' });
+  expect(report.sensors.find((s) => s.key === 'PM2_5').threshold).toBe(-1);
+  expect(JSON.parse(localStorage.getItem('pam.summaryThresholds'))).toEqual({ PM2_5: '-1' });
+  view.unmount();
+});
+
+test('edits the sensor map in Settings and applies it to new rows', async () => {
+  const { sim, view } = await connectToSimulator({ cadenceMs: [60000, 60000] });
+  act(() => sim.lastPort.tick());
+  await waitFor(() => expect(document.body).toHaveTextContent(/Temperature\d/));
+
+  fireEvent.click(screen.getByRole('button', { name: 'Settings' }));
+  const match = screen.getByDisplayValue('TEMP\\b');
+  fireEvent.change(match, { target: { value: 'TEMP(' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Apply' }));
+  expect(document.body).toHaveTextContent('Sensor 9 (TEMP): match is not a valid regular expression');
+  expect(localStorage.getItem('pam.sensors')).toBeNull();
+
+  fireEvent.change(match, { target: { value: 'TEMP\\b' } });
+  fireEvent.change(screen.getByDisplayValue('Temperature'), { target: { value: 'Air temperature' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Apply' }));
+  expect(JSON.parse(localStorage.getItem('pam.sensors'))[8].label).toBe('Air temperature');
+  expect(document.body).toHaveTextContent('Sensor Map (custom)');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Latest' }));
+  act(() => sim.lastPort.tick());
+  await waitFor(() => expect(document.body).toHaveTextContent(/Air temperature\d/));
+  view.unmount();
+});
+
+test('starts a new header segment when the device prints a different header', async () => {
+  const { sim, view } = await connectToSimulator({ cadenceMs: [60000, 60000] });
+  act(() => sim.lastPort.tick());
+  await waitFor(() => expect(document.body).toHaveTextContent('Device ID1042'));
+
+  // As if the PAM came back with the NO₂ firmware
+  sim.lastPort.header = simulatorHeader({ withNo2: true });
+  fireEvent.click(screen.getByRole('button', { name: 'Log' }));
+  fireEvent.click(screen.getByRole('button', { name: /Header/ }));
+  await waitFor(() => expect(logText()).toMatch(/Header changed \(14 → 15 columns\) — new segment/));
+  act(() => sim.lastPort.tick());
+
+  fireEvent.click(screen.getByRole('button', { name: 'Quality' }));
+  await waitFor(() => expect(document.body).toHaveTextContent(/From [^·]* · 15 columns · printed by the device/));
+  expect(document.body).toHaveTextContent('Header segments (2)');
+  expect(document.body).toHaveTextContent('No rejected lines.');
+  view.unmount();
+});
+
+test('assumes a header profile when the device prints none', async () => {
+  const { sim, view } = await connectToSimulator({ cadenceMs: [60000, 60000], printHeader: false, withNo2: true });
+  fireEvent.click(screen.getByRole('button', { name: 'Log' }));
+  act(() => sim.lastPort.tick());
+  await waitFor(() => expect(logText()).toMatch(/Assumed the PAM with NO₂ header/));
+  fireEvent.click(screen.getByRole('button', { name: 'Latest' }));
+  await waitFor(() => expect(document.body).toHaveTextContent(/NO₂\d/));
+  view.unmount();
+});
+
+test('shows the terminal view and sends edited lines in line mode', async () => {
+  const { view } = await connectToSimulator({ cadenceMs: [60000, 60000] });
+  fireEvent.click(screen.getByRole('button', { name: 'Log' }));
+  fireEvent.change(screen.getByDisplayValue('Lines'), { target: { value: 'terminal' } });
+  fireEvent.change(screen.getByDisplayValue('Character'), { target: { value: 'line' } });
+  expect(localStorage.getItem('pam.logView')).toBe('terminal');
+
+  const term = screen.getByRole('log', { name: 'Terminal' });
+  for (const key of ['k', 'm', 'Backspace']) fireEvent.keyDown(term, { key });
+  expect(screen.getByTestId('line-input')).toHaveTextContent('› k');
+  fireEvent.keyDown(term, { key: 'Enter' });
+  await waitFor(() => expect(term).toHaveTextContent(/DeviceId,CO/));
+  // Local echo in the TX style, the reply as received
+  expect(within(term).getByText('k')).toHaveStyle({ fontStyle: 'italic' });
+
+  fireEvent.keyDown(term, { key: 'ArrowUp' });
+  expect(screen.getByTestId('line-input')).toHaveTextContent('› k');
+  fireEvent.change(screen.getByDisplayValue('Terminal'), { target: { value: 'log' } });
+  await waitFor(() => expect(logText()).toContain('→ "k\\r"'));
+  view.unmount();
+});
+
+test('filters and searches the log and exports the filtered view', async () => {
+  const { sim, view } = await connectToSimulator({ cadenceMs: [60000, 60000] });
+  act(() => sim.lastPort.tick());
+  act(() => sim.lastPort.tick());
+  fireEvent.click(screen.getByRole('button', { name: 'Log' }));
+  fireEvent.click(screen.getByRole('button', { name: /Menu/ }));
+  await waitFor(() => expect(logText()).toMatch(/PAM MENU/));
+
+  fireEvent.change(screen.getByLabelText('Line kind'), { target: { value: 'data' } });
+  expect(logText().split('\n')).toEqual([expect.stringMatching(/^1042,/), expect.stringMatching(/^1042,/)]);
+  fireEvent.change(screen.getByLabelText('Line kind'), { target: { value: 'all' } });
+  fireEvent.click(screen.getByRole('checkbox', { name: 'RX' }));
+  expect(logText()).toBe('→ "m\\r"');
+  fireEvent.click(screen.getByRole('checkbox', { name: 'RX' }));
+
+  fireEvent.change(screen.getByLabelText('Search log'), { target: { value: 'pam m' } });
+  expect(logText()).toBe('==== PAM MENU (simulated) ====');
+  expect(screen.getByText('PAM M', { selector: 'mark' })).toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText('Search log'), { target: { value: '(' } });
+  expect(document.body).toHaveTextContent(/Invalid pattern/);
+  fireEvent.change(screen.getByLabelText('Search log'), { target: { value: 'menu' } });
+
+  const downloads = captureDownloads();
+  fireEvent.click(screen.getByRole('button', { name: 'Save view (text)' }));
+  const text = await downloads.text(0);
+  expect(text.split('\r\n')).toEqual([expect.stringMatching(/\tRX\t.*PAM MENU/), expect.stringMatching(/\tRX\tx - exit menu/)]);
+  view.unmount();
+});
+
+test('records live rows to a picked folder and shows the progress in the header', async () => {
+  const files = {};
+  const memoryFile = (name) => ({
+    name,
+    content: '',
+    async getFile() {
+      return { size: this.content.length, slice: () => ({ text: async () => this.content }) };
+    },
+    async createWritable() {
+      let next = this.content;
+      return {
+        write: async ({ position, data }) => {
+          next = next.slice(0, position) + data;
+        },
+        close: async () => {
+          this.content = next;
+        },
+      };
+    },
+  });
+  window.showDirectoryPicker = jest.fn(async () => ({ name: 'runs', getFileHandle: async (name) => (files[name] = files[name] || memoryFile(name)) }));
+
+  const { sim, view } = await connectToSimulator({ cadenceMs: [60000, 60000] });
+  const dataLines = () => logText().match(/^1042,/gm)?.length || 0;
+  fireEvent.click(screen.getByRole('button', { name: 'Log' }));
+  act(() => sim.lastPort.tick());
+  await waitFor(() => expect(dataLines()).toBe(1));
+  fireEvent.click(screen.getByRole('button', { name: 'Settings' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Record to folder…' }));
+  await waitFor(() => expect(document.body).toHaveTextContent('⏺ runs · 0 B · not flushed yet'));
+  fireEvent.click(screen.getByRole('button', { name: 'Log' }));
+  act(() => sim.lastPort.tick());
+  act(() => sim.lastPort.tick());
+  await waitFor(() => expect(dataLines()).toBe(3));
+
+  fireEvent.click(screen.getByRole('button', { name: 'Settings' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Stop recording' }));
+  await waitFor(() => expect(document.body).toHaveTextContent(/Recorded in runs\/ pam_rows_\S+\.csv · \d+ B in 1 file/));
+  expect(document.body).not.toHaveTextContent('⏺');
+  const [rows] = Object.values(files);
+  const lines = rows.content.trim().split('\r\n');
+  expect(lines[0]).toBe(['Time', ...simulatorHeader()].join(','));
+  expect(lines.slice(1)).toEqual([expect.stringMatching(/^\d{4}-\d\d-\d\dT[^,]+,1042,/), expect.stringMatching(/,1042,/)]);
+  delete window.showDirectoryPicker;
+  view.unmount();
+});
+
+test('only evaluates alarms for live rows, not replayed files', async () => {
+  localStorage.setItem('pam.alarms', JSON.stringify([{ id: 'r1', key: 'PM2_5', type: 'above', threshold: 0, hysteresis: 0, enabled: true }]));
+  localStorage.setItem('pam.alarmNotify', '1');
+  window.Notification = jest.fn();
+  window.Notification.permission = 'granted';
+  const header = simulatorHeader();
+  const row = header.map((col) => ({ DeviceId: '1042', Date: '2026-01-01', Time: '10:00:00' }[col] || '5')).join(',');
+  const sim = createSimulatorBackend({ cadenceMs: [60000, 60000] });
+  const view = render(<PamWebSerialDashboard backends={[sim]} />);
+  fireEvent.click(screen.getByRole('button', { name: 'Log' }));
+
+  const file = { name: 'old.log', text: async () => `${header.join(',')}\n${row}\n${row}\n` };
+  fireEvent.change(screen.getByLabelText('Open file'), { target: { files: [file] } });
+  await waitFor(() => expect(logText()).toMatch(/Replay finished: old\.log/));
+  expect(logText().match(/^1042,/gm)).toHaveLength(2);
+  expect(logText()).not.toMatch(/Alarm/);
+  expect(window.Notification).not.toHaveBeenCalled();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Close file' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Connect' }));
+  await screen.findByRole('button', { name: 'Disconnect' });
+  act(() => sim.lastPort.tick());
+  await waitFor(() => expect(logText()).toMatch(/🚨 Alarm: PM2\.5 > 0/));
+  expect(window.Notification).toHaveBeenCalledWith('PAM alarm', expect.anything());
+  delete window.Notification;
+  view.unmount();
+});
+
+test('replays the log tab\'s own CSV export and a stored session log', async () => {
+  const { sim, view } = await connectToSimulator({ cadenceMs: [60000, 60000] });
+  act(() => sim.lastPort.tick());
+  act(() => sim.lastPort.tick());
+  fireEvent.click(screen.getByRole('button', { name: 'Log' }));
+  await waitFor(() => expect(logText().match(/^1042,/gm)).toHaveLength(2));
+
+  const downloads = captureDownloads();
+  fireEvent.click(screen.getByRole('button', { name: 'Save view (CSV)' }));
+  const csv = await downloads.text(0);
+  fireEvent.click(screen.getByRole('button', { name: 'Disconnect' }));
+  await screen.findByRole('button', { name: 'Connect' });
+
+  const replay = async (name, text) => {
+    fireEvent.change(screen.getByLabelText('Open file'), { target: { files: [{ name, text: async () => text }] } });
+    await waitFor(() => expect(logText()).toMatch(`Replay finished: ${name}`));
+    expect(logText().match(/^1042,/gm)).toHaveLength(2);
+    expect(logText()).not.toMatch(/^time,/m);
+    fireEvent.click(screen.getByRole('button', { name: 'Quality' }));
+    expect(document.body).toHaveTextContent('No rejected lines.');
+    fireEvent.click(screen.getByRole('button', { name: 'Close file' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Log' }));
+  };
+  await replay('log.csv', csv);
+
+  const header = simulatorHeader();
+  const row = header.map((col) => ({ DeviceId: '1042', Date: '2026-01-01', Time: '10:00:00' }[col] || '5')).join(',');
+  const t = '2026-01-01T10:00:00.000+00:00';
+  await replay('session_log.csv', ['time,raw', `${t},"${header.join(',')}"`, `${t},"→ ""k\\r"""`, `${t},"${row}"`, `${t},"${row}"`].join('\r\n'));
+  view.unmount();
+});
@@ -0,0 +1,218 @@
+import React, { useMemo } from "react";
+import { csvCell, downloadCsv, localStamp, toLocalISO } from "./csv";
+import { QC_FLAGS } from "./qc";
+
+/* =========================================================================
+   Quality tab — what the parser rejected and what QC flagged
+   - Rejected lines (newest first) with the reason, counted per reason
+   - Per-sensor counts of each QC flag over the stored history (./qc)
+   - Header segments: each header that was in effect, and from when
+   ======================================================================= */
+
+export const REJECT_REASONS = {
+  "length-mismatch": "Wrong number of cells",
+};
+
+const SEGMENT_SOURCES = {
+  detected: "printed by the device",
+  default: "assumed",
+  manual: "set by hand",
+};
+
+const SHOWN_LINES = 200;
+
+export default function QualityView({
+  rejected,
+  onClearRejected,
+  store,
+  version,
+  sensors,
+  segments,
+  filePrefix,
+}) {
+  const total = Object.values(rejected.counts).reduce((a, b) => a + b, 0);
+
+  // Flag counts per sensor key over every stored row
+  const flagCounts = useMemo(() => {
+    const out = {};
+    for (const { key } of sensors) {
+      const counts = {};
+      let any = 0;
+      for (let i = 0; i < store.length; i++) {
+        const mask = store.qcAt(key, i);
+        if (!mask) continue;
+        any++;
+        for (const [bit, name] of QC_FLAGS) {
+          if (mask & bit) counts[name] = (counts[name] || 0) + 1;
+        }
+      }
+      out[key] = { any, counts };
+    }
+    return out;
+    // version: the store mutates in place
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [store, version, sensors]);
+
+  function exportRejected() {
+    const rows = ["time,reason,expected,got,line"];
+    for (const r of rejected.lines) {
+      rows.push(
+        [toLocalISO(r.t), r.reason, r.expected, r.got, r.line]
+          .map(csvCell)
+          .join(",")
+      );
+    }
+    downloadCsv(
+      `${filePrefix}pam_rejected_${localStamp()}.csv`,
+      rows.join("\r\n")
+    );
+  }
+
+  const newest = rejected.lines.slice(-SHOWN_LINES).reverse();
+
+  return (
+    <section className="grid grid-cols-1 gap-6 lg:grid-cols-2">
+      <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+        <div className="mb-2 flex items-center justify-between gap-2">
+          <div className="text-sm font-medium text-slate-700">
+            Rejected lines{" "}
+            <span className="font-normal text-slate-500">({total})</span>
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={exportRejected}
+              disabled={!rejected.lines.length}
+              className="rounded-lg border border-slate-300 px-3 py-1 text-sm hover:bg-slate-50 disabled:opacity-50"
+            >
+              Save to CSV
+            </button>
+            <button
+              onClick={onClearRejected}
+              disabled={!total}
+              className="rounded-lg border border-slate-300 px-3 py-1 text-sm hover:bg-slate-50 disabled:opacity-50"
+            >
+              Clear
+            </button>
+          </div>
+        </div>
+        {total === 0 ? (
+          <p className="text-sm text-slate-500">No rejected lines.</p>
+        ) : (
+          <>
+            <ul className="mb-2 text-sm text-slate-600">
+              {Object.entries(rejected.counts).map(([reason, n]) => (
+                <li key={reason}>
+                  {REJECT_REASONS[reason] || reason}: {n}
+                </li>
+              ))}
+            </ul>
+            <ul className="max-h-96 space-y-1 overflow-auto text-xs">
+              {newest.map((r, i) => (
+                <li key={`${r.t}-${i}`} className="rounded bg-slate-50 p-1.5">
+                  <div className="text-slate-500">
+                    {new Date(r.t).toLocaleTimeString()} ·{" "}
+                    {REJECT_REASONS[r.reason] || r.reason}
+                    {r.expected != null
+                      ? ` (expected ${r.expected}, got ${r.got})`
+                      : ""}
+                  </div>
+                  <code className="break-all text-slate-800">{r.line}</code>
+                </li>
+              ))}
+            </ul>
+            {rejected.lines.length > SHOWN_LINES && (
+              <p className="mt-1 text-xs text-slate-500">
+                Showing the newest {SHOWN_LINES} of {rejected.lines.length}{" "}
+                kept.
+              </p>
+            )}
+          </>
+        )}
+      </div>
+
+      <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+        <div className="mb-2 text-sm font-medium text-slate-700">
+          Flagged readings{" "}
+          <span className="font-normal text-slate-500">
+            ({store.length} rows kept)
+          </span>
+        </div>
+        {!sensors.length ? (
+          <p className="text-sm text-slate-500">No data yet.</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead className="text-left text-slate-500">
+              <tr>
+                <th className="py-1 pr-3 font-medium">Sensor</th>
+                {QC_FLAGS.map(([, name, label]) => (
+                  <th
+                    key={name}
+                    title={label}
+                    className="px-2 text-right font-medium"
+                  >
+                    {name}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {sensors.map(({ key, label }) => {
+                const { any, counts } = flagCounts[key] || {};
+                return (
+                  <tr key={key} className="border-t border-slate-100">
+                    <td
+                      className={`py-1 pr-3 ${
+                        any ? "text-amber-700" : "text-slate-700"
+                      }`}
+                    >
+                      {label}
+                    </td>
+                    {QC_FLAGS.map(([, name]) => (
+                      <td key={name} className="px-2 text-right">
+                        {counts?.[name] || 0}
+                      </td>
+                    ))}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+        <p className="mt-2 text-xs text-slate-500">
+          Flags are written as a QC column after each sensor in CSV exports.
+        </p>
+      </div>
+
+      <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm lg:col-span-2">
+        <div className="mb-2 text-sm font-medium text-slate-700">
+          Header segments{" "}
+          <span className="font-normal text-slate-500">
+            ({segments.length})
+          </span>
+        </div>
+        {!segments.length ? (
+          <p className="text-sm text-slate-500">No header yet.</p>
+        ) : (
+          <ol className="space-y-1 text-xs">
+            {segments.map((g, i) => (
+              <li key={i} className="rounded bg-slate-50 p-1.5">
+                <div className="text-slate-500">
+                  {g.start != null
+                    ? `From ${new Date(g.start).toLocaleString()}`
+                    : "No rows yet"}{" "}
+                  · {g.header.length} columns ·{" "}
+                  {g.profile
+                    ? `${g.profile} profile`
+                    : SEGMENT_SOURCES[g.source] || g.source}
+                </div>
+                <code className="break-all text-slate-800">
+                  {g.header.join(",")}
+                </code>
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,250 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { describeStep, newScriptId, parseScript, runScript } from "./pamScript";
+
+/* =========================================================================
+   Script editor + runner
+   - Scripts are { id, name, text }; the dashboard persists them
+   - Runs step by step against the connected device, showing the line each
+     wait/assert matched; a timeout or failed assert aborts the run
+   ======================================================================= */
+
+const EXAMPLE = `# Print the CSV header from the menu
+send m
+wait /PAM MENU/ 3000
+send k
+wait /DeviceId/
+send x
+wait /Exiting menu/`;
+
+const STATUS_ICON = {
+  pending: "·",
+  running: "…",
+  ok: "✓",
+  failed: "✕",
+};
+
+export default function ScriptPanel({
+  scripts,
+  onScriptsChange,
+  send,
+  subscribe,
+  connected,
+  onLog,
+}) {
+  const [selectedId, setSelectedId] = useState(null); // null = unsaved draft
+  const [name, setName] = useState("");
+  const [text, setText] = useState(EXAMPLE);
+  const [run, setRun] = useState(null); // { steps, states, running, result }
+  const abortRef = useRef(null);
+
+  const parsed = useMemo(() => parseScript(text), [text]);
+  const selected = scripts.find((s) => s.id === selectedId) || null;
+  const dirty = !selected || selected.name !== name || selected.text !== text;
+
+  // Abort a running script if the panel goes away
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  function select(id) {
+    const s = scripts.find((x) => x.id === id);
+    setSelectedId(s ? s.id : null);
+    setName(s ? s.name : "");
+    setText(s ? s.text : EXAMPLE);
+    if (!run?.running) setRun(null);
+  }
+
+  function save() {
+    const trimmed = name.trim() || "Untitled script";
+    if (selected) {
+      onScriptsChange(
+        scripts.map((s) =>
+          s.id === selected.id ? { ...s, name: trimmed, text } : s
+        )
+      );
+    } else {
+      const id = newScriptId();
+      onScriptsChange([...scripts, { id, name: trimmed, text }]);
+      setSelectedId(id);
+    }
+    setName(trimmed);
+  }
+
+  function remove() {
+    if (!selected) return;
+    if (!window.confirm(`Delete script "${selected.name}"?`)) return;
+    onScriptsChange(scripts.filter((s) => s.id !== selected.id));
+    select(null);
+  }
+
+  async function start() {
+    if (!connected || run?.running || parsed.errors.length) return;
+    const { steps } = parsed;
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setRun({
+      steps,
+      states: steps.map(() => ({ status: "pending" })),
+      running: true,
+      result: null,
+    });
+    const label = name.trim() || "script";
+    onLog?.(`▶ Script "${label}" started`);
+    const result = await runScript(steps, {
+      send,
+      subscribe,
+      signal: controller.signal,
+      onStep: (i, state) =>
+        setRun((prev) => {
+          if (!prev) return prev;
+          const states = [...prev.states];
+          states[i] = state;
+          return { ...prev, states };
+        }),
+    });
+    abortRef.current = null;
+    setRun((prev) => prev && { ...prev, running: false, result });
+    onLog?.(
+      result.ok
+        ? `✓ Script "${label}" finished`
+        : `✕ Script "${label}" failed at line ${steps[result.step].line}: ${result.error}`
+    );
+  }
+
+  return (
+    <section className="grid grid-cols-1 gap-6 lg:grid-cols-2">
+      <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+        <div className="mb-2 flex items-center justify-between gap-2">
+          <div className="text-sm font-medium text-slate-700">Script</div>
+          <select
+            value={selectedId || ""}
+            onChange={(e) => select(e.target.value || null)}
+            className="rounded-lg border border-slate-300 px-2 py-1 text-sm"
+          >
+            <option value="">(new script)</option>
+            {scripts.map((s) => (
+              <option key={s.id} value={s.id}>
+                {s.name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <input
+          type="text"
+          placeholder="Script name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          className="mb-2 w-full rounded-lg border border-slate-300 px-3 py-1.5 text-sm"
+        />
+        <textarea
+          aria-label="Script"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          spellCheck={false}
+          rows={14}
+          className="w-full rounded-lg border border-slate-300 px-3 py-2 font-mono text-sm"
+        />
+        {parsed.errors.length > 0 && (
+          <ul className="mt-2 text-sm text-red-700">
+            {parsed.errors.map((e) => (
+              <li key={e.line}>
+                Line {e.line}: {e.message}
+              </li>
+            ))}
+          </ul>
+        )}
+        <div className="mt-3 flex flex-wrap gap-2">
+          <button
+            onClick={save}
+            disabled={!dirty}
+            className="rounded-lg border border-slate-300 px-3 py-1 text-sm hover:bg-slate-50 disabled:opacity-50"
+          >
+            Save
+          </button>
+          <button
+            onClick={remove}
+            disabled={!selected}
+            className="rounded-lg border border-slate-300 px-3 py-1 text-sm hover:bg-slate-50 disabled:opacity-50"
+          >
+            Delete
+          </button>
+          {run?.running ? (
+            <button
+              onClick={() => abortRef.current?.abort()}
+              className="rounded-lg bg-red-600 px-3 py-1 text-sm text-white hover:bg-red-500"
+            >
+              Abort
+            </button>
+          ) : (
+            <button
+              onClick={() => void start()}
+              disabled={!connected || !parsed.steps.length || parsed.errors.length > 0}
+              className="rounded-lg bg-blue-600 px-3 py-1 text-sm text-white hover:bg-blue-500 disabled:opacity-50"
+            >
+              Run
+            </button>
+          )}
+        </div>
+        <p className="mt-3 text-xs text-slate-500">
+          Steps: <code>send m</code>, <code>wait /regex/ 3000</code> (timeout
+          ms, default 5000), <code>delay 500</code>, <code>assert /OK/</code>{" "}
+          or <code>assert !/ERROR/</code> (lines since the last send).{" "}
+          <code>#</code> starts a comment.
+        </p>
+      </div>
+
+      <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+        <div className="mb-2 text-sm font-medium text-slate-700">Run</div>
+        {!run ? (
+          <p className="text-sm text-slate-500">
+            {connected
+              ? "Run the script to see each step here."
+              : "Connect a device to run scripts."}
+          </p>
+        ) : (
+          <>
+            <ol className="space-y-1 text-sm">
+              {run.steps.map((step, i) => {
+                const st = run.states[i];
+                return (
+                  <li
+                    key={i}
+                    className={`rounded-lg px-2 py-1 ${
+                      st.status === "failed"
+                        ? "bg-red-50 text-red-800"
+                        : st.status === "running"
+                        ? "bg-amber-50 text-amber-800"
+                        : st.status === "ok"
+                        ? "text-slate-800"
+                        : "text-slate-400"
+                    }`}
+                  >
+                    <span className="inline-block w-5 font-mono">
+                      {STATUS_ICON[st.status]}
+                    </span>
+                    <span className="font-mono">{describeStep(step)}</span>
+                    {st.matched != null && (
+                      <div className="ml-5 truncate font-mono text-xs text-slate-500">
+                        ⇐ {st.matched}
+                      </div>
+                    )}
+                    {st.detail && (
+                      <div className="ml-5 text-xs">{st.detail}</div>
+                    )}
+                  </li>
+                );
+              })}
+            </ol>
+            {run.result && (
+              <div
+                className={`mt-3 text-sm font-medium ${
+                  run.result.ok ? "text-green-700" : "text-red-700"
+                }`}
+              >
+                {run.result.ok ? "Script finished" : `Failed: ${run.result.error}`}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,300 @@
+import React, { useEffect, useRef, useState } from "react";
+import { downloadFile, localStamp } from "./csv";
+import {
+  isBuiltInSensorMap,
+  parseSensorDefinitionsFile,
+  sensorDefinitionsToFile,
+  validateSensorDefinitions,
+} from "./sensorDefinitions";
+
+/* =========================================================================
+   Sensor map editor (Settings)
+   - Rows are kept in a string draft; Apply validates the whole list
+     (./sensorDefinitions) and only then replaces the active map
+   - Row order is the order of cards, graphs and CSV columns
+   - Import replaces the draft (Apply to use it); Export writes what is
+     active
+   ======================================================================= */
+
+const BLANK_ROW = {
+  key: "",
+  match: "",
+  label: "",
+  unit: "",
+  chartable: true,
+  min: "",
+  max: "",
+};
+
+function toDraft(definitions) {
+  return definitions.map((d) => ({
+    key: d.key,
+    match: d.match,
+    label: d.label,
+    unit: d.unit,
+    chartable: d.chartable !== false,
+    min: d.range ? String(d.range.min) : "",
+    max: d.range ? String(d.range.max) : "",
+  }));
+}
+
+// Numbers stay strings when they don't parse, so validation names them
+const num = (s) => {
+  const v = s.trim();
+  return v !== "" && Number.isFinite(Number(v)) ? Number(v) : v;
+};
+
+function fromDraft(rows) {
+  return rows.map((r) => {
+    const def = {
+      key: r.key.trim(),
+      match: r.match.trim(),
+      label: r.label.trim(),
+      unit: r.unit.trim(),
+      chartable: r.chartable,
+    };
+    if (r.min.trim() || r.max.trim()) {
+      def.range = { min: num(r.min), max: num(r.max) };
+    }
+    return def;
+  });
+}
+
+// First header cell a draft row's pattern matches, for the preview column
+function matchedColumn(pattern, header) {
+  if (!header || !pattern.trim()) return "";
+  try {
+    const re = new RegExp(pattern.trim(), "i");
+    return header.find((h) => re.test(h)) || "";
+  } catch {
+    return "";
+  }
+}
+
+export default function SensorMapEditor({ definitions, onChange, header }) {
+  const [draft, setDraft] = useState(() => toDraft(definitions));
+  const [errors, setErrors] = useState([]);
+  const [message, setMessage] = useState("");
+  const fileRef = useRef(null);
+
+  // An applied (or restored) map replaces the draft
+  useEffect(() => {
+    setDraft(toDraft(definitions));
+  }, [definitions]);
+
+  function setRow(i, patch) {
+    setDraft((d) => d.map((r, j) => (j === i ? { ...r, ...patch } : r)));
+  }
+
+  function move(i, by) {
+    setDraft((d) => {
+      const next = [...d];
+      const [row] = next.splice(i, 1);
+      next.splice(i + by, 0, row);
+      return next;
+    });
+  }
+
+  function apply() {
+    const defs = fromDraft(draft);
+    const problems = validateSensorDefinitions(defs);
+    setErrors(problems);
+    if (problems.length) {
+      setMessage("");
+      return;
+    }
+    onChange(isBuiltInSensorMap(defs) ? null : defs);
+    setMessage(`Applied ${defs.length} sensor definitions`);
+  }
+
+  function restoreBuiltIn() {
+    if (!window.confirm("Replace the sensor map with the built-in one?")) {
+      return;
+    }
+    onChange(null);
+    setErrors([]);
+    setMessage("Restored the built-in sensor map");
+  }
+
+  async function importFile(file) {
+    if (!file) return;
+    try {
+      const defs = parseSensorDefinitionsFile(await file.text());
+      setDraft(toDraft(defs));
+      setErrors([]);
+      setMessage(`Imported ${defs.length} sensor definitions — Apply to use`);
+    } catch (err) {
+      setErrors([err.message]);
+      setMessage("");
+    } finally {
+      if (fileRef.current) fileRef.current.value = "";
+    }
+  }
+
+  function exportFile() {
+    downloadFile(
+      `pam_sensors_${localStamp()}.json`,
+      sensorDefinitionsToFile(definitions),
+      "application/json"
+    );
+  }
+
+  const builtIn = isBuiltInSensorMap(definitions);
+  const field = (i, name, width, placeholder) => (
+    <input
+      type="text"
+      aria-label={`Sensor ${i + 1} ${name}`}
+      placeholder={placeholder}
+      value={draft[i][name]}
+      onChange={(e) => setRow(i, { [name]: e.target.value })}
+      className={`${width} rounded border border-slate-300 px-1.5 py-0.5`}
+    />
+  );
+
+  return (
+    <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm lg:col-span-3">
+      <div className="mb-2 flex flex-wrap items-center justify-between gap-2">
+        <div className="text-sm font-medium text-slate-700">
+          Sensor Map{" "}
+          <span className="font-normal text-slate-500">
+            ({builtIn ? "built-in" : "custom"})
+          </span>
+        </div>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <label className="cursor-pointer rounded-lg border border-slate-300 px-3 py-1 hover:bg-slate-50">
+            Import JSON
+            <input
+              ref={fileRef}
+              type="file"
+              accept=".json,application/json"
+              onChange={(e) => void importFile(e.target.files?.[0])}
+              className="hidden"
+            />
+          </label>
+          <button
+            onClick={exportFile}
+            className="rounded-lg border border-slate-300 px-3 py-1 hover:bg-slate-50"
+          >
+            Export JSON
+          </button>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-left text-sm">
+          <thead className="text-xs text-slate-500">
+            <tr>
+              <th className="py-1 pr-2">Header match (regex)</th>
+              <th className="py-1 pr-2">Key</th>
+              <th className="py-1 pr-2">Label</th>
+              <th className="py-1 pr-2">Unit</th>
+              <th className="py-1 pr-2">Graph</th>
+              <th className="py-1 pr-2">Valid range</th>
+              <th className="py-1 pr-2">Column</th>
+              <th className="py-1" />
+            </tr>
+          </thead>
+          <tbody>
+            {draft.map((r, i) => (
+              <tr key={i} className="border-t border-slate-100">
+                <td className="py-1 pr-2">
+                  {field(i, "match", "w-40 font-mono")}
+                </td>
+                <td className="py-1 pr-2">{field(i, "key", "w-20")}</td>
+                <td className="py-1 pr-2">{field(i, "label", "w-36")}</td>
+                <td className="py-1 pr-2">{field(i, "unit", "w-16")}</td>
+                <td className="py-1 pr-2">
+                  <input
+                    type="checkbox"
+                    aria-label={`Sensor ${i + 1} chartable`}
+                    checked={r.chartable}
+                    onChange={(e) => setRow(i, { chartable: e.target.checked })}
+                  />
+                </td>
+                <td className="whitespace-nowrap py-1 pr-2">
+                  {field(i, "min", "w-16", "min")} …{" "}
+                  {field(i, "max", "w-16", "max")}
+                </td>
+                <td className="py-1 pr-2 text-xs text-slate-500">
+                  {matchedColumn(r.match, header)}
+                </td>
+                <td className="whitespace-nowrap py-1">
+                  <button
+                    onClick={() => move(i, -1)}
+                    disabled={i === 0}
+                    title="Move up"
+                    className="rounded border border-slate-300 px-1.5 text-xs hover:bg-slate-50 disabled:opacity-40"
+                  >
+                    ↑
+                  </button>{" "}
+                  <button
+                    onClick={() => move(i, 1)}
+                    disabled={i === draft.length - 1}
+                    title="Move down"
+                    className="rounded border border-slate-300 px-1.5 text-xs hover:bg-slate-50 disabled:opacity-40"
+                  >
+                    ↓
+                  </button>{" "}
+                  <button
+                    onClick={() => setDraft((d) => d.filter((_, j) => j !== i))}
+                    className="rounded border border-slate-300 px-1.5 text-xs hover:bg-slate-50"
+                  >
+                    Remove
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {errors.length > 0 && (
+        <ul className="mt-2 list-disc pl-5 text-sm text-red-700">
+          {errors.map((e, i) => (
+            <li key={i}>{e}</li>
+          ))}
+        </ul>
+      )}
+
+      <div className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+        <button
+          onClick={() => setDraft((d) => [...d, { ...BLANK_ROW }])}
+          className="rounded-lg border border-slate-300 px-3 py-1 hover:bg-slate-50"
+        >
+          Add sensor
+        </button>
+        <button
+          onClick={apply}
+          className="rounded-lg bg-blue-600 px-3 py-1 text-white hover:bg-blue-500"
+        >
+          Apply
+        </button>
+        <button
+          onClick={() => {
+            setDraft(toDraft(definitions));
+            setErrors([]);
+            setMessage("");
+          }}
+          className="rounded-lg border border-slate-300 px-3 py-1 hover:bg-slate-50"
+        >
+          Revert
+        </button>
+        <button
+          onClick={restoreBuiltIn}
+          disabled={builtIn}
+          className="rounded-lg border border-slate-300 px-3 py-1 hover:bg-slate-50 disabled:opacity-50"
+        >
+          Restore built-in
+        </button>
+        {message && <span className="text-slate-600">{message}</span>}
+      </div>
+
+      <p className="mt-3 text-xs text-slate-500">
+        Each pattern is tested (ignoring case) against the header cells; the
+        unit in the cell's brackets wins over the one here. Values outside the
+        valid range are flagged on the Quality tab. Keys tie a sensor to its
+        calibration, alarms and AQI, so renaming one starts it afresh.
+      </p>
+    </div>
+  );
+}
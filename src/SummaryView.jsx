@@ -0,0 +1,340 @@
+import React, { useMemo, useState } from "react";
+import { downloadFile, localStamp, toLocalISO } from "./csv";
+import { summarizeSeries } from "./sessionStats";
+import {
+  formatDuration,
+  formatPercent,
+  sparklinePath,
+  summaryToHtml,
+  summaryToJson,
+} from "./summaryReport";
+
+/* =========================================================================
+   Summary tab — session statistics over the whole history, the graph
+   selection or a custom time range (see ./sessionStats)
+   - Computed when the tab opens and on Refresh, not on every flush: a
+     day of rows takes a noticeable moment to sort
+   - Thresholds are in display units, per sensor key
+   - Exports the report as self-contained HTML or JSON (./summaryReport)
+   ======================================================================= */
+
+const RANGE_MODES = [
+  ["all", "Whole session"],
+  ["graph", "Graph selection"],
+  ["custom", "Custom"],
+];
+
+// datetime-local value <-> ms
+function parseLocal(s) {
+  const t = new Date(s).getTime();
+  return Number.isFinite(t) ? t : null;
+}
+function toInputValue(ms) {
+  return ms == null ? "" : toLocalISO(ms).slice(0, 19);
+}
+
+function Sparkline({ chart }) {
+  const d = sparklinePath(chart, 160, 32);
+  if (!d) return null;
+  return (
+    <svg width={160} height={32} viewBox="0 0 160 32" className="inline-block">
+      <path d={d} fill="none" stroke="#0f172a" strokeWidth={1.2} />
+    </svg>
+  );
+}
+
+export default function SummaryView({
+  store,
+  sensors,
+  valueAt,
+  viewLabel,
+  viewSelect,
+  graphRange,
+  thresholds,
+  onThresholdsChange,
+  deviceId,
+  filePrefix,
+}) {
+  const [rangeMode, setRangeMode] = useState("all");
+  const [customStart, setCustomStart] = useState("");
+  const [customEnd, setCustomEnd] = useState("");
+  const [intervalSec, setIntervalSec] = useState("");
+  const [epoch, setEpoch] = useState(0);
+
+  const range = useMemo(() => {
+    if (rangeMode === "graph") return graphRange;
+    if (rangeMode === "custom") {
+      const start = parseLocal(customStart) ?? -Infinity;
+      const end = parseLocal(customEnd) ?? Infinity;
+      return { start, end };
+    }
+    return null;
+  }, [rangeMode, graphRange, customStart, customEnd]);
+
+  const rangeLabel = useMemo(() => {
+    if (!range) return "Whole session";
+    const when = (t) => (Number.isFinite(t) ? toLocalISO(t) : "…");
+    return `${when(range.start)} – ${when(range.end)}`;
+  }, [range]);
+
+  const summary = useMemo(
+    () =>
+      summarizeSeries(store, {
+        sensors: sensors.map((s) => {
+          const th = Number(thresholds[s.key]);
+          const set = String(thresholds[s.key] ?? "").trim() !== "";
+          return { ...s, threshold: set && Number.isFinite(th) ? th : null };
+        }),
+        range,
+        valueAt,
+        intervalMs: Number(intervalSec) > 0 ? Number(intervalSec) * 1000 : null,
+      }),
+    // epoch: recompute on Refresh (the store mutates in place)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [store, sensors, valueAt, range, thresholds, intervalSec, epoch]
+  );
+
+  function exportReport(format) {
+    const meta = {
+      title: `PAM session summary${deviceId ? ` — ${deviceId}` : ""}`,
+      deviceId,
+      range: rangeLabel,
+      view: viewLabel,
+    };
+    const name = `${filePrefix}pam_summary_${localStamp()}`;
+    if (format === "html") {
+      downloadFile(`${name}.html`, summaryToHtml(summary, meta), "text/html");
+    } else {
+      downloadFile(
+        `${name}.json`,
+        JSON.stringify(summaryToJson(summary, meta), null, 2),
+        "application/json"
+      );
+    }
+  }
+
+  const cell = (v) => (v == null ? "—" : v);
+
+  return (
+    <section className="space-y-4">
+      <div className="flex flex-wrap items-center gap-3 rounded-2xl border border-slate-200 bg-white p-4 text-sm shadow-sm">
+        <label className="text-slate-600" htmlFor="summary-range">
+          Range:
+        </label>
+        <select
+          id="summary-range"
+          value={rangeMode}
+          onChange={(e) => setRangeMode(e.target.value)}
+          className="rounded-lg border border-slate-300 px-2 py-1"
+        >
+          {RANGE_MODES.map(([mode, label]) => (
+            <option
+              key={mode}
+              value={mode}
+              disabled={mode === "graph" && !graphRange}
+            >
+              {label}
+            </option>
+          ))}
+        </select>
+        {rangeMode === "custom" && (
+          <>
+            <input
+              type="datetime-local"
+              step={1}
+              aria-label="From"
+              value={customStart}
+              onChange={(e) => setCustomStart(e.target.value)}
+              className="rounded-lg border border-slate-300 px-2 py-1"
+            />
+            <span className="text-slate-500">to</span>
+            <input
+              type="datetime-local"
+              step={1}
+              aria-label="To"
+              value={customEnd}
+              onChange={(e) => setCustomEnd(e.target.value)}
+              className="rounded-lg border border-slate-300 px-2 py-1"
+            />
+            <button
+              onClick={() => {
+                setCustomStart(toInputValue(store.firstTime()));
+                setCustomEnd(toInputValue(store.lastTime()));
+              }}
+              className="rounded-lg border border-slate-300 px-2 py-1 hover:bg-slate-50"
+            >
+              Fill
+            </button>
+          </>
+        )}
+        <label className="text-slate-600" htmlFor="summary-interval">
+          Sample interval (s):
+        </label>
+        <input
+          id="summary-interval"
+          type="number"
+          min={0}
+          step="any"
+          value={intervalSec}
+          placeholder={
+            summary.intervalMs != null
+              ? `auto (${+(summary.intervalMs / 1000).toFixed(2)})`
+              : "auto"
+          }
+          onChange={(e) => setIntervalSec(e.target.value)}
+          className="w-32 rounded-lg border border-slate-300 px-2 py-1"
+        />
+        <div className="ml-auto flex items-center gap-2">
+          {viewSelect}
+          <button
+            onClick={() => setEpoch((n) => n + 1)}
+            className="rounded-lg border border-slate-300 px-3 py-1 hover:bg-slate-50"
+          >
+            Refresh
+          </button>
+          <button
+            onClick={() => exportReport("html")}
+            disabled={!summary.rows}
+            className="rounded-lg border border-slate-300 px-3 py-1 hover:bg-slate-50 disabled:opacity-50"
+          >
+            Save HTML
+          </button>
+          <button
+            onClick={() => exportReport("json")}
+            disabled={!summary.rows}
+            className="rounded-lg border border-slate-300 px-3 py-1 hover:bg-slate-50 disabled:opacity-50"
+          >
+            Save JSON
+          </button>
+        </div>
+      </div>
+
+      <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+        <div className="mb-2 text-sm font-medium text-slate-700">
+          Sensors{" "}
+          <span className="font-normal text-slate-500">
+            {summary.rows
+              ? `${summary.rows} rows, ${formatDuration(
+                  summary.durationMs
+                )} · ${viewLabel}`
+              : "no data in this range"}
+          </span>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="text-left text-slate-500">
+              <tr>
+                <th className="py-1 pr-3 font-medium">Sensor</th>
+                <th className="px-2 text-right font-medium">Min</th>
+                <th className="px-2 text-right font-medium">Max</th>
+                <th className="px-2 text-right font-medium">Mean</th>
+                <th className="px-2 text-right font-medium">Median</th>
+                <th className="px-2 text-right font-medium">P95</th>
+                <th className="px-2 text-right font-medium">Complete</th>
+                <th className="px-2 font-medium">Threshold</th>
+                <th className="px-2 text-right font-medium">Time above</th>
+                <th className="px-2 font-medium" />
+              </tr>
+            </thead>
+            <tbody>
+              {summary.sensors.map((s) => (
+                <tr key={s.key} className="border-t border-slate-100">
+                  <td className="py-1 pr-3 text-slate-700">
+                    {s.label}
+                    {s.unit && (
+                      <span className="text-slate-400"> ({s.unit})</span>
+                    )}
+                  </td>
+                  <td className="px-2 text-right">{cell(s.min)}</td>
+                  <td className="px-2 text-right">{cell(s.max)}</td>
+                  <td className="px-2 text-right">{cell(s.mean)}</td>
+                  <td className="px-2 text-right">{cell(s.median)}</td>
+                  <td className="px-2 text-right">{cell(s.p95)}</td>
+                  <td className="px-2 text-right">
+                    {formatPercent(s.completeness)}
+                  </td>
+                  <td className="px-2">
+                    <input
+                      type="number"
+                      step="any"
+                      aria-label={`${s.label} threshold`}
+                      value={thresholds[s.key] ?? ""}
+                      onChange={(e) =>
+                        onThresholdsChange({
+                          ...thresholds,
+                          [s.key]: e.target.value,
+                        })
+                      }
+                      className="w-24 rounded border border-slate-300 px-1 py-0.5"
+                    />
+                  </td>
+                  <td className="px-2 text-right">
+                    {s.aboveMs == null
+                      ? "—"
+                      : `${formatDuration(s.aboveMs)} (${formatPercent(
+                          s.aboveFraction
+                        )})`}
+                  </td>
+                  <td className="px-2">
+                    <Sparkline chart={s.chart} />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 gap-4 lg:grid-cols-2">
+        <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+          <div className="mb-2 text-sm font-medium text-slate-700">
+            Gaps{" "}
+            <span className="font-normal text-slate-500">
+              (longer than the {formatDuration(summary.intervalMs)} sample
+              interval)
+            </span>
+          </div>
+          {summary.gaps.length === 0 ? (
+            <p className="text-sm text-slate-500">None.</p>
+          ) : (
+            <ul className="max-h-64 space-y-1 overflow-auto text-sm">
+              {summary.gaps.map((g) => (
+                <li key={g.start} className="flex justify-between gap-2">
+                  <span className="text-slate-700">
+                    {new Date(g.start).toLocaleString()} →{" "}
+                    {new Date(g.end).toLocaleTimeString()}
+                  </span>
+                  <span className="text-slate-500">
+                    {formatDuration(g.durationMs)}
+                    {g.connection ? " · connection lost" : ""}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+        <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+          <div className="mb-2 text-sm font-medium text-slate-700">
+            Battery / cell strength
+          </div>
+          {summary.trends.length === 0 ? (
+            <p className="text-sm text-slate-500">
+              No battery or cell-strength column in this data.
+            </p>
+          ) : (
+            <ul className="space-y-1 text-sm">
+              {summary.trends.map((t) => (
+                <li key={t.key} className="text-slate-700">
+                  {t.label}: {cell(t.first)} → {cell(t.last)} {t.unit}{" "}
+                  <span className="text-slate-500">
+                    (min {cell(t.min)}, {cell(t.slopePerHour)} {t.unit}/h)
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,180 @@
+import React, { useEffect, useRef } from "react";
+import { lineRuns } from "./terminal";
+
+/* =========================================================================
+   Terminal pane (Log tab, terminal view)
+   - Draws a ./terminal TerminalScreen: ANSI colours, bold / underline /
+     inverse, the cursor, and local echo (TX) in its own colour
+   - The screen mutates in place; `version` tells React it changed
+   - Follows new output unless scrolled up
+   - LineInput: the line being edited in line input mode
+   ======================================================================= */
+
+// xterm's 16 colours, then the 6×6×6 cube and the grey ramp
+const BASE_COLORS = [
+  "#000000",
+  "#cd3131",
+  "#0dbc79",
+  "#e5e510",
+  "#2472c8",
+  "#bc3fbc",
+  "#11a8cd",
+  "#e5e5e5",
+  "#666666",
+  "#f14c4c",
+  "#23d18b",
+  "#f5f543",
+  "#3b8eea",
+  "#d670d6",
+  "#29b8db",
+  "#ffffff",
+];
+const CUBE = [0, 95, 135, 175, 215, 255];
+
+function paletteColor(n) {
+  if (n < 16) return BASE_COLORS[n];
+  if (n < 232) {
+    const i = n - 16;
+    const [r, g, b] = [Math.floor(i / 36), Math.floor(i / 6) % 6, i % 6];
+    return `rgb(${CUBE[r]},${CUBE[g]},${CUBE[b]})`;
+  }
+  const v = 8 + (n - 232) * 10;
+  return `rgb(${v},${v},${v})`;
+}
+
+const DEFAULT_FG = "#e2e8f0"; // slate-200
+const DEFAULT_BG = "#0f172a"; // slate-900
+const TX_FG = "#7dd3fc"; // sky-300
+
+function cssFor(style) {
+  const color = (c) => (typeof c === "number" ? paletteColor(c) : c);
+  let fg = style.tx ? TX_FG : color(style.fg) || DEFAULT_FG;
+  let bg = color(style.bg);
+  if (style.inverse) [fg, bg] = [bg || DEFAULT_BG, fg];
+  const css = { color: fg };
+  if (bg) css.backgroundColor = bg;
+  if (style.bold) css.fontWeight = 600;
+  if (style.underline) css.textDecoration = "underline";
+  if (style.tx) css.fontStyle = "italic";
+  return css;
+}
+
+const CURSOR_PAD_STYLE = Object.freeze({});
+
+// A line's runs, with the cursor cell split out when it's on this line
+function Line({ line, cursor }) {
+  if (!line.length && cursor == null) return " "; // keeps its height
+  const cells =
+    cursor == null || cursor < line.length
+      ? line
+      : [...line, ...Array(cursor - line.length + 1).fill(null)];
+  const runs = lineRuns(
+    cells.map((c) => c || { ch: " ", style: CURSOR_PAD_STYLE })
+  );
+  if (cursor == null) {
+    return runs.map((r, i) => (
+      <span key={i} style={cssFor(r.style)}>
+        {r.text}
+      </span>
+    ));
+  }
+  const out = [];
+  let col = 0;
+  runs.forEach((r, i) => {
+    const end = col + r.text.length;
+    if (cursor >= col && cursor < end) {
+      const at = cursor - col;
+      const css = cssFor(r.style);
+      if (at) {
+        out.push(
+          <span key={`${i}a`} style={css}>
+            {r.text.slice(0, at)}
+          </span>
+        );
+      }
+      out.push(
+        <span key={`${i}c`} data-cursor className="bg-slate-200 text-slate-900">
+          {r.text[at]}
+        </span>
+      );
+      if (at + 1 < r.text.length) {
+        out.push(
+          <span key={`${i}b`} style={css}>
+            {r.text.slice(at + 1)}
+          </span>
+        );
+      }
+    } else {
+      out.push(
+        <span key={i} style={cssFor(r.style)}>
+          {r.text}
+        </span>
+      );
+    }
+    col = end;
+  });
+  return out;
+}
+
+export default function TerminalView({
+  screen,
+  version,
+  showCursor,
+  onKeyDown,
+  onPaste,
+}) {
+  const paneRef = useRef(null);
+  const followRef = useRef(true);
+
+  // version: the screen mutates in place
+  useEffect(() => {
+    const el = paneRef.current;
+    if (el && followRef.current) el.scrollTop = el.scrollHeight;
+  }, [screen, version]);
+
+  return (
+    <pre
+      ref={paneRef}
+      tabIndex={0}
+      role="log"
+      aria-label="Terminal"
+      onKeyDown={onKeyDown}
+      onPaste={onPaste}
+      onScroll={(e) => {
+        const el = e.currentTarget;
+        followRef.current =
+          el.scrollHeight - el.scrollTop - el.clientHeight < 4;
+      }}
+      style={{ backgroundColor: DEFAULT_BG, color: DEFAULT_FG }}
+      className="h-[50vh] overflow-auto whitespace-pre rounded-lg p-2 font-mono text-xs leading-snug outline-none focus:ring-2 focus:ring-blue-300"
+      title="Click here and type to send to the device"
+    >
+      {screen.lines.map((line, i) => (
+        <div key={i}>
+          <Line
+            line={line}
+            cursor={showCursor && i === screen.row ? screen.col : null}
+          />
+        </div>
+      ))}
+    </pre>
+  );
+}
+
+/** @param {{ edit: { text: string, cursor: number } }} props */
+export function LineInput({ edit }) {
+  return (
+    <div
+      data-testid="line-input"
+      title="Line mode: edit here, Enter sends, ↑/↓ recall, Esc clears"
+      className="mt-2 whitespace-pre rounded-lg border border-slate-300 bg-white px-2 py-1 font-mono text-xs text-slate-800"
+    >
+      <span className="text-slate-400">› </span>
+      {edit.text.slice(0, edit.cursor)}
+      <span className="bg-slate-800 text-white">
+        {edit.text[edit.cursor] || " "}
+      </span>
+      {edit.text.slice(edit.cursor + 1)}
+    </div>
+  );
+}
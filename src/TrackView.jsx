@@ -0,0 +1,211 @@
+import React, { useMemo, useState } from "react";
+import { fitTrack, rampColor } from "./geo";
+
+/* =========================================================================
+   GPS track view — offline SVG plot
+   - Web Mercator projection of the position history, fit to the view
+   - Points colored by a selectable sensor (green = low, red = high)
+   - Optional user-supplied XYZ tiles ({z}/{x}/{y}), e.g. a local tile server
+   ======================================================================= */
+
+const W = 800;
+const H = 500;
+const PAD = 24;
+const MIN_SPAN = 0.000005; // world units (~200 m) so a parked unit isn't a dot
+const MAX_TILES = 64;
+
+function tileHref(template, z, x, y) {
+  return template
+    .replace("{z}", String(z))
+    .replace("{x}", String(x))
+    .replace("{y}", String(y));
+}
+
+export default function TrackView({
+  track,
+  sensors,
+  colorKey,
+  onColorKeyChange,
+  tileUrl,
+  onTileUrlChange,
+}) {
+  const [hovered, setHovered] = useState(null);
+  const colorMeta = sensors.find((s) => s.key === colorKey) || sensors[0];
+
+  // Projection: world units -> SVG pixels
+  const view = useMemo(() => {
+    if (!track.length) return null;
+    return fitTrack(track, {
+      width: W,
+      height: H,
+      pad: PAD,
+      minSpan: MIN_SPAN,
+    });
+  }, [track]);
+
+  const range = useMemo(() => {
+    if (!colorMeta) return null;
+    const vals = track
+      .map((p) => p.readings[colorMeta.key])
+      .filter((v) => typeof v === "number" && Number.isFinite(v));
+    if (!vals.length) return null;
+    return { min: Math.min(...vals), max: Math.max(...vals) };
+  }, [track, colorMeta]);
+
+  const tiles = useMemo(() => {
+    if (!view || !tileUrl) return [];
+    const z = Math.max(0, Math.min(19, Math.round(Math.log2(view.scale / 256))));
+    const n = 2 ** z;
+    const worldLeft = view.cx - W / 2 / view.scale;
+    const worldTop = view.cy - H / 2 / view.scale;
+    const x0 = Math.floor(worldLeft * n);
+    const x1 = Math.floor((worldLeft + W / view.scale) * n);
+    const y0 = Math.max(0, Math.floor(worldTop * n));
+    const y1 = Math.min(n - 1, Math.floor((worldTop + H / view.scale) * n));
+    if ((x1 - x0 + 1) * (y1 - y0 + 1) > MAX_TILES) return [];
+    const out = [];
+    for (let tx = x0; tx <= x1; tx++) {
+      for (let ty = y0; ty <= y1; ty++) {
+        const [px, py] = view.project(tx / n, ty / n);
+        const wrapped = ((tx % n) + n) % n;
+        out.push({
+          key: `${z}/${tx}/${ty}`,
+          href: tileHref(tileUrl, z, wrapped, ty),
+          x: px,
+          y: py,
+          size: view.scale / n,
+        });
+      }
+    }
+    return out;
+  }, [view, tileUrl]);
+
+  const colorFor = (p) => {
+    const v = colorMeta ? p.readings[colorMeta.key] : null;
+    if (!range || typeof v !== "number") return "#94a3b8";
+    const f = range.max > range.min ? (v - range.min) / (range.max - range.min) : 0;
+    return rampColor(f);
+  };
+
+  const hp = hovered != null ? track[hovered] : null;
+
+  return (
+    <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+      <div className="mb-2 flex flex-wrap items-center justify-between gap-2">
+        <div className="text-sm font-medium text-slate-700">
+          GPS Track{" "}
+          <span className="font-normal text-slate-500">
+            ({track.length} fixes)
+          </span>
+        </div>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <label className="text-slate-600">Color by</label>
+          <select
+            value={colorMeta?.key || ""}
+            onChange={(e) => onColorKeyChange(e.target.value)}
+            className="rounded-lg border border-slate-300 px-2 py-1 text-sm"
+          >
+            {sensors.map((s) => (
+              <option key={s.key} value={s.key}>
+                {s.label}
+              </option>
+            ))}
+          </select>
+          <input
+            type="text"
+            placeholder="Tile URL (optional), e.g. http://localhost:8080/{z}/{x}/{y}.png"
+            value={tileUrl}
+            onChange={(e) => onTileUrlChange(e.target.value)}
+            className="w-96 max-w-full rounded-lg border border-slate-300 px-2 py-1 text-sm"
+          />
+        </div>
+      </div>
+
+      {!view ? (
+        <p className="text-sm text-slate-500">
+          No valid GPS fixes yet (0/invalid positions before lock are ignored).
+        </p>
+      ) : (
+        <div className="relative">
+          <svg
+            viewBox={`0 0 ${W} ${H}`}
+            className="h-auto w-full rounded-lg bg-slate-100"
+            onMouseLeave={() => setHovered(null)}
+          >
+            {tiles.map((t) => (
+              <image
+                key={t.key}
+                href={t.href}
+                x={t.x}
+                y={t.y}
+                width={t.size}
+                height={t.size}
+                preserveAspectRatio="none"
+              />
+            ))}
+            <polyline
+              fill="none"
+              stroke="#475569"
+              strokeOpacity={0.6}
+              strokeWidth={1.5}
+              points={view.xs
+                .map((x, i) => view.project(x, view.ys[i]).join(","))
+                .join(" ")}
+            />
+            {track.map((p, i) => {
+              const [x, y] = view.project(view.xs[i], view.ys[i]);
+              return (
+                <circle
+                  key={i}
+                  cx={x}
+                  cy={y}
+                  r={hovered === i ? 7 : 4}
+                  fill={colorFor(p)}
+                  stroke={hovered === i ? "#0f172a" : "white"}
+                  strokeWidth={1}
+                  onMouseEnter={() => setHovered(i)}
+                />
+              );
+            })}
+          </svg>
+
+          {hp && (
+            <div className="pointer-events-none absolute right-2 top-2 rounded-lg border border-slate-200 bg-white/90 p-2 text-xs shadow">
+              <div className="font-medium text-slate-700">
+                {new Date(hp.t).toLocaleString()}
+              </div>
+              <div className="text-slate-500">
+                {hp.lat.toFixed(6)}, {hp.lon.toFixed(6)}
+              </div>
+              {sensors.map((s) => (
+                <div key={s.key}>
+                  {s.label}: {hp.readings[s.key] ?? "—"}
+                  {s.unit ? ` ${s.unit}` : ""}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {range && colorMeta && (
+            <div className="mt-2 flex items-center gap-2 text-xs text-slate-600">
+              <span>
+                {range.min} {colorMeta.unit}
+              </span>
+              <div
+                className="h-2 w-40 rounded"
+                style={{
+                  background: `linear-gradient(to right, ${rampColor(0)}, ${rampColor(
+                    0.5
+                  )}, ${rampColor(1)})`,
+                }}
+              />
+              <span>
+                {range.max} {colorMeta.unit}
+              </span>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
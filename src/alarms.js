@@ -0,0 +1,161 @@
+/* =========================================================================
+   Threshold alarms
+   - Rules per sensor key: above / below a value, rate of change, no data
+   - Hysteresis: a fired alarm only clears once the value is back past
+     threshold ∓ hysteresis, so noisy readings don't make it flap
+   - Pure functions: the caller owns rule + evaluation state
+   ======================================================================= */
+
+export const ALARM_TYPES = [
+  ["above", "Above"],
+  ["below", "Below"],
+  ["rate", "Rate of change (per min) above"],
+  ["stale", "No data for (s)"],
+];
+
+let nextId = 1;
+export function newRuleId() {
+  return `r${Date.now().toString(36)}${(nextId++).toString(36)}`;
+}
+
+// Preset for "battery below X%"
+export function batteryRule(percent = 20) {
+  return {
+    id: newRuleId(),
+    key: "BAT",
+    type: "below",
+    threshold: percent,
+    hysteresis: 2,
+    enabled: true,
+  };
+}
+
+/** Parse persisted rules, dropping anything malformed. */
+export function loadRules(json) {
+  try {
+    const arr = JSON.parse(json || "[]");
+    if (!Array.isArray(arr)) return [];
+    return arr.filter(
+      (r) =>
+        r &&
+        typeof r.id === "string" &&
+        typeof r.key === "string" &&
+        ALARM_TYPES.some(([t]) => t === r.type) &&
+        Number.isFinite(Number(r.threshold))
+    );
+  } catch {
+    return [];
+  }
+}
+
+export function describeRule(rule, label = rule.key, unit = "") {
+  const u = unit ? ` ${unit}` : "";
+  switch (rule.type) {
+    case "above":
+      return `${label} > ${rule.threshold}${u}`;
+    case "below":
+      return `${label} < ${rule.threshold}${u}`;
+    case "rate":
+      return `${label} changing > ${rule.threshold}${u}/min`;
+    case "stale":
+      return `${label}: no data for ${rule.threshold} s`;
+    default:
+      return label;
+  }
+}
+
+// -----------------------------
+// Evaluation
+// -----------------------------
+function ruleState(state, id) {
+  if (!state[id]) {
+    state[id] = {
+      active: false,
+      since: null,
+      lastValue: null,
+      lastT: null,
+      lastSeen: null,
+    };
+  }
+  return state[id];
+}
+
+// Is the condition met (fire) / clearly no longer met (clear)?
+function check(rule, metric) {
+  const th = Number(rule.threshold);
+  const hy = Math.abs(Number(rule.hysteresis) || 0);
+  if (rule.type === "below") {
+    return { fire: metric < th, clear: metric > th + hy };
+  }
+  // above, rate
+  return { fire: metric > th, clear: metric < th - hy };
+}
+
+function transition(rs, rule, on, value, now, events) {
+  if (on && !rs.active) {
+    rs.active = true;
+    rs.since = now;
+    events.push({ ruleId: rule.id, kind: "fire", value, t: now });
+  } else if (!on && rs.active) {
+    rs.active = false;
+    rs.since = null;
+    events.push({ ruleId: rule.id, kind: "clear", value, t: now });
+  }
+}
+
+/**
+ * Evaluate rules against one parsed row.
+ * @param {object[]} rules
+ * @param {object} state     mutable evaluation state (keep between calls)
+ * @param {{ t: number, values: Record<string, number|null> }} sample
+ *        t is the row timestamp, values are keyed by sensor key
+ * @param {number} now       host time (ms), used for "no data" rules
+ * @returns {object[]} fire/clear events
+ */
+export function evaluateSample(rules, state, sample, now) {
+  const events = [];
+  for (const rule of rules) {
+    if (!rule.enabled) continue;
+    const rs = ruleState(state, rule.id);
+    const v = sample.values[rule.key];
+    const has = typeof v === "number" && Number.isFinite(v);
+
+    if (rule.type === "stale") {
+      if (has) {
+        rs.lastSeen = now;
+        transition(rs, rule, false, v, now, events);
+      }
+      continue;
+    }
+    if (!has) continue;
+
+    let metric = v;
+    if (rule.type === "rate") {
+      const dtMin = rs.lastT != null ? (sample.t - rs.lastT) / 60000 : 0;
+      metric = dtMin > 0 ? Math.abs(v - rs.lastValue) / dtMin : null;
+      rs.lastValue = v;
+      rs.lastT = sample.t;
+      if (metric == null) continue;
+    }
+
+    const { fire, clear } = check(rule, metric);
+    if (fire) transition(rs, rule, true, v, now, events);
+    else if (clear) transition(rs, rule, false, v, now, events);
+  }
+  return events;
+}
+
+/** Evaluate "no data for N seconds" rules against the host clock. */
+export function evaluateStale(rules, state, now) {
+  const events = [];
+  for (const rule of rules) {
+    if (!rule.enabled || rule.type !== "stale") continue;
+    const rs = ruleState(state, rule.id);
+    if (rs.lastSeen == null) rs.lastSeen = now; // start counting now
+    const silentFor = (now - rs.lastSeen) / 1000;
+    if (silentFor > Number(rule.threshold)) {
+      transition(rs, rule, true, null, now, events);
+    }
+  }
+  return events;
+}
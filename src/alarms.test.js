@@ -0,0 +1,47 @@
+import { evaluateSample, evaluateStale, loadRules } from './alarms';
+
+const above = { id: 'a', key: 'PM2_5', type: 'above', threshold: 35, hysteresis: 5, enabled: true };
+
+function run(rules, state, values, t = 0) {
+  return evaluateSample(rules, state, { t, values }, t).map((e) => e.kind);
+}
+
+test('fires above the threshold and clears only past the hysteresis band', () => {
+  const state = {};
+  expect(run([above], state, { PM2_5: 30 })).toEqual([]);
+  expect(run([above], state, { PM2_5: 36 })).toEqual(['fire']);
+  expect(run([above], state, { PM2_5: 34 })).toEqual([]); // still within band
+  expect(run([above], state, { PM2_5: 37 })).toEqual([]); // already active
+  expect(run([above], state, { PM2_5: 29 })).toEqual(['clear']);
+});
+
+test('below rules and null readings', () => {
+  const bat = { id: 'b', key: 'BAT', type: 'below', threshold: 20, hysteresis: 2, enabled: true };
+  const state = {};
+  expect(run([bat], state, { BAT: null })).toEqual([]);
+  expect(run([bat], state, { BAT: 19 })).toEqual(['fire']);
+  expect(run([bat], state, { BAT: 21 })).toEqual([]);
+  expect(run([bat], state, { BAT: 23 })).toEqual(['clear']);
+});
+
+test('rate of change is per minute of row time', () => {
+  const rate = { id: 'r', key: 'CO2', type: 'rate', threshold: 100, hysteresis: 0, enabled: true };
+  const state = {};
+  expect(run([rate], state, { CO2: 400 }, 0)).toEqual([]);
+  expect(run([rate], state, { CO2: 430 }, 30000)).toEqual([]); // 60/min
+  expect(run([rate], state, { CO2: 500 }, 60000)).toEqual(['fire']); // 140/min
+});
+
+test('no-data rules fire on the host clock and clear when data returns', () => {
+  const stale = { id: 's', key: 'NO2', type: 'stale', threshold: 10, enabled: true };
+  const state = {};
+  expect(evaluateStale([stale], state, 0)).toEqual([]);
+  expect(evaluateStale([stale], state, 11000).map((e) => e.kind)).toEqual(['fire']);
+  expect(run([stale], state, { NO2: 12 }, 12000)).toEqual(['clear']);
+});
+
+test('loadRules drops malformed entries', () => {
+  const json = JSON.stringify([above, { id: 'x', key: 'CO', type: 'bogus', threshold: 1 }, null]);
+  expect(loadRules(json)).toEqual([above]);
+  expect(loadRules('not json')).toEqual([]);
+});
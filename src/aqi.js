@@ -0,0 +1,280 @@
+/* =========================================================================
+   US EPA Air Quality Index
+   - Breakpoints per the 2024 revision (PM2.5 "Good" ends at 9.0 µg/m³)
+   - Concentrations are averaged over the EPA window for each pollutant
+     (PM 24 h, CO 8 h, NO₂ 1 h), or as much of it as has been collected
+   - Optional NowCast (12 h weighted hourly average) for PM
+   - Units are converted from whatever the header says (e.g. CO in ppb)
+   ======================================================================= */
+
+const HOUR = 3600 * 1000;
+
+// [Clo, Chi, Ilo, Ihi]
+const PM25_BP = [
+  [0.0, 9.0, 0, 50],
+  [9.1, 35.4, 51, 100],
+  [35.5, 55.4, 101, 150],
+  [55.5, 125.4, 151, 200],
+  [125.5, 225.4, 201, 300],
+  [225.5, 325.4, 301, 500],
+];
+const PM10_BP = [
+  [0, 54, 0, 50],
+  [55, 154, 51, 100],
+  [155, 254, 101, 150],
+  [255, 354, 151, 200],
+  [355, 424, 201, 300],
+  [425, 604, 301, 500],
+];
+const CO_BP = [
+  [0.0, 4.4, 0, 50],
+  [4.5, 9.4, 51, 100],
+  [9.5, 12.4, 101, 150],
+  [12.5, 15.4, 151, 200],
+  [15.5, 30.4, 201, 300],
+  [30.5, 50.4, 301, 500],
+];
+const NO2_BP = [
+  [0, 53, 0, 50],
+  [54, 100, 51, 100],
+  [101, 360, 101, 150],
+  [361, 649, 151, 200],
+  [650, 1249, 201, 300],
+  [1250, 2049, 301, 500],
+];
+
+// Keyed by SENSOR_MAP key
+export const AQI_POLLUTANTS = {
+  PM2_5: {
+    label: "PM2.5",
+    unit: "µg/m³",
+    decimals: 1,
+    windowMs: 24 * HOUR,
+    breakpoints: PM25_BP,
+    nowcast: true,
+  },
+  PM10: {
+    label: "PM10",
+    unit: "µg/m³",
+    decimals: 0,
+    windowMs: 24 * HOUR,
+    breakpoints: PM10_BP,
+    nowcast: true,
+  },
+  CO: {
+    label: "CO",
+    unit: "ppm",
+    decimals: 1,
+    windowMs: 8 * HOUR,
+    breakpoints: CO_BP,
+  },
+  NO2: {
+    label: "NO₂",
+    unit: "ppb",
+    decimals: 0,
+    windowMs: 1 * HOUR,
+    breakpoints: NO2_BP,
+  },
+};
+
+export const AQI_CATEGORIES = [
+  { max: 50, label: "Good", color: "#00e400", text: "#000000" },
+  { max: 100, label: "Moderate", color: "#ffff00", text: "#000000" },
+  {
+    max: 150,
+    label: "Unhealthy for Sensitive Groups",
+    color: "#ff7e00",
+    text: "#000000",
+  },
+  { max: 200, label: "Unhealthy", color: "#ff0000", text: "#ffffff" },
+  { max: 300, label: "Very Unhealthy", color: "#8f3f97", text: "#ffffff" },
+  { max: Infinity, label: "Hazardous", color: "#7e0023", text: "#ffffff" },
+];
+
+export function aqiCategory(aqi) {
+  if (aqi == null) return null;
+  return AQI_CATEGORIES.find((c) => aqi <= c.max);
+}
+
+// -----------------------------
+// Units
+// -----------------------------
+// Scale factor from the display unit (as resolved by unitForMeta) to the
+// unit the breakpoints are defined in; null if it can't be converted.
+function unitFactor(from, to) {
+  const f = String(from || "").toLowerCase().replace(/\s/g, "");
+  const t = to.toLowerCase();
+  if (!f || f === t) return 1;
+  if (t === "ppm" && f === "ppb") return 1 / 1000;
+  if (t === "ppb" && f === "ppm") return 1000;
+  if (t === "µg/m³" && (f === "mg/m³" || f === "mgm3")) return 1000;
+  if (t === "µg/m³" && (f === "ugm3" || f === "ug/m3")) return 1;
+  return null;
+}
+
+export function toAqiUnits(key, value, unit) {
+  const p = AQI_POLLUTANTS[key];
+  if (!p || typeof value !== "number" || !Number.isFinite(value)) return null;
+  const factor = unitFactor(unit, p.unit);
+  return factor == null ? null : value * factor;
+}
+
+// -----------------------------
+// Index
+// -----------------------------
+function truncate(c, decimals) {
+  const m = 10 ** decimals;
+  return Math.floor(c * m + 1e-9) / m;
+}
+
+/** Sub-index for a concentration already in AQI units. */
+export function aqiFromConcentration(key, concentration) {
+  const p = AQI_POLLUTANTS[key];
+  if (!p || concentration == null || !Number.isFinite(concentration)) {
+    return null;
+  }
+  const c = truncate(Math.max(0, concentration), p.decimals);
+  // After truncation every value falls inside one breakpoint row
+  for (const [clo, chi, ilo, ihi] of p.breakpoints) {
+    if (c <= chi) {
+      return Math.round(((ihi - ilo) / (chi - clo)) * (c - clo) + ilo);
+    }
+  }
+  return 500; // beyond the index
+}
+
+function mean(values) {
+  if (!values.length) return null;
+  let sum = 0;
+  for (const v of values) sum += v;
+  return sum / values.length;
+}
+
+/**
+ * EPA NowCast over hourly averages ending at `now`.
+ * Returns null unless 2 of the 3 most recent hours have data.
+ */
+export function nowcast(points, now) {
+  const hourly = [];
+  for (let i = 0; i < 12; i++) {
+    const hi = now - i * HOUR;
+    const lo = hi - HOUR;
+    const vals = [];
+    for (const p of points) {
+      if (p.t > lo && p.t <= hi && p.v != null) vals.push(p.v);
+    }
+    hourly.push(mean(vals));
+  }
+  if (hourly.slice(0, 3).filter((c) => c != null).length < 2) return null;
+  const valid = hourly.filter((c) => c != null);
+  const min = Math.min(...valid);
+  const max = Math.max(...valid);
+  let w = max > 0 ? min / max : 1;
+  w = Math.max(w, 0.5);
+  let num = 0;
+  let den = 0;
+  hourly.forEach((c, i) => {
+    if (c == null) return;
+    num += w ** i * c;
+    den += w ** i;
+  });
+  return den ? num / den : null;
+}
+
+/**
+ * Sub-index and averaged concentration for one pollutant.
+ * @param {string} key         SENSOR_MAP key
+ * @param {{t:number, v:number|null}[]} points  series in display units
+ * @param {string} unit        display unit of the series
+ * @param {object} [opts]      { nowcast: boolean, now: ms }
+ */
+export function pollutantAqi(key, points, unit, opts = {}) {
+  const p = AQI_POLLUTANTS[key];
+  if (!p || !points || !points.length) return null;
+  const converted = [];
+  for (const pt of points) {
+    const v = toAqiUnits(key, pt.v, unit);
+    if (v != null) converted.push({ t: pt.t, v });
+  }
+  if (!converted.length) return null;
+  const now = opts.now ?? converted[converted.length - 1].t;
+
+  let concentration = null;
+  let averaging = "";
+  if (opts.nowcast && p.nowcast) {
+    concentration = nowcast(converted, now);
+    averaging = "NowCast";
+  }
+  if (concentration == null) {
+    const since = now - p.windowMs;
+    const inWindow = converted.filter((pt) => pt.t > since && pt.t <= now);
+    concentration = mean(inWindow.map((pt) => pt.v));
+    const spanMs = inWindow.length ? now - inWindow[0].t : 0;
+    averaging =
+      spanMs >= p.windowMs * 0.99
+        ? `${p.windowMs / HOUR} h avg`
+        : `${Math.max(1, Math.round(spanMs / 60000))} min avg`;
+  }
+  const aqi = aqiFromConcentration(key, concentration);
+  if (aqi == null) return null;
+  return {
+    key,
+    label: p.label,
+    unit: p.unit,
+    concentration,
+    averaging,
+    aqi,
+    category: aqiCategory(aqi),
+  };
+}
+
+/**
+ * Overall AQI from the dashboard series.
+ * @param {Record<string, {t:number, v:number|null}[]>} series
+ * @param {Record<string, string>} unitsByKey  from unitForMeta
+ */
+export function computeAqi(series, unitsByKey, opts = {}) {
+  const subIndices = [];
+  for (const key of Object.keys(AQI_POLLUTANTS)) {
+    if (!(key in unitsByKey)) continue;
+    const r = pollutantAqi(key, series[key], unitsByKey[key], opts);
+    if (r) subIndices.push(r);
+  }
+  if (!subIndices.length) return null;
+  const dominant = subIndices.reduce((a, b) => (b.aqi > a.aqi ? b : a));
+  return {
+    aqi: dominant.aqi,
+    dominant: dominant.key,
+    category: dominant.category,
+    subIndices,
+  };
+}
+
+/**
+ * Rolling sub-index at every point of a series (for CSV export).
+ * Returns Map<t, aqi|null>, averaging over the EPA window ending at t.
+ */
+export function aqiTimeline(key, points, unit) {
+  const p = AQI_POLLUTANTS[key];
+  const out = new Map();
+  if (!p || !points) return out;
+  let lo = 0;
+  let sum = 0;
+  let n = 0;
+  const conv = points.map((pt) => toAqiUnits(key, pt.v, unit));
+  for (let i = 0; i < points.length; i++) {
+    if (conv[i] != null) {
+      sum += conv[i];
+      n++;
+    }
+    while (points[lo].t <= points[i].t - p.windowMs) {
+      if (conv[lo] != null) {
+        sum -= conv[lo];
+        n--;
+      }
+      lo++;
+    }
+    out.set(points[i].t, n ? aqiFromConcentration(key, sum / n) : null);
+  }
+  return out;
+}
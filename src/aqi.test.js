@@ -0,0 +1,61 @@
+import {
+  aqiFromConcentration,
+  aqiTimeline,
+  computeAqi,
+  nowcast,
+  pollutantAqi,
+} from './aqi';
+
+const HOUR = 3600 * 1000;
+
+test('sub-indices follow the EPA breakpoints', () => {
+  expect(aqiFromConcentration('PM2_5', 0)).toBe(0);
+  expect(aqiFromConcentration('PM2_5', 9.0)).toBe(50);
+  expect(aqiFromConcentration('PM2_5', 9.05)).toBe(50); // truncated to 9.0
+  expect(aqiFromConcentration('PM2_5', 35.4)).toBe(100);
+  expect(aqiFromConcentration('PM2_5', 55.5)).toBe(151);
+  expect(aqiFromConcentration('PM10', 154)).toBe(100);
+  expect(aqiFromConcentration('CO', 9.4)).toBe(100);
+  expect(aqiFromConcentration('NO2', 100)).toBe(100);
+  expect(aqiFromConcentration('PM2_5', 1000)).toBe(500);
+  expect(aqiFromConcentration('TEMP', 20)).toBeNull();
+});
+
+test('converts units from the header before indexing', () => {
+  const pts = [{ t: 0, v: 9400 }];
+  expect(pollutantAqi('CO', pts, 'ppb').aqi).toBe(100);
+  expect(pollutantAqi('CO', [{ t: 0, v: 9.4 }], 'ppm').aqi).toBe(100);
+  expect(pollutantAqi('NO2', [{ t: 0, v: 0.1 }], 'ppm').aqi).toBe(100);
+  expect(pollutantAqi('CO', pts, 'furlongs')).toBeNull();
+});
+
+test('overall AQI is the dominant sub-index', () => {
+  const series = {
+    PM2_5: [{ t: 0, v: 12 }, { t: 1000, v: 14 }],
+    CO: [{ t: 0, v: 0.4 }, { t: 1000, v: 0.4 }],
+    TEMP: [{ t: 0, v: 20 }],
+  };
+  const r = computeAqi(series, { PM2_5: 'µg/m³', CO: 'ppm', TEMP: '°C' });
+  expect(r.dominant).toBe('PM2_5');
+  expect(r.category.label).toBe('Moderate');
+  expect(r.subIndices.map((s) => s.key)).toEqual(['PM2_5', 'CO']);
+});
+
+test('NowCast needs two of the last three hours', () => {
+  const now = 12 * HOUR;
+  expect(nowcast([{ t: now, v: 10 }], now)).toBeNull();
+  const steady = [0, 1, 2].map((h) => ({ t: now - h * HOUR, v: 20 }));
+  expect(nowcast(steady, now)).toBeCloseTo(20);
+});
+
+test('timeline averages over the rolling window', () => {
+  const pts = [
+    { t: 0, v: 100 },
+    { t: 30 * 60 * 1000, v: 0 },
+    { t: 2 * HOUR, v: 0 },
+  ];
+  const tl = aqiTimeline('NO2', pts, 'ppb');
+  expect(tl.get(0)).toBe(100); // 100 ppb
+  expect(tl.get(30 * 60 * 1000)).toBe(47); // mean 50 ppb
+  expect(tl.get(2 * HOUR)).toBe(0); // older points left the 1 h window
+});
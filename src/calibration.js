@@ -0,0 +1,157 @@
+/* =========================================================================
+   Calibration profiles (per DeviceId)
+   - Profile: { deviceId, name, sensors: { [SENSOR_MAP key]: cal }, updatedAt }
+   - cal: { offset, slope, poly, rh }
+       y = slope·x + offset, or with poly [c0, c1, c2, …]:
+       y = c0 + c1·x + c2·x² + …  (poly replaces offset/slope)
+       rh { a, b } (PM only): x / (1 + a·hᵇ / (1 − h)), h = RH/100, applied
+       to the raw value before the linear/polynomial step
+   - Raw values are never modified; corrected values ride alongside them
+   - Share as JSON: { format: "pam-calibration", version: 1, profiles }
+   ======================================================================= */
+
+export const CAL_VIEWS = [
+  ["raw", "Raw"],
+  ["corrected", "Corrected"],
+  ["both", "Both"],
+];
+export const RH_CORRECTED_KEYS = ["PM1", "PM2_5", "PM10"];
+const FILE_FORMAT = "pam-calibration";
+const FILE_VERSION = 1;
+const MAX_RH = 99; // keeps the growth factor finite near saturation
+
+export function defaultCal() {
+  return { offset: 0, slope: 1, poly: null, rh: null };
+}
+
+const num = (v) =>
+  v !== "" && v != null && Number.isFinite(Number(v)) ? Number(v) : null;
+
+// Validated copy of one sensor's calibration, or null if it's unusable
+export function normalizeCal(raw, key) {
+  if (!raw || typeof raw !== "object") return null;
+  const cal = defaultCal();
+  cal.offset = num(raw.offset) ?? 0;
+  cal.slope = num(raw.slope) ?? 1;
+  if (Array.isArray(raw.poly) && raw.poly.length) {
+    const poly = raw.poly.map(num);
+    if (poly.some((c) => c == null)) return null;
+    cal.poly = poly;
+  }
+  if (raw.rh && RH_CORRECTED_KEYS.includes(key)) {
+    const a = num(raw.rh.a);
+    const b = num(raw.rh.b);
+    if (a == null || b == null) return null;
+    cal.rh = { a, b };
+  }
+  return cal;
+}
+
+export function normalizeProfile(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const deviceId = String(raw.deviceId ?? "").trim();
+  if (!deviceId) return null;
+  const sensors = {};
+  for (const [key, c] of Object.entries(raw.sensors || {})) {
+    const cal = normalizeCal(c, key);
+    if (cal) sensors[key] = cal;
+  }
+  return {
+    deviceId,
+    name: typeof raw.name === "string" ? raw.name : "",
+    sensors,
+    updatedAt: num(raw.updatedAt) ?? Date.now(),
+  };
+}
+
+/** Persisted profiles -> { [deviceId]: profile }, dropping anything malformed. */
+export function loadProfiles(json) {
+  try {
+    const obj = JSON.parse(json || "{}");
+    const out = {};
+    for (const raw of Object.values(obj || {})) {
+      const p = normalizeProfile(raw);
+      if (p) out[p.deviceId] = p;
+    }
+    return out;
+  } catch {
+    return {};
+  }
+}
+
+export function profilesToFile(profiles) {
+  return JSON.stringify(
+    { format: FILE_FORMAT, version: FILE_VERSION, profiles },
+    null,
+    2
+  );
+}
+
+/** Parse a shared calibration file; throws if it isn't one. */
+export function parseProfilesFile(text) {
+  let obj;
+  try {
+    obj = JSON.parse(text);
+  } catch {
+    throw new Error("Calibration file is not valid JSON");
+  }
+  // A bare profile or array of profiles is accepted too
+  const list = Array.isArray(obj)
+    ? obj
+    : obj?.format === FILE_FORMAT
+      ? obj.profiles
+      : [obj];
+  const profiles = (Array.isArray(list) ? list : [])
+    .map(normalizeProfile)
+    .filter(Boolean);
+  if (!profiles.length) throw new Error("No calibration profiles in file");
+  return profiles;
+}
+
+// -----------------------------
+// Applying
+// -----------------------------
+/**
+ * Corrected value for one reading, or null if it can't be computed
+ * (non-numeric value, or an RH correction without an RH reading).
+ */
+export function applyCalibration(cal, x, rh) {
+  if (!cal || typeof x !== "number" || !Number.isFinite(x)) return null;
+  let v = x;
+  if (cal.rh) {
+    if (typeof rh !== "number" || !Number.isFinite(rh)) return null;
+    const h = Math.min(Math.max(rh, 0), MAX_RH) / 100;
+    v = v / (1 + (cal.rh.a * h ** cal.rh.b) / (1 - h));
+  }
+  if (cal.poly) {
+    let y = 0;
+    for (let i = cal.poly.length - 1; i >= 0; i--) y = y * v + cal.poly[i];
+    v = y;
+  } else {
+    v = cal.slope * v + cal.offset;
+  }
+  return Math.round(v * 1000) / 1000;
+}
+
+/**
+ * Corrected values for a parsed row.
+ * @param {object|undefined} profile
+ * @param {{ key: string, value: number|null }[]} sensors  reading.sensors
+ * @returns {Record<string, number|null>} only calibrated keys are present
+ */
+export function calibrateSensors(profile, sensors) {
+  const out = {};
+  if (!profile) return out;
+  const rh = sensors.find((s) => s.key === "RH")?.value;
+  for (const s of sensors) {
+    const cal = profile.sensors[s.key];
+    if (cal) out[s.key] = applyCalibration(cal, s.value, rh);
+  }
+  return out;
+}
+
+/** Value to show for a series point under a view ("raw" | "corrected"). */
+export function pointValue(p, view) {
+  if (view === "raw" || p.c === undefined) return p.v;
+  return p.c;
+}
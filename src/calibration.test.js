@@ -0,0 +1,62 @@
+import {
+  applyCalibration,
+  calibrateSensors,
+  loadProfiles,
+  parseProfilesFile,
+  pointValue,
+  profilesToFile,
+} from './calibration';
+
+test('applies linear and polynomial corrections', () => {
+  expect(applyCalibration({ offset: -1.5, slope: 0.5, poly: null, rh: null }, 10)).toBe(3.5);
+  // poly replaces offset/slope: 1 + 2x + 0.5x²
+  expect(applyCalibration({ offset: 9, slope: 9, poly: [1, 2, 0.5], rh: null }, 4)).toBe(17);
+  expect(applyCalibration({ offset: 0, slope: 1, poly: null, rh: null }, null)).toBeNull();
+});
+
+test('humidity correction needs an RH reading and caps near saturation', () => {
+  const cal = { offset: 0, slope: 1, poly: null, rh: { a: 0.25, b: 1 } };
+  // h = 0.5 -> growth factor 1 + 0.25 * 0.5 / 0.5 = 1.25
+  expect(applyCalibration(cal, 10, 50)).toBe(8);
+  expect(applyCalibration(cal, 10, undefined)).toBeNull();
+  expect(Number.isFinite(applyCalibration(cal, 10, 100))).toBe(true);
+});
+
+test('calibrates only the keys in the profile', () => {
+  const [profile] = parseProfilesFile(
+    JSON.stringify({ deviceId: 1042, sensors: { PM2_5: { rh: { a: 0.25, b: 1 } }, RH: { offset: 2 } } })
+  );
+  const out = calibrateSensors(profile, [
+    { key: 'PM2_5', value: 10 },
+    { key: 'RH', value: 50 },
+    { key: 'TEMP', value: 21 },
+  ]);
+  // RH correction uses the raw RH reading
+  expect(out).toEqual({ PM2_5: 8, RH: 52 });
+  expect(calibrateSensors(undefined, [{ key: 'RH', value: 50 }])).toEqual({});
+});
+
+test('round-trips profiles through the shared file format', () => {
+  const profiles = loadProfiles(
+    JSON.stringify({
+      1042: { deviceId: '1042', name: 'Roof', sensors: { CO2: { slope: 1.1, offset: -20 } } },
+      bad: { sensors: {} },
+    })
+  );
+  expect(Object.keys(profiles)).toEqual(['1042']);
+  const [back] = parseProfilesFile(profilesToFile(Object.values(profiles)));
+  expect(back).toEqual(profiles['1042']);
+  expect(loadProfiles('not json')).toEqual({});
+});
+
+test('rejects files without usable profiles', () => {
+  expect(() => parseProfilesFile('{')).toThrow(/not valid JSON/);
+  expect(() => parseProfilesFile('{"format":"pam-calibration","profiles":[]}')).toThrow(/No calibration/);
+  expect(() => parseProfilesFile('[{"deviceId":"7","sensors":{"CO2":{"poly":["x"]}}}]')).not.toThrow();
+});
+
+test('picks raw or corrected values for a point', () => {
+  expect(pointValue({ t: 1, v: 10, c: 8 }, 'corrected')).toBe(8);
+  expect(pointValue({ t: 1, v: 10, c: 8 }, 'raw')).toBe(10);
+  expect(pointValue({ t: 1, v: 10 }, 'corrected')).toBe(10);
+});
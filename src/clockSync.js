@@ -0,0 +1,78 @@
+/* =========================================================================
+   Device clock vs host clock
+   - Offset = device Date/Time − host receive time, measured on every row
+   - Reported as the median of a short window: rows carry whole seconds and
+     arrive with some USB latency, so single samples jitter by up to ~1 s
+   - Setting the clock drives the PAM menu with a script the user writes in
+     Settings; {date} and {time} are filled from the host clock (see
+     ./pamScript). There's no built-in script for real devices, whose menu
+     text varies by firmware
+   ======================================================================= */
+
+export const OFFSET_WINDOW = 15;
+export const DEFAULT_DRIFT_LIMIT_S = 30;
+
+// Menu walk of the built-in simulator (./simulatedPamPort) only: offered
+// in Settings as an example to adapt, never run unless the user loads it
+export const SIMULATOR_CLOCK_SCRIPT = `send m
+wait /MENU/ 3000
+send t
+wait /date and time/i 3000
+send {date} {time}
+wait /clock set/i 5000
+send x
+wait /Exiting menu/ 3000`;
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+/**
+ * Add one offset sample.
+ * @param {object|null} stats   previous result (null to start over)
+ * @returns {{ offsetMs: number, minOffsetMs: number, maxOffsetMs: number,
+ *             samples: number, window: number[], updatedAt: number }}
+ */
+export function updateClockStats(stats, deviceTime, hostTime) {
+  const sample = deviceTime - hostTime;
+  const window = [...(stats?.window || []), sample].slice(-OFFSET_WINDOW);
+  const sorted = [...window].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  const offsetMs =
+    sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  return {
+    offsetMs,
+    minOffsetMs: Math.min(stats?.minOffsetMs ?? offsetMs, offsetMs),
+    maxOffsetMs: Math.max(stats?.maxOffsetMs ?? offsetMs, offsetMs),
+    samples: (stats?.samples || 0) + 1,
+    window,
+    updatedAt: hostTime,
+  };
+}
+
+/** "3 min 12 s ahead" / "4 s behind" / "in sync" */
+export function describeOffset(offsetMs) {
+  const abs = Math.round(Math.abs(offsetMs) / 1000);
+  if (abs === 0) return "in sync";
+  const d = Math.floor(abs / 86400);
+  const h = Math.floor((abs % 86400) / 3600);
+  const m = Math.floor((abs % 3600) / 60);
+  const s = abs % 60;
+  const parts = [];
+  if (d) parts.push(`${d} d`);
+  if (h) parts.push(`${h} h`);
+  if (m) parts.push(`${m} min`);
+  if (s && !d) parts.push(`${s} s`);
+  return `${parts.join(" ")} ${offsetMs > 0 ? "ahead" : "behind"}`;
+}
+
+/** Fill {date} / {time} / {iso} in a clock-set script (host local time). */
+export function fillClockScript(template, ms) {
+  const d = new Date(ms);
+  const date = `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+  const time = `${pad2(d.getHours())}:${pad2(d.getMinutes())}:${pad2(d.getSeconds())}`;
+  return template
+    .replace(/\{date\}/g, date)
+    .replace(/\{time\}/g, time)
+    .replace(/\{iso\}/g, `${date}T${time}`);
+}
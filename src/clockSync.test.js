@@ -0,0 +1,36 @@
+import {
+  SIMULATOR_CLOCK_SCRIPT,
+  describeOffset,
+  fillClockScript,
+  updateClockStats,
+} from './clockSync';
+import { parseScript } from './pamScript';
+
+test('offset is the median of recent samples', () => {
+  let stats = null;
+  for (const [device, host] of [
+    [10000, 9400],
+    [13000, 12900],
+    [16000, 25000], // one slow row
+  ]) {
+    stats = updateClockStats(stats, device, host);
+  }
+  expect(stats.offsetMs).toBe(100);
+  expect(stats.samples).toBe(3);
+  expect(stats.minOffsetMs).toBe(100);
+  expect(stats.maxOffsetMs).toBe(600);
+});
+
+test('describes offsets in words', () => {
+  expect(describeOffset(400)).toBe('in sync');
+  expect(describeOffset(-4000)).toBe('4 s behind');
+  expect(describeOffset(3 * 3600 * 1000 + 65000)).toBe('3 h 1 min 5 s ahead');
+});
+
+test('fills the clock script from host local time', () => {
+  const ms = new Date('2025-03-04T05:06:07').getTime();
+  expect(fillClockScript('send {date} {time}\nsend {iso}', ms)).toBe(
+    'send 2025-03-04 05:06:07\nsend 2025-03-04T05:06:07'
+  );
+  expect(parseScript(SIMULATOR_CLOCK_SCRIPT).errors).toEqual([]);
+});
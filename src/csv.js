@@ -0,0 +1,108 @@
+/* =========================================================================
+   CSV + filename helpers shared by the exporters
+   ======================================================================= */
+
+// ---- Local time helpers ----
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+function pad3(n) {
+  return String(n).padStart(3, "0");
+}
+
+function tzOffsetString(d) {
+  // minutes *east* of UTC (positive = ahead)
+  const off = -d.getTimezoneOffset(); // JS gives minutes *west*, invert
+  const sign = off >= 0 ? "+" : "-";
+  const abs = Math.abs(off);
+  const hh = pad2(Math.floor(abs / 60));
+  const mm = pad2(abs % 60);
+  return `${sign}${hh}:${mm}`;
+}
+
+// For filenames (no colons), e.g. 2025-09-22T14-07-03-123
+export function localStamp() {
+  const d = new Date();
+  return (
+    `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}` +
+    `T${pad2(d.getHours())}-${pad2(d.getMinutes())}-${pad2(
+      d.getSeconds()
+    )}-${pad3(d.getMilliseconds())}`
+  );
+}
+
+// For CSV cells (ISO-like local with offset), e.g. 2025-09-22T14:07:03.123-06:00
+export function toLocalISO(ms) {
+  const d = new Date(ms);
+  return (
+    `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}` +
+    `T${pad2(d.getHours())}:${pad2(d.getMinutes())}:${pad2(
+      d.getSeconds()
+    )}.${pad3(d.getMilliseconds())}` +
+    tzOffsetString(d)
+  );
+}
+
+export function csvCell(v) {
+  if (v == null) return "";
+  const s = String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Cells of one CSV line (quoted cells may hold commas and "")
+export function parseCsvRow(line) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch !== '"') cell += ch;
+      else if (line[i + 1] === '"') cell += line[++i];
+      else quoted = false;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      cells.push(cell);
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell);
+  return cells;
+}
+
+export function downloadCsv(filename, csvString) {
+  // Prepend UTF-8 BOM so Excel opens the file with the right encoding
+  const BOM = new Uint8Array([0xef, 0xbb, 0xbf]);
+  downloadBlob(
+    filename,
+    new Blob([BOM, csvString], { type: "text/csv;charset=utf-8" })
+  );
+}
+
+// Any other text file (JSON, KML, …)
+export function downloadFile(filename, text, type = "text/plain") {
+  downloadBlob(filename, new Blob([text], { type: `${type};charset=utf-8` }));
+}
+
+function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+// Filename prefix for a DeviceId, e.g. "1042_" (empty if unknown)
+export function deviceIdFilePrefix(id) {
+  const s = String(id ?? "").trim();
+  if (!s) return "";
+  // Safe for filenames
+  const safe = s.replace(/[^A-Za-z0-9._-]/g, "_").slice(0, 64);
+  return safe ? `${safe}_` : "";
+}
@@ -0,0 +1,324 @@
+import { csvCell, localStamp, toLocalISO } from "./csv";
+
+/* =========================================================================
+   Record to file — stream parsed rows (and optionally raw log lines) to
+   local files with the File System Access API, for unattended runs
+   - Target: a folder (files are created and rotated in it) or a single
+     file picked by the user (appended to, never rotated)
+   - Rows file: "Time" + the device's header columns, as CSV; a new header
+     starts a new file in a folder, or a new header line in a single file
+   - Raw file (folder only): "time<TAB>DIR<TAB>line", as on the Log tab
+   - Writes are buffered and flushed every flushMs. A writable only
+     commits when closed, and the browser copies the file to open one, so
+     each flush reopens the file at its end — which is also why folders
+     rotate by size (and by day), and why a single file stops growing at
+     its size limit (SINGLE_FILE_MAX_MB when none is set)
+   - Nothing here knows about ports: reconnects keep appending to the same
+     file, and picking an existing file resumes it
+   ======================================================================= */
+
+export const DEFAULT_FILE_OPTIONS = {
+  raw: false, // also write raw log lines (folder target only)
+  maxMb: 50, // rotate past this size (0 = never)
+  daily: true, // rotate when the local date changes
+  flushS: 10,
+};
+export const ROTATE_SIZES_MB = [0, 10, 50, 100, 500];
+export const FLUSH_INTERVALS_S = [5, 10, 30, 60];
+
+export const SINGLE_FILE_MAX_MB = 100;
+const MB = 1024 * 1024;
+
+// Pending text kept while the disk can't be written, per file
+const MAX_PENDING_BYTES = 32 * MB;
+
+export const isFileRecordingSupported = () =>
+  typeof window !== "undefined" &&
+  typeof window.showDirectoryPicker === "function";
+
+/**
+ * Ask the user for a target; must run in a click handler. Rejects with an
+ * AbortError if they cancel.
+ * @param {"folder" | "file"} kind
+ */
+export async function pickRecordingTarget(kind) {
+  if (kind === "file") {
+    const handle = await window.showSaveFilePicker({
+      suggestedName: `pam_rows_${localStamp()}.csv`,
+      types: [{ description: "CSV", accept: { "text/csv": [".csv"] } }],
+    });
+    return { kind, handle };
+  }
+  const handle = await window.showDirectoryPicker({ mode: "readwrite" });
+  return { kind, handle };
+}
+
+const encoder = new TextEncoder();
+const byteLength = (text) => encoder.encode(text).length;
+
+const localDay = (ms) => toLocalISO(ms).slice(0, 10);
+
+// One output file: text waits in `pending` until the next flush
+function createSink(ext, kind) {
+  return {
+    ext, // "csv" | "log"
+    kind, // "rows" | "raw"
+    handle: null,
+    name: "",
+    size: 0, // bytes on disk
+    pending: [],
+    pendingBytes: 0,
+    day: null,
+    headerLine: null, // last header written (rows)
+    headerTexts: new Set(), // header lines queued, kept when trimming
+    opened: false,
+  };
+}
+
+export class FileRecorder {
+  /**
+   * @param {object} options
+   * @param {{ kind: "folder" | "file", handle }} options.target
+   * @param {boolean} [options.raw]
+   * @param {number} [options.maxMb]
+   * @param {boolean} [options.daily]
+   * @param {number} [options.flushS]
+   * @param {(status: object) => void} [options.onStatus]  after each flush
+   * @param {() => number} [options.now]
+   * @param {number} [options.maxPendingBytes]  per file, while writes fail
+   */
+  constructor(options) {
+    const opts = { ...DEFAULT_FILE_OPTIONS, ...options };
+    this.target = opts.target;
+    this.folder = this.target.kind === "folder";
+    this.raw = opts.raw && this.folder;
+    this.maxBytes =
+      (this.folder ? opts.maxMb : opts.maxMb || SINGLE_FILE_MAX_MB) * MB;
+    this.daily = opts.daily && this.folder;
+    this.flushMs = opts.flushS * 1000;
+    this.maxPendingBytes = opts.maxPendingBytes ?? MAX_PENDING_BYTES;
+    this.onStatus = opts.onStatus || (() => {});
+    this.now = opts.now || (() => Date.now());
+    this.header = null;
+    this.rows = createSink("csv", "rows");
+    this.rawSink = this.raw ? createSink("log", "raw") : null;
+    this.retired = []; // rotated sinks still holding unflushed text
+    this.files = 0;
+    this.names = new Set(); // files created, so rotations never collide
+    this.bytes = 0;
+    this.lastFlush = null;
+    this.error = null;
+    this.full = false; // a single file at its size limit
+    this.flushing = null;
+    this.timer = setInterval(() => void this.flush(), this.flushMs);
+  }
+
+  status() {
+    const pending = [this.rows, this.rawSink, ...this.retired]
+      .filter(Boolean)
+      .reduce((n, s) => n + s.pendingBytes, 0);
+    return {
+      name: this.rows.name || (this.folder ? "" : this.target.handle.name),
+      folder: this.folder ? this.target.handle.name : null,
+      files: this.files,
+      bytes: this.bytes,
+      pending,
+      lastFlush: this.lastFlush,
+      full: this.full,
+      error:
+        this.error ||
+        (this.full
+          ? `${this.target.handle.name} reached ${
+              this.maxBytes / MB
+            } MB; choose a folder to keep recording`
+          : null),
+    };
+  }
+
+  setHeader(header) {
+    if (!header || header.join() === this.header?.join()) return;
+    this.header = header;
+    if (this.folder && this.rows.headerLine) this.rotate("rows");
+  }
+
+  addReading(reading) {
+    if (!this.header) this.header = reading.header;
+    const cells = this.header.map((h) => reading.values?.[h]);
+    this.write(
+      "rows",
+      [toLocalISO(reading.t), ...cells].map(csvCell).join(",")
+    );
+  }
+
+  addLine(line, t = this.now(), dir = "sys") {
+    if (!this.rawSink) return;
+    this.write("raw", `${toLocalISO(t)}\t${dir.toUpperCase()}\t${line}`);
+  }
+
+  write(which, line) {
+    let sink = which === "rows" ? this.rows : this.rawSink;
+    const day = localDay(this.now());
+    const text = `${line}\r\n`;
+    const bytes = byteLength(text);
+    const full =
+      this.maxBytes > 0 &&
+      sink.size + sink.pendingBytes > 0 &&
+      sink.size + sink.pendingBytes + bytes > this.maxBytes;
+    if (full && !this.folder) {
+      this.full = true;
+      return;
+    }
+    if ((this.daily && sink.day && sink.day !== day) || full) {
+      sink = this.rotate(which);
+    }
+    sink.day = day;
+    if (which === "rows") {
+      const headerLine = ["Time", ...this.header].map(csvCell).join(",");
+      if (headerLine !== sink.headerLine) {
+        sink.headerLine = headerLine;
+        sink.headerTexts.add(`${headerLine}\r\n`);
+        this.queue(sink, `${headerLine}\r\n`);
+      }
+    }
+    this.queue(sink, text);
+  }
+
+  queue(sink, text) {
+    sink.pending.push(text);
+    sink.pendingBytes += byteLength(text);
+    // Disk trouble: keep the newest data rather than grow without end,
+    // and the header line above it (one with no rows left under it goes)
+    const isHeader = (i) => sink.headerTexts.has(sink.pending[i]);
+    let i = 0;
+    while (
+      sink.pendingBytes > this.maxPendingBytes &&
+      i < sink.pending.length - 1
+    ) {
+      if (isHeader(i) && !isHeader(i + 1)) {
+        i++;
+        continue;
+      }
+      sink.pendingBytes -= byteLength(sink.pending.splice(i, 1)[0]);
+    }
+  }
+
+  rotate(which) {
+    const old = which === "rows" ? this.rows : this.rawSink;
+    const next = createSink(old.ext, old.kind);
+    if (old.pending.length) this.retired.push(old);
+    if (which === "rows") this.rows = next;
+    else this.rawSink = next;
+    return next;
+  }
+
+  /** Write everything pending; resolves once it's on disk (or failed). */
+  flush() {
+    if (this.flushing) {
+      return this.flushing.then(() => this.flush());
+    }
+    this.flushing = this.flushAll().finally(() => {
+      this.flushing = null;
+      this.onStatus(this.status());
+    });
+    return this.flushing;
+  }
+
+  async flushAll() {
+    const sinks = [...this.retired, this.rows, this.rawSink].filter(Boolean);
+    try {
+      for (const sink of sinks) await this.flushSink(sink);
+      this.retired = this.retired.filter((s) => s.pending.length);
+      this.lastFlush = this.now();
+      this.error = null;
+    } catch (err) {
+      this.error = err?.message || String(err);
+    }
+  }
+
+  async flushSink(sink) {
+    if (!sink.pending.length) return;
+    if (!sink.opened) await this.open(sink);
+    // Rows queued while this write is under way wait for the next flush
+    const chunk = sink.pending;
+    const bytes = sink.pendingBytes;
+    sink.pending = [];
+    sink.pendingBytes = 0;
+    try {
+      const writable = await sink.handle.createWritable({
+        keepExistingData: true,
+      });
+      await writable.write({
+        type: "write",
+        position: sink.size,
+        data: chunk.join(""),
+      });
+      await writable.close();
+    } catch (err) {
+      sink.pending = [...chunk, ...sink.pending];
+      sink.pendingBytes += bytes;
+      throw err;
+    }
+    sink.size += bytes;
+    this.bytes += bytes;
+  }
+
+  async open(sink) {
+    if (this.folder) {
+      const base = `pam_${sink.kind}_${localStamp()}`;
+      let name = `${base}.${sink.ext}`;
+      for (let n = 2; this.names.has(name); n++) {
+        name = `${base}-${n}.${sink.ext}`;
+      }
+      this.names.add(name);
+      sink.name = name;
+      sink.handle = await this.target.handle.getFileHandle(sink.name, {
+        create: true,
+      });
+    } else {
+      sink.handle = this.target.handle;
+      sink.name = sink.handle.name;
+    }
+    // Resume an existing file: append at its end, and don't repeat its
+    // header line
+    const file = await sink.handle.getFile();
+    sink.size = file.size;
+    if (file.size && sink.kind === "rows") {
+      const head = await file.slice(0, 8192).text();
+      const first = head.split(/\r?\n/)[0];
+      if (first === sink.headerLine && sink.pending[0] === `${first}\r\n`) {
+        sink.pendingBytes -= byteLength(sink.pending.shift());
+      }
+    }
+    sink.opened = true;
+    this.files++;
+  }
+
+  /** Flush what's left and stop the timer. */
+  async stop() {
+    clearInterval(this.timer);
+    await this.flush();
+    return this.status();
+  }
+}
+
+export function formatBytes(n) {
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  if (n < 1024 ** 3) return `${(n / 1024 / 1024).toFixed(1)} MB`;
+  return `${(n / 1024 ** 3).toFixed(2)} GB`;
+}
+
+/** Saved options merged over the defaults; anything unknown is dropped. */
+export function loadFileOptions(json) {
+  try {
+    const saved = JSON.parse(json || "{}") || {};
+    const opts = { ...DEFAULT_FILE_OPTIONS };
+    if (typeof saved.raw === "boolean") opts.raw = saved.raw;
+    if (typeof saved.daily === "boolean") opts.daily = saved.daily;
+    if (ROTATE_SIZES_MB.includes(saved.maxMb)) opts.maxMb = saved.maxMb;
+    if (FLUSH_INTERVALS_S.includes(saved.flushS)) opts.flushS = saved.flushS;
+    return opts;
+  } catch {
+    return { ...DEFAULT_FILE_OPTIONS };
+  }
+}
@@ -0,0 +1,114 @@
+import { FileRecorder } from './fileRecorder';
+
+// In-memory stand-ins for File System Access handles
+function memoryFile(name, content = '') {
+  const file = {
+    name,
+    content,
+    failWrites: false,
+    async getFile() {
+      const bytes = Buffer.from(file.content);
+      return { size: bytes.length, slice: (a, b) => ({ text: async () => bytes.subarray(a, b).toString() }) };
+    },
+    async createWritable({ keepExistingData }) {
+      let next = Buffer.from(keepExistingData ? file.content : '');
+      return {
+        write: async ({ position, data }) => {
+          if (file.failWrites) throw new Error('The disk is full');
+          next = Buffer.concat([next.subarray(0, position), Buffer.from(data)]);
+        },
+        close: async () => {
+          file.content = next.toString();
+        },
+      };
+    },
+  };
+  return file;
+}
+
+function memoryFolder() {
+  const files = {};
+  return {
+    name: 'runs',
+    files,
+    getFileHandle: async (name) => (files[name] = files[name] || memoryFile(name)),
+  };
+}
+
+const HEADER = ['DeviceId', 'PM2.5(UGM3)', 'Date', 'Time'];
+const reading = (t, pm) => ({ t, header: HEADER, values: { DeviceId: 1042, 'PM2.5(UGM3)': pm, Date: '2026-01-01', Time: '10:00:00' } });
+const contents = (folder) => Object.keys(folder.files).sort().map((n) => folder.files[n].content);
+
+test('writes rows and raw lines to a folder and rotates on a new header, by size and by day', async () => {
+  let now = Date.parse('2026-01-01T23:59:00');
+  const folder = memoryFolder();
+  const statuses = [];
+  const rec = new FileRecorder({ target: { kind: 'folder', handle: folder }, raw: true, maxMb: 200 / 1024 / 1024, flushS: 3600, now: () => now, onStatus: (s) => statuses.push(s) });
+  rec.setHeader(HEADER);
+  rec.addReading(reading(now, 12));
+  rec.addLine('1042,12,2026-01-01,10:00:00', now, 'rx');
+  await rec.flush();
+  expect(statuses[0]).toMatchObject({ files: 2, folder: 'runs', pending: 0, lastFlush: now, error: null });
+  expect(statuses[0].bytes).toBe(contents(folder).join('').length);
+  const rows = Object.values(folder.files).find((f) => f.name.endsWith('.csv'));
+  expect(rows.content.split('\r\n')[0]).toBe('Time,DeviceId,PM2.5(UGM3),Date,Time');
+  expect(rows.content.split('\r\n')[1]).toMatch(/^2026-01-01T23:59:00\.000[+-]\d\d:\d\d,1042,12,2026-01-01,10:00:00$/);
+  expect(Object.values(folder.files).find((f) => f.name.endsWith('.log')).content).toMatch(/\tRX\t1042,12/);
+
+  // Next row still fits, the one after doesn't (200 bytes)
+  rec.addReading(reading(now, 13));
+  rec.addReading(reading(now, 14));
+  // A new day starts a new file too
+  now += 2 * 60 * 1000;
+  rec.addReading(reading(now, 15));
+  // And so does a new header
+  rec.setHeader([...HEADER, 'NO2(PPB)']);
+  rec.addReading({ ...reading(now, 16), header: [...HEADER, 'NO2(PPB)'] });
+  await rec.stop();
+  const csvs = Object.keys(folder.files).filter((n) => n.endsWith('.csv')).length;
+  expect(csvs).toBe(4);
+  expect(contents(folder).join('').match(/^Time,/gm)).toHaveLength(4);
+});
+
+test('resumes an existing file and keeps rows that could not be written', async () => {
+  const file = memoryFile('night.csv', 'Time,DeviceId,PM2.5(UGM3),Date,Time\r\nearlier row\r\n');
+  const rec = new FileRecorder({ target: { kind: 'file', handle: file }, raw: true, flushS: 3600 });
+  rec.addReading(reading(Date.parse('2026-01-01T10:00:00'), 12));
+  rec.addLine('ignored: no raw file for a single-file target');
+  await rec.flush();
+  expect(file.content.split('\r\n').filter(Boolean)).toHaveLength(3);
+
+  file.failWrites = true;
+  rec.addReading(reading(Date.parse('2026-01-01T10:00:01'), 13));
+  await rec.flush();
+  expect(rec.status()).toMatchObject({ error: 'The disk is full', name: 'night.csv' });
+  expect(rec.status().pending).toBeGreaterThan(0);
+  file.failWrites = false;
+  await rec.stop();
+  expect(rec.status()).toMatchObject({ error: null, pending: 0, files: 1 });
+  expect(file.content.split('\r\n').filter(Boolean)).toHaveLength(4);
+});
+
+test('stops a single file at its size limit instead of copying an ever larger file', async () => {
+  const file = memoryFile('night.csv');
+  const rec = new FileRecorder({ target: { kind: 'file', handle: file }, maxMb: 200 / 1024 / 1024, flushS: 3600 });
+  rec.setHeader(HEADER);
+  for (let i = 0; i < 5; i++) rec.addReading(reading(Date.parse('2026-01-01T10:00:00'), i));
+  const status = await rec.stop();
+  expect(status).toMatchObject({ full: true, files: 1, error: expect.stringMatching(/^night\.csv reached .* MB; choose a folder/) });
+  expect(file.content.length).toBeLessThanOrEqual(200);
+  expect(file.content.split('\r\n').filter(Boolean)).toHaveLength(3);
+});
+
+test('keeps the header line when queued rows are shed', async () => {
+  const folder = memoryFolder();
+  const rec = new FileRecorder({ target: { kind: 'folder', handle: folder }, flushS: 3600, maxPendingBytes: 150 });
+  rec.setHeader(HEADER);
+  for (let i = 0; i < 10; i++) rec.addReading(reading(Date.parse('2026-01-01T10:00:00'), i));
+  await rec.stop();
+  const lines = contents(folder)[0].split('\r\n').filter(Boolean);
+  expect(lines[0]).toBe('Time,DeviceId,PM2.5(UGM3),Date,Time');
+  expect(lines.length).toBeGreaterThan(1);
+  expect(lines.length).toBeLessThan(11);
+  expect(lines[lines.length - 1]).toMatch(/,1042,9,/);
+});
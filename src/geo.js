@@ -0,0 +1,115 @@
+/* =========================================================================
+   Geo helpers — LAT/LON columns, fix validation, Web Mercator projection
+   ======================================================================= */
+
+export const LAT_RE = /^LAT/i;
+export const LON_RE = /^LON/i;
+
+export function hasPosition(header) {
+  return (
+    Array.isArray(header) &&
+    header.some((h) => LAT_RE.test(h)) &&
+    header.some((h) => LON_RE.test(h))
+  );
+}
+
+// The PAM reports 0/0 (or junk) until the GPS has a lock
+export function isValidFix(lat, lon) {
+  if (typeof lat !== "number" || typeof lon !== "number") return false;
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) return false;
+  if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return false;
+  if (lat === 0 || lon === 0) return false;
+  return true;
+}
+
+/**
+ * Track point for one parsed row, or null without a valid fix.
+ * `sensors` are the resolved entries from a parser "reading" event.
+ */
+export function trackPointFromReading({ t, header, values, sensors }) {
+  if (!header) return null;
+  const latCol = header.find((h) => LAT_RE.test(h));
+  const lonCol = header.find((h) => LON_RE.test(h));
+  if (!latCol || !lonCol) return null;
+  const lat = values[latCol];
+  const lon = values[lonCol];
+  if (!isValidFix(lat, lon)) return null;
+  const readings = {};
+  for (const s of sensors || []) readings[s.key] = s.value;
+  return { t, lat, lon, readings };
+}
+
+// Store columns for a row's position, so exports can place every row
+export const POSITION_KEYS = ["LAT", "LON"];
+
+export function positionColumns(fix) {
+  if (!fix) return [];
+  return [
+    { key: "LAT", value: fix.lat },
+    { key: "LON", value: fix.lon },
+  ];
+}
+
+// -----------------------------
+// Web Mercator (world units 0..1, y down)
+// -----------------------------
+export function mercatorX(lon) {
+  return (lon + 180) / 360;
+}
+
+export function mercatorY(lat) {
+  const r = (lat * Math.PI) / 180;
+  return (1 - Math.log(Math.tan(r) + 1 / Math.cos(r)) / Math.PI) / 2;
+}
+
+/**
+ * Fit a track into a width × height pixel box: the bounds' center lands
+ * in the middle and the longer side spans the box less `pad` per side.
+ * @param {{ lat: number, lon: number }[]} track  non-empty
+ * @param {{ width: number, height: number, pad: number, minSpan: number }} box
+ *   minSpan: smallest span in world units, so a parked unit isn't a dot
+ * @returns {{ xs: number[], ys: number[], scale: number, cx: number,
+ *             cy: number, project: (x: number, y: number) => number[] }}
+ */
+export function fitTrack(track, { width, height, pad, minSpan }) {
+  const xs = track.map((p) => mercatorX(p.lon));
+  const ys = track.map((p) => mercatorY(p.lat));
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs);
+  const minY = Math.min(...ys);
+  const maxY = Math.max(...ys);
+  const cx = (minX + maxX) / 2;
+  const cy = (minY + maxY) / 2;
+  const span = Math.max(maxX - minX, maxY - minY, minSpan);
+  const scale = Math.min((width - 2 * pad) / span, (height - 2 * pad) / span);
+  const project = (x, y) => [
+    width / 2 + (x - cx) * scale,
+    height / 2 + (y - cy) * scale,
+  ];
+  return { xs, ys, scale, project, cx, cy };
+}
+
+// Green -> yellow -> red for f in [0, 1]
+function rampHue(f) {
+  const x = Math.min(1, Math.max(0, Number.isFinite(f) ? f : 0));
+  return 120 * (1 - x);
+}
+
+export function rampColor(f) {
+  return `hsl(${rampHue(f).toFixed(0)}, 85%, 45%)`;
+}
+
+// The same ramp as "#rrggbb", for formats without CSS colors (KML)
+export function rampHex(f) {
+  const s = 0.85;
+  const l = 0.45;
+  const a = s * Math.min(l, 1 - l);
+  const channel = (n) => {
+    const k = (n + rampHue(f) / 30) % 12;
+    const v = l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    return Math.round(v * 255)
+      .toString(16)
+      .padStart(2, "0");
+  };
+  return `#${channel(0)}${channel(8)}${channel(4)}`;
+}
@@ -0,0 +1,73 @@
+import { fitTrack, hasPosition, isValidFix, mercatorX, mercatorY, trackPointFromReading } from './geo';
+
+const BOX = { width: 800, height: 500, pad: 24, minSpan: 0.000005 };
+
+test('valid fixes exclude the pre-lock 0/0 and out-of-range positions', () => {
+  expect(isValidFix(51.5, -0.12)).toBe(true);
+  expect(isValidFix(-33.9, 151.2)).toBe(true);
+  expect(isValidFix(0, 0)).toBe(false);
+  expect(isValidFix(51.5, 0)).toBe(false);
+  expect(isValidFix(91, 10)).toBe(false);
+  expect(isValidFix(45, -180.5)).toBe(false);
+  expect(isValidFix(NaN, 10)).toBe(false);
+  expect(isValidFix('51.5', '-0.12')).toBe(false);
+  expect(isValidFix(null, 10)).toBe(false);
+});
+
+test('track points from parsed readings', () => {
+  const header = ['DeviceId', 'Latitude', 'Longitude', 'PM2.5'];
+  const sensors = [{ key: 'PM2_5', value: 12 }];
+  expect(hasPosition(header)).toBe(true);
+  expect(hasPosition(['DeviceId', 'PM2.5'])).toBe(false);
+
+  expect(trackPointFromReading({ t: 1000, header, values: { Latitude: 51.5, Longitude: -0.12 }, sensors })).toEqual({
+    t: 1000,
+    lat: 51.5,
+    lon: -0.12,
+    readings: { PM2_5: 12 },
+  });
+  expect(trackPointFromReading({ t: 1000, header, values: { Latitude: 0, Longitude: 0 }, sensors })).toBeNull();
+  expect(trackPointFromReading({ t: 1000, header: ['DeviceId', 'PM2.5'], values: {}, sensors })).toBeNull();
+  expect(trackPointFromReading({ t: 1000, header: null, values: {}, sensors })).toBeNull();
+  expect(trackPointFromReading({ t: 1000, header, values: { Latitude: 51.5, Longitude: -0.12 } }).readings).toEqual({});
+});
+
+test('Web Mercator world units', () => {
+  expect(mercatorX(-180)).toBe(0);
+  expect(mercatorX(0)).toBe(0.5);
+  expect(mercatorX(180)).toBe(1);
+  expect(mercatorY(0)).toBeCloseTo(0.5, 12);
+  // Tile rows grow southwards; the square map ends at ±85.0511°
+  expect(mercatorY(85.0511287798)).toBeCloseTo(0, 6);
+  expect(mercatorY(-85.0511287798)).toBeCloseTo(1, 6);
+  expect(mercatorY(51.5)).toBeLessThan(mercatorY(48.8));
+});
+
+test('fits the track into the box, centered and padded', () => {
+  const track = [
+    { lat: 51.5, lon: -0.12 },
+    { lat: 51.52, lon: -0.1 },
+    { lat: 51.51, lon: -0.2 },
+  ];
+  const view = fitTrack(track, BOX);
+  const points = view.xs.map((x, i) => view.project(x, view.ys[i]));
+  for (const [x, y] of points) {
+    expect(x).toBeGreaterThanOrEqual(BOX.pad - 1e-9);
+    expect(x).toBeLessThanOrEqual(BOX.width - BOX.pad + 1e-9);
+    expect(y).toBeGreaterThanOrEqual(0);
+    expect(y).toBeLessThanOrEqual(BOX.height);
+  }
+  // The east-west extent is the longer one; the box's height limits the scale
+  const side = BOX.height - 2 * BOX.pad;
+  expect(points[2][0]).toBeCloseTo(BOX.width / 2 - side / 2, 6);
+  expect(points[1][0]).toBeCloseTo(BOX.width / 2 + side / 2, 6);
+  expect(view.project(view.cx, view.cy)).toEqual([BOX.width / 2, BOX.height / 2]);
+  // North is up
+  expect(points[1][1]).toBeLessThan(points[0][1]);
+});
+
+test('a parked unit is drawn at the minimum span, not as a point', () => {
+  const view = fitTrack([{ lat: 51.5, lon: -0.12 }], BOX);
+  expect(view.scale).toBeCloseTo((BOX.height - 2 * BOX.pad) / BOX.minSpan, 3);
+  expect(view.project(view.xs[0], view.ys[0])).toEqual([BOX.width / 2, BOX.height / 2]);
+});
@@ -0,0 +1,191 @@
+import { toLocalISO } from "./csv";
+import { rampHex } from "./geo";
+
+/* =========================================================================
+   GeoJSON / KML export of georeferenced readings
+   - Input rows: { t, lat, lon, properties } in time order, one per reading
+     with a valid fix; properties are the exported value columns by label.
+     A null row marks a connection gap, which breaks the track line
+   - GeoJSON: FeatureCollection of Points (time, timestamp + properties),
+     optionally preceded by the track as a LineString (MultiLineString
+     when there were gaps)
+   - KML: Placemarks with a TimeStamp and ExtendedData, styled in
+     KML_BINS steps of the green -> red ramp by one property (as the
+     Track tab colors its points), optionally with the track line
+   ======================================================================= */
+
+export const KML_BINS = 10;
+const NO_DATA_COLOR = "#94a3b8"; // as TrackView
+const TRACK_COLOR = "#475569";
+const DOT_ICON = "http://maps.google.com/mapfiles/kml/shapes/shaded_dot.png";
+
+// Runs of coordinates between connection gaps
+function trackSegments(rows) {
+  const segments = [[]];
+  for (const row of rows) {
+    const current = segments[segments.length - 1];
+    if (!row) {
+      if (current.length) segments.push([]);
+    } else {
+      current.push([row.lon, row.lat]);
+    }
+  }
+  return segments.filter((s) => s.length > 1);
+}
+
+function fixes(rows) {
+  return rows.filter(Boolean);
+}
+
+/**
+ * @param {Array<{ t: number, lat: number, lon: number,
+ *   properties: Record<string, number|null> }|null>} rows
+ * @param {{ name?: string, track?: boolean }} [options]
+ * @returns {object} GeoJSON FeatureCollection
+ */
+export function toGeoJson(rows, { name, track = true } = {}) {
+  const points = fixes(rows);
+  const features = [];
+  const segments = track ? trackSegments(rows) : [];
+  if (segments.length) {
+    features.push({
+      type: "Feature",
+      geometry:
+        segments.length === 1
+          ? { type: "LineString", coordinates: segments[0] }
+          : { type: "MultiLineString", coordinates: segments },
+      properties: {
+        name: "Track",
+        start: toLocalISO(points[0].t),
+        end: toLocalISO(points[points.length - 1].t),
+      },
+    });
+  }
+  for (const p of points) {
+    features.push({
+      type: "Feature",
+      geometry: { type: "Point", coordinates: [p.lon, p.lat] },
+      properties: { time: toLocalISO(p.t), timestamp: p.t, ...p.properties },
+    });
+  }
+  return { type: "FeatureCollection", ...(name ? { name } : {}), features };
+}
+
+// -----------------------------
+// KML
+// -----------------------------
+function xml(s) {
+  return String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// "#rrggbb" -> KML's aabbggrr
+function kmlColor(hex, alpha = "ff") {
+  return `${alpha}${hex.slice(5, 7)}${hex.slice(3, 5)}${hex.slice(1, 3)}`;
+}
+
+function iconStyle(id, hex) {
+  return (
+    `<Style id="${id}"><IconStyle><color>${kmlColor(hex)}</color>` +
+    `<scale>0.7</scale><Icon><href>${DOT_ICON}</href></Icon></IconStyle>` +
+    `<LabelStyle><scale>0</scale></LabelStyle></Style>`
+  );
+}
+
+/** Numeric range of one property over the rows, or null. */
+export function propertyRange(rows, property) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const p of fixes(rows)) {
+    const v = p.properties[property];
+    if (typeof v !== "number" || !Number.isFinite(v)) continue;
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  return min <= max ? { min, max } : null;
+}
+
+/**
+ * Style bin (0..bins-1) of a value within range, or null without a value.
+ */
+export function colorBin(v, range, bins = KML_BINS) {
+  if (!range || typeof v !== "number" || !Number.isFinite(v)) return null;
+  const span = range.max - range.min;
+  const f = span > 0 ? (v - range.min) / span : 0;
+  return Math.min(bins - 1, Math.max(0, Math.floor(f * bins)));
+}
+
+/**
+ * @param {Array<{ t: number, lat: number, lon: number,
+ *   properties: Record<string, number|null> }|null>} rows  as toGeoJson
+ * @param {{ name?: string, colorBy?: string, track?: boolean }} [options]
+ *        colorBy: the property that picks each point's color
+ * @returns {string} KML document
+ */
+export function toKml(
+  rows,
+  { name = "PAM export", colorBy, track = true } = {}
+) {
+  const points = fixes(rows);
+  const range = colorBy ? propertyRange(rows, colorBy) : null;
+  const out = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    "<Document>",
+    `<name>${xml(name)}</name>`,
+  ];
+  if (range) {
+    out.push(
+      `<description>${xml(
+        `Points colored by ${colorBy}: ${range.min} (green) to ${range.max} (red)`
+      )}</description>`
+    );
+  }
+  for (let b = 0; b < KML_BINS; b++) {
+    out.push(iconStyle(`bin${b}`, rampHex(b / (KML_BINS - 1))));
+  }
+  out.push(iconStyle("nodata", NO_DATA_COLOR));
+  out.push(
+    `<Style id="track"><LineStyle><color>${kmlColor(TRACK_COLOR, "cc")}` +
+      `</color><width>2</width></LineStyle></Style>`
+  );
+
+  const segments = track ? trackSegments(rows) : [];
+  if (segments.length) {
+    const lines = segments.map(
+      (s) =>
+        `<LineString><tessellate>1</tessellate><coordinates>${s
+          .map((c) => c.join(","))
+          .join(" ")}</coordinates></LineString>`
+    );
+    out.push(
+      "<Placemark><name>Track</name><styleUrl>#track</styleUrl>" +
+        (lines.length === 1
+          ? lines[0]
+          : `<MultiGeometry>${lines.join("")}</MultiGeometry>`) +
+        "</Placemark>"
+    );
+  }
+
+  out.push("<Folder><name>Readings</name>");
+  for (const p of points) {
+    const bin = colorBin(p.properties[colorBy], range);
+    const data = Object.entries(p.properties)
+      .map(
+        ([k, v]) =>
+          `<Data name="${xml(k)}"><value>${v == null ? "" : xml(v)}</value></Data>`
+      )
+      .join("");
+    out.push(
+      `<Placemark><TimeStamp><when>${toLocalISO(p.t)}</when></TimeStamp>` +
+        `<styleUrl>#${bin == null ? "nodata" : `bin${bin}`}</styleUrl>` +
+        `<ExtendedData>${data}</ExtendedData>` +
+        `<Point><coordinates>${p.lon},${p.lat}</coordinates></Point></Placemark>`
+    );
+  }
+  out.push("</Folder>", "</Document>", "</kml>");
+  return out.join("\n");
+}
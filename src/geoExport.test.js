@@ -0,0 +1,62 @@
+import { colorBin, propertyRange, toGeoJson, toKml } from './geoExport';
+import { positionColumns, rampHex } from './geo';
+
+const fix = (i, pm) => ({
+  t: 1758550000000 + i * 1000,
+  lat: 39.7 + i / 1000,
+  lon: -104.9 - i / 1000,
+  properties: { 'PM2.5 (µg/m³)': pm, 'Temp (°C)': 21 },
+});
+
+test('GeoJSON has a point per fix and the track broken at gaps', () => {
+  const rows = [fix(0, 5), fix(1, 8), null, fix(2, null), fix(3, 12)];
+  const fc = toGeoJson(rows, { name: '7_pam' });
+  expect(fc.type).toBe('FeatureCollection');
+  expect(fc.name).toBe('7_pam');
+  const [track, ...points] = fc.features;
+  expect(track.geometry.type).toBe('MultiLineString');
+  expect(track.geometry.coordinates).toHaveLength(2);
+  expect(points).toHaveLength(4);
+  expect(points[0].geometry).toEqual({ type: 'Point', coordinates: [-104.9, 39.7] });
+  expect(points[2].properties).toMatchObject({
+    timestamp: 1758550002000,
+    'PM2.5 (µg/m³)': null,
+    'Temp (°C)': 21,
+  });
+  expect(typeof points[2].properties.time).toBe('string');
+
+  const single = toGeoJson([fix(0, 1), fix(1, 2)]);
+  expect(single.features[0].geometry.type).toBe('LineString');
+  expect(toGeoJson([fix(0, 1), fix(1, 2)], { track: false }).features).toHaveLength(2);
+});
+
+test('KML points are styled by the chosen property', () => {
+  const rows = [fix(0, 0), fix(1, 5), fix(2, 10), fix(3, null)];
+  const kml = toKml(rows, { name: 'A & B', colorBy: 'PM2.5 (µg/m³)' });
+  expect(kml).toContain('<name>A &amp; B</name>');
+  const styles = [...kml.matchAll(/<styleUrl>#(\w+)<\/styleUrl>/g)].map((m) => m[1]);
+  expect(styles).toEqual(['track', 'bin0', 'bin5', 'bin9', 'nodata']);
+  // aabbggrr
+  expect(kml).toContain(`<color>ff${rampHex(1).slice(5, 7)}${rampHex(1).slice(3, 5)}`);
+  expect(kml).toContain('<coordinates>-104.9,39.7</coordinates>');
+  expect(kml).toContain('<Data name="Temp (°C)"><value>21</value></Data>');
+  expect(toKml(rows, { track: false })).not.toContain('#track');
+});
+
+test('color bins and ranges', () => {
+  const range = propertyRange([fix(0, 4), null, fix(1, 9)], 'PM2.5 (µg/m³)');
+  expect(range).toEqual({ min: 4, max: 9 });
+  expect(colorBin(4, range)).toBe(0);
+  expect(colorBin(9, range)).toBe(9);
+  expect(colorBin(3, { min: 3, max: 3 })).toBe(0);
+  expect(colorBin(null, range)).toBeNull();
+  expect(propertyRange([fix(0, null)], 'PM2.5 (µg/m³)')).toBeNull();
+});
+
+test('store columns for a fix', () => {
+  expect(positionColumns(null)).toEqual([]);
+  expect(positionColumns({ lat: 1, lon: 2 })).toEqual([
+    { key: 'LAT', value: 1 },
+    { key: 'LON', value: 2 },
+  ]);
+});
@@ -0,0 +1,120 @@
+/* =========================================================================
+   Header profiles — the CSV headers of known PAM firmware variants
+   - Used when rows arrive without a printed header: the profile with the
+     row's column count whose columns the cells fit best (value shape)
+   - Shape comes from the column names: DeviceId is an integer, Date and
+     Time look like dates and times, LAT/LON are coordinates, everything
+     else is a number (or empty / N/A)
+   - Profile: { id, name, header }; users can save their own (Settings)
+   ======================================================================= */
+
+//DeviceId,CO(PPM),PM1(UGM3),PM2.5(UGM3),PM10(UGM3),CO2(PPM),RELHUM(%),TEMP(C),PRESS(HPA),LAT(LAT),LON(LON),Battery(%),Date,Time
+export const DEFAULT_HEADER = [
+  "DeviceId",
+  "CO(PPM)",
+  "PM1(UGM3)",
+  "PM2.5(UGM3)",
+  "PM10(UGM3)",
+  "CO2(PPM)",
+  "RELHUM(%)",
+  "TEMP(C)",
+  "PRESS(HPA)",
+  "LAT(LAT)",
+  "LON(LON)",
+  "Battery(%)",
+  "Date",
+  "Time",
+];
+
+export const HEADER_PROFILES = [
+  { id: "pam", name: "PAM (GPS)", header: DEFAULT_HEADER },
+  {
+    id: "pam-no2",
+    name: "PAM with NO₂",
+    header: [
+      ...DEFAULT_HEADER.slice(0, 2),
+      "NO2(PPB)",
+      ...DEFAULT_HEADER.slice(2),
+    ],
+  },
+];
+
+// Share of a row's cells that must fit a profile's column shapes
+export const MIN_SHAPE_SCORE = 0.8;
+
+const isNumber = (c) => c !== "" && Number.isFinite(Number(c));
+const isBlank = (c) => c === "" || c.toUpperCase() === "N/A";
+
+function columnTest(name) {
+  if (/DeviceId/i.test(name)) return (c) => /^\d+$/.test(c);
+  if (/^Date$/i.test(name)) {
+    return (c) => /^\d{4}-\d{1,2}-\d{1,2}$|^\d{1,2}\/\d{1,2}\/\d{2,4}$/.test(c);
+  }
+  if (/^Time$/i.test(name)) return (c) => /^\d{1,2}:\d{2}(:\d{2})?$/.test(c);
+  if (/\bLAT\b/i.test(name)) {
+    return (c) => isBlank(c) || (isNumber(c) && Math.abs(Number(c)) <= 90);
+  }
+  if (/\bLON\b/i.test(name)) {
+    return (c) => isBlank(c) || (isNumber(c) && Math.abs(Number(c)) <= 180);
+  }
+  return (c) => isBlank(c) || isNumber(c);
+}
+
+/** Share (0…1) of `cells` that fit the columns of `header`. */
+export function shapeScore(cells, header) {
+  if (cells.length !== header.length || !cells.length) return 0;
+  let fits = 0;
+  for (let i = 0; i < cells.length; i++) {
+    if (columnTest(header[i])(String(cells[i]).trim())) fits++;
+  }
+  return fits / cells.length;
+}
+
+/**
+ * The profile a header-less data row most likely belongs to, or null.
+ * Ties go to the earlier profile.
+ * @param {string[]} cells
+ * @param {{ id: string, name: string, header: string[] }[]} profiles
+ */
+export function matchHeaderProfile(cells, profiles) {
+  let best = null;
+  let bestScore = 0;
+  for (const p of profiles) {
+    const score = shapeScore(cells, p.header);
+    if (score >= MIN_SHAPE_SCORE && score > bestScore) {
+      best = p;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+// -----------------------------
+// User profiles
+// -----------------------------
+export function normalizeHeaderProfile(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const id = String(raw.id ?? "").trim();
+  const name = String(raw.name ?? "").trim();
+  if (!id || !name || !Array.isArray(raw.header)) return null;
+  const header = raw.header.map((h) => String(h).trim());
+  if (header.length < 2 || header.some((h) => !h)) return null;
+  return { id, name, header };
+}
+
+/** Persisted user profiles, dropping anything malformed. */
+export function loadHeaderProfiles(json) {
+  try {
+    const list = JSON.parse(json || "[]");
+    return (Array.isArray(list) ? list : [])
+      .map(normalizeHeaderProfile)
+      .filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+let nextId = 0;
+export function newHeaderProfileId() {
+  return `h${Date.now().toString(36)}${(nextId++).toString(36)}`;
+}
@@ -0,0 +1,38 @@
+import { DEFAULT_HEADER, HEADER_PROFILES, loadHeaderProfiles, matchHeaderProfile, shapeScore } from './headerProfiles';
+
+const ROW = '1042,0.4,3,5,7,415,40.1,21.5,1013.2,39.7392,-104.9903,87,2025-09-22,14:07:03'.split(',');
+
+test('scores cells by the shape of their columns', () => {
+  expect(shapeScore(ROW, DEFAULT_HEADER)).toBe(1);
+  // Date and Time swapped, DeviceId not an integer
+  const odd = [...ROW];
+  [odd[12], odd[13]] = [odd[13], odd[12]];
+  odd[0] = 'A7';
+  expect(shapeScore(odd, DEFAULT_HEADER)).toBeCloseTo(11 / 14);
+  expect(shapeScore(ROW.slice(1), DEFAULT_HEADER)).toBe(0);
+});
+
+test('picks the best-fitting profile of the right width', () => {
+  expect(matchHeaderProfile(ROW, HEADER_PROFILES).id).toBe('pam');
+  expect(matchHeaderProfile(ROW.slice(1), HEADER_PROFILES)).toBeNull();
+
+  // Same width, GPS replaced by two gases: the coordinates decide
+  const noGps = DEFAULT_HEADER.map((h) => (h === 'LAT(LAT)' ? 'O3(PPB)' : h === 'LON(LON)' ? 'SO2(PPB)' : h));
+  const profiles = [{ id: 'gases', name: 'Gases', header: noGps }, ...HEADER_PROFILES];
+  const gases = [...ROW];
+  gases[9] = '140';
+  gases[10] = '200';
+  expect(matchHeaderProfile(gases, profiles).id).toBe('gases');
+  // Both fit: the earlier profile wins
+  expect(matchHeaderProfile(ROW, profiles).id).toBe('gases');
+});
+
+test('saved profiles are validated', () => {
+  const saved = JSON.stringify([
+    { id: 'h1', name: 'Lab unit', header: ['DeviceId', ' O3(PPB) ', 'Date', 'Time'] },
+    { id: 'h2', name: '', header: ['A', 'B'] },
+    { id: 'h3', name: 'One column', header: ['A'] },
+  ]);
+  expect(loadHeaderProfiles(saved)).toEqual([{ id: 'h1', name: 'Lab unit', header: ['DeviceId', 'O3(PPB)', 'Date', 'Time'] }]);
+  expect(loadHeaderProfiles('{')).toEqual([]);
+});
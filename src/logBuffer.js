@@ -0,0 +1,191 @@
+import { csvCell, parseCsvRow, toLocalISO } from "./csv";
+
+/* =========================================================================
+   Serial log buffer (Log tab)
+   - Ring of entries kept as columns: host receive time (Float64Array),
+     direction and data-row flag (Uint8Array), text (Array). Pushing is
+     O(1); past capacity the oldest entries go
+   - Entries are addressed by seq, a running count that survives wrapping
+     and clearing, so a filtered view is extended with just the new ones
+   - Direction: "rx" from the device, "tx" sent to it, "sys" the
+     dashboard's own messages (connect errors, reconnects, alarms, …)
+   - filterLog: incremental filtered view (direction, data rows vs other
+     lines, regex search); logToText / logToCsv export one, and
+     receivedLines reads what the device sent back out of such a file
+   ======================================================================= */
+
+export const LOG_CAPACITY = 200000;
+export const LOG_DIRECTIONS = [
+  ["rx", "RX", "Received from the device"],
+  ["tx", "TX", "Sent to the device"],
+  ["sys", "SYS", "Messages from the dashboard"],
+];
+const DIR_CODES = LOG_DIRECTIONS.map(([dir]) => dir);
+
+export class LogBuffer {
+  constructor(capacity = LOG_CAPACITY) {
+    this.capacity = capacity;
+    this.t = new Float64Array(capacity);
+    this.dirs = new Uint8Array(capacity);
+    this.data = new Uint8Array(capacity);
+    this.texts = new Array(capacity);
+    this.next = 0; // seq of the next entry
+    this.first = 0; // seq of the oldest entry kept
+    this.version = 0;
+  }
+
+  get length() {
+    return this.next - this.first;
+  }
+
+  clear() {
+    this.texts.fill(undefined);
+    this.first = this.next;
+    this.version++;
+  }
+
+  /** Append an entry; returns its seq. */
+  push(text, dir = "sys", t = Date.now()) {
+    const seq = this.next++;
+    const slot = seq % this.capacity;
+    this.t[slot] = t;
+    this.dirs[slot] = Math.max(0, DIR_CODES.indexOf(dir));
+    this.data[slot] = 0;
+    this.texts[slot] = text;
+    if (this.length > this.capacity) this.first = this.next - this.capacity;
+    this.version++;
+    return seq;
+  }
+
+  has(seq) {
+    return seq >= this.first && seq < this.next;
+  }
+
+  /** Flag an entry as a parsed data row. */
+  markData(seq) {
+    if (!this.has(seq)) return;
+    this.data[seq % this.capacity] = 1;
+    this.version++;
+  }
+
+  text(seq) {
+    return this.texts[seq % this.capacity];
+  }
+
+  /** { seq, t, dir, data, text } */
+  entry(seq) {
+    const slot = seq % this.capacity;
+    return {
+      seq,
+      t: this.t[slot],
+      dir: DIR_CODES[this.dirs[slot]],
+      data: this.data[slot] === 1,
+      text: this.texts[slot],
+    };
+  }
+}
+
+// -----------------------------
+// Filtering
+// -----------------------------
+/**
+ * Compile search box text into a case-insensitive regex.
+ * @returns {{ re: RegExp | null, error: string }}  re null = no search
+ */
+export function compileSearch(text) {
+  if (!text) return { re: null, error: "" };
+  try {
+    return { re: new RegExp(text, "i"), error: "" };
+  } catch (err) {
+    return { re: null, error: err.message };
+  }
+}
+
+/**
+ * The seqs of the entries that pass `filter`, oldest first.
+ * Given the previous result for the same buffer and filter, only entries
+ * added since are scanned.
+ * @param {LogBuffer} buffer
+ * @param {{ dirs: { rx: boolean, tx: boolean, sys: boolean },
+ *           kind: "all" | "data" | "other", search: RegExp | null }} filter
+ * @param {{ filter, seqs: number[], next: number }} [prev]
+ * @returns {{ filter, seqs: number[], next: number }}
+ */
+export function filterLog(buffer, filter, prev) {
+  let seqs = [];
+  let from = buffer.first;
+  if (prev && prev.filter === filter && prev.next >= buffer.first) {
+    seqs = prev.seqs;
+    from = prev.next;
+    // Entries that fell off the ring
+    let drop = 0;
+    while (drop < seqs.length && seqs[drop] < buffer.first) drop++;
+    if (drop) seqs = seqs.slice(drop);
+  }
+  const { dirs, kind, search } = filter;
+  for (let seq = from; seq < buffer.next; seq++) {
+    const slot = seq % buffer.capacity;
+    if (!dirs[DIR_CODES[buffer.dirs[slot]]]) continue;
+    if (kind !== "all" && (buffer.data[slot] === 1) !== (kind === "data")) {
+      continue;
+    }
+    if (search && !search.test(buffer.texts[slot])) continue;
+    seqs.push(seq);
+  }
+  return { filter, seqs, next: buffer.next };
+}
+
+// -----------------------------
+// Export
+// -----------------------------
+const DIR_LABELS = Object.fromEntries(
+  LOG_DIRECTIONS.map(([dir, label]) => [dir, label])
+);
+
+export const LOG_CSV_HEADER = "time,direction,data,line";
+const TEXT_ENTRY = /^\d{4}-\d\d-\d\dT[^\t]*\t(RX|TX|SYS)\t(.*)$/;
+
+/** Tab-separated "time  DIR  text" lines. */
+export function logToText(buffer, seqs) {
+  return seqs
+    .map((seq) => {
+      const e = buffer.entry(seq);
+      return `${toLocalISO(e.t)}\t${DIR_LABELS[e.dir]}\t${e.text}`;
+    })
+    .join("\r\n");
+}
+
+export function logToCsv(buffer, seqs) {
+  const rows = [LOG_CSV_HEADER];
+  for (const seq of seqs) {
+    const e = buffer.entry(seq);
+    rows.push(
+      [toLocalISO(e.t), DIR_LABELS[e.dir], e.data ? 1 : 0, e.text]
+        .map(csvCell)
+        .join(",")
+    );
+  }
+  return rows.join("\r\n");
+}
+
+/**
+ * The RX lines of a logToCsv or logToText export, for replaying it;
+ * null if `lines` are something else.
+ * @param {string[]} lines  the file's lines
+ */
+export function receivedLines(lines) {
+  if (lines[0]?.trim() === LOG_CSV_HEADER) {
+    return lines
+      .slice(1)
+      .map(parseCsvRow)
+      .filter((cells) => cells[1] === "RX")
+      .map((cells) => cells[3] ?? "");
+  }
+  if (TEXT_ENTRY.test(lines[0] ?? "")) {
+    return lines
+      .map((line) => TEXT_ENTRY.exec(line))
+      .filter((m) => m?.[1] === "RX")
+      .map((m) => m[2]);
+  }
+  return null;
+}
@@ -0,0 +1,70 @@
+import { LogBuffer, compileSearch, filterLog, logToCsv, logToText, receivedLines } from './logBuffer';
+
+const ALL = { rx: true, tx: true, sys: true };
+
+test('keeps the newest entries by seq through wraps and clears', () => {
+  const log = new LogBuffer(3);
+  for (let i = 0; i < 5; i++) log.push(`line ${i}`, 'rx', 1000 + i);
+  expect(log.length).toBe(3);
+  expect(log.has(1)).toBe(false);
+  expect(log.entry(4)).toEqual({ seq: 4, t: 1004, dir: 'rx', data: false, text: 'line 4' });
+  log.markData(4);
+  log.markData(0); // gone: ignored
+  expect(log.entry(4).data).toBe(true);
+  log.clear();
+  expect(log.length).toBe(0);
+  expect(log.push('after', 'sys')).toBe(5);
+});
+
+test('filters by direction, data rows and regex, extending the last view', () => {
+  const log = new LogBuffer(4);
+  log.push('PAM MENU', 'rx');
+  log.markData(log.push('1042,0.4,12', 'rx'));
+  log.push('→ "m\\r"', 'tx');
+  log.push('⚠️ Connection lost', 'sys');
+
+  const filter = { dirs: ALL, kind: 'all', search: null };
+  let view = filterLog(log, filter);
+  expect(view.seqs).toEqual([0, 1, 2, 3]);
+  expect(filterLog(log, { ...filter, kind: 'data' }).seqs).toEqual([1]);
+  expect(filterLog(log, { ...filter, kind: 'other', dirs: { ...ALL, tx: false } }).seqs).toEqual([0, 3]);
+  expect(filterLog(log, { ...filter, search: compileSearch('menu|LOST').re }).seqs).toEqual([0, 3]);
+
+  // Only new entries are scanned; those pushed off the ring leave the view
+  log.push('1042,0.5,13', 'rx');
+  log.push('x', 'rx');
+  view = filterLog(log, filter, view);
+  expect(view.seqs).toEqual([2, 3, 4, 5]);
+  log.clear();
+  expect(filterLog(log, filter, view).seqs).toEqual([]);
+
+  expect(compileSearch('(')).toMatchObject({ re: null, error: expect.any(String) });
+  expect(compileSearch('')).toEqual({ re: null, error: '' });
+});
+
+test('exports a view with times and directions as text or CSV', () => {
+  const log = new LogBuffer();
+  const t = Date.parse('2026-01-01T10:00:00.250');
+  log.markData(log.push('1042,0.4', 'rx', t));
+  log.push('→ "k\\r"', 'tx', t + 1000);
+  const [first, second] = logToText(log, [0, 1]).split('\r\n');
+  expect(first).toMatch(/^2026-01-01T10:00:00\.250[+-]\d\d:\d\d\tRX\t1042,0\.4$/);
+  expect(second).toMatch(/\tTX\t→ "k\\r"$/);
+  const csv = logToCsv(log, [0, 1]).split('\r\n');
+  expect(csv[0]).toBe('time,direction,data,line');
+  expect(csv[1]).toMatch(/,RX,1,"1042,0\.4"$/);
+  expect(csv[2]).toMatch(/,TX,0,"→ ""k\\r"""$/);
+});
+
+test('reads the received lines back out of either export', () => {
+  const log = new LogBuffer();
+  log.push('DeviceId,PM2.5(UGM3),Date,Time', 'rx');
+  log.push('→ "k\\r"', 'tx');
+  log.push('1042,"12",2026-01-01,10:00:00', 'rx');
+  log.push('Connection lost — reconnecting', 'sys');
+  const seqs = [0, 1, 2, 3];
+  const rx = ['DeviceId,PM2.5(UGM3),Date,Time', '1042,"12",2026-01-01,10:00:00'];
+  expect(receivedLines(logToCsv(log, seqs).split('\r\n'))).toEqual(rx);
+  expect(receivedLines(logToText(log, seqs).split('\r\n'))).toEqual(rx);
+  expect(receivedLines(['DeviceId,PM2.5(UGM3)', '1042,12'])).toBe(null);
+});
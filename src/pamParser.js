@@ -0,0 +1,484 @@
+import {
+  DEFAULT_HEADER,
+  HEADER_PROFILES,
+  matchHeaderProfile,
+} from "./headerProfiles";
+
+/* =========================================================================
+   PAM line parser — framework-free
+   - Turns raw serial text (chunks or lines) into typed events
+   - Works with/without a printed header: bare rows are matched against
+     header profiles (./headerProfiles) by column count and value shape
+   - Handles CRLF/LF/CR newlines
+   - No React, no DOM: usable from Node scripts, the read worker and the
+     dashboard; applyEvents re-emits events parsed elsewhere
+
+   Events (parser.on(name, fn)):
+     "line"      (line)  every non-empty trimmed line, before parsing
+     "header"    ({ header, source, profile, previous })
+                 source: "detected" | "default" (assumed from a header
+                 profile, given as { id, name }) | "manual"; previous: the
+                 header this one replaces mid-stream (a new segment)
+     "reading"   (reading)  a data row parsed against the current header;
+                 t is deviceTime (the row's Date/Time) or hostTime if absent
+     "malformed" ({ line, reason, expected, got, header })  a rejected row;
+                 reason: "length-mismatch"
+     "ignored"   ({ line, reason })  text that isn't a header or data row
+     "raw"       (text)  undivided serial text, only re-emitted by
+                 applyEvents (a ReadPump with raw on, see ./readPump)
+   Reading sensors whose cell didn't parse carry issue: "missing" | "invalid"
+   ======================================================================= */
+
+// -----------------------------
+// Sensor map + defaults
+// -----------------------------
+// Built-in sensor definitions (plain data, so they can be edited, saved
+// and sent to the read worker; see ./sensorDefinitions for the schema).
+// match: case-insensitive regex tested against each header cell. unit: used
+// when the header cell carries none. range: physical limits in that unit
+// (QC, see ./qc). chartable: false keeps a sensor off the graphs and map
+export const DEFAULT_SENSOR_DEFINITIONS = [
+  {
+    key: "PM1",
+    match: "\\bPM1\\b",
+    label: "PM1",
+    unit: "µg/m³",
+    chartable: true,
+    range: { min: 0, max: 1000 },
+  },
+  {
+    key: "PM2_5",
+    match: "PM2\\.5",
+    label: "PM2.5",
+    unit: "µg/m³",
+    chartable: true,
+    range: { min: 0, max: 1000 },
+  },
+  {
+    key: "PM10",
+    match: "\\bPM10\\b",
+    label: "PM10",
+    unit: "µg/m³",
+    chartable: true,
+    range: { min: 0, max: 2000 },
+  },
+  {
+    key: "NO2",
+    match: "\\bNO2\\b",
+    label: "NO₂",
+    unit: "ppb",
+    chartable: true,
+    range: { min: 0, max: 20000 },
+  },
+  // Not followed by a digit or letter: CO(PPM) and CO_PPM, never CO2
+  {
+    key: "CO",
+    match: "\\bCO(?![0-9A-Z])",
+    label: "CO",
+    unit: "ppb",
+    chartable: true,
+    range: { min: 0, max: 1000000 },
+  },
+  {
+    key: "CO2",
+    match: "\\bCO2\\b",
+    label: "CO₂",
+    unit: "ppm",
+    chartable: true,
+    range: { min: 0, max: 40000 },
+  },
+  {
+    key: "TVOC",
+    match: "TVOC",
+    label: "TVOCs",
+    unit: "ppb",
+    chartable: true,
+    range: { min: 0, max: 60000 },
+  },
+  {
+    key: "RH",
+    match: "RELH|RH\\b",
+    label: "Relative Humidity",
+    unit: "%",
+    chartable: true,
+    range: { min: 0, max: 100 },
+  },
+  {
+    key: "TEMP",
+    match: "TEMP\\b",
+    label: "Temperature",
+    unit: "°C",
+    chartable: true,
+    range: { min: -40, max: 85 },
+  },
+  {
+    key: "PRESS",
+    match: "PRESS\\b",
+    label: "Pressure",
+    unit: "hPa",
+    chartable: true,
+    range: { min: 300, max: 1100 },
+  },
+  {
+    key: "CH4",
+    match: "METHANE|CH4",
+    label: "Methane",
+    unit: "ppm",
+    chartable: true,
+    range: { min: 0, max: 10000 },
+  },
+  {
+    key: "CELL",
+    match: "Cell-Strength",
+    label: "Cell Strength",
+    unit: "dBm",
+    chartable: true,
+    range: { min: -140, max: 0 },
+  },
+  {
+    key: "BAT",
+    match: "Battery",
+    label: "Battery",
+    unit: "%",
+    chartable: false,
+    range: { min: 0, max: 100 },
+  },
+];
+
+/** Definitions -> sensor map entries, each with matches(headerCell). */
+export function compileSensorMap(definitions) {
+  return definitions.map((def) => {
+    const re = new RegExp(def.match, "i");
+    return { chartable: true, ...def, matches: (h) => re.test(h) };
+  });
+}
+
+export const SENSOR_MAP = compileSensorMap(DEFAULT_SENSOR_DEFINITIONS);
+
+// Header of the stock firmware (see ./headerProfiles for the others)
+export { DEFAULT_HEADER };
+
+export const looksLikeNumericCsv = (line) =>
+  /^[0-9 .,:-]+$/.test(String(line));
+
+export function splitCsvLine(line) {
+  return String(line).split(/\s*,\s*/);
+}
+
+// Every cell is text (a header line, not a data row with N/A cells)
+export function looksLikeHeader(cells) {
+  return cells.every(
+    (c) => /[A-Za-z]/.test(c) && String(c).trim().toUpperCase() !== "N/A"
+  );
+}
+
+// -----------------------------
+// Line splitter (bytes -> text lines)
+// -----------------------------
+export class LineBreakTransformer {
+  constructor() {
+    this.container = "";
+  }
+  transform(chunk, controller) {
+    this.container += chunk;
+    // IMPORTANT: one-line regex (CRLF, LF, or CR)
+    const lines = this.container.split(/\r\n|[\r\n]/);
+    this.container = lines.pop() || "";
+    for (const line of lines) controller.enqueue(line);
+  }
+  flush(controller) {
+    if (this.container) controller.enqueue(this.container);
+  }
+}
+
+// -----------------------------
+// Helpers
+// -----------------------------
+export function parseMaybeNumber(value) {
+  if (value == null) return null;
+  const v = String(value).trim();
+  if (!v || v.toUpperCase() === "N/A") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Why a cell has no value: "missing" (empty / N/A), "invalid" (not a
+// number), or null when it parses
+export function cellIssue(value) {
+  if (parseMaybeNumber(value) != null) return null;
+  const v = String(value ?? "").trim();
+  return !v || v.toUpperCase() === "N/A" ? "missing" : "invalid";
+}
+
+export function buildTimestamp(row, fallbackMs) {
+  const dateStr = row["Date"] || row["DATE"];
+  const timeStr = row["Time"] || row["TIME"];
+  if (dateStr && timeStr) {
+    const ms = new Date(`${dateStr}T${timeStr}`).getTime();
+    if (!Number.isNaN(ms)) return ms;
+  }
+  return fallbackMs;
+}
+
+export function mapHeaderUnit(u) {
+  const U = String(u || "").toUpperCase();
+  if (U === "UGM3") return "µg/m³";
+  if (U === "HPA") return "hPa";
+  if (U === "PPM") return "ppm";
+  if (U === "PPB") return "ppb";
+  if (U === "%") return "%";
+  if (U === "C") return "°C";
+  return u || "";
+}
+
+export function unitForMeta(meta, header) {
+  if (!header) return meta.unit;
+  const h = header.find((x) => meta.matches(x));
+  if (!h) return meta.unit;
+  const m = /\(([^)]*)\)/.exec(h);
+  return mapHeaderUnit(m ? m[1] : meta.unit);
+}
+
+export function unitForHeader(pattern, header, fallback) {
+  if (!header) return fallback;
+  const h = header.find((x) => pattern.test(x));
+  if (!h) return fallback;
+  const m = /\(([^)]*)\)/.exec(h);
+  return mapHeaderUnit(m ? m[1] : fallback);
+}
+
+// Sensor entries present in a header, with the column and unit resolved
+export function resolveSensors(header, sensorMap = SENSOR_MAP) {
+  if (!header) return [];
+  const out = [];
+  for (const meta of sensorMap) {
+    const column = header.find((h) => meta.matches(h));
+    if (!column) continue;
+    out.push({ meta, column, unit: unitForMeta(meta, header) });
+  }
+  return out;
+}
+
+// -----------------------------
+// Parser
+// -----------------------------
+export class PamLineParser {
+  /**
+   * @param {object} [options]
+   * @param {Array}  [options.sensorMap]     entries like SENSOR_MAP
+   *                                         (see compileSensorMap)
+   * @param {Array}  [options.headerProfiles] candidates for bare rows
+   *                                  (see ./headerProfiles)
+   * @param {string[]} [options.defaultHeader] shorthand for one profile
+   * @param {() => number} [options.now]     host clock (ms)
+   */
+  constructor(options = {}) {
+    this.sensorMap = options.sensorMap ?? SENSOR_MAP;
+    this.headerProfiles =
+      options.headerProfiles ??
+      (options.defaultHeader
+        ? [{ id: "default", name: "Default", header: options.defaultHeader }]
+        : HEADER_PROFILES);
+    this.now = options.now ?? (() => Date.now());
+    this.listeners = {};
+    this.splitter = new LineBreakTransformer();
+    this.header = null;
+    this.headerSource = null;
+    this.sensors = [];
+  }
+
+  on(event, fn) {
+    if (!this.listeners[event]) this.listeners[event] = [];
+    this.listeners[event].push(fn);
+    return () => this.off(event, fn);
+  }
+
+  off(event, fn) {
+    const list = this.listeners[event];
+    if (list) this.listeners[event] = list.filter((f) => f !== fn);
+  }
+
+  emit(event, payload) {
+    for (const fn of this.listeners[event] || []) fn(payload);
+  }
+
+  /** Forget the header and any partial line. Listeners are kept. */
+  reset() {
+    this.splitter = new LineBreakTransformer();
+    this.header = null;
+    this.headerSource = null;
+    this.sensors = [];
+  }
+
+  /**
+   * Use `tokens` as the header from now on (null clears it).
+   * @param {object} [profile]  the header profile it was assumed from
+   */
+  setHeader(tokens, source = "manual", profile = null) {
+    const previous = this.header;
+    this.header = tokens && tokens.length ? [...tokens] : null;
+    this.headerSource = this.header ? source : null;
+    this.sensors = resolveSensors(this.header, this.sensorMap);
+    const event = { header: this.header, source };
+    if (profile) event.profile = { id: profile.id, name: profile.name };
+    if (previous && this.header && previous.join() !== this.header.join()) {
+      event.previous = previous;
+    }
+    this.emit("header", event);
+  }
+
+  /**
+   * All-text CSV is only taken for a header if it names a PAM column
+   * (DeviceId, Date, Time), a known sensor or fits a header profile, so
+   * menu or prompt text ("Error, invalid option") can't replace it.
+   */
+  isPlausibleHeader(cells) {
+    return (
+      cells.some((c) => /^(DeviceId|Date|Time)$/i.test(c)) ||
+      resolveSensors(cells, this.sensorMap).length > 0 ||
+      !!matchHeaderProfile(cells, this.headerProfiles)
+    );
+  }
+
+  /** Candidates for bare rows from now on. */
+  setHeaderProfiles(profiles) {
+    this.headerProfiles = profiles;
+  }
+
+  /** Match columns with `sensorMap` (compileSensorMap) from the next row. */
+  setSensorMap(sensorMap) {
+    this.sensorMap = sensorMap;
+    this.sensors = resolveSensors(this.header, sensorMap);
+  }
+
+  /** Feed raw decoded text; complete lines are parsed as they appear. */
+  pushChunk(text) {
+    this.splitter.transform(text, { enqueue: (line) => this.pushLine(line) });
+  }
+
+  /** Parse whatever is left in the partial-line buffer. */
+  flush() {
+    this.splitter.flush({ enqueue: (line) => this.pushLine(line) });
+    this.splitter = new LineBreakTransformer();
+  }
+
+  /**
+   * Re-emit [event, payload] pairs from another parser (the read worker,
+   * see ./readPump) as if parsed here. Readings arrive without `header`
+   * and `row`; the header they were parsed against is put back.
+   */
+  applyEvents(events) {
+    for (const [event, payload] of events) {
+      if (event === "header") {
+        this.header = payload.header;
+        this.headerSource = payload.header ? payload.source : null;
+        this.sensors = resolveSensors(this.header, this.sensorMap);
+        this.emit("header", payload);
+      } else if (event === "reading") {
+        this.emit("reading", { ...payload, header: this.header });
+      } else {
+        this.emit(event, payload);
+      }
+    }
+  }
+
+  /** Parse one complete line. */
+  pushLine(line) {
+    const trimmed = String(line).trim();
+    if (!trimmed) return;
+
+    this.emit("line", trimmed);
+
+    const cells = splitCsvLine(trimmed);
+    const isCsv = trimmed.includes(",");
+
+    // If we don't have a header yet, detect one or assume a profile's
+    if (!this.header) {
+      if (isCsv && looksLikeHeader(cells) && this.isPlausibleHeader(cells)) {
+        this.setHeader(cells, "detected");
+        return;
+      }
+      const profile = isCsv && matchHeaderProfile(cells, this.headerProfiles);
+      if (!profile) {
+        this.emit("ignored", { line: trimmed, reason: "no-header" });
+        return;
+      }
+      this.setHeader(profile.header, "default", profile);
+      // fall through to parse this very row as data
+    }
+
+    if (!isCsv) {
+      this.emit("ignored", { line: trimmed, reason: "not-csv" });
+      return;
+    }
+
+    // A header line once one is in effect: the device was reset, switched
+    // firmware or was asked for it (k). A different one starts a segment
+    if (looksLikeHeader(cells)) {
+      if (cells.join(",") === this.header.join(",")) {
+        this.emit("ignored", { line: trimmed, reason: "repeated-header" });
+      } else if (this.isPlausibleHeader(cells)) {
+        this.setHeader(cells, "detected");
+      } else {
+        this.emit("ignored", { line: trimmed, reason: "not-a-header" });
+      }
+      return;
+    }
+    if (cells.length !== this.header.length) {
+      // An assumed header may be the wrong variant (or the device came
+      // back with another firmware): try the profiles again
+      const profile =
+        this.headerSource === "default" &&
+        matchHeaderProfile(cells, this.headerProfiles);
+      if (profile) {
+        this.setHeader(profile.header, "default", profile);
+      } else {
+        this.emit("malformed", {
+          line: trimmed,
+          reason: "length-mismatch",
+          expected: this.header.length,
+          got: cells.length,
+          header: this.header,
+        });
+        return;
+      }
+    }
+
+    // Parse data with a known header
+    const hdr = this.header;
+    const row = {};
+    for (let i = 0; i < hdr.length; i++) row[hdr[i]] = cells[i] ?? "";
+
+    const hostTime = this.now();
+    const deviceTime = buildTimestamp(row, null);
+    const t = deviceTime ?? hostTime;
+
+    const values = {};
+    for (const h of hdr) {
+      const num = parseMaybeNumber(row[h]);
+      values[h] = num ?? row[h] ?? null;
+    }
+
+    const sensors = this.sensors.map(({ meta, column, unit }) => {
+      const entry = {
+        key: meta.key,
+        label: meta.label,
+        unit,
+        column,
+        value: parseMaybeNumber(row[column]),
+      };
+      if (entry.value == null) entry.issue = cellIssue(row[column]);
+      return entry;
+    });
+
+    this.emit("reading", {
+      t,
+      hostTime,
+      deviceTime,
+      header: hdr,
+      row,
+      values,
+      sensors,
+    });
+  }
+}
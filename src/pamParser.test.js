@@ -0,0 +1,163 @@
+import { HEADER_PROFILES } from './headerProfiles';
+import { DEFAULT_HEADER, PamLineParser } from './pamParser';
+
+const HEADER = 'DeviceId,CO(PPM),PM2.5(UGM3),CO2(PPM),Date,Time';
+
+function collect(parser) {
+  const events = [];
+  for (const name of ['line', 'header', 'reading', 'malformed', 'ignored']) {
+    parser.on(name, (payload) => events.push([name, payload]));
+  }
+  return events;
+}
+
+test('detects a textual header and emits readings with resolved sensors', () => {
+  const parser = new PamLineParser({ now: () => 1000 });
+  const events = collect(parser);
+
+  parser.pushLine(HEADER);
+  parser.pushLine('7,0.4,8.5,420,2025-09-22,14:07:03');
+
+  const header = events.find(([n]) => n === 'header')[1];
+  expect(header.source).toBe('detected');
+  expect(header.header).toHaveLength(6);
+
+  const reading = events.find(([n]) => n === 'reading')[1];
+  expect(reading.t).toBe(new Date('2025-09-22T14:07:03').getTime());
+  expect(reading.hostTime).toBe(1000);
+  expect(reading.deviceTime).toBe(reading.t);
+  expect(reading.values['PM2.5(UGM3)']).toBe(8.5);
+  expect(reading.values.Date).toBe('2025-09-22');
+
+  const co = reading.sensors.find((s) => s.key === 'CO');
+  expect(co).toMatchObject({ column: 'CO(PPM)', unit: 'ppm', value: 0.4 });
+  // CO must not also claim the CO2 column
+  expect(reading.sensors.find((s) => s.key === 'CO2').column).toBe('CO2(PPM)');
+});
+
+test('assumes the default header for a bare numeric row of matching length', () => {
+  const parser = new PamLineParser();
+  const events = collect(parser);
+  const row = DEFAULT_HEADER.map((h, i) => (h === 'Date' ? '2025-01-01' : h === 'Time' ? '00:00:00' : i)).join(',');
+
+  parser.pushLine(row);
+
+  expect(events.find(([n]) => n === 'header')[1].source).toBe('default');
+  expect(events.filter(([n]) => n === 'reading')).toHaveLength(1);
+});
+
+test('reports malformed rows and N/A cells', () => {
+  const parser = new PamLineParser({ now: () => 5 });
+  const events = collect(parser);
+
+  parser.pushLine(HEADER);
+  parser.pushLine('7,0.4,8.5');
+  parser.pushLine('7,N/A,8.5,420,,');
+
+  const bad = events.find(([n]) => n === 'malformed')[1];
+  expect(bad).toMatchObject({ reason: 'length-mismatch', expected: 6, got: 3 });
+
+  const reading = events.find(([n]) => n === 'reading')[1];
+  expect(reading.t).toBe(5); // no Date/Time -> host time
+  expect(reading.deviceTime).toBeNull();
+  expect(reading.sensors.find((s) => s.key === 'CO').value).toBeNull();
+});
+
+test('splits raw chunks on CR, LF and CRLF', () => {
+  const parser = new PamLineParser();
+  const lines = [];
+  parser.on('line', (l) => lines.push(l));
+
+  parser.pushChunk('menu\r\nfir');
+  parser.pushChunk('st\rsecond\nthi');
+  expect(lines).toEqual(['menu', 'first', 'second']);
+  parser.pushChunk('rd');
+  parser.flush();
+  expect(lines).toEqual(['menu', 'first', 'second', 'third']);
+});
+
+test('ignores text before a header and after reset', () => {
+  const parser = new PamLineParser();
+  const events = collect(parser);
+
+  parser.pushLine('PAM booting');
+  parser.pushLine(HEADER);
+  parser.reset();
+  parser.pushLine('1,2,3');
+
+  const ignored = events.filter(([n]) => n === 'ignored');
+  expect(ignored.map(([, p]) => p.reason)).toEqual(['no-header', 'no-header']);
+  expect(parser.header).toBeNull();
+});
+
+test('tells missing cells from unreadable ones', () => {
+  const parser = new PamLineParser();
+  const events = collect(parser);
+
+  parser.pushLine(HEADER);
+  parser.pushLine('7,N/A,ERR,420,2025-09-22,14:07:03');
+  parser.pushLine(HEADER);
+
+  const { sensors } = events.find(([n]) => n === 'reading')[1];
+  expect(sensors.find((s) => s.key === 'CO').issue).toBe('missing');
+  expect(sensors.find((s) => s.key === 'PM2_5').issue).toBe('invalid');
+  expect(sensors.find((s) => s.key === 'CO2').issue).toBeUndefined();
+  expect(events.filter(([n]) => n === 'ignored')[0][1].reason).toBe('repeated-header');
+});
+
+test('a different header mid-stream replaces the current one', () => {
+  const parser = new PamLineParser();
+  const events = collect(parser);
+
+  parser.pushLine(HEADER);
+  parser.pushLine('DeviceId,O3(PPB),Date,Time');
+  parser.pushLine('7,31,2025-09-22,14:07:03');
+
+  const headers = events.filter(([n]) => n === 'header').map(([, e]) => e);
+  expect(headers[0].previous).toBeUndefined();
+  expect(headers[1]).toMatchObject({ source: 'detected', previous: HEADER.split(',') });
+  expect(parser.header).toHaveLength(4);
+  expect(events.some(([n]) => n === 'malformed')).toBe(false);
+  expect(events.filter(([n]) => n === 'reading')).toHaveLength(1);
+});
+
+test('comma-separated menu text mid-stream is not taken for a header', () => {
+  const parser = new PamLineParser();
+  const events = collect(parser);
+
+  parser.pushLine('Error, invalid option');
+  parser.pushLine(HEADER);
+  parser.pushLine('7,0.4,12,415,2025-09-22,14:07:01');
+  parser.pushLine('Error, invalid option');
+  parser.pushLine('Options: k, x, m');
+  parser.pushLine('7,0.4,13,415,2025-09-22,14:07:04');
+
+  expect(events.filter(([n]) => n === 'header')).toHaveLength(1);
+  expect(parser.header).toEqual(HEADER.split(','));
+  expect(events.filter(([n]) => n === 'ignored').map(([, e]) => e.reason)).toEqual(['no-header', 'not-a-header', 'not-a-header']);
+  expect(events.some(([n]) => n === 'malformed')).toBe(false);
+  expect(events.filter(([n]) => n === 'reading')).toHaveLength(2);
+});
+
+test('picks a header profile for bare rows and switches when the rows change', () => {
+  const parser = new PamLineParser();
+  const events = collect(parser);
+  const row = (header) =>
+    header.map((h) => (h === 'Date' ? '2025-01-01' : h === 'Time' ? '00:00:00' : h === 'DeviceId' ? '7' : 'N/A')).join(',');
+  const [pam, no2] = HEADER_PROFILES;
+
+  parser.pushLine(row(no2.header));
+  parser.pushLine(row(pam.header));
+  parser.pushLine('7,1,2');
+
+  const headers = events.filter(([n]) => n === 'header').map(([, e]) => e);
+  expect(headers[0]).toMatchObject({ source: 'default', profile: { id: 'pam-no2' } });
+  expect(headers[1]).toMatchObject({ profile: { id: 'pam' }, previous: no2.header });
+  expect(events.filter(([n]) => n === 'reading')).toHaveLength(2);
+  expect(events.find(([n]) => n === 'malformed')[1].reason).toBe('length-mismatch');
+
+  // A printed header is not second-guessed
+  parser.pushLine(HEADER);
+  parser.pushLine(row(no2.header));
+  expect(parser.header).toEqual(HEADER.split(','));
+});
@@ -0,0 +1,53 @@
+import { ReadPump } from "./readPump";
+
+/* =========================================================================
+   Read worker: decodes and parses a transferred serial stream off the
+   main thread and posts batches of events (see ./readPump)
+
+   In:  { type: "start", readable, options } | { type: "ack" }
+        | { type: "header", header, source } | { type: "sensors", sensors }
+        | { type: "profiles", profiles } | { type: "raw", on }
+        | { type: "reset" }
+        | { type: "cancel" }
+   Out: { type: "batch", events, stats } | { type: "end", error }
+   ======================================================================= */
+
+// eslint-disable-next-line no-restricted-globals
+const scope = self; // DedicatedWorkerGlobalScope
+let pump = null;
+
+scope.onmessage = ({ data }) => {
+  switch (data.type) {
+    case "start":
+      pump = new ReadPump({
+        ...data.options,
+        onBatch: (batch) => scope.postMessage({ type: "batch", ...batch }),
+      });
+      pump.start(data.readable).then(({ error }) => {
+        scope.postMessage({ type: "end", error });
+      });
+      break;
+    case "ack":
+      pump?.ack();
+      break;
+    case "header":
+      pump?.setHeader(data.header, data.source);
+      break;
+    case "sensors":
+      pump?.setSensors(data.sensors);
+      break;
+    case "profiles":
+      pump?.setHeaderProfiles(data.profiles);
+      break;
+    case "raw":
+      pump?.setRaw(data.on);
+      break;
+    case "reset":
+      pump?.reset();
+      break;
+    case "cancel":
+      pump?.cancel();
+      break;
+    default:
+  }
+};
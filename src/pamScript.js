@@ -0,0 +1,242 @@
+/* =========================================================================
+   Scripted command sequences (expect-style)
+   One step per line; blank lines and "#" comments are ignored:
+
+     send m                  send text (+ the configured newline);
+                             \r \n \t \\ escapes are decoded
+     wait /PAM MENU/ 3000    wait for an incoming line matching the regex
+                             (or plain text), timeout in ms (default 5000)
+     delay 500               pause (ms)
+     assert /OK/             a line received since the last send must match
+     assert !/ERROR/i        ...or must not match
+
+   The runner is headless: it gets a send() and a line subscription, and
+   reports per-step progress through onStep.
+   ======================================================================= */
+
+export const DEFAULT_WAIT_MS = 5000;
+const MAX_BUFFER = 500; // incoming lines kept between sends
+
+let nextId = 1;
+export function newScriptId() {
+  return `s${Date.now().toString(36)}${(nextId++).toString(36)}`;
+}
+
+/** Parse persisted scripts, dropping anything malformed. */
+export function loadScripts(json) {
+  try {
+    const arr = JSON.parse(json || "[]");
+    if (!Array.isArray(arr)) return [];
+    return arr.filter(
+      (s) =>
+        s &&
+        typeof s.id === "string" &&
+        typeof s.name === "string" &&
+        typeof s.text === "string"
+    );
+  } catch {
+    return [];
+  }
+}
+
+// -----------------------------
+// Parsing
+// -----------------------------
+function unescapeText(s) {
+  return s.replace(/\\([rnt\\])/g, (_, c) =>
+    c === "r" ? "\r" : c === "n" ? "\n" : c === "t" ? "\t" : "\\"
+  );
+}
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// "/re/flags rest" or "plain text rest" -> { re, rest }
+function parsePattern(arg) {
+  const m = /^\/((?:\\.|[^/\\])+)\/([a-z]*)\s*(.*)$/.exec(arg);
+  if (m) {
+    // Stateful flags would make .test() skip matches
+    return { re: new RegExp(m[1], m[2].replace(/[gy]/g, "")), rest: m[3] };
+  }
+  const t = /^(.*?)(?:\s+(\d+))?$/.exec(arg);
+  return { re: new RegExp(escapeRegex(t[1])), rest: t[2] || "" };
+}
+
+/**
+ * Parse script text into steps.
+ * @returns {{ steps: object[], errors: { line: number, message: string }[] }}
+ *          step: { line, op, text?, re?, negate?, ms? }, line is 1-based
+ */
+export function parseScript(text) {
+  const steps = [];
+  const errors = [];
+  String(text || "")
+    .split(/\r\n|\r|\n/)
+    .forEach((raw, i) => {
+      const line = i + 1;
+      const src = raw.trim();
+      if (!src || src.startsWith("#")) return;
+      const m = /^(\w+)\s*(.*)$/.exec(src);
+      if (!m) {
+        errors.push({ line, message: "Unrecognised line" });
+        return;
+      }
+      const op = m[1].toLowerCase();
+      const arg = m[2];
+      try {
+        if (op === "send") {
+          steps.push({ line, op, text: unescapeText(arg) });
+        } else if (op === "wait") {
+          if (!arg) throw new Error("wait needs a pattern");
+          const { re, rest } = parsePattern(arg);
+          const ms = rest ? Number(rest) : DEFAULT_WAIT_MS;
+          if (!Number.isFinite(ms) || ms <= 0) {
+            throw new Error(`Bad timeout "${rest}"`);
+          }
+          steps.push({ line, op, re, ms });
+        } else if (op === "delay") {
+          const ms = Number(arg);
+          if (!arg || !Number.isFinite(ms) || ms < 0) {
+            throw new Error(`Bad delay "${arg}"`);
+          }
+          steps.push({ line, op, ms });
+        } else if (op === "assert") {
+          const negate = arg.startsWith("!");
+          const pattern = negate ? arg.slice(1).trim() : arg;
+          if (!pattern) throw new Error("assert needs a pattern");
+          const re = pattern.startsWith("/")
+            ? parsePattern(pattern).re
+            : new RegExp(escapeRegex(pattern));
+          steps.push({ line, op, re, negate });
+        } else {
+          throw new Error(`Unknown step "${m[1]}"`);
+        }
+      } catch (err) {
+        errors.push({ line, message: err.message });
+      }
+    });
+  return { steps, errors };
+}
+
+export function describeStep(step) {
+  switch (step.op) {
+    case "send":
+      return `send ${JSON.stringify(step.text)}`;
+    case "wait":
+      return `wait ${step.re} (${step.ms} ms)`;
+    case "delay":
+      return `delay ${step.ms} ms`;
+    case "assert":
+      return `assert ${step.negate ? "!" : ""}${step.re}`;
+    default:
+      return step.op;
+  }
+}
+
+// -----------------------------
+// Running
+// -----------------------------
+/**
+ * Run parsed steps against a device.
+ * @param {object[]} steps       from parseScript
+ * @param {object} io
+ * @param {(text: string) => Promise<void>} io.send
+ * @param {(cb: (line: string) => void) => () => void} io.subscribe
+ *        incoming lines; returns an unsubscribe function
+ * @param {(index: number, state: object) => void} [io.onStep]
+ *        state: { status: "running" | "ok" | "failed", matched?, detail? }
+ * @param {AbortSignal} [io.signal]
+ * @returns {Promise<{ ok: boolean, step?: number, error?: string }>}
+ */
+export async function runScript(steps, { send, subscribe, onStep, signal }) {
+  let buffer = []; // not yet consumed by a wait
+  let sinceSend = []; // everything since the last send (for assert)
+  let waiter = null;
+  const unsubscribe = subscribe((line) => {
+    buffer.push(line);
+    sinceSend.push(line);
+    if (buffer.length > MAX_BUFFER) buffer.shift();
+    if (sinceSend.length > MAX_BUFFER) sinceSend.shift();
+    waiter?.();
+  });
+
+  // Consume buffered lines up to the first match
+  const takeMatch = (re) => {
+    const i = buffer.findIndex((l) => re.test(l));
+    if (i < 0) return null;
+    const line = buffer[i];
+    buffer = buffer.slice(i + 1);
+    return line;
+  };
+
+  const waitFor = (re, ms) =>
+    new Promise((resolve, reject) => {
+      const done = (fn, value) => {
+        waiter = null;
+        clearTimeout(timer);
+        signal?.removeEventListener("abort", onAbort);
+        fn(value);
+      };
+      const onAbort = () => done(reject, new Error("Aborted"));
+      const timer = setTimeout(
+        () => done(reject, new Error(`Timed out after ${ms} ms`)),
+        ms
+      );
+      waiter = () => {
+        const line = takeMatch(re);
+        if (line != null) done(resolve, line);
+      };
+      signal?.addEventListener("abort", onAbort);
+      waiter();
+    });
+
+  const delay = (ms) =>
+    new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new Error("Aborted"));
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener("abort", onAbort);
+    });
+
+  try {
+    for (let i = 0; i < steps.length; i++) {
+      const step = steps[i];
+      onStep?.(i, { status: "running" });
+      try {
+        if (signal?.aborted) throw new Error("Aborted");
+        let result = {};
+        if (step.op === "send") {
+          buffer = [];
+          sinceSend = [];
+          await send(step.text);
+        } else if (step.op === "wait") {
+          result = { matched: await waitFor(step.re, step.ms) };
+        } else if (step.op === "delay") {
+          await delay(step.ms);
+        } else if (step.op === "assert") {
+          const hit = sinceSend.find((l) => step.re.test(l));
+          if (step.negate && hit != null) {
+            throw new Error(`Unexpected line: ${hit}`);
+          }
+          if (!step.negate && hit == null) {
+            throw new Error(`No line since the last send matches ${step.re}`);
+          }
+          result = hit != null ? { matched: hit } : {};
+        }
+        onStep?.(i, { status: "ok", ...result });
+      } catch (err) {
+        onStep?.(i, { status: "failed", detail: err.message });
+        return { ok: false, step: i, error: err.message };
+      }
+    }
+    return { ok: true };
+  } finally {
+    unsubscribe();
+  }
+}
@@ -0,0 +1,105 @@
+import { loadScripts, parseScript, runScript } from './pamScript';
+
+// Minimal device: replies to sent text with canned lines
+function fakeDevice(replies) {
+  const listeners = new Set();
+  const emit = (line) => listeners.forEach((cb) => cb(line));
+  return {
+    emit,
+    sent: [],
+    subscribe(cb) {
+      listeners.add(cb);
+      return () => listeners.delete(cb);
+    },
+    async send(text) {
+      this.sent.push(text);
+      for (const line of replies[text] || []) setTimeout(() => emit(line), 5);
+    },
+    get listenerCount() {
+      return listeners.size;
+    },
+  };
+}
+
+test('parses steps, escapes and errors', () => {
+  const { steps, errors } = parseScript(
+    [
+      '# comment',
+      'send m',
+      'send \\r',
+      'wait /pam menu/i 3000',
+      'wait Exiting menu',
+      'delay 250',
+      'assert !/ERR/',
+      'wait /x/ soon',
+      'jump 3',
+    ].join('\n')
+  );
+  expect(steps.map((s) => s.op)).toEqual(['send', 'send', 'wait', 'wait', 'delay', 'assert']);
+  expect(steps[1].text).toBe('\r');
+  expect(steps[2].re.test('==== PAM MENU ====')).toBe(true);
+  expect(steps[2].ms).toBe(3000);
+  expect(steps[3].re.source).toBe('Exiting menu');
+  expect(steps[3].ms).toBe(5000);
+  expect(steps[5].negate).toBe(true);
+  expect(errors).toEqual([
+    { line: 8, message: 'Bad timeout "soon"' },
+    { line: 9, message: 'Unknown step "jump"' },
+  ]);
+});
+
+test('reports lines that do not start with a step instead of throwing', () => {
+  const { steps, errors } = parseScript(['send m', '> x', '-send m', '"send"'].join('\n'));
+  expect(steps.map((s) => s.op)).toEqual(['send']);
+  expect(errors).toEqual([
+    { line: 2, message: 'Unrecognised line' },
+    { line: 3, message: 'Unrecognised line' },
+    { line: 4, message: 'Unrecognised line' },
+  ]);
+});
+
+test('runs send / wait / assert and reports matches', async () => {
+  const dev = fakeDevice({ m: ['noise', 'PAM MENU'], x: ['Exiting menu'] });
+  const states = [];
+  const { steps } = parseScript('send m\nwait /MENU/ 500\nassert noise\nsend x\nwait /Exiting/ 500');
+  const result = await runScript(steps, {
+    send: (t) => dev.send(t),
+    subscribe: (cb) => dev.subscribe(cb),
+    onStep: (i, s) => states.push([i, s.status, s.matched]),
+  });
+  expect(result).toEqual({ ok: true });
+  expect(dev.sent).toEqual(['m', 'x']);
+  expect(states).toContainEqual([1, 'ok', 'PAM MENU']);
+  expect(states).toContainEqual([2, 'ok', 'noise']);
+  expect(dev.listenerCount).toBe(0);
+});
+
+test('a wait timeout aborts the run', async () => {
+  const dev = fakeDevice({});
+  const { steps } = parseScript('send m\nwait /MENU/ 20\nsend x');
+  const result = await runScript(steps, {
+    send: (t) => dev.send(t),
+    subscribe: (cb) => dev.subscribe(cb),
+  });
+  expect(result).toEqual({ ok: false, step: 1, error: 'Timed out after 20 ms' });
+  expect(dev.sent).toEqual(['m']);
+});
+
+test('abort signal stops a waiting script', async () => {
+  const dev = fakeDevice({});
+  const controller = new AbortController();
+  const { steps } = parseScript('delay 1000\nsend m');
+  const pending = runScript(steps, {
+    send: (t) => dev.send(t),
+    subscribe: (cb) => dev.subscribe(cb),
+    signal: controller.signal,
+  });
+  controller.abort();
+  expect(await pending).toEqual({ ok: false, step: 0, error: 'Aborted' });
+});
+
+test('loadScripts drops malformed entries', () => {
+  const good = { id: 's1', name: 'Setup', text: 'send m' };
+  expect(loadScripts(JSON.stringify([good, { id: 1 }, null]))).toEqual([good]);
+  expect(loadScripts('nope')).toEqual([]);
+});
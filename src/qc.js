@@ -0,0 +1,149 @@
+import { SENSOR_MAP } from "./pamParser";
+import { QUANTITY_BY_KEY, canonicalUnit, displayConversion } from "./units";
+
+/* =========================================================================
+   Data-quality (QC) flags per sensor reading
+   - missing / invalid: the cell was empty or N/A, or not a number
+   - range: outside what the sensor can physically report (the sensor
+     definition's range, converted to the header's unit)
+   - stuck: the same value STUCK_SAMPLES times in a row
+   - spike: far from the median of the last SPIKE_WINDOW values (robust
+     spread, with a floor so quiet signals don't flag every step: a
+     multiple of the recent level, at least the sensor's resolution)
+   - Flags are bitmasks, stored per row in SeriesStore column q
+   - Pure functions: the caller owns the per-key state (createQcState)
+   ======================================================================= */
+
+export const QC_MISSING = 1;
+export const QC_INVALID = 2;
+export const QC_RANGE = 4;
+export const QC_STUCK = 8;
+export const QC_SPIKE = 16;
+
+// [bit, name (CSV), label]
+export const QC_FLAGS = [
+  [QC_MISSING, "missing", "Missing (empty or N/A)"],
+  [QC_INVALID, "invalid", "Not a number"],
+  [QC_RANGE, "range", "Out of physical range"],
+  [QC_STUCK, "stuck", "Stuck (unchanged)"],
+  [QC_SPIKE, "spike", "Spike"],
+];
+
+export const STUCK_SAMPLES = 60;
+const STUCK_EXEMPT = ["BAT", "CELL"]; // legitimately flat for long stretches
+export const SPIKE_WINDOW = 15;
+const SPIKE_MIN_SAMPLES = 5;
+const SPIKE_K = 6; // × robust standard deviation
+const SPIKE_LEVEL_FACTOR = 2; // × the recent median
+const SPIKE_RESOLUTION_FRACTION = 0.001; // of the physical range
+
+/** { key: [min, max, unit] } for the sensor map entries with a range. */
+export function physicalRanges(sensorMap) {
+  const out = {};
+  for (const { key, range, unit } of sensorMap) {
+    if (range) out[key] = [range.min, range.max, canonicalUnit(unit)];
+  }
+  return out;
+}
+
+// Generous limits of the PAM's sensors (the built-in definitions)
+export const PHYSICAL_RANGES = physicalRanges(SENSOR_MAP);
+
+function convertRange(ranges, key, unit) {
+  const def = ranges[key];
+  if (!def) return null;
+  const [min, max, from] = def;
+  const to = canonicalUnit(unit || from);
+  if (to === from) return { min, max };
+  const quantity = QUANTITY_BY_KEY[key];
+  if (!quantity) return null;
+  const conv = displayConversion(key, from, { [quantity]: to });
+  if (conv.identity) return null;
+  const a = conv.convert(min);
+  const b = conv.convert(max);
+  return { min: Math.min(a, b), max: Math.max(a, b) };
+}
+
+// Checked for every value of every row, so resolved once per key + unit
+const rangeCaches = new WeakMap(); // ranges -> Map
+
+/** Physical range of a sensor in `unit`, or null if unknown. */
+export function rangeFor(key, unit, ranges = PHYSICAL_RANGES) {
+  if (!rangeCaches.has(ranges)) rangeCaches.set(ranges, new Map());
+  const cache = rangeCaches.get(ranges);
+  const id = `${key}|${unit ?? ""}`;
+  if (!cache.has(id)) cache.set(id, convertRange(ranges, key, unit));
+  return cache.get(id);
+}
+
+/** @param {object} [ranges]  from physicalRanges (user sensor definitions) */
+export function createQcState(ranges = PHYSICAL_RANGES) {
+  return { ranges, keys: {} }; // keys: key -> { last, repeat, window }
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Flags for one sensor entry of a parser reading.
+ * @param {object} state  from createQcState (updated)
+ * @param {{ key: string, value: number|null, unit?: string,
+ *           issue?: string }} sensor
+ * @returns {number} bitmask (0 = fine)
+ */
+export function checkValue(state, { key, value, unit, issue }) {
+  if (value == null) return issue === "invalid" ? QC_INVALID : QC_MISSING;
+  if (!state.keys[key]) state.keys[key] = { last: null, repeat: 0, window: [] };
+  const st = state.keys[key];
+  let mask = 0;
+
+  const range = rangeFor(key, unit, state.ranges);
+  const outOfRange = range && (value < range.min || value > range.max);
+  if (outOfRange) mask |= QC_RANGE;
+
+  st.repeat = value === st.last ? st.repeat + 1 : 1;
+  st.last = value;
+  if (st.repeat >= STUCK_SAMPLES && !STUCK_EXEMPT.includes(key)) {
+    mask |= QC_STUCK;
+  }
+
+  if (!outOfRange) {
+    if (st.window.length >= SPIKE_MIN_SAMPLES) {
+      const m = median(st.window);
+      const spread = 1.4826 * median(st.window.map((v) => Math.abs(v - m)));
+      // Gases idle far below their span (CO 0–1000 ppm), so the floor
+      // follows the level rather than the physical range
+      const resolution = range
+        ? (range.max - range.min) * SPIKE_RESOLUTION_FRACTION
+        : 0;
+      const floor = Math.max(Math.abs(m) * SPIKE_LEVEL_FACTOR, resolution);
+      if (Math.abs(value - m) > Math.max(SPIKE_K * spread, floor)) {
+        mask |= QC_SPIKE;
+      }
+    }
+    st.window.push(value);
+    if (st.window.length > SPIKE_WINDOW) st.window.shift();
+  }
+  return mask;
+}
+
+/**
+ * Flags for every sensor of a reading, flagged keys only.
+ * @returns {Record<string, number>}
+ */
+export function checkReading(state, sensors) {
+  const flags = {};
+  for (const s of sensors) {
+    const mask = checkValue(state, s);
+    if (mask) flags[s.key] = mask;
+  }
+  return flags;
+}
+
+/** Flag names in a bitmask, e.g. ["range", "spike"]. */
+export function qcNames(mask) {
+  return QC_FLAGS.filter(([bit]) => mask & bit).map(([, name]) => name);
+}
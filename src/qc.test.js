@@ -0,0 +1,83 @@
+import {
+  QC_INVALID,
+  QC_MISSING,
+  QC_RANGE,
+  QC_SPIKE,
+  QC_STUCK,
+  STUCK_SAMPLES,
+  checkReading,
+  checkValue,
+  createQcState,
+  qcNames,
+  rangeFor,
+} from './qc';
+
+const pm = (value) => ({ key: 'PM2_5', unit: 'µg/m³', value });
+
+test('missing and unreadable cells', () => {
+  const state = createQcState();
+  expect(checkValue(state, { key: 'CO', value: null, issue: 'missing' })).toBe(QC_MISSING);
+  expect(checkValue(state, { key: 'CO', value: null, issue: 'invalid' })).toBe(QC_INVALID);
+  expect(checkValue(state, { key: 'CO', value: null })).toBe(QC_MISSING);
+});
+
+test('physical range in the reported unit', () => {
+  expect(rangeFor('TEMP', '°C')).toEqual({ min: -40, max: 85 });
+  expect(rangeFor('TEMP', '°F')).toEqual({ min: -40, max: 185 });
+  expect(rangeFor('CO', 'ppb').max).toBe(1000000);
+  expect(rangeFor('WIND', 'm/s')).toBeNull();
+
+  const state = createQcState();
+  expect(checkValue(state, { key: 'RH', unit: '%', value: 104 })).toBe(QC_RANGE);
+  expect(checkValue(state, { key: 'TEMP', unit: '°F', value: 100 })).toBe(0);
+});
+
+test('stuck values', () => {
+  const state = createQcState();
+  const masks = [];
+  for (let i = 0; i < STUCK_SAMPLES + 1; i++) masks.push(checkValue(state, pm(12)));
+  expect(masks[STUCK_SAMPLES - 2]).toBe(0);
+  expect(masks[STUCK_SAMPLES - 1]).toBe(QC_STUCK);
+  expect(checkValue(state, pm(13))).toBe(0);
+  // A flat battery is not a fault
+  for (let i = 0; i < STUCK_SAMPLES + 1; i++) checkValue(state, { key: 'BAT', unit: '%', value: 80 });
+  expect(checkValue(state, { key: 'BAT', unit: '%', value: 80 })).toBe(0);
+});
+
+test('spikes against the recent median', () => {
+  const state = createQcState();
+  const noisy = [10, 12, 11, 13, 9, 10, 12, 11];
+  expect(noisy.map((v) => checkValue(state, pm(v))).every((m) => m === 0)).toBe(true);
+  expect(checkValue(state, pm(30))).toBe(0); // within twice the recent level
+  expect(checkValue(state, pm(400))).toBe(QC_SPIKE);
+  expect(checkValue(state, pm(11))).toBe(0);
+  // Out-of-range values are flagged as such and don't skew the window
+  expect(checkValue(state, pm(5000))).toBe(QC_RANGE);
+});
+
+test('spikes on gas channels well inside their physical range', () => {
+  const co = (value) => ({ key: 'CO', unit: 'ppm', value });
+  const state = createQcState();
+  const idle = [0.5, 0.6, 0.4, 0.5, 0.5, 0.6, 0.4];
+  expect(idle.map((v) => checkValue(state, co(v))).every((m) => m === 0)).toBe(true);
+  expect(checkValue(state, co(1.2))).toBe(0);
+  expect(checkValue(state, co(8))).toBe(QC_SPIKE);
+
+  const no2 = (value) => ({ key: 'NO2', unit: 'ppb', value });
+  [20, 22, 19, 21, 20, 23].forEach((v) => checkValue(state, no2(v)));
+  expect(checkValue(state, no2(40))).toBe(0);
+  expect(checkValue(state, no2(400))).toBe(QC_SPIKE);
+
+  // Readings at zero still need a real step, not any change
+  const zeros = [0, 0, 0, 0, 0, 0];
+  zeros.forEach((v) => checkValue(state, { key: 'TVOC', unit: 'ppb', value: v }));
+  expect(checkValue(state, { key: 'TVOC', unit: 'ppb', value: 1 })).toBe(0);
+});
+
+test('flags a reading per key', () => {
+  const state = createQcState();
+  const flags = checkReading(state, [pm(10), { key: 'RH', unit: '%', value: -3 }, { key: 'CO', value: null, issue: 'invalid' }]);
+  expect(flags).toEqual({ RH: QC_RANGE, CO: QC_INVALID });
+  expect(qcNames(QC_RANGE | QC_SPIKE)).toEqual(['range', 'spike']);
+  expect(qcNames(0)).toEqual([]);
+});
@@ -0,0 +1,176 @@
+import { PamLineParser, compileSensorMap } from "./pamParser";
+
+/* =========================================================================
+   Serial read pump — bytes in, batched parser events out
+   - Decodes a port's ReadableStream and parses it with its own
+     PamLineParser; events are queued as [name, payload] pairs
+   - Every frameMs the queue is handed over as one batch (at most maxBatch
+     events). Only one batch is in flight: the next waits until the main
+     thread has applied it, so a busy UI gets fewer, larger batches instead
+     of a growing backlog of messages
+   - Back-pressure: the stream is always drained (a stalled Web Serial port
+     overruns its buffer and loses data), so the queue takes the strain.
+     Past maxQueue, the raw log copies of data rows are shed; past twice
+     that, the oldest events go, except headers. Both count as dropped
+   - Readings travel without `header` and `row`; PamLineParser.applyEvents
+     puts the header back on the receiving side
+   - With `raw` on, each decoded chunk is also queued as-is ("raw" event)
+     for the terminal view, escapes and all
+   - Runs inside ./pamReadWorker, or on the main thread where workers or
+     transferable streams aren't available (and in tests); ./serialReader
+     picks one
+   ======================================================================= */
+
+export const FRAME_MS = 50;
+export const MAX_BATCH = 5000;
+export const MAX_QUEUE = 20000;
+
+export class ReadPump {
+  /**
+   * @param {object} options
+   * @param {(batch: { events: Array, stats: object }) => void} options.onBatch
+   * @param {number} [options.frameMs]
+   * @param {number} [options.maxBatch]
+   * @param {number} [options.maxQueue]
+   * @param {string[]} [options.header]  known header (e.g. on reconnect)
+   * @param {object[]} [options.sensors]  sensor definitions (plain data,
+   *        see compileSensorMap); the built-in map if absent
+   * @param {object[]} [options.headerProfiles]  see ./headerProfiles
+   * @param {boolean} [options.raw]  also queue decoded chunks ("raw")
+   */
+  constructor(options) {
+    this.onBatch = options.onBatch;
+    this.frameMs = options.frameMs ?? FRAME_MS;
+    this.maxBatch = options.maxBatch ?? MAX_BATCH;
+    this.maxQueue = options.maxQueue ?? MAX_QUEUE;
+    this.raw = !!options.raw;
+    this.parser = new PamLineParser({
+      sensorMap: options.sensors && compileSensorMap(options.sensors),
+      headerProfiles: options.headerProfiles,
+    });
+    this.queue = [];
+    this.inFlight = false;
+    this.reader = null;
+    this.timer = null;
+    this.received = 0; // lines
+    this.dropped = 0;
+
+    this.parser.on("line", (line) => {
+      this.received++;
+      this.enqueue("line", line);
+    });
+    this.parser.on("header", (e) => this.enqueue("header", e));
+    this.parser.on("malformed", (e) => this.enqueue("malformed", e));
+    this.parser.on("reading", ({ header, row, ...reading }) => {
+      // Under pressure the log copy of a data row goes, the reading stays
+      const last = this.queue[this.queue.length - 1];
+      if (this.queue.length > this.maxQueue && last?.[0] === "line") {
+        this.queue.pop();
+        this.dropped++;
+      }
+      this.enqueue("reading", reading);
+    });
+    if (options.header) this.parser.setHeader(options.header, "manual");
+  }
+
+  enqueue(event, payload) {
+    this.queue.push([event, payload]);
+    if (this.queue.length > this.maxQueue * 2) {
+      // Header events stay: the readings after them are applied against them
+      let drop = Math.ceil(this.maxQueue / 10);
+      const headers = [];
+      let i = 0;
+      for (; i < this.queue.length && drop > 0; i++) {
+        if (this.queue[i][0] === "header") {
+          headers.push(this.queue[i]);
+        } else {
+          drop--;
+          this.dropped++;
+        }
+      }
+      this.queue.splice(0, i, ...headers);
+    }
+  }
+
+  stats() {
+    return {
+      received: this.received,
+      queued: this.queue.length,
+      dropped: this.dropped,
+    };
+  }
+
+  /**
+   * Read `readable` (bytes) until it ends, is cancelled or errors.
+   * Resolves with { error } (a message, or null) after the last batch.
+   */
+  async start(readable) {
+    this.timer = setInterval(() => this.deliver(), this.frameMs);
+    const decoder = new TextDecoder();
+    let error = null;
+    try {
+      this.reader = readable.getReader();
+      while (true) {
+        const { value, done } = await this.reader.read();
+        if (done) break;
+        if (value) this.push(decoder.decode(value, { stream: true }));
+      }
+      this.push(decoder.decode());
+    } catch (err) {
+      error = err?.message || String(err);
+    } finally {
+      this.reader?.releaseLock();
+      this.reader = null;
+    }
+    this.parser.flush();
+    clearInterval(this.timer);
+    // Whatever is left goes out in one go; nobody is reading any more
+    this.inFlight = false;
+    this.deliver(Infinity);
+    return { error };
+  }
+
+  push(text) {
+    if (this.raw && text) this.enqueue("raw", text);
+    this.parser.pushChunk(text);
+  }
+
+  deliver(limit = this.maxBatch) {
+    if (this.inFlight || !this.queue.length) return;
+    const events = this.queue.splice(0, limit);
+    this.inFlight = true;
+    this.onBatch({ events, stats: this.stats() });
+  }
+
+  /** The consumer has applied the last batch. */
+  ack() {
+    this.inFlight = false;
+  }
+
+  setHeader(tokens, source) {
+    this.parser.setHeader(tokens, source);
+  }
+
+  setSensors(definitions) {
+    this.parser.setSensorMap(compileSensorMap(definitions));
+  }
+
+  setHeaderProfiles(profiles) {
+    this.parser.setHeaderProfiles(profiles);
+  }
+
+  setRaw(on) {
+    this.raw = !!on;
+  }
+
+  reset() {
+    this.parser.reset();
+    this.queue = [];
+  }
+
+  async cancel() {
+    try {
+      await this.reader?.cancel();
+    } catch {}
+  }
+}
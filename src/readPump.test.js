@@ -0,0 +1,142 @@
+import { PamLineParser } from './pamParser';
+import { ReadPump } from './readPump';
+import { startReader } from './serialReader';
+
+const HEADER = 'DeviceId,CO(PPM),PM2.5(UGM3),Date,Time';
+const row = (i) => `7,0.4,${i},2025-09-22,14:07:${String(i % 60).padStart(2, '0')}`;
+
+// A byte stream the test writes into
+function byteStream() {
+  let controller;
+  const readable = new ReadableStream({
+    start(c) {
+      controller = c;
+    },
+  });
+  const encoder = new TextEncoder();
+  return {
+    readable,
+    write: (text) => controller.enqueue(encoder.encode(text)),
+    close: () => controller.close(),
+    error: (err) => controller.error(err),
+  };
+}
+
+test('posts parsed events in batches that another parser can replay', async () => {
+  const batches = [];
+  const pump = new ReadPump({ frameMs: 1e6, onBatch: (b) => batches.push(b) });
+  const port = byteStream();
+  const done = pump.start(port.readable);
+  // A line split across chunks, and a multi-byte character
+  port.write(`${HEADER}\r\n${row(1)}\r\n7,0.4,2.`);
+  port.write('5,2025-09-22,14:07:02\r\nµ\r\n');
+  port.close();
+  expect(await done).toEqual({ error: null });
+
+  expect(batches).toHaveLength(1);
+  const { events, stats } = batches[0];
+  expect(stats).toMatchObject({ received: 4, queued: 0, dropped: 0 });
+  const reading = events.find(([e]) => e === 'reading')[1];
+  expect(reading.header).toBeUndefined();
+  expect(reading.row).toBeUndefined();
+
+  const parser = new PamLineParser();
+  const readings = [];
+  const lines = [];
+  parser.on('reading', (r) => readings.push(r));
+  parser.on('line', (l) => lines.push(l));
+  parser.applyEvents(events);
+  expect(parser.header).toHaveLength(5);
+  expect(readings.map((r) => r.values['PM2.5(UGM3)'])).toEqual([1, 2.5]);
+  expect(readings[0].header).toBe(parser.header);
+  expect(lines[lines.length - 1]).toBe('µ');
+});
+
+test('holds the next batch until the last one is acknowledged', async () => {
+  const batches = [];
+  const pump = new ReadPump({ maxBatch: 2, onBatch: (b) => batches.push(b) });
+  pump.setHeader(HEADER.split(','), 'manual');
+  pump.parser.pushLine(row(1));
+  pump.deliver();
+  pump.deliver();
+  expect(batches).toHaveLength(1);
+  expect(batches[0].stats.queued).toBe(1);
+  pump.ack();
+  pump.deliver();
+  expect(batches).toHaveLength(2);
+});
+
+test('sheds log copies of data rows first, then the oldest events', () => {
+  const pump = new ReadPump({ maxQueue: 10, onBatch: () => {} });
+  pump.setHeader(HEADER.split(','), 'manual');
+  for (let i = 0; i < 8; i++) pump.parser.pushLine(row(i));
+  // header + 8 × (line, reading): rows past the limit lost their log line
+  expect(pump.stats().dropped).toBe(3);
+  const kinds = pump.queue.map(([e]) => e);
+  expect(kinds.filter((e) => e === 'reading')).toHaveLength(8);
+  expect(kinds.filter((e) => e === 'line')).toHaveLength(5);
+
+  for (let i = 0; i < 20; i++) pump.parser.pushLine(row(i));
+  expect(pump.queue.length).toBeLessThanOrEqual(20);
+  expect(pump.stats().dropped).toBeGreaterThan(3 + 20);
+
+  // A header change in the part that gets shed is kept, so the surviving
+  // readings are still applied against the header they were parsed with
+  pump.parser.pushLine('DeviceId,PM2.5(UGM3),CO(PPM),Date,Time');
+  for (let i = 0; i < 20; i++) pump.parser.pushLine(`7,${100 + i},0.4,2025-09-22,14:08:00`);
+  const kept = pump.queue.map(([e]) => e);
+  expect(kept.filter((e) => e === 'header')).toHaveLength(2);
+  expect(kept.indexOf('header', 1)).toBeLessThan(kept.indexOf('reading'));
+  const parser = new PamLineParser();
+  const readings = [];
+  parser.on('reading', (r) => readings.push(r));
+  parser.applyEvents(pump.queue);
+  expect(readings.length).toBeGreaterThan(0);
+  for (const r of readings) {
+    expect(r.values['PM2.5(UGM3)']).toBeGreaterThanOrEqual(100);
+    expect(r.values['CO(PPM)']).toBe(0.4);
+  }
+});
+
+test('reports a failing stream and reads on this thread without workers', async () => {
+  const batches = [];
+  const port = byteStream();
+  const reader = await startReader(port.readable, (b) => batches.push(b), {
+    header: HEADER.split(','),
+    frameMs: 5,
+  });
+  expect(reader.worker).toBe(false);
+  port.write(`${row(3)}\n`);
+  await new Promise((r) => setTimeout(r, 20));
+  port.error(new Error('device lost'));
+  expect(await reader.done).toEqual({ error: 'device lost' });
+  const events = batches.flatMap((b) => b.events);
+  expect(events.map(([e]) => e)).toEqual(['header', 'line', 'reading']);
+  expect(batches[0].stats.worker).toBe(false);
+});
+
+test('cancel resolves once the stream is released', async () => {
+  const port = byteStream();
+  const reader = await startReader(port.readable, () => {}, { frameMs: 5 });
+  port.write(`${row(1)}\n`);
+  await reader.cancel();
+  expect(port.readable.locked).toBe(false);
+  expect(await reader.done).toEqual({ error: null });
+});
+
+test('queues decoded chunks as raw events when asked, escapes and all', async () => {
+  const batches = [];
+  const pump = new ReadPump({ frameMs: 1e6, raw: true, onBatch: (b) => batches.push(b) });
+  const port = byteStream();
+  const done = pump.start(port.readable);
+  port.write('\x1b[1mMenu\x1b[0m\r\n> ');
+  await new Promise((r) => setTimeout(r, 0));
+  pump.setRaw(false);
+  port.write('quiet\r\n');
+  port.close();
+  await done;
+
+  const events = batches.flatMap((b) => b.events);
+  expect(events.filter(([e]) => e === 'raw').map(([, text]) => text)).toEqual(['\x1b[1mMenu\x1b[0m\r\n> ']);
+  expect(events.filter(([e]) => e === 'line')).toHaveLength(2);
+});
@@ -0,0 +1,50 @@
+/* =========================================================================
+   Main-thread side of ./pamReadWorker
+   Only imported on demand (see ./serialReader): the worker URL
+   relies on the bundler's `new URL(..., import.meta.url)` support.
+   ======================================================================= */
+
+/**
+ * Hand `readable` to a new read worker. Throws (with the stream still
+ * usable) when the browser can't transfer streams.
+ */
+export function startWorkerReader(readable, onBatch, options = {}) {
+  const worker = new Worker(new URL("./pamReadWorker.js", import.meta.url));
+  try {
+    worker.postMessage({ type: "start", readable, options }, [readable]);
+  } catch (err) {
+    worker.terminate();
+    throw err;
+  }
+  let finish;
+  const done = new Promise((resolve) => (finish = resolve));
+  worker.onmessage = ({ data }) => {
+    if (data.type === "batch") {
+      onBatch({ events: data.events, stats: { ...data.stats, worker: true } });
+      worker.postMessage({ type: "ack" });
+    } else if (data.type === "end") {
+      worker.terminate();
+      finish({ error: data.error });
+    }
+  };
+  worker.onerror = (e) => {
+    worker.terminate();
+    finish({ error: e.message || "Read worker failed" });
+  };
+  return {
+    worker: true,
+    setHeader: (tokens, source) =>
+      worker.postMessage({ type: "header", header: tokens, source }),
+    setSensors: (sensors) => worker.postMessage({ type: "sensors", sensors }),
+    setHeaderProfiles: (profiles) =>
+      worker.postMessage({ type: "profiles", profiles }),
+    setRaw: (on) => worker.postMessage({ type: "raw", on }),
+    reset: () => worker.postMessage({ type: "reset" }),
+    // The worker's end of the stream is released once it reports "end"
+    cancel: async () => {
+      worker.postMessage({ type: "cancel" });
+      await done;
+    },
+    done,
+  };
+}
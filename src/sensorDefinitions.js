@@ -0,0 +1,160 @@
+import Ajv from "ajv";
+import { DEFAULT_SENSOR_DEFINITIONS } from "./pamParser";
+import { POSITION_KEYS } from "./geo";
+
+/* =========================================================================
+   User-editable sensor definitions
+   - Definition: { key, match, label, unit, chartable?, range?: { min, max } }
+     (see DEFAULT_SENSOR_DEFINITIONS in ./pamParser, the built-in profile)
+   - Validated with a JSON Schema (ajv) plus the checks a schema can't
+     express: unique keys, min < max, no GPS column keys
+   - Share as JSON: { format: "pam-sensors", version: 1, sensors }
+   ======================================================================= */
+
+const FILE_FORMAT = "pam-sensors";
+const FILE_VERSION = 1;
+
+export const SENSOR_DEFINITIONS_SCHEMA = {
+  type: "array",
+  minItems: 1,
+  items: {
+    type: "object",
+    required: ["key", "match", "label", "unit"],
+    additionalProperties: false,
+    properties: {
+      key: {
+        type: "string",
+        pattern: "^[A-Za-z][A-Za-z0-9_]*$",
+        maxLength: 32,
+      },
+      match: { type: "string", minLength: 1, format: "regex" },
+      label: { type: "string", minLength: 1, maxLength: 64 },
+      unit: { type: "string", maxLength: 16 },
+      chartable: { type: "boolean" },
+      range: {
+        type: "object",
+        required: ["min", "max"],
+        additionalProperties: false,
+        properties: { min: { type: "number" }, max: { type: "number" } },
+      },
+    },
+  },
+};
+
+let validate = null; // compiled on first use
+function schemaValidator() {
+  if (!validate) {
+    const ajv = new Ajv({ allErrors: true });
+    ajv.addFormat("regex", {
+      validate: (s) => {
+        try {
+          new RegExp(s, "i");
+          return true;
+        } catch {
+          return false;
+        }
+      },
+    });
+    validate = ajv.compile(SENSOR_DEFINITIONS_SCHEMA);
+  }
+  return validate;
+}
+
+function describeError(err) {
+  const field = err.dataPath.split("/")[2];
+  if (err.keyword === "pattern" && field === "key") {
+    return "key must start with a letter and use only letters, digits and _";
+  }
+  if (err.keyword === "format") {
+    return "match is not a valid regular expression";
+  }
+  if (err.keyword === "additionalProperties") {
+    return `unknown property "${err.params.additionalProperty}"`;
+  }
+  if (err.keyword === "required") {
+    return `${err.params.missingProperty} is required`;
+  }
+  if (err.keyword === "minLength" && err.params.limit === 1) {
+    return `${field} is required`;
+  }
+  return `${err.dataPath.split("/").slice(2).join(".")} ${err.message}`;
+}
+
+/**
+ * Problems with a list of definitions, as readable messages ([] = valid).
+ * @param {unknown} definitions
+ * @returns {string[]}
+ */
+export function validateSensorDefinitions(definitions) {
+  const check = schemaValidator();
+  const where = (i) => {
+    const key = definitions[i]?.key;
+    return `Sensor ${i + 1}${key && typeof key === "string" ? ` (${key})` : ""}`;
+  };
+  if (!check(definitions)) {
+    return check.errors.map((err) => {
+      if (!err.dataPath) {
+        return Array.isArray(definitions)
+          ? "Define at least one sensor"
+          : "Sensor definitions must be a list";
+      }
+      const i = Number(err.dataPath.split("/")[1]);
+      return `${where(i)}: ${describeError(err)}`;
+    });
+  }
+  const errors = [];
+  const seen = new Set();
+  definitions.forEach((def, i) => {
+    if (seen.has(def.key)) errors.push(`${where(i)}: key is used twice`);
+    seen.add(def.key);
+    if (POSITION_KEYS.includes(def.key)) {
+      errors.push(`${where(i)}: ${def.key} is reserved for the GPS fix`);
+    }
+    if (def.range && !(def.range.min < def.range.max)) {
+      errors.push(`${where(i)}: range min must be below max`);
+    }
+  });
+  return errors;
+}
+
+/** Persisted definitions, or null (built-in profile) if absent or invalid. */
+export function loadSensorDefinitions(json) {
+  if (!json) return null;
+  try {
+    const defs = JSON.parse(json);
+    return validateSensorDefinitions(defs).length ? null : defs;
+  } catch {
+    return null;
+  }
+}
+
+export function sensorDefinitionsToFile(definitions) {
+  return JSON.stringify(
+    { format: FILE_FORMAT, version: FILE_VERSION, sensors: definitions },
+    null,
+    2
+  );
+}
+
+/** Parse a shared sensor file (or a bare list); throws if it isn't valid. */
+export function parseSensorDefinitionsFile(text) {
+  let obj;
+  try {
+    obj = JSON.parse(text);
+  } catch {
+    throw new Error("Sensor file is not valid JSON");
+  }
+  const defs = obj?.format === FILE_FORMAT ? obj.sensors : obj;
+  const errors = validateSensorDefinitions(defs);
+  if (errors.length) {
+    const more = errors.length > 3 ? ` (+${errors.length - 3} more)` : "";
+    throw new Error(`${errors.slice(0, 3).join("; ")}${more}`);
+  }
+  return defs;
+}
+
+export function isBuiltInSensorMap(definitions) {
+  return (
+    JSON.stringify(definitions) === JSON.stringify(DEFAULT_SENSOR_DEFINITIONS)
+  );
+}
@@ -0,0 +1,82 @@
+import { DEFAULT_SENSOR_DEFINITIONS, PamLineParser, compileSensorMap } from './pamParser';
+import { checkValue, createQcState, physicalRanges, QC_RANGE } from './qc';
+import {
+  loadSensorDefinitions,
+  parseSensorDefinitionsFile,
+  sensorDefinitionsToFile,
+  validateSensorDefinitions,
+} from './sensorDefinitions';
+
+const O3 = { key: 'O3', match: '\\bO3\\b', label: 'Ozone', unit: 'ppb', chartable: true, range: { min: 0, max: 500 } };
+
+test('the built-in map is valid and keeps CO apart from CO2', () => {
+  expect(validateSensorDefinitions(DEFAULT_SENSOR_DEFINITIONS)).toEqual([]);
+  const map = compileSensorMap(DEFAULT_SENSOR_DEFINITIONS);
+  const co = map.find((m) => m.key === 'CO');
+  expect(['CO(PPM)', 'co_ppb', 'CO'].every((h) => co.matches(h))).toBe(true);
+  expect(['CO2(PPM)', 'COUNT'].some((h) => co.matches(h))).toBe(false);
+});
+
+test('reports schema and consistency problems per sensor', () => {
+  const errors = validateSensorDefinitions([
+    { key: 'PM2_5', match: 'PM2\\.5', label: 'PM2.5', unit: 'µg/m³' },
+    { key: 'PM2_5', match: 'PM(', label: 'Again', unit: '' },
+    { key: '2X', match: 'X', label: '', unit: '', colour: 'red' },
+    { key: 'LAT', match: 'LAT', label: 'Latitude', unit: '°' },
+    { ...O3, range: { min: 10, max: 5 } },
+  ]);
+  expect(errors).toEqual(
+    expect.arrayContaining([
+      'Sensor 2 (PM2_5): match is not a valid regular expression',
+      'Sensor 3 (2X): key must start with a letter and use only letters, digits and _',
+      'Sensor 3 (2X): label is required',
+      'Sensor 3 (2X): unknown property "colour"',
+    ])
+  );
+  // Cross-entry checks run once the schema passes
+  expect(
+    validateSensorDefinitions([
+      { key: 'PM2_5', match: 'PM2\\.5', label: 'PM2.5', unit: 'µg/m³' },
+      { key: 'PM2_5', match: 'PM25', label: 'Again', unit: '' },
+      { key: 'LAT', match: 'LAT', label: 'Latitude', unit: '°' },
+      { ...O3, range: { min: 10, max: 5 } },
+    ])
+  ).toEqual([
+    'Sensor 2 (PM2_5): key is used twice',
+    'Sensor 3 (LAT): LAT is reserved for the GPS fix',
+    'Sensor 4 (O3): range min must be below max',
+  ]);
+  expect(validateSensorDefinitions([])).toEqual(['Define at least one sensor']);
+  expect(validateSensorDefinitions({})).toEqual(['Sensor definitions must be a list']);
+});
+
+test('files and saved settings round-trip; invalid ones are refused', () => {
+  const defs = [...DEFAULT_SENSOR_DEFINITIONS, O3];
+  const file = sensorDefinitionsToFile(defs);
+  expect(JSON.parse(file).format).toBe('pam-sensors');
+  expect(parseSensorDefinitionsFile(file)).toEqual(defs);
+  expect(parseSensorDefinitionsFile(JSON.stringify([O3]))).toEqual([O3]);
+  expect(() => parseSensorDefinitionsFile('{')).toThrow('not valid JSON');
+  expect(() => parseSensorDefinitionsFile(JSON.stringify([{ ...O3, match: '(' }]))).toThrow(/regular expression/);
+
+  expect(loadSensorDefinitions(JSON.stringify(defs))).toEqual(defs);
+  expect(loadSensorDefinitions(JSON.stringify([{ key: 'O3' }]))).toBeNull();
+  expect(loadSensorDefinitions(null)).toBeNull();
+});
+
+test('a custom map drives parsing and QC ranges', () => {
+  const map = compileSensorMap([...DEFAULT_SENSOR_DEFINITIONS, O3]);
+  const parser = new PamLineParser();
+  const readings = [];
+  parser.on('reading', (r) => readings.push(r));
+  parser.pushLine('DeviceId,O3(PPB),TEMP(C)');
+  parser.pushLine('7,41,21.5');
+  parser.setSensorMap(map);
+  parser.pushLine('7,42,21.5');
+  expect(readings[0].sensors.map((s) => s.key)).toEqual(['TEMP']);
+  expect(readings[1].sensors.map((s) => s.key)).toEqual(['TEMP', 'O3']);
+
+  const state = createQcState(physicalRanges(map));
+  expect(checkValue(state, { key: 'O3', unit: 'ppb', value: 600 })).toBe(QC_RANGE);
+  expect(checkValue(state, { key: 'O3', unit: 'ppb', value: 60 })).toBe(0);
+});
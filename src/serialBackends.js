@@ -0,0 +1,80 @@
+import { SimulatedPamPort } from "./simulatedPamPort";
+
+/* =========================================================================
+   Serial backends
+   A backend hands the dashboard something that looks like a Web Serial
+   SerialPort. The dashboard only calls requestPort() and then uses
+   port.open / readable / writable / close.
+
+   Optional, for automatic reconnect:
+   - findPort(previous)   an already-granted port for the same device (no
+                          chooser), or null if it isn't back yet
+   - onPortConnect(cb)    call cb when a device is plugged in; returns an
+                          unsubscribe function
+   ======================================================================= */
+
+const CP210X_FILTERS = [{ usbVendorId: 0x10c4 }]; // optional: CP210x filter
+
+function sameDevice(a, b) {
+  return (
+    a.usbVendorId === b.usbVendorId && a.usbProductId === b.usbProductId
+  );
+}
+
+export const webSerialBackend = {
+  id: "webserial",
+  label: "USB (Web Serial)",
+  isAvailable: () => typeof navigator !== "undefined" && !!navigator.serial,
+  async requestPort() {
+    if (!navigator.serial) throw new Error("Web Serial API not available");
+    return navigator.serial
+      .requestPort({ filters: CP210X_FILTERS })
+      .catch(() => null);
+  },
+  // A re-plugged device may come back as a new SerialPort object. getInfo()
+  // has no serial number, so identical adapters (several CP210x PAMs) can't
+  // be told apart: only take a new object when it's the one granted port
+  // with those USB ids, never another dashboard's device.
+  async findPort(previous) {
+    if (!navigator.serial) return null;
+    const ports = await navigator.serial.getPorts();
+    if (ports.includes(previous)) return previous;
+    const info = previous?.getInfo?.() || {};
+    const same = ports.filter((p) => sameDevice(p.getInfo(), info));
+    return same.length === 1 && !same[0].readable ? same[0] : null;
+  },
+  onPortConnect(cb) {
+    if (!navigator.serial) return () => {};
+    navigator.serial.addEventListener("connect", cb);
+    return () => navigator.serial.removeEventListener("connect", cb);
+  },
+};
+
+/**
+ * Backend that returns a fresh SimulatedPamPort on every connect.
+ * `lastPort` is kept so tests (and the Settings fault buttons) can drive it.
+ */
+export function createSimulatorBackend(options = {}) {
+  const backend = {
+    id: "simulator",
+    label: "Simulated PAM",
+    lastPort: null,
+    isAvailable: () => true,
+    async requestPort() {
+      backend.lastPort = new SimulatedPamPort(options);
+      return backend.lastPort;
+    },
+    // The simulated device never really goes away
+    async findPort(previous) {
+      return previous;
+    },
+    onPortConnect: () => () => {},
+  };
+  return backend;
+}
+
+// The simulator is offered in dev builds only
+export const DEFAULT_BACKENDS =
+  process.env.NODE_ENV === "production"
+    ? [webSerialBackend]
+    : [webSerialBackend, createSimulatorBackend()];
@@ -0,0 +1,26 @@
+import { webSerialBackend } from './serialBackends';
+
+const CP210X = { usbVendorId: 0x10c4, usbProductId: 0xea60 };
+const fakePort = (info = CP210X) => ({ readable: null, getInfo: () => info });
+
+afterEach(() => {
+  delete navigator.serial;
+});
+
+test('findPort only falls back to a new port object when it is the one granted port for the device', async () => {
+  const previous = fakePort();
+  const replugged = fakePort();
+  navigator.serial = { getPorts: async () => [replugged, fakePort({ usbVendorId: 0x2341, usbProductId: 1 })] };
+  expect(await webSerialBackend.findPort(previous)).toBe(replugged);
+
+  // Two identical adapters: can't tell which is ours, so take neither
+  const other = fakePort();
+  navigator.serial = { getPorts: async () => [replugged, other] };
+  expect(await webSerialBackend.findPort(previous)).toBe(null);
+  navigator.serial = { getPorts: async () => [replugged, other, previous] };
+  expect(await webSerialBackend.findPort(previous)).toBe(previous);
+
+  // Another dashboard has it open
+  navigator.serial = { getPorts: async () => [{ ...replugged, readable: {} }] };
+  expect(await webSerialBackend.findPort(previous)).toBe(null);
+});
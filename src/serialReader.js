@@ -0,0 +1,54 @@
+import { ReadPump } from "./readPump";
+
+/* =========================================================================
+   Serial reader — starts a ReadPump for a port, in a worker when possible
+   - Kept apart from ./readPump so the worker bundle doesn't carry this
+     module's on-demand import of ./readWorker
+   ======================================================================= */
+
+/**
+ * Start reading a port's stream, in a worker when possible.
+ * Returns a controller: { worker, setHeader(tokens, source),
+ * setSensors(definitions), setHeaderProfiles(profiles), setRaw(on),
+ * reset(), cancel(), done } where `done` resolves with { error }.
+ * cancel() resolves once the stream has been let go, so the port can close.
+ * @param {ReadableStream} readable
+ * @param {(batch: { events: Array, stats: object }) => void} onBatch
+ *        applies a batch synchronously; stats = { received, queued,
+ *        dropped, worker }
+ * @param {object} [options]  ReadPump options; worker: false forces the
+ *                            main thread
+ */
+export async function startReader(readable, onBatch, options = {}) {
+  const { worker = true, ...pumpOptions } = options;
+  if (worker && typeof Worker !== "undefined") {
+    // Loaded on demand: the worker URL needs a bundler (import.meta)
+    const { startWorkerReader } = await import("./readWorker");
+    try {
+      return startWorkerReader(readable, onBatch, pumpOptions);
+    } catch {
+      // e.g. streams aren't transferable here; read on this thread
+    }
+  }
+  const pump = new ReadPump({
+    ...pumpOptions,
+    onBatch: (batch) => {
+      onBatch({ ...batch, stats: { ...batch.stats, worker: false } });
+      pump.ack();
+    },
+  });
+  const done = pump.start(readable);
+  return {
+    worker: false,
+    setHeader: (tokens, source) => pump.setHeader(tokens, source),
+    setSensors: (definitions) => pump.setSensors(definitions),
+    setHeaderProfiles: (profiles) => pump.setHeaderProfiles(profiles),
+    setRaw: (on) => pump.setRaw(on),
+    reset: () => pump.reset(),
+    cancel: async () => {
+      await pump.cancel();
+      await done;
+    },
+    done,
+  };
+}
@@ -0,0 +1,91 @@
+/* =========================================================================
+   SeriesStore benchmarks — `npm run bench` (plain Node, not part of
+   `npm test`: Jest's module sandbox keeps tight loops from optimizing)
+   - frame: what one live UI flush costs on the Graphs tab: append a row,
+     then min/max-decimate all 8 channels over the whole history and build
+     the plot points (≤ ~1200 per chart, whatever the history)
+   - first frame: the same with no block summaries cached yet (after a
+     reset or a history size change)
+   - push: appending one row to the ring buffer
+   - old frame / old append: the previous approach — map every point of
+     every channel for the charts, and copy a channel's point array on
+     every row (one channel shown; the dashboard did it for each)
+   Times are medians in milliseconds after a few warm-up runs.
+   ======================================================================= */
+import { SeriesStore } from "./seriesStore.js";
+
+const KEYS = ["CO", "PM1", "PM2_5", "PM10", "CO2", "RELHUM", "TEMP", "PRESS"];
+const SIZES = [10000, 100000, 1000000];
+
+function median(fn, runs) {
+  const times = [];
+  for (let r = 0; r < runs; r++) {
+    const t0 = performance.now();
+    fn();
+    times.push(performance.now() - t0);
+  }
+  times.sort((a, b) => a - b);
+  return times[Math.floor(runs / 2)];
+}
+
+function fill(n) {
+  const store = new SeriesStore(n);
+  const sensors = KEYS.map((key) => ({ key, value: 0 }));
+  for (let i = 0; i < n; i++) {
+    for (let k = 0; k < sensors.length; k++) {
+      sensors[k].value = Math.sin(i / 50 + k) * 10 + (i % 997 === 0 ? 50 : 0);
+    }
+    store.push(i * 1000, sensors);
+  }
+  return store;
+}
+
+function frame(store) {
+  const out = {};
+  for (const key of KEYS) {
+    out[key] = store
+      .decimateRows(key, null)
+      .map((i) => ({ x: store.timeAt(i), y: store.valueAt(key, i) }));
+  }
+  return out;
+}
+
+const results = [];
+for (const n of SIZES) {
+  const store = fill(n);
+  const sensors = KEYS.map((key) => ({ key, value: 1 }));
+  let t = n * 1000;
+  const live = () => {
+    store.push((t += 1000), sensors);
+    frame(store);
+  };
+  for (let r = 0; r < 20; r++) live(); // warm up
+  const firstMs = median(() => {
+    store.resetSummaries();
+    frame(store);
+  }, 5);
+  const frameMs = median(live, 21);
+  const pushMs =
+    median(() => {
+      for (let i = 0; i < 1000; i++) store.push((t += 1000), sensors);
+    }, 5) / 1000;
+
+  let old = Array.from({ length: n }, (_, i) => ({ t: i, v: 1 }));
+  const oldFrameMs = median(() => {
+    for (let k = 0; k < KEYS.length; k++) old.map((p) => ({ x: p.t, y: p.v }));
+  }, 5);
+  const oldAppendMs = median(() => {
+    old = [...old, { t: n, v: 1 }];
+    old.splice(0, 1);
+  }, 5);
+
+  results.push({
+    points: n,
+    "frame (ms)": +frameMs.toFixed(2),
+    "first frame (ms)": +firstMs.toFixed(1),
+    "push (ms)": +pushMs.toFixed(4),
+    "old frame (ms)": +oldFrameMs.toFixed(1),
+    "old append (ms)": +oldAppendMs.toFixed(2),
+  });
+}
+console.table(results);
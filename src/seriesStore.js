@@ -0,0 +1,475 @@
+/* =========================================================================
+   Time-series store for long sessions
+   - Columnar ring buffer: one row per reading, Float64Array columns for the
+     device time (t), host receive time (h) and each sensor's raw (v) and
+     calibrated (c) value; NaN = missing. Pushing a row is O(1) and never
+     copies, so hours of 1 Hz data stay live
+   - Connection gaps are rows flagged in a Uint8Array; readers turn them
+     into { t, v: null } break points for the charts
+   - Data-quality flags (./qc bitmasks) sit in a per-sensor Uint8Array
+     column (q), created on the first flagged row
+   - Charts read min/max-decimated points (spikes survive decimation);
+     exports and AQI read plain { t, v, c?, h? } objects on demand
+   - Decimating long ranges reads cached min/max summaries of fixed blocks
+     of slots; a write only invalidates its own block, so a frame over a
+     million rows costs a few thousand block reads
+   - LineRing: the same idea for the raw serial log
+   Rows are expected in time order; range lookups binary-search on t.
+   ======================================================================= */
+
+export const DEFAULT_CAPACITY = 21600; // 6 h at 1 Hz
+export const HISTORY_OPTIONS = [
+  [3600, "1 h"],
+  [21600, "6 h"],
+  [86400, "24 h"],
+];
+export const DEFAULT_DECIMATE_BUCKETS = 600;
+
+const BLOCK_SHIFT = 6;
+const BLOCK = 1 << BLOCK_SHIFT; // slots per min/max summary
+
+function nanColumn(n) {
+  return new Float64Array(n).fill(NaN);
+}
+
+export class SeriesStore {
+  constructor(capacity = DEFAULT_CAPACITY) {
+    this.capacity = capacity;
+    this.resets = 0;
+    this.clear();
+  }
+
+  clear() {
+    this.resets++; // lets throttled readers notice a cleared store
+    this.start = 0; // physical index of row 0
+    this.length = 0;
+    this.t = new Float64Array(this.capacity);
+    this.h = nanColumn(this.capacity);
+    this.gap = new Uint8Array(this.capacity);
+    // key -> { v: Float64Array, c: Float64Array|null, q: Uint8Array|null }
+    this.columns = {};
+    this.resetSummaries();
+    this.version = 0;
+  }
+
+  resetSummaries() {
+    const blocks = Math.ceil(this.capacity / BLOCK);
+    this.blockWrites = new Uint32Array(blocks); // bumped on every write
+    this.summaries = {}; // "key|v" or "key|c" -> per-block min/max
+  }
+
+  // Physical slot of logical row i (0 = oldest)
+  slot(i) {
+    return (this.start + i) % this.capacity;
+  }
+
+  /** Next free slot, evicting the oldest row when full. */
+  nextSlot() {
+    let p;
+    if (this.length < this.capacity) {
+      p = this.slot(this.length);
+      this.length++;
+    } else {
+      p = this.start;
+      this.start = (this.start + 1) % this.capacity;
+    }
+    this.blockWrites[p >> BLOCK_SHIFT]++;
+    this.h[p] = NaN;
+    this.gap[p] = 0;
+    for (const col of Object.values(this.columns)) {
+      col.v[p] = NaN;
+      if (col.c) col.c[p] = NaN;
+      if (col.q) col.q[p] = 0;
+    }
+    return p;
+  }
+
+  column(key) {
+    if (!this.columns[key]) {
+      this.columns[key] = { v: nanColumn(this.capacity), c: null, q: null };
+    }
+    return this.columns[key];
+  }
+
+  /**
+   * Append one reading.
+   * @param {number} t
+   * @param {{ key: string, value: number|null }[]} sensors
+   * @param {Record<string, number|null>} [corrected]  calibrated keys only
+   * @param {number} [h]  host receive time (live port only)
+   * @param {Record<string, number>} [qc]  QC bitmask by key (flagged only)
+   */
+  push(t, sensors, corrected = {}, h, qc = {}) {
+    for (const s of sensors) this.column(s.key);
+    for (const key of Object.keys(corrected)) {
+      const col = this.column(key);
+      if (!col.c) col.c = nanColumn(this.capacity);
+    }
+    for (const [key, mask] of Object.entries(qc)) {
+      const col = this.column(key);
+      if (mask && !col.q) col.q = new Uint8Array(this.capacity);
+    }
+    const p = this.nextSlot();
+    this.t[p] = t;
+    if (h != null) this.h[p] = h;
+    for (const s of sensors) {
+      this.columns[s.key].v[p] = s.value == null ? NaN : s.value;
+    }
+    for (const [key, c] of Object.entries(corrected)) {
+      this.columns[key].c[p] = c == null ? NaN : c;
+    }
+    for (const [key, mask] of Object.entries(qc)) {
+      if (mask) this.columns[key].q[p] = mask;
+    }
+    this.version++;
+  }
+
+  /** Break every series at t (connection lost). */
+  pushGap(t) {
+    const p = this.nextSlot();
+    this.t[p] = t;
+    this.gap[p] = 1;
+    this.version++;
+  }
+
+  /** Keep the newest rows that fit into a new capacity. */
+  setCapacity(capacity) {
+    if (capacity === this.capacity) return;
+    const keep = Math.min(this.length, capacity);
+    const from = this.length - keep;
+    const copy = (src, dst) => {
+      for (let i = 0; i < keep; i++) dst[i] = src[this.slot(from + i)];
+      return dst;
+    };
+    const t = copy(this.t, new Float64Array(capacity));
+    const h = copy(this.h, nanColumn(capacity));
+    const gap = copy(this.gap, new Uint8Array(capacity));
+    const columns = {};
+    for (const [key, col] of Object.entries(this.columns)) {
+      columns[key] = {
+        v: copy(col.v, nanColumn(capacity)),
+        c: col.c ? copy(col.c, nanColumn(capacity)) : null,
+        q: col.q ? copy(col.q, new Uint8Array(capacity)) : null,
+      };
+    }
+    Object.assign(this, { capacity, t, h, gap, columns, start: 0 });
+    this.length = keep;
+    this.resetSummaries();
+    this.version++;
+  }
+
+  // -----------------------------
+  // Reading
+  // -----------------------------
+  keys() {
+    return Object.keys(this.columns);
+  }
+
+  has(key) {
+    return !!this.columns[key];
+  }
+
+  hasCorrected(key) {
+    return !!this.columns[key]?.c;
+  }
+
+  timeAt(i) {
+    return this.t[this.slot(i)];
+  }
+
+  isGap(i) {
+    return this.gap[this.slot(i)] === 1;
+  }
+
+  /** Raw (field "v") or calibrated ("c") value of row i, or null. */
+  valueAt(key, i, field = "v") {
+    const arr = this.columns[key]?.[field];
+    if (!arr) return null;
+    const v = arr[this.slot(i)];
+    return Number.isNaN(v) ? null : v;
+  }
+
+  /** Value as shown in a calibration view ("raw" | "corrected"). */
+  viewValueAt(key, i, view) {
+    if (view !== "raw") {
+      const c = this.valueAt(key, i, "c");
+      if (c != null) return c;
+    }
+    return this.valueAt(key, i);
+  }
+
+  /** QC bitmask of row i (0 = no flags). */
+  qcAt(key, i) {
+    const q = this.columns[key]?.q;
+    return q ? q[this.slot(i)] : 0;
+  }
+
+  hostTimeAt(i) {
+    const h = this.h[this.slot(i)];
+    return Number.isNaN(h) ? null : h;
+  }
+
+  firstTime() {
+    return this.length ? this.timeAt(0) : null;
+  }
+
+  lastTime() {
+    return this.length ? this.timeAt(this.length - 1) : null;
+  }
+
+  /** First row with t >= time (length if none). */
+  lowerBound(time) {
+    let lo = 0;
+    let hi = this.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (this.timeAt(mid) < time) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  /** Row index span [i0, i1) for an optional { start, end } range. */
+  rowRange(range) {
+    if (!range) return [0, this.length];
+    const i0 = this.lowerBound(range.start);
+    let i1 = this.lowerBound(range.end);
+    while (i1 < this.length && this.timeAt(i1) <= range.end) i1++;
+    return [i0, i1];
+  }
+
+  /** Row nearest to a time (for crosshair lookups), or -1 if empty. */
+  nearestRow(time) {
+    if (!this.length) return -1;
+    const i = this.lowerBound(time);
+    if (i === 0) return 0;
+    if (i === this.length) return this.length - 1;
+    return time - this.timeAt(i - 1) <= this.timeAt(i) - time ? i - 1 : i;
+  }
+
+  /**
+   * Point objects for one sensor, like the old in-memory series:
+   * { t, v, c?, h? }, with gaps as { t, v: null }.
+   */
+  points(key, range) {
+    const out = [];
+    if (!this.columns[key]) return out;
+    const [i0, i1] = this.rowRange(range);
+    for (let i = i0; i < i1; i++) out.push(this.pointAt(key, i));
+    return out;
+  }
+
+  pointAt(key, i) {
+    const t = this.timeAt(i);
+    if (this.isGap(i)) return { t, v: null };
+    const p = { t, v: this.valueAt(key, i) };
+    if (this.hasCorrected(key)) {
+      const c = this.valueAt(key, i, "c");
+      if (c != null) p.c = c;
+    }
+    const h = this.hostTimeAt(i);
+    if (h != null) p.h = h;
+    return p;
+  }
+
+  /**
+   * Min/max decimation for charts. Each bucket of rows contributes its
+   * lowest and highest value, in time order, so short spikes stay visible
+   * at any zoom. Gap rows always come through as break points.
+   * @param {string} key
+   * @param {{ start: number, end: number }|null} range
+   * @param {{ view?: string, buckets?: number }} [opts]  view as viewValueAt
+   * @returns {number[]} row indexes, ascending; gap rows included
+   */
+  decimateRows(key, range, opts = {}) {
+    const { view = "raw", buckets = DEFAULT_DECIMATE_BUCKETS } = opts;
+    const col = this.columns[key];
+    const rows = [];
+    if (!col) return rows;
+    const [i0, i1] = this.rowRange(range);
+    const n = i1 - i0;
+    if (n <= buckets * 2) {
+      for (let i = i0; i < i1; i++) rows.push(i);
+      return rows;
+    }
+    // Walk the physical arrays directly; this loop is the per-frame cost
+    const field = view === "raw" || !col.c ? "v" : "c";
+    const { v } = col;
+    const c = field === "c" ? col.c : null;
+    const { gap, capacity, blockWrites } = this;
+    const sum = this.summary(key, field);
+    const size = n / buckets;
+    let minI = -1;
+    let maxI = -1;
+    let minV = Infinity;
+    let maxV = -Infinity;
+    const flush = () => {
+      if (minI < 0) return;
+      if (minI === maxI) rows.push(minI);
+      else rows.push(Math.min(minI, maxI), Math.max(minI, maxI));
+      minI = maxI = -1;
+      minV = Infinity;
+      maxV = -Infinity;
+    };
+    let bucketEnd = i0 + size;
+    let i = i0;
+    let p = this.slot(i0);
+    while (i < i1) {
+      if (i >= bucketEnd) {
+        flush();
+        bucketEnd += size;
+        continue;
+      }
+      // Buckets wider than a block take whole blocks from their summary;
+      // one may run past the bucket edge, which just shifts that edge
+      if (size >= BLOCK && (p & (BLOCK - 1)) === 0) {
+        const len = Math.min(BLOCK, capacity - p);
+        const b = p >> BLOCK_SHIFT;
+        if (i + len <= i1) {
+          if (sum.seen[b] !== blockWrites[b]) this.summarize(sum, key, b);
+          if (!sum.gap[b]) {
+            if (sum.minOff[b] >= 0) {
+              if (sum.min[b] < minV) {
+                minV = sum.min[b];
+                minI = i + sum.minOff[b];
+              }
+              if (sum.max[b] > maxV) {
+                maxV = sum.max[b];
+                maxI = i + sum.maxOff[b];
+              }
+            }
+            i += len;
+            p = p + len === capacity ? 0 : p + len;
+            continue;
+          }
+        }
+      }
+      if (gap[p]) {
+        flush();
+        rows.push(i);
+      } else {
+        let x = c ? c[p] : NaN;
+        if (Number.isNaN(x)) x = v[p]; // no correction: fall back to raw
+        if (!Number.isNaN(x)) {
+          if (x < minV) {
+            minV = x;
+            minI = i;
+          }
+          if (x > maxV) {
+            maxV = x;
+            maxI = i;
+          }
+        }
+      }
+      i++;
+      p = p + 1 === capacity ? 0 : p + 1;
+    }
+    flush();
+    return rows;
+  }
+
+  // Per-block min/max (as offsets within the block) of one column; a block
+  // is current while sum.seen[b] matches blockWrites[b]
+  summary(key, field) {
+    const id = `${key}|${field}`;
+    if (!this.summaries[id]) {
+      const blocks = this.blockWrites.length;
+      this.summaries[id] = {
+        field,
+        seen: new Int32Array(blocks).fill(-1),
+        min: new Float64Array(blocks),
+        max: new Float64Array(blocks),
+        minOff: new Int32Array(blocks),
+        maxOff: new Int32Array(blocks),
+        gap: new Uint8Array(blocks),
+      };
+    }
+    return this.summaries[id];
+  }
+
+  summarize(sum, key, b) {
+    const { v, c } = this.columns[key];
+    const vals = sum.field === "c" ? c : null;
+    const p0 = b << BLOCK_SHIFT;
+    const p1 = Math.min(p0 + BLOCK, this.capacity);
+    let min = Infinity;
+    let max = -Infinity;
+    let minOff = -1;
+    let maxOff = -1;
+    let hasGap = 0;
+    for (let p = p0; p < p1; p++) {
+      if (this.gap[p]) hasGap = 1;
+      let x = vals ? vals[p] : NaN;
+      if (Number.isNaN(x)) x = v[p];
+      if (Number.isNaN(x)) continue;
+      if (x < min) {
+        min = x;
+        minOff = p - p0;
+      }
+      if (x > max) {
+        max = x;
+        maxOff = p - p0;
+      }
+    }
+    sum.seen[b] = this.blockWrites[b];
+    sum.min[b] = min;
+    sum.max[b] = max;
+    sum.minOff[b] = minOff;
+    sum.maxOff[b] = maxOff;
+    sum.gap[b] = hasGap;
+  }
+
+  /** decimateRows on the raw values, as point objects. */
+  decimatedPoints(key, range, buckets) {
+    return this.decimateRows(key, range, { buckets }).map((i) =>
+      this.pointAt(key, i)
+    );
+  }
+
+  /** Evenly spaced row times over the whole store (brush timeline). */
+  sampleTimes(count) {
+    const out = [];
+    if (!this.length) return out;
+    const step = Math.max(1, this.length / count);
+    for (let i = 0; i < this.length; i += step) {
+      out.push(this.timeAt(Math.floor(i)));
+    }
+    const last = this.lastTime();
+    if (out[out.length - 1] !== last) out.push(last);
+    return out;
+  }
+}
+
+// -----------------------------
+// Raw log lines
+// -----------------------------
+export class LineRing {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.clear();
+  }
+
+  clear() {
+    this.lines = new Array(this.capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+
+  push(line) {
+    if (this.length < this.capacity) {
+      this.lines[(this.start + this.length) % this.capacity] = line;
+      this.length++;
+    } else {
+      this.lines[this.start] = line;
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  toArray() {
+    const out = new Array(this.length);
+    for (let i = 0; i < this.length; i++) {
+      out[i] = this.lines[(this.start + i) % this.capacity];
+    }
+    return out;
+  }
+}
@@ -0,0 +1,126 @@
+import { LineRing, SeriesStore } from './seriesStore';
+
+const sensors = (pm, temp) => [
+  { key: 'PM2_5', value: pm },
+  { key: 'TEMP', value: temp },
+];
+
+function filled(n, capacity = 100) {
+  const store = new SeriesStore(capacity);
+  for (let i = 0; i < n; i++) store.push(i * 1000, sensors(i, 20));
+  return store;
+}
+
+test('keeps the newest rows once the ring wraps', () => {
+  const store = filled(7, 5);
+  expect(store.length).toBe(5);
+  expect(store.firstTime()).toBe(2000);
+  expect(store.lastTime()).toBe(6000);
+  expect(store.points('PM2_5').map((p) => p.v)).toEqual([2, 3, 4, 5, 6]);
+});
+
+test('stores missing values, corrections and host time per row', () => {
+  const store = new SeriesStore(10);
+  store.push(1000, sensors(null, 21), { PM2_5: 4.5 }, 1200);
+  store.push(2000, sensors(3, 22));
+  expect(store.pointAt('PM2_5', 0)).toEqual({ t: 1000, v: null, c: 4.5, h: 1200 });
+  expect(store.pointAt('PM2_5', 1)).toEqual({ t: 2000, v: 3 });
+  expect(store.viewValueAt('PM2_5', 0, 'corrected')).toBe(4.5);
+  expect(store.viewValueAt('PM2_5', 1, 'corrected')).toBe(3);
+  expect(store.viewValueAt('PM2_5', 0, 'raw')).toBeNull();
+  expect(store.hasCorrected('TEMP')).toBe(false);
+});
+
+test('gap rows break every series', () => {
+  const store = filled(3);
+  store.pushGap(2001);
+  store.push(9000, sensors(1, 20));
+  expect(store.points('TEMP').map((p) => p.v)).toEqual([20, 20, 20, null, 20]);
+  expect(store.isGap(3)).toBe(true);
+});
+
+test('finds rows by time', () => {
+  const store = filled(10);
+  expect(store.rowRange({ start: 2500, end: 5000 })).toEqual([3, 6]);
+  expect(store.rowRange(null)).toEqual([0, 10]);
+  expect(store.nearestRow(4400)).toBe(4);
+  expect(store.nearestRow(4600)).toBe(5);
+  expect(store.nearestRow(-50)).toBe(0);
+  expect(new SeriesStore(5).nearestRow(0)).toBe(-1);
+});
+
+test('decimation keeps spikes and gaps', () => {
+  const store = new SeriesStore(10000);
+  for (let i = 0; i < 5000; i++) {
+    if (i === 2500) store.pushGap(i * 1000);
+    else store.push(i * 1000, sensors(i === 1234 ? 999 : 10 + (i % 7), 20));
+  }
+  const rows = store.decimateRows('PM2_5', null, { buckets: 100 });
+  expect(rows.length).toBeLessThanOrEqual(201);
+  expect(rows).toEqual([...rows].sort((a, b) => a - b));
+  const values = rows.map((i) => store.valueAt('PM2_5', i));
+  expect(values).toContain(999);
+  expect(rows.some((i) => store.isGap(i))).toBe(true);
+  // Small ranges come back whole
+  expect(store.decimatedPoints('PM2_5', { start: 0, end: 9000 })).toHaveLength(10);
+});
+
+test('decimating long ranges from block summaries matches a full scan', () => {
+  const store = new SeriesStore(30000);
+  for (let i = 0; i < 40000; i++) {
+    const pm = i === 31233 ? 999 : i === 35000 ? -5 : 10 + (i % 7);
+    store.push(i * 1000, sensors(pm, 20), i % 2 ? { PM2_5: pm + 1 } : {});
+    if (i === 38000) store.pushGap(i * 1000 + 1);
+  }
+  const rows = store.decimateRows('PM2_5', null, { buckets: 50 });
+  const values = rows.map((i) => store.valueAt('PM2_5', i));
+  expect(values).toEqual(expect.arrayContaining([999, -5]));
+  expect(rows.filter((i) => store.isGap(i))).toHaveLength(1);
+  // Corrected view: every other row is +1; the spike row is odd (corrected)
+  const corrected = store
+    .decimateRows('PM2_5', null, { view: 'corrected', buckets: 50 })
+    .map((i) => store.viewValueAt('PM2_5', i, 'corrected'));
+  expect(corrected).toContain(1000);
+  // Writes invalidate only their own block
+  store.push(41000 * 1000, sensors(5000, 20));
+  const after = store.decimateRows('PM2_5', null, { buckets: 50 });
+  expect(after[after.length - 1]).toBe(store.length - 1);
+});
+
+test('keeps QC flags per row through wraps and resizes', () => {
+  const store = new SeriesStore(3);
+  store.push(1000, sensors(1, 20));
+  store.push(2000, sensors(2, 20), {}, undefined, { PM2_5: 4 });
+  expect(store.qcAt('PM2_5', 0)).toBe(0);
+  expect(store.qcAt('PM2_5', 1)).toBe(4);
+  expect(store.qcAt('TEMP', 1)).toBe(0);
+  store.push(3000, sensors(3, 20));
+  store.push(4000, sensors(4, 20), {}, undefined, { PM2_5: 8 });
+  expect([0, 1, 2].map((i) => store.qcAt('PM2_5', i))).toEqual([4, 0, 8]);
+  store.setCapacity(2);
+  expect([0, 1].map((i) => store.qcAt('PM2_5', i))).toEqual([0, 8]);
+});
+
+test('changing capacity keeps the newest rows in order', () => {
+  const store = filled(8, 5);
+  store.setCapacity(3);
+  expect(store.points('PM2_5').map((p) => p.v)).toEqual([5, 6, 7]);
+  store.setCapacity(6);
+  store.push(8000, sensors(8, 20));
+  expect(store.points('PM2_5').map((p) => p.v)).toEqual([5, 6, 7, 8]);
+});
+
+test('samples an evenly spaced timeline ending at the newest row', () => {
+  const times = filled(100).sampleTimes(10);
+  expect(times[0]).toBe(0);
+  expect(times[times.length - 1]).toBe(99000);
+  expect(times.length).toBeLessThanOrEqual(11);
+});
+
+test('LineRing keeps the last lines', () => {
+  const log = new LineRing(3);
+  ['a', 'b', 'c', 'd'].forEach((l) => log.push(l));
+  expect(log.toArray()).toEqual(['b', 'c', 'd']);
+  log.clear();
+  expect(log.toArray()).toEqual([]);
+});
@@ -0,0 +1,217 @@
+/* =========================================================================
+   Session statistics — the numbers that go into a deployment report
+   - Per sensor over a time range: min/max/mean/median/P95, completeness
+     (valid samples vs. what the sample interval promises) and time spent
+     above a threshold
+   - Gaps: consecutive rows further apart than GAP_FACTOR × the sample
+     interval, plus connection gaps recorded in the store
+   - Trends (battery, cell strength): first/last/min and a least-squares
+     slope per hour
+   - Pure: reads a SeriesStore through a value callback, so the caller
+     decides units and raw vs. corrected
+   ======================================================================= */
+
+const HOUR = 3600 * 1000;
+export const GAP_FACTOR = 1.5; // jitter allowance before a pause is a gap
+export const TREND_KEYS = ["BAT", "CELL"];
+const CHART_BUCKETS = 60;
+
+/** Linear-interpolated quantile of an ascending array. */
+export function quantile(sorted, q) {
+  if (!sorted.length) return null;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+/** Median spacing of data rows in [i0, i1), or null with < 2 rows. */
+export function estimateInterval(store, i0, i1) {
+  const steps = [];
+  let prev = null;
+  for (let i = i0; i < i1; i++) {
+    if (store.isGap(i)) {
+      prev = null;
+      continue;
+    }
+    const t = store.timeAt(i);
+    if (prev != null && t > prev) steps.push(t - prev);
+    prev = t;
+  }
+  steps.sort((a, b) => a - b);
+  return steps.length ? quantile(steps, 0.5) : null;
+}
+
+// Least-squares slope of value over time, per hour
+function slopePerHour(ts, vs) {
+  const n = ts.length;
+  if (n < 2) return null;
+  const t0 = ts[0];
+  let st = 0;
+  let sv = 0;
+  for (let k = 0; k < n; k++) {
+    st += (ts[k] - t0) / HOUR;
+    sv += vs[k];
+  }
+  const mt = st / n;
+  const mv = sv / n;
+  let num = 0;
+  let den = 0;
+  for (let k = 0; k < n; k++) {
+    const dt = (ts[k] - t0) / HOUR - mt;
+    num += dt * (vs[k] - mv);
+    den += dt * dt;
+  }
+  return den > 0 ? num / den : null;
+}
+
+function round(v, digits = 3) {
+  if (v == null || !Number.isFinite(v)) return null;
+  const f = 10 ** digits;
+  return Math.round(v * f) / f;
+}
+
+/**
+ * @param {import("./seriesStore").SeriesStore} store
+ * @param {object} options
+ * @param {{ key: string, label: string, unit?: string,
+ *           threshold?: number|null }[]} options.sensors
+ * @param {{ start: number, end: number }|null} [options.range]
+ * @param {(key: string, i: number) => number|null} [options.valueAt]
+ *        value of row i as reported (defaults to the raw store value)
+ * @param {number|null} [options.intervalMs]  expected sample interval;
+ *        estimated from the data when missing
+ */
+export function summarizeSeries(store, options) {
+  const { sensors, range = null } = options;
+  const valueAt = options.valueAt || ((key, i) => store.valueAt(key, i));
+  const [i0, i1] = store.rowRange(range);
+
+  // Data rows (gap rows only mark connection losses)
+  const rows = [];
+  const afterGap = new Set();
+  let pendingGap = false;
+  for (let i = i0; i < i1; i++) {
+    if (store.isGap(i)) {
+      pendingGap = true;
+      continue;
+    }
+    if (pendingGap && rows.length) afterGap.add(rows.length);
+    pendingGap = false;
+    rows.push(i);
+  }
+  const times = rows.map((i) => store.timeAt(i));
+  const start = times.length ? times[0] : null;
+  const end = times.length ? times[times.length - 1] : null;
+  const durationMs = times.length ? end - start : 0;
+  const intervalMs =
+    options.intervalMs > 0
+      ? options.intervalMs
+      : estimateInterval(store, i0, i1);
+  const expectedRows = intervalMs
+    ? Math.floor(durationMs / intervalMs) + 1
+    : rows.length;
+  const maxStep = intervalMs ? intervalMs * GAP_FACTOR : Infinity;
+
+  const gaps = [];
+  for (let k = 1; k < times.length; k++) {
+    const dt = times[k] - times[k - 1];
+    if (afterGap.has(k) || dt > maxStep) {
+      gaps.push({
+        start: times[k - 1],
+        end: times[k],
+        durationMs: dt,
+        connection: afterGap.has(k),
+      });
+    }
+  }
+
+  // A sample stands for the time until the next one, but never across a gap
+  const stepAfter = (k) => {
+    if (k + 1 >= times.length || afterGap.has(k + 1)) {
+      return intervalMs ?? 0;
+    }
+    return Math.min(times[k + 1] - times[k], maxStep);
+  };
+  let coveredMs = 0;
+  for (let k = 0; k < times.length; k++) coveredMs += stepAfter(k);
+
+  const stats = sensors.map(({ key, label, unit, threshold = null }) => {
+    const values = [];
+    const chartRows = new Set(
+      store.decimateRows(key, range, { buckets: CHART_BUCKETS })
+    );
+    const chart = [];
+    let sum = 0;
+    let aboveMs = 0;
+    for (let k = 0; k < rows.length; k++) {
+      const v = valueAt(key, rows[k]);
+      if (afterGap.has(k) && chart.length) chart.push([times[k], null]);
+      if (v == null || !Number.isFinite(v)) continue;
+      values.push(v);
+      sum += v;
+      if (threshold != null && v > threshold) aboveMs += stepAfter(k);
+      if (chartRows.has(rows[k])) chart.push([times[k], v]);
+    }
+    const sorted = values.slice().sort((a, b) => a - b);
+    const count = values.length;
+    return {
+      key,
+      label,
+      unit: unit || "",
+      count,
+      min: count ? sorted[0] : null,
+      max: count ? sorted[count - 1] : null,
+      mean: round(count ? sum / count : null),
+      median: round(quantile(sorted, 0.5)),
+      p95: round(quantile(sorted, 0.95)),
+      completeness: expectedRows
+        ? round(Math.min(1, count / expectedRows), 4)
+        : null,
+      threshold,
+      aboveMs: threshold != null ? aboveMs : null,
+      // Share of the time covered by samples, gaps excluded
+      aboveFraction:
+        threshold != null && coveredMs > 0
+          ? round(aboveMs / coveredMs, 4)
+          : null,
+      chart,
+    };
+  });
+
+  const trends = [];
+  for (const s of stats) {
+    if (!TREND_KEYS.includes(s.key) || !s.count) continue;
+    const ts = [];
+    const vs = [];
+    for (let k = 0; k < rows.length; k++) {
+      const v = valueAt(s.key, rows[k]);
+      if (v == null || !Number.isFinite(v)) continue;
+      ts.push(times[k]);
+      vs.push(v);
+    }
+    trends.push({
+      key: s.key,
+      label: s.label,
+      unit: s.unit,
+      first: vs[0],
+      last: vs[vs.length - 1],
+      min: s.min,
+      change: round(vs[vs.length - 1] - vs[0]),
+      slopePerHour: round(slopePerHour(ts, vs)),
+    });
+  }
+
+  return {
+    start,
+    end,
+    durationMs,
+    coveredMs,
+    rows: rows.length,
+    intervalMs,
+    expectedRows,
+    sensors: stats,
+    gaps,
+    trends,
+  };
+}
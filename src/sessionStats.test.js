@@ -0,0 +1,95 @@
+import { SeriesStore } from './seriesStore';
+import { estimateInterval, quantile, summarizeSeries } from './sessionStats';
+import { formatDuration, sparklinePath, summaryToHtml, summaryToJson } from './summaryReport';
+
+const SENSORS = [
+  { key: 'PM2_5', label: 'PM2.5', unit: 'µg/m³', threshold: 10 },
+  { key: 'BAT', label: 'Battery', unit: '%' },
+];
+
+// 1 Hz rows with PM = i, battery draining 1 %/min; a 10 s pause before
+// row 20 and a 5 s connection loss after row 30
+function session() {
+  const store = new SeriesStore(1000);
+  let t = 0;
+  for (let i = 0; i < 40; i++) {
+    if (i === 20) t += 10000;
+    if (i === 31) {
+      store.pushGap(t - 999);
+      t += 4000;
+    }
+    store.push(t, [
+      { key: 'PM2_5', value: i === 5 ? null : i },
+      { key: 'BAT', value: 100 - t / 60000 },
+    ]);
+    t += 1000;
+  }
+  return store;
+}
+
+test('quantiles interpolate', () => {
+  expect(quantile([1, 2, 3, 4], 0.5)).toBe(2.5);
+  expect(quantile([1, 2, 3, 4, 5], 0.95)).toBeCloseTo(4.8);
+  expect(quantile([], 0.5)).toBeNull();
+});
+
+test('summarizes sensors, gaps and trends', () => {
+  const store = session();
+  expect(estimateInterval(store, 0, store.length)).toBe(1000);
+  const s = summarizeSeries(store, { sensors: SENSORS });
+  expect(s.rows).toBe(40);
+  expect(s.intervalMs).toBe(1000);
+
+  const pm = s.sensors[0];
+  expect(pm).toMatchObject({ count: 39, min: 0, max: 39, median: 20 });
+  expect(pm.mean).toBeCloseTo((780 - 5) / 39, 3);
+  expect(pm.completeness).toBeLessThan(1);
+  // 11..39 are above 10: 29 samples of 1 s; the one before the pause
+  // counts 1.5 s (GAP_FACTOR), the one before the connection loss 1 s
+  expect(pm.aboveMs).toBe(29500);
+  expect(pm.chart.some(([, v]) => v == null)).toBe(true);
+
+  expect(s.gaps).toEqual([
+    expect.objectContaining({ durationMs: 11000, connection: false }),
+    expect.objectContaining({ durationMs: 5000, connection: true }),
+  ]);
+
+  const [bat] = s.trends;
+  expect(bat.key).toBe('BAT');
+  expect(bat.slopePerHour).toBeCloseTo(-60, 3);
+  expect(bat.last).toBeLessThan(bat.first);
+});
+
+test('a range and an explicit interval narrow the report', () => {
+  const store = session();
+  const s = summarizeSeries(store, {
+    sensors: SENSORS,
+    range: { start: 0, end: 9000 },
+    intervalMs: 500,
+  });
+  expect(s.rows).toBe(10);
+  expect(s.expectedRows).toBe(19);
+  expect(s.gaps).toHaveLength(9);
+  expect(s.trends[0].first).toBe(100);
+});
+
+test('report exports', () => {
+  const store = session();
+  const s = summarizeSeries(store, { sensors: SENSORS });
+  const json = summaryToJson(s, { deviceId: '7', range: 'Whole session' });
+  expect(json.deviceId).toBe('7');
+  expect(json.sensors[0].chart).toBeUndefined();
+  expect(typeof json.gaps[0].start).toBe('string');
+
+  const html = summaryToHtml(s, { title: 'A <b>', deviceId: '7' });
+  expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+  expect(html).toContain('<title>A &lt;b&gt;</title>');
+  expect(html).toContain('<svg');
+  expect(html).toContain('connection lost');
+  expect(html).not.toMatch(/<(script|link)\b/);
+
+  expect(formatDuration(3725000)).toBe('1 h 02 min');
+  expect(formatDuration(65000)).toBe('1 min 05 s');
+  expect(sparklinePath([[0, 1]])).toBeNull();
+  expect(sparklinePath([[0, 1], [1, 2], [2, null], [3, 1]], 10, 10)).toMatch(/^M[^M]+M/);
+});
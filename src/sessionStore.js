@@ -0,0 +1,268 @@
+/* =========================================================================
+   Session store — IndexedDB
+   - One "session" per connection: metadata + every parsed reading + raw log
+   - Writes are batched so a 1 Hz stream costs one transaction per flush
+   - Sessions are indexed by [deviceId, startedAt]
+
+   Stores:
+     sessions  { id, name, deviceId, startedAt, endedAt, header, source,
+                 readingCount, lineCount, segments? }
+               segments: [{ start, header, source, profile }], one per
+               header in effect; header is the last one
+     readings  { sessionId, t, hostTime, values, segment? }  segment
+               indexes session.segments (absent: session.header)
+     lines     { sessionId, hostTime, line, dir? }  dir: "rx" | "tx" |
+               "sys" (./logBuffer; absent in older sessions)
+   ======================================================================= */
+
+const DB_NAME = "pam-dashboard";
+const DB_VERSION = 1;
+const FLUSH_INTERVAL_MS = 2000;
+export const FLUSH_MAX_ITEMS = 500;
+
+export const isSessionStoreAvailable = () =>
+  typeof indexedDB !== "undefined" && indexedDB != null;
+
+// -----------------------------
+// IndexedDB plumbing
+// -----------------------------
+let dbPromise = null;
+
+export function openSessionDb() {
+  if (!isSessionStoreAvailable()) {
+    return Promise.reject(new Error("IndexedDB not available"));
+  }
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      const sessions = db.createObjectStore("sessions", {
+        keyPath: "id",
+        autoIncrement: true,
+      });
+      sessions.createIndex("byDevice", ["deviceId", "startedAt"]);
+      sessions.createIndex("byStart", "startedAt");
+      db.createObjectStore("readings", { autoIncrement: true }).createIndex(
+        "bySession",
+        "sessionId"
+      );
+      db.createObjectStore("lines", { autoIncrement: true }).createIndex(
+        "bySession",
+        "sessionId"
+      );
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+  return dbPromise;
+}
+
+function reqToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function txDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+  });
+}
+
+// -----------------------------
+// Queries
+// -----------------------------
+export async function listSessions() {
+  const db = await openSessionDb();
+  const tx = db.transaction("sessions", "readonly");
+  const all = await reqToPromise(tx.objectStore("sessions").getAll());
+  return all.sort((a, b) => b.startedAt - a.startedAt);
+}
+
+export async function getSession(id) {
+  const db = await openSessionDb();
+  const tx = db.transaction("sessions", "readonly");
+  return reqToPromise(tx.objectStore("sessions").get(id));
+}
+
+export async function updateSession(id, patch) {
+  const db = await openSessionDb();
+  const tx = db.transaction("sessions", "readwrite");
+  const store = tx.objectStore("sessions");
+  const current = await reqToPromise(store.get(id));
+  if (current) store.put({ ...current, ...patch, id });
+  await txDone(tx);
+}
+
+export function renameSession(id, name) {
+  return updateSession(id, { name });
+}
+
+/** Session metadata plus all of its readings and raw log lines. */
+export async function loadSession(id) {
+  const db = await openSessionDb();
+  const tx = db.transaction(["sessions", "readings", "lines"], "readonly");
+  const [session, readings, lines] = await Promise.all([
+    reqToPromise(tx.objectStore("sessions").get(id)),
+    reqToPromise(tx.objectStore("readings").index("bySession").getAll(id)),
+    reqToPromise(tx.objectStore("lines").index("bySession").getAll(id)),
+  ]);
+  return { session, readings, lines };
+}
+
+export async function deleteSession(id) {
+  const db = await openSessionDb();
+  const tx = db.transaction(["sessions", "readings", "lines"], "readwrite");
+  tx.objectStore("sessions").delete(id);
+  for (const name of ["readings", "lines"]) {
+    const index = tx.objectStore(name).index("bySession");
+    const keys = await reqToPromise(index.getAllKeys(id));
+    const store = tx.objectStore(name);
+    for (const k of keys) store.delete(k);
+  }
+  await txDone(tx);
+}
+
+// -----------------------------
+// Recorder
+// -----------------------------
+/**
+ * Start a new session and return a recorder for it. All add* calls are
+ * synchronous and buffered; call stop() to flush and close the session.
+ *
+ * @param {object} [meta]
+ * @param {string} [meta.name]
+ * @param {string} [meta.source]  "serial" | "simulator" | ...
+ * @param {(err: Error) => void} [meta.onError]
+ */
+export function createSessionRecorder(meta = {}) {
+  const startedAt = Date.now();
+  const record = {
+    name: meta.name || `Session ${new Date(startedAt).toLocaleString()}`,
+    deviceId: "",
+    startedAt,
+    endedAt: null,
+    header: null,
+    source: meta.source || "serial",
+    readingCount: 0,
+    lineCount: 0,
+  };
+  let readings = [];
+  let lines = [];
+  let dirtyMeta = false;
+  let timer = null;
+  let stopped = false;
+  let chain = Promise.resolve();
+  const onError = meta.onError || ((err) => console.error(err));
+
+  const idPromise = openSessionDb().then(async (db) => {
+    const tx = db.transaction("sessions", "readwrite");
+    const id = await reqToPromise(tx.objectStore("sessions").add(record));
+    await txDone(tx);
+    record.id = id;
+    return id;
+  });
+  idPromise.catch(onError);
+
+  function schedule() {
+    if (timer || stopped) return;
+    timer = setTimeout(() => {
+      timer = null;
+      void flush();
+    }, FLUSH_INTERVAL_MS);
+  }
+
+  function queue(kind, item) {
+    if (stopped) return;
+    (kind === "reading" ? readings : lines).push(item);
+    if (readings.length + lines.length >= FLUSH_MAX_ITEMS) void flush();
+    else schedule();
+  }
+
+  // Serialize flushes so batches land in order
+  function flush() {
+    const batchReadings = readings;
+    const batchLines = lines;
+    const writeMeta = dirtyMeta;
+    readings = [];
+    lines = [];
+    dirtyMeta = false;
+    if (!batchReadings.length && !batchLines.length && !writeMeta) {
+      return chain;
+    }
+    chain = chain
+      .then(() => Promise.all([openSessionDb(), idPromise]))
+      .then(async ([db, id]) => {
+        const tx = db.transaction(
+          ["sessions", "readings", "lines"],
+          "readwrite"
+        );
+        const rs = tx.objectStore("readings");
+        for (const r of batchReadings) rs.add({ ...r, sessionId: id });
+        const ls = tx.objectStore("lines");
+        for (const l of batchLines) ls.add({ ...l, sessionId: id });
+        record.readingCount += batchReadings.length;
+        record.lineCount += batchLines.length;
+        // The name may have been edited in the Sessions tab meanwhile
+        const sessions = tx.objectStore("sessions");
+        const current = await reqToPromise(sessions.get(id));
+        const { name, ...owned } = record;
+        sessions.put({ ...record, ...current, ...owned, id });
+        await txDone(tx);
+      })
+      .catch(onError);
+    return chain;
+  }
+
+  return {
+    get id() {
+      return record.id ?? null;
+    },
+    ready: idPromise,
+    addReading({ t, hostTime, values, segment }) {
+      if (!record.deviceId && values) {
+        const key = Object.keys(values).find((k) => /DeviceId/i.test(k));
+        const id = key ? String(values[key] ?? "").trim() : "";
+        if (id) {
+          record.deviceId = id;
+          dirtyMeta = true;
+        }
+      }
+      const reading = { t, hostTime, values };
+      if (segment != null) reading.segment = segment;
+      queue("reading", reading);
+    },
+    addLine(line, hostTime = Date.now(), dir) {
+      queue("line", dir ? { hostTime, line, dir } : { hostTime, line });
+    },
+    setHeader(header) {
+      record.header = header;
+      dirtyMeta = true;
+      schedule();
+    },
+    /** Merge extra metadata into the session record. */
+    setMeta(patch) {
+      Object.assign(record, patch);
+      dirtyMeta = true;
+      schedule();
+    },
+    flush,
+    async stop() {
+      if (stopped) return chain;
+      if (timer) clearTimeout(timer);
+      timer = null;
+      record.endedAt = Date.now();
+      dirtyMeta = true;
+      const done = flush();
+      stopped = true;
+      return done;
+    },
+  };
+}
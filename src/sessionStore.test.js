@@ -0,0 +1,118 @@
+import 'fake-indexeddb/auto';
+import { FLUSH_MAX_ITEMS, createSessionRecorder, deleteSession, getSession, loadSession, renameSession, updateSession } from './sessionStore';
+
+const reading = (t, extra = {}) => ({ t, hostTime: t, values: { DeviceId: 'PAM-7', PM2_5: t, ...extra } });
+
+// Polls until check() passes; the recorder's timer flush is 2 s away
+async function until(check, timeoutMs = 1000) {
+  const end = Date.now() + timeoutMs;
+  for (;;) {
+    try {
+      return await check();
+    } catch (err) {
+      if (Date.now() > end) throw err;
+      await new Promise((r) => setTimeout(r, 10));
+    }
+  }
+}
+
+function recorder(meta) {
+  const onError = jest.fn();
+  const rec = createSessionRecorder({ name: 'Test', onError, ...meta });
+  return { rec, onError };
+}
+
+test('flushes land in order and keep the counts', async () => {
+  const { rec, onError } = recorder();
+  rec.addReading(reading(1));
+  rec.addLine('1042,1', 1, 'rx');
+  const first = rec.flush();
+  rec.addReading(reading(2));
+  rec.addReading(reading(3));
+  const second = rec.flush();
+  await second;
+  await expect(first).resolves.toBeUndefined();
+
+  const { session, readings, lines } = await loadSession(rec.id);
+  expect(readings.map((r) => r.t)).toEqual([1, 2, 3]);
+  expect(lines).toEqual([{ sessionId: rec.id, hostTime: 1, line: '1042,1', dir: 'rx' }]);
+  expect(session).toMatchObject({ name: 'Test', deviceId: 'PAM-7', readingCount: 3, lineCount: 1, endedAt: null });
+  await rec.stop();
+  expect(onError).not.toHaveBeenCalled();
+});
+
+test('flushes early once FLUSH_MAX_ITEMS are buffered', async () => {
+  const { rec } = recorder();
+  await rec.ready;
+  for (let i = 0; i < FLUSH_MAX_ITEMS - 1; i++) rec.addLine(`line ${i}`, i);
+  await new Promise((r) => setTimeout(r, 50));
+  expect((await loadSession(rec.id)).lines).toHaveLength(0);
+
+  rec.addReading(reading(1));
+  await until(async () => {
+    const { session, lines } = await loadSession(rec.id);
+    expect(lines).toHaveLength(FLUSH_MAX_ITEMS - 1);
+    expect(session.readingCount).toBe(1);
+  });
+  await rec.stop();
+});
+
+test('a rename from the Sessions tab survives later flushes', async () => {
+  const { rec } = recorder();
+  rec.addReading(reading(1));
+  await rec.flush();
+  await renameSession(rec.id, 'Kitchen');
+  rec.addReading(reading(2));
+  rec.setMeta({ note: 'window open' });
+  await rec.flush();
+  await rec.stop();
+
+  const session = await getSession(rec.id);
+  expect(session).toMatchObject({ name: 'Kitchen', note: 'window open', readingCount: 2 });
+  expect(session.endedAt).not.toBeNull();
+});
+
+test('stop() is idempotent and later rows are dropped', async () => {
+  const { rec } = recorder();
+  rec.addReading(reading(1));
+  await rec.stop();
+  const { endedAt } = await getSession(rec.id);
+  await new Promise((r) => setTimeout(r, 5));
+
+  rec.addReading(reading(2));
+  rec.addLine('late');
+  await rec.stop();
+  const { session, readings, lines } = await loadSession(rec.id);
+  expect(session.endedAt).toBe(endedAt);
+  expect(session.readingCount).toBe(1);
+  expect(readings).toHaveLength(1);
+  expect(lines).toHaveLength(0);
+});
+
+test('deleteSession removes its readings and lines only', async () => {
+  const sessions = [recorder().rec, recorder().rec];
+  for (const rec of sessions) {
+    rec.addReading(reading(1));
+    rec.addReading(reading(2));
+    rec.addLine('1042,1');
+    await rec.stop();
+  }
+  const [gone, kept] = sessions.map((rec) => rec.id);
+  await deleteSession(gone);
+
+  expect(await loadSession(gone)).toEqual({ session: undefined, readings: [], lines: [] });
+  const { session, readings, lines } = await loadSession(kept);
+  expect(session.id).toBe(kept);
+  expect(readings).toHaveLength(2);
+  expect(lines).toHaveLength(1);
+});
+
+test('updateSession merges into an existing session only', async () => {
+  const { rec } = recorder();
+  await rec.stop();
+  await updateSession(rec.id, { name: 'Garage', id: 999 });
+  expect(await getSession(rec.id)).toMatchObject({ id: rec.id, name: 'Garage', source: 'serial' });
+
+  await updateSession(12345, { name: 'Nobody' });
+  expect(await getSession(12345)).toBeUndefined();
+});
@@ -3,3 +3,28 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsdom lacks the WHATWG streams and text codecs the serial pipeline uses;
+// borrow Node's implementations so connect/readLoop/send run under Jest.
+const streams = require('stream/web');
+const util = require('util');
+for (const name of [
+  'ReadableStream',
+  'WritableStream',
+  'TransformStream',
+  'TextDecoderStream',
+  'TextEncoderStream',
+]) {
+  if (typeof global[name] === 'undefined') global[name] = streams[name];
+}
+if (typeof global.TextEncoder === 'undefined') global.TextEncoder = util.TextEncoder;
+if (typeof global.TextDecoder === 'undefined') global.TextDecoder = util.TextDecoder;
+
+// Recharts' ResponsiveContainer observes its size; jsdom has no layout anyway.
+if (typeof global.ResizeObserver === 'undefined') {
+  global.ResizeObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+}
@@ -0,0 +1,264 @@
+import { DEFAULT_HEADER } from "./pamParser";
+
+/* =========================================================================
+   Simulated PAM serial port
+   - Same surface the dashboard uses from a Web Serial SerialPort:
+     open(), close(), getInfo(), readable (bytes), writable (bytes)
+   - Emits a header and data rows at the PAM cadence (3–4 s, 12–15 s w/ NO₂)
+   - Answers the single-letter menu commands (m, k, t, x)
+   - Models an RTC that can be off from the host (clockOffsetMs) and be set
+     through the menu
+   - Fault injection for exercising the parser and read loop
+   ======================================================================= */
+
+// -----------------------------
+// Device model
+// -----------------------------
+// Random-walk channels: [start, step, min, max, decimals]
+const CHANNELS = {
+  "CO(PPM)": [0.4, 0.05, 0, 20, 2],
+  "NO2(PPB)": [18, 2, 0, 400, 1],
+  "PM1(UGM3)": [4, 0.6, 0, 500, 1],
+  "PM2.5(UGM3)": [8, 1, 0, 500, 1],
+  "PM10(UGM3)": [14, 1.5, 0, 600, 1],
+  "CO2(PPM)": [420, 6, 350, 5000, 0],
+  "RELHUM(%)": [45, 0.5, 0, 100, 1],
+  "TEMP(C)": [22, 0.1, -30, 60, 1],
+  "PRESS(HPA)": [1013, 0.2, 850, 1100, 1],
+  "LAT(LAT)": [39.7392, 0.0002, -90, 90, 6],
+  "LON(LON)": [-104.9903, 0.0002, -180, 180, 6],
+  "Battery(%)": [100, 0.05, 0, 100, 0],
+};
+
+// Menu text printed for "m"
+const MENU_TEXT = [
+  "",
+  "==== PAM MENU (simulated) ====",
+  " k - print CSV header",
+  " t - set date/time",
+  " x - exit menu and resume data",
+  "==============================",
+  "> ",
+];
+
+export const SIM_FAULTS = [
+  ["truncated", "Truncated row"],
+  ["na", "N/A values"],
+  ["garbage", "Garbage line"],
+  ["disconnect", "Drop connection"],
+];
+
+// -----------------------------
+// Helpers
+// -----------------------------
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+// Date/Time columns in the form buildTimestamp understands (local time)
+function deviceDateTime(ms) {
+  const d = new Date(ms);
+  return [
+    `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`,
+    `${pad2(d.getHours())}:${pad2(d.getMinutes())}:${pad2(d.getSeconds())}`,
+  ];
+}
+
+export function simulatorHeader({ withNo2 = false } = {}) {
+  const cols = [...DEFAULT_HEADER];
+  if (!withNo2) return cols;
+  cols.splice(2, 0, "NO2(PPB)");
+  return cols;
+}
+
+// -----------------------------
+// Port
+// -----------------------------
+export class SimulatedPamPort {
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.withNo2]  add an NO₂ column (slower cadence)
+   * @param {string}  [options.deviceId] value of the DeviceId column
+   * @param {[number, number]} [options.cadenceMs] min/max row interval
+   * @param {boolean} [options.printHeader] print the header on open
+   * @param {() => number} [options.now] clock for Date/Time columns
+   * @param {number} [options.clockOffsetMs] RTC error relative to now()
+   * @param {() => number} [options.random] RNG in [0, 1)
+   */
+  constructor(options = {}) {
+    this.withNo2 = !!options.withNo2;
+    this.deviceId = options.deviceId ?? "1042";
+    this.cadenceMs =
+      options.cadenceMs ?? (this.withNo2 ? [12000, 15000] : [3000, 4000]);
+    this.printHeader = options.printHeader ?? true;
+    this.now = options.now ?? (() => Date.now());
+    this.clockOffsetMs = options.clockOffsetMs ?? 0;
+    this.random = options.random ?? Math.random;
+
+    this.header = simulatorHeader({ withNo2: this.withNo2 });
+    this.values = {};
+    for (const [col, [start]] of Object.entries(CHANNELS)) {
+      this.values[col] = start;
+    }
+
+    this.readable = null;
+    this.writable = null;
+    this.baudRate = null;
+    this.inMenu = false;
+    this.lineInput = null; // text typed at the date/time prompt
+    this.pendingFaults = [];
+    this._controller = null;
+    this._timer = null;
+    this._encoder = new TextEncoder();
+    this._decoder = new TextDecoder();
+  }
+
+  getInfo() {
+    return { usbVendorId: 0x10c4, usbProductId: 0xea60, simulated: true };
+  }
+
+  async open({ baudRate } = {}) {
+    if (this.readable) throw new Error("The port is already open.");
+    this.baudRate = baudRate;
+    this.readable = new ReadableStream({
+      start: (controller) => {
+        this._controller = controller;
+      },
+      cancel: () => this._stop(),
+    });
+    this.writable = new WritableStream({
+      write: (chunk) => this._onBytes(chunk),
+    });
+    if (this.printHeader) this._emit(this.header.join(","));
+    this._schedule();
+  }
+
+  async close() {
+    this._stop();
+    try {
+      this._controller?.close();
+    } catch {}
+    this._controller = null;
+    this.readable = null;
+    this.writable = null;
+  }
+
+  /** Queue a fault: "truncated" | "na" | "garbage" | "disconnect". */
+  injectFault(kind) {
+    if (kind === "disconnect") {
+      this._stop();
+      try {
+        this._controller?.error(new Error("The device has been lost."));
+      } catch {}
+      this._controller = null;
+      return;
+    }
+    if (kind === "garbage") {
+      this._emit("\u0000ÿ#@!~ noise ~!@#");
+      return;
+    }
+    this.pendingFaults.push(kind);
+  }
+
+  /** Emit one data row immediately (used by tests and the cadence timer). */
+  tick() {
+    if (!this._controller || this.inMenu) return;
+    let cells = this._nextRow();
+    const fault = this.pendingFaults.shift();
+    if (fault === "truncated") {
+      cells = cells.slice(0, Math.max(1, cells.length - 4));
+    } else if (fault === "na") {
+      cells = cells.map((c, i) =>
+        /UGM3|PPM|PPB/i.test(this.header[i]) ? "N/A" : c
+      );
+    }
+    this._emit(cells.join(","));
+  }
+
+  // --- internals ---
+  _nextRow() {
+    const [date, time] = deviceDateTime(this.now() + this.clockOffsetMs);
+    return this.header.map((col) => {
+      if (col === "DeviceId") return this.deviceId;
+      if (col === "Date") return date;
+      if (col === "Time") return time;
+      const spec = CHANNELS[col];
+      if (!spec) return "";
+      const [, step, min, max, decimals] = spec;
+      let v = this.values[col] + (this.random() - 0.5) * 2 * step;
+      if (col === "Battery(%)") v = this.values[col] - this.random() * step;
+      v = Math.min(max, Math.max(min, v));
+      this.values[col] = v;
+      return v.toFixed(decimals);
+    });
+  }
+
+  _schedule() {
+    const [lo, hi] = this.cadenceMs;
+    const wait = lo + this.random() * Math.max(0, hi - lo);
+    this._timer = setTimeout(() => {
+      this.tick();
+      if (this._controller) this._schedule();
+    }, wait);
+  }
+
+  _stop() {
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  _emit(line) {
+    if (!this._controller) return;
+    try {
+      this._controller.enqueue(this._encoder.encode(`${line}\r\n`));
+    } catch {}
+  }
+
+  _onBytes(chunk) {
+    const text =
+      typeof chunk === "string" ? chunk : this._decoder.decode(chunk);
+    for (const ch of text) {
+      if (this.lineInput != null) this._onPromptChar(ch);
+      else this._onCommand(ch);
+    }
+  }
+
+  // "YYYY-MM-DD HH:MM:SS" + CR/LF at the "t" prompt. The newline sent
+  // along with the "t" itself is skipped.
+  _onPromptChar(ch) {
+    if (ch !== "\r" && ch !== "\n") {
+      this.lineInput += ch;
+      return;
+    }
+    const text = this.lineInput.trim();
+    if (!text) return;
+    this.lineInput = null;
+    const valid = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(text);
+    const ms = new Date(text.replace(" ", "T")).getTime();
+    if (!valid || Number.isNaN(ms)) {
+      this._emit(`Invalid date/time: ${text}`);
+      return;
+    }
+    this.clockOffsetMs = ms - this.now();
+    this._emit(`Clock set to ${text}`);
+  }
+
+  _onCommand(ch) {
+    if (ch === "\r" || ch === "\n" || ch === " ") return;
+    const c = ch.toLowerCase();
+    if (c === "m") {
+      this.inMenu = true;
+      for (const line of MENU_TEXT) this._emit(line);
+    } else if (c === "k") {
+      this._emit(this.header.join(","));
+    } else if (c === "t" && this.inMenu) {
+      this.lineInput = "";
+      this._emit("Enter date and time (YYYY-MM-DD HH:MM:SS):");
+    } else if (c === "x") {
+      this.inMenu = false;
+      this._emit("Exiting menu");
+    } else {
+      this._emit(`Unknown command: ${ch}`);
+    }
+  }
+}
@@ -0,0 +1,204 @@
+import { toLocalISO } from "./csv";
+
+/* =========================================================================
+   Session summary report — JSON and self-contained HTML
+   - Input: a summarizeSeries() result (./sessionStats) plus meta
+     { title, deviceId, range: "Whole session" | ..., view, generatedAt }
+   - HTML has no external assets: inline CSS and one small inline SVG
+     chart per sensor, so it can be attached to a field report as is
+   - JSON carries the same numbers without the chart points
+   ======================================================================= */
+
+const CHART_W = 240;
+const CHART_H = 48;
+
+/** "2 h 05 min", "3 min 20 s", "12 s" */
+export function formatDuration(ms) {
+  if (ms == null || !Number.isFinite(ms)) return "—";
+  const s = Math.round(ms / 1000);
+  if (s < 60) return `${s} s`;
+  const m = Math.floor(s / 60);
+  if (m < 60) return `${m} min ${String(s % 60).padStart(2, "0")} s`;
+  const h = Math.floor(m / 60);
+  return `${h} h ${String(m % 60).padStart(2, "0")} min`;
+}
+
+export function formatPercent(f) {
+  return f == null ? "—" : `${(f * 100).toFixed(1)}%`;
+}
+
+/**
+ * SVG path ("M…L…") for [t, v] chart points scaled into width × height;
+ * null values break the line. Returns null without two values.
+ */
+export function sparklinePath(chart, width = CHART_W, height = CHART_H) {
+  const pts = chart.filter(([, v]) => v != null);
+  if (pts.length < 2) return null;
+  const t0 = pts[0][0];
+  const t1 = pts[pts.length - 1][0];
+  let lo = Infinity;
+  let hi = -Infinity;
+  for (const [, v] of pts) {
+    if (v < lo) lo = v;
+    if (v > hi) hi = v;
+  }
+  const x = (t) => (t1 > t0 ? ((t - t0) / (t1 - t0)) * width : 0);
+  const y = (v) =>
+    hi > lo ? height - 1 - ((v - lo) / (hi - lo)) * (height - 2) : height / 2;
+  let d = "";
+  let pen = "M";
+  for (const [t, v] of chart) {
+    if (v == null) {
+      pen = "M";
+      continue;
+    }
+    d += `${pen}${x(t).toFixed(1)},${y(v).toFixed(1)}`;
+    pen = "L";
+  }
+  return d;
+}
+
+/** Report as a plain object (for JSON.stringify). */
+export function summaryToJson(summary, meta = {}) {
+  return {
+    title: meta.title ?? "PAM session summary",
+    deviceId: meta.deviceId || null,
+    generatedAt: toLocalISO(meta.generatedAt ?? Date.now()),
+    range: meta.range ?? null,
+    view: meta.view ?? null,
+    start: summary.start != null ? toLocalISO(summary.start) : null,
+    end: summary.end != null ? toLocalISO(summary.end) : null,
+    durationMs: summary.durationMs,
+    rows: summary.rows,
+    intervalMs: summary.intervalMs,
+    expectedRows: summary.expectedRows,
+    sensors: summary.sensors.map(({ chart, ...s }) => s),
+    gaps: summary.gaps.map((g) => ({
+      ...g,
+      start: toLocalISO(g.start),
+      end: toLocalISO(g.end),
+    })),
+    trends: summary.trends,
+  };
+}
+
+// -----------------------------
+// HTML
+// -----------------------------
+function esc(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function num(v) {
+  return v == null ? "—" : esc(v);
+}
+
+function table(head, rows) {
+  return (
+    `<table><thead><tr>${head.map((h) => `<th>${esc(h)}</th>`).join("")}` +
+    `</tr></thead><tbody>${rows
+      .map((r) => `<tr>${r.map((c) => `<td>${c}</td>`).join("")}</tr>`)
+      .join("")}</tbody></table>`
+  );
+}
+
+function chartSvg(chart) {
+  const d = sparklinePath(chart);
+  if (!d) return "";
+  return (
+    `<svg width="${CHART_W}" height="${CHART_H}" viewBox="0 0 ${CHART_W} ` +
+    `${CHART_H}"><path d="${d}" fill="none" stroke="#0f172a" ` +
+    `stroke-width="1.2"/></svg>`
+  );
+}
+
+const STYLE = `
+body{font:14px/1.4 system-ui,sans-serif;color:#0f172a;margin:24px;max-width:1100px}
+h1{font-size:20px;margin:0 0 4px}h2{font-size:16px;margin:24px 0 8px}
+.meta{color:#475569}table{border-collapse:collapse;width:100%}
+th,td{border-bottom:1px solid #e2e8f0;padding:4px 8px;text-align:right;vertical-align:middle}
+th:first-child,td:first-child{text-align:left}th{background:#f8fafc;font-weight:600}
+svg{display:block}`;
+
+/** Self-contained HTML document. */
+export function summaryToHtml(summary, meta = {}) {
+  const title = meta.title ?? "PAM session summary";
+  const when = (t) => (t == null ? "—" : esc(toLocalISO(t)));
+  const metaLines = [
+    meta.deviceId ? `Device ${esc(meta.deviceId)}` : null,
+    `${when(summary.start)} → ${when(summary.end)} ` +
+      `(${formatDuration(summary.durationMs)})`,
+    meta.range ? `Range: ${esc(meta.range)}` : null,
+    meta.view ? `Values: ${esc(meta.view)}` : null,
+    `${summary.rows} rows, expected ${summary.expectedRows} at ` +
+      `${formatDuration(summary.intervalMs)} intervals`,
+    `Generated ${esc(toLocalISO(meta.generatedAt ?? Date.now()))}`,
+  ].filter(Boolean);
+
+  const sensorRows = summary.sensors.map((s) => [
+    `${esc(s.label)}${s.unit ? ` (${esc(s.unit)})` : ""}`,
+    num(s.min),
+    num(s.max),
+    num(s.mean),
+    num(s.median),
+    num(s.p95),
+    formatPercent(s.completeness),
+    s.threshold == null
+      ? "—"
+      : `&gt; ${esc(s.threshold)}: ${formatDuration(s.aboveMs)} ` +
+        `(${formatPercent(s.aboveFraction)})`,
+    chartSvg(s.chart),
+  ]);
+  const gapRows = summary.gaps.map((g) => [
+    when(g.start),
+    when(g.end),
+    formatDuration(g.durationMs),
+    g.connection ? "connection lost" : "no data",
+  ]);
+  const trendRows = summary.trends.map((t) => [
+    `${esc(t.label)}${t.unit ? ` (${esc(t.unit)})` : ""}`,
+    num(t.first),
+    num(t.last),
+    num(t.min),
+    num(t.change),
+    num(t.slopePerHour),
+  ]);
+
+  return [
+    "<!DOCTYPE html>",
+    '<html lang="en"><head><meta charset="utf-8">',
+    `<title>${esc(title)}</title><style>${STYLE}</style></head><body>`,
+    `<h1>${esc(title)}</h1>`,
+    `<div class="meta">${metaLines.join("<br>")}</div>`,
+    "<h2>Sensors</h2>",
+    table(
+      [
+        "Sensor",
+        "Min",
+        "Max",
+        "Mean",
+        "Median",
+        "P95",
+        "Complete",
+        "Time above threshold",
+        "",
+      ],
+      sensorRows
+    ),
+    `<h2>Gaps (${summary.gaps.length})</h2>`,
+    gapRows.length
+      ? table(["From", "To", "Duration", "Cause"], gapRows)
+      : "<p>None.</p>",
+    ...(trendRows.length
+      ? [
+          "<h2>Battery / cell strength</h2>",
+          table(["", "First", "Last", "Min", "Change", "Per hour"], trendRows),
+        ]
+      : []),
+    "</body></html>",
+  ].join("\n");
+}
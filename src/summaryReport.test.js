@@ -0,0 +1,102 @@
+import { toLocalISO } from './csv';
+import { formatDuration, sparklinePath, summaryToHtml, summaryToJson } from './summaryReport';
+
+const T0 = Date.parse('2026-01-01T10:00:00');
+
+function summary(overrides = {}) {
+  return {
+    start: T0,
+    end: T0 + 3600000,
+    durationMs: 3600000,
+    rows: 3500,
+    intervalMs: 1000,
+    expectedRows: 3601,
+    sensors: [
+      {
+        key: 'PM2_5',
+        label: 'PM <2.5> & "dust"',
+        unit: 'µg/m³',
+        min: 2,
+        max: 40,
+        mean: 11.5,
+        median: 10,
+        p95: 30,
+        completeness: 0.972,
+        threshold: 35,
+        aboveMs: 20000,
+        aboveFraction: 0.0056,
+        chart: [
+          [T0, 2],
+          [T0 + 1000, 40],
+        ],
+      },
+    ],
+    gaps: [
+      { start: T0 + 60000, end: T0 + 90000, durationMs: 30000, connection: true },
+      { start: T0 + 600000, end: T0 + 720000, durationMs: 120000, connection: false },
+    ],
+    trends: [],
+    ...overrides,
+  };
+}
+
+test('durations', () => {
+  expect(formatDuration(null)).toBe('—');
+  expect(formatDuration(NaN)).toBe('—');
+  expect(formatDuration(12000)).toBe('12 s');
+  expect(formatDuration(59600)).toBe('1 min 00 s');
+  expect(formatDuration(200000)).toBe('3 min 20 s');
+  expect(formatDuration(7500000)).toBe('2 h 05 min');
+});
+
+test('sparkline paths scale into the box and break at nulls', () => {
+  const chart = [
+    [0, 1],
+    [1000, 2],
+    [2000, null],
+    [3000, 3],
+    [4000, 4],
+  ];
+  expect(sparklinePath(chart)).toBe('M0.0,47.0L60.0,31.7M180.0,16.3L240.0,1.0');
+  // A flat line sits in the middle
+  expect(sparklinePath([[0, 5], [1000, 5]], 100, 20)).toBe('M0.0,10.0L100.0,10.0');
+  expect(sparklinePath([[0, 5], [1000, null]])).toBeNull();
+  expect(sparklinePath([])).toBeNull();
+});
+
+test('HTML escapes labels, units and the device id', () => {
+  const html = summaryToHtml(summary(), { deviceId: '<script>alert(1)</script>', range: 'A & B', generatedAt: T0 });
+  expect(html).not.toMatch(/<script>/);
+  expect(html).toContain('Device &lt;script&gt;alert(1)&lt;/script&gt;');
+  expect(html).toContain('PM &lt;2.5&gt; &amp; &quot;dust&quot; (µg/m³)');
+  expect(html).toContain('Range: A &amp; B');
+  expect(html).toContain('&gt; 35: 20 s (0.6%)');
+  expect(html).toContain('<path d="M0.0,47.0L240.0,1.0"');
+});
+
+test('HTML lists gaps with their cause, or none', () => {
+  const html = summaryToHtml(summary(), { generatedAt: T0 });
+  expect(html).toContain('<h2>Gaps (2)</h2>');
+  expect(html).toContain(`<td>${toLocalISO(T0 + 60000)}</td><td>${toLocalISO(T0 + 90000)}</td><td>30 s</td><td>connection lost</td>`);
+  expect(html).toContain(`<td>${toLocalISO(T0 + 600000)}</td><td>${toLocalISO(T0 + 720000)}</td><td>2 min 00 s</td><td>no data</td>`);
+  expect(html).not.toContain('Battery / cell strength');
+
+  const none = summaryToHtml(summary({ gaps: [] }), { generatedAt: T0 });
+  expect(none).toContain('<h2>Gaps (0)</h2>\n<p>None.</p>');
+});
+
+test('JSON has the numbers without chart points', () => {
+  const json = summaryToJson(summary(), { deviceId: '', range: 'Whole session', generatedAt: T0 });
+  expect(json).toMatchObject({
+    title: 'PAM session summary',
+    deviceId: null,
+    range: 'Whole session',
+    start: toLocalISO(T0),
+    rows: 3500,
+    expectedRows: 3601,
+  });
+  expect(json.sensors[0]).not.toHaveProperty('chart');
+  expect(json.sensors[0].threshold).toBe(35);
+  expect(json.gaps[0]).toEqual({ start: toLocalISO(T0 + 60000), end: toLocalISO(T0 + 90000), durationMs: 30000, connection: true });
+  expect(JSON.parse(JSON.stringify(json))).toEqual(json);
+});
@@ -0,0 +1,438 @@
+/* =========================================================================
+   Terminal emulation for the Log tab (no React here)
+   - TerminalScreen: a VT100/ANSI subset on a grid of cells with
+     scrollback. Chunks can split escape sequences anywhere; the parser
+     state carries over
+   - Understood: CR, LF (also returns to column 0, as the PAM prints bare
+     LFs), BS (moves back; the next character overwrites), TAB, SGR colours
+     and attributes (16, 256 and RGB colours), cursor movement and
+     position, erase in line / display, save / restore cursor, ESC c.
+     Other sequences (modes, OSC titles, charsets) are swallowed
+   - Local echo of what we send is written with its own "tx" style, so RX
+     and TX stay apart on screen
+   - Line editor: pure state helpers for line-buffered input (local
+     editing and history; only Enter sends)
+   ======================================================================= */
+
+export const TERMINAL_COLS = 132;
+export const TERMINAL_ROWS = 24; // what cursor positioning addresses
+export const TERMINAL_SCROLLBACK = 1000;
+
+const MAX_SEQUENCE = 64; // longer CSI parameter strings are dropped
+
+export const DEFAULT_STYLE = Object.freeze({
+  fg: null, // null | 0…255 | "#rrggbb"
+  bg: null,
+  bold: false,
+  underline: false,
+  inverse: false,
+  tx: false,
+});
+const TX_STYLE = Object.freeze({ ...DEFAULT_STYLE, tx: true });
+const BLANK = Object.freeze({ ch: " ", style: DEFAULT_STYLE });
+
+export class TerminalScreen {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.cols]  wrap width
+   * @param {number} [options.rows]  addressable screen height
+   * @param {number} [options.scrollback]  lines kept above the screen
+   */
+  constructor(options = {}) {
+    this.cols = options.cols ?? TERMINAL_COLS;
+    this.rows = options.rows ?? TERMINAL_ROWS;
+    this.scrollback = options.scrollback ?? TERMINAL_SCROLLBACK;
+    this.version = 0;
+    this.reset();
+  }
+
+  reset() {
+    this.lines = [[]]; // arrays of { ch, style }
+    this.row = 0; // cursor, as an index into lines
+    this.col = 0;
+    this.style = DEFAULT_STYLE;
+    this.saved = null;
+    this.state = "text";
+    this.sequence = "";
+    this.version++;
+  }
+
+  // First line of the addressable screen
+  get top() {
+    return Math.max(0, this.lines.length - this.rows);
+  }
+
+  /** Feed received text (any chunking). */
+  write(text) {
+    for (const ch of text) this.feed(ch);
+    this.version++;
+  }
+
+  /**
+   * Echo sent text in the TX style. Newlines start a fresh line whatever
+   * the newline setting; escapes are shown, not interpreted.
+   */
+  writeLocal(text) {
+    const rx = this.style;
+    this.style = TX_STYLE;
+    for (const ch of text.replace(/\r\n|\r|\n/g, "\n")) {
+      if (ch === "\n") this.newLine();
+      else if (ch === "\b") this.backspace();
+      else if (ch === "\t") this.tab();
+      else if (ch >= " " && ch !== "\x7f") this.put(ch);
+      else {
+        // Other controls as caret notation (^C, ^?)
+        this.put("^");
+        this.put(String.fromCharCode((ch.charCodeAt(0) + 64) & 127));
+      }
+    }
+    this.style = rx;
+    this.version++;
+  }
+
+  /** Screen and scrollback as plain text (trailing blanks trimmed). */
+  text() {
+    return this.lines
+      .map((line) =>
+        line
+          .map((c) => c.ch)
+          .join("")
+          .replace(/\s+$/, "")
+      )
+      .join("\n")
+      .replace(/\n+$/, "");
+  }
+
+  // -----------------------------
+  // Parser
+  // -----------------------------
+  feed(ch) {
+    switch (this.state) {
+      case "esc":
+        this.escape(ch);
+        return;
+      case "csi":
+        if (ch >= "@" && ch <= "~") {
+          this.state = "text";
+          this.csi(this.sequence, ch);
+        } else if (this.sequence.length < MAX_SEQUENCE) {
+          this.sequence += ch;
+        } else {
+          this.state = "text";
+        }
+        return;
+      case "osc":
+        if (ch === "\x07") this.state = "text";
+        else if (ch === "\x1b") this.state = "osc-esc";
+        return;
+      case "osc-esc":
+        this.state = ch === "\\" ? "text" : "osc";
+        return;
+      case "charset":
+        this.state = "text";
+        return;
+      default:
+    }
+    if (ch === "\x1b") this.state = "esc";
+    else if (ch === "\r") this.col = 0;
+    else if (ch === "\n") this.newLine();
+    else if (ch === "\b") this.backspace();
+    else if (ch === "\t") this.tab();
+    else if (ch >= " " && ch !== "\x7f") this.put(ch);
+    // other controls (BEL, NUL, …) are ignored
+  }
+
+  escape(ch) {
+    this.state = "text";
+    switch (ch) {
+      case "[":
+        this.state = "csi";
+        this.sequence = "";
+        break;
+      case "]":
+        this.state = "osc";
+        break;
+      case "(":
+      case ")":
+        this.state = "charset";
+        break;
+      case "7":
+        this.saveCursor();
+        break;
+      case "8":
+        this.restoreCursor();
+        break;
+      case "D":
+        this.lineFeed();
+        break;
+      case "E":
+        this.newLine();
+        break;
+      case "M":
+        if (this.row > this.top) this.row--;
+        break;
+      case "c":
+        this.reset();
+        break;
+      default:
+    }
+  }
+
+  csi(sequence, final) {
+    const priv = sequence.startsWith("?");
+    const params = (priv ? sequence.slice(1) : sequence)
+      .split(";")
+      .map((p) => parseInt(p, 10) || 0);
+    const n = params[0] || 1;
+    if (priv) return; // DEC modes (cursor visibility, wrap, …)
+    switch (final) {
+      case "A":
+        this.row = Math.max(this.top, this.row - n);
+        break;
+      case "B":
+        this.moveTo(this.row - this.top + n, this.col);
+        break;
+      case "C":
+        this.col = Math.min(this.cols - 1, this.col + n);
+        break;
+      case "D":
+        this.col = Math.max(0, Math.min(this.col, this.cols - 1) - n);
+        break;
+      case "E":
+        this.moveTo(this.row - this.top + n, 0);
+        break;
+      case "F":
+        this.row = Math.max(this.top, this.row - n);
+        this.col = 0;
+        break;
+      case "G":
+        this.col = Math.min(this.cols - 1, n - 1);
+        break;
+      case "H":
+      case "f":
+        this.moveTo((params[0] || 1) - 1, (params[1] || 1) - 1);
+        break;
+      case "J":
+        this.eraseDisplay(params[0]);
+        break;
+      case "K":
+        this.eraseLine(params[0]);
+        break;
+      case "m":
+        this.sgr(params);
+        break;
+      case "s":
+        this.saveCursor();
+        break;
+      case "u":
+        this.restoreCursor();
+        break;
+      default:
+    }
+  }
+
+  // -----------------------------
+  // Cursor and cells
+  // -----------------------------
+  put(ch) {
+    if (this.col >= this.cols) {
+      this.newLine(); // wrap
+    }
+    const line = this.lines[this.row];
+    while (line.length < this.col) line.push(BLANK);
+    line[this.col] = { ch, style: this.style };
+    this.col++;
+  }
+
+  lineFeed() {
+    this.row++;
+    if (this.row >= this.lines.length) this.lines.push([]);
+    const excess = this.lines.length - this.rows - this.scrollback;
+    if (excess > 0) {
+      this.lines.splice(0, excess);
+      this.row -= excess;
+      if (this.saved) this.saved.row -= excess;
+    }
+  }
+
+  newLine() {
+    this.lineFeed();
+    this.col = 0;
+  }
+
+  backspace() {
+    this.col = Math.max(0, Math.min(this.col, this.cols) - 1);
+  }
+
+  tab() {
+    this.col = Math.min(this.cols - 1, (Math.floor(this.col / 8) + 1) * 8);
+  }
+
+  // row is relative to the screen top; lines are added as needed
+  moveTo(row, col) {
+    const target = Math.min(Math.max(0, row), this.rows - 1);
+    const top = this.top;
+    while (this.lines.length <= top + target) this.lines.push([]);
+    this.row = top + target;
+    this.col = Math.min(Math.max(0, col), this.cols - 1);
+  }
+
+  saveCursor() {
+    this.saved = { row: this.row, col: this.col, style: this.style };
+  }
+
+  restoreCursor() {
+    if (!this.saved) return;
+    this.row = Math.max(0, Math.min(this.saved.row, this.lines.length - 1));
+    this.col = this.saved.col;
+    this.style = this.saved.style;
+  }
+
+  eraseLine(mode) {
+    const line = this.lines[this.row];
+    if (mode === 0) {
+      line.length = Math.min(line.length, this.col);
+    } else if (mode === 1) {
+      for (let i = 0; i <= this.col && i < line.length; i++) line[i] = BLANK;
+    } else {
+      line.length = 0;
+    }
+  }
+
+  eraseDisplay(mode) {
+    if (mode === 0) {
+      this.eraseLine(0);
+      this.lines.length = this.row + 1;
+    } else if (mode === 1) {
+      for (let r = this.top; r < this.row; r++) this.lines[r] = [];
+      this.eraseLine(1);
+    } else {
+      // Clear screen: the old screen scrolls into the scrollback rather
+      // than being lost
+      const offset = this.row - this.top;
+      for (let i = 0; i < this.rows; i++) this.lineFeed();
+      this.row = this.top + offset;
+    }
+  }
+
+  sgr(params) {
+    let s = { ...this.style };
+    for (let i = 0; i < params.length; i++) {
+      const p = params[i];
+      if (p === 0) s = { ...DEFAULT_STYLE, tx: s.tx };
+      else if (p === 1) s.bold = true;
+      else if (p === 4) s.underline = true;
+      else if (p === 7) s.inverse = true;
+      else if (p === 22) s.bold = false;
+      else if (p === 24) s.underline = false;
+      else if (p === 27) s.inverse = false;
+      else if (p >= 30 && p <= 37) s.fg = p - 30;
+      else if (p >= 40 && p <= 47) s.bg = p - 40;
+      else if (p >= 90 && p <= 97) s.fg = p - 90 + 8;
+      else if (p >= 100 && p <= 107) s.bg = p - 100 + 8;
+      else if (p === 39) s.fg = null;
+      else if (p === 49) s.bg = null;
+      else if (p === 38 || p === 48) {
+        const which = p === 38 ? "fg" : "bg";
+        if (params[i + 1] === 5) {
+          s[which] = params[i + 2] & 255;
+          i += 2;
+        } else if (params[i + 1] === 2) {
+          const hex = params
+            .slice(i + 2, i + 5)
+            .map((v) => (v & 255).toString(16).padStart(2, "0"))
+            .join("");
+          s[which] = `#${hex}`;
+          i += 4;
+        }
+      }
+    }
+    this.style = Object.freeze(s);
+  }
+}
+
+/** A line as runs of same-styled text: [{ text, style }]. */
+export function lineRuns(line) {
+  const runs = [];
+  for (const cell of line) {
+    const last = runs[runs.length - 1];
+    if (last && last.style === cell.style) last.text += cell.ch;
+    else runs.push({ text: cell.ch, style: cell.style });
+  }
+  return runs;
+}
+
+// -----------------------------
+// Line editor
+// -----------------------------
+export function createLineEditor() {
+  return { text: "", cursor: 0, historyIndex: -1, draft: "" };
+}
+
+/** Insert pasted text at the cursor; line breaks become spaces. */
+export function insertText(state, text) {
+  const clean = text.replace(/\r\n|[\r\n]/g, " ");
+  return {
+    ...state,
+    text:
+      state.text.slice(0, state.cursor) +
+      clean +
+      state.text.slice(state.cursor),
+    cursor: state.cursor + clean.length,
+    historyIndex: -1,
+  };
+}
+
+/**
+ * Apply a key (KeyboardEvent.key) to the line being edited.
+ * History is oldest first; ↑ walks back from the newest entry.
+ * @returns {{ state: object, submit?: string } | null}  null when the key
+ *          isn't an editing key; `submit` is the line to send on Enter
+ */
+export function editLine(state, key, history = []) {
+  const { text, cursor } = state;
+  const set = (patch) => ({ state: { ...state, ...patch } });
+  switch (key) {
+    case "Enter":
+      return { state: createLineEditor(), submit: text };
+    case "Escape":
+      return { state: createLineEditor() };
+    case "Backspace":
+      if (!cursor) return set({});
+      return set({
+        text: text.slice(0, cursor - 1) + text.slice(cursor),
+        cursor: cursor - 1,
+      });
+    case "Delete":
+      return set({ text: text.slice(0, cursor) + text.slice(cursor + 1) });
+    case "ArrowLeft":
+      return set({ cursor: Math.max(0, cursor - 1) });
+    case "ArrowRight":
+      return set({ cursor: Math.min(text.length, cursor + 1) });
+    case "Home":
+      return set({ cursor: 0 });
+    case "End":
+      return set({ cursor: text.length });
+    case "ArrowUp":
+    case "ArrowDown": {
+      if (!history.length) return set({});
+      let idx = state.historyIndex;
+      if (key === "ArrowUp") {
+        idx = idx < 0 ? history.length - 1 : Math.max(0, idx - 1);
+      } else {
+        idx = idx < 0 ? -1 : idx + 1;
+        if (idx >= history.length) idx = -1;
+      }
+      const draft = state.historyIndex < 0 ? text : state.draft;
+      const line = idx < 0 ? draft : history[idx];
+      return set({ text: line, cursor: line.length, historyIndex: idx, draft });
+    }
+    default:
+      if (key.length !== 1) return null;
+      return set({
+        text: text.slice(0, cursor) + key + text.slice(cursor),
+        cursor: cursor + 1,
+        historyIndex: -1,
+      });
+  }
+}
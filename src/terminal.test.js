@@ -0,0 +1,72 @@
+import { TerminalScreen, createLineEditor, editLine, insertText, lineRuns } from './terminal';
+
+const screenOf = (...chunks) => {
+  const term = new TerminalScreen({ cols: 20, rows: 5, scrollback: 10 });
+  for (const c of chunks) term.write(c);
+  return term;
+};
+
+test('overwrites on carriage return and backspace', () => {
+  expect(screenOf('Progress 10%\rProgress 99%\r\n').text()).toBe('Progress 99%');
+  expect(screenOf('abc\b\bXY\r\n').text()).toBe('aXY');
+  // A device erasing a typed character: back, blank, back
+  expect(screenOf('> mx\b \b\r\n').text()).toBe('> m');
+  // A bare LF starts a fresh line at column 0
+  expect(screenOf('one\ntwo').text()).toBe('one\ntwo');
+});
+
+test('applies SGR colours across chunk boundaries and swallows other escapes', () => {
+  const term = screenOf('\x1b[1;3', '1mERR\x1b[0m ok\x1b]0;title\x07\x1b[?25l!');
+  expect(term.text()).toBe('ERR ok!');
+  const [err, ok] = lineRuns(term.lines[0]);
+  expect(err).toMatchObject({ text: 'ERR', style: { fg: 1, bold: true } });
+  expect(ok).toMatchObject({ text: ' ok!', style: { fg: null, bold: false } });
+  expect(lineRuns(screenOf('\x1b[38;5;208mA\x1b[48;2;0;128;255mB').lines[0]).map((r) => r.style)).toMatchObject([
+    { fg: 208 },
+    { fg: 208, bg: '#0080ff' },
+  ]);
+});
+
+test('moves the cursor, erases and keeps a bounded scrollback', () => {
+  expect(screenOf('hello world\x1b[6D\x1b[K!').text()).toBe('hello!');
+  expect(screenOf('a\r\nb\r\nc\x1b[2;1HB\x1b[3G*').text()).toBe('a\nB *\nc');
+  // Clear screen keeps the old one in the scrollback
+  const cleared = screenOf('old\x1b[2J\x1b[Hnew');
+  expect(cleared.text()).toMatch(/^old\n+new$/);
+  expect(cleared.lines[cleared.row].map((c) => c.ch).join('')).toBe('new');
+
+  const long = screenOf(...Array.from({ length: 40 }, (_, i) => `line ${i}\r\n`));
+  expect(long.lines).toHaveLength(15);
+  expect(long.text().split('\n').pop()).toBe('line 39');
+  // Wrapping at the width
+  expect(screenOf('x'.repeat(25)).text()).toBe(`${'x'.repeat(20)}\n${'x'.repeat(5)}`);
+});
+
+test('echoes sent text in the TX style without disturbing the RX style', () => {
+  const term = screenOf('\x1b[32m> ');
+  term.writeLocal('m\r');
+  term.write('MENU');
+  const [prompt, sent] = lineRuns(term.lines[0]);
+  expect(prompt.style).toMatchObject({ fg: 2, tx: false });
+  expect(sent).toMatchObject({ text: 'm', style: { tx: true } });
+  expect(lineRuns(term.lines[1])[0]).toMatchObject({ text: 'MENU', style: { fg: 2, tx: false } });
+});
+
+test('edits a line locally with history', () => {
+  const keys = (state, list, history) => list.reduce((s, k) => editLine(s, k, history).state, state);
+  let s = keys(createLineEditor(), ['t', 'x', 'y', 'ArrowLeft', 'Backspace', 'Home', 'Delete', 'End', '1']);
+  expect(s).toMatchObject({ text: 'y1', cursor: 2 });
+  expect(editLine(s, 'F5')).toBeNull();
+
+  const history = ['m', 'k'];
+  s = keys(s, ['ArrowUp'], history);
+  expect(s.text).toBe('k');
+  s = keys(s, ['ArrowUp', 'ArrowUp'], history);
+  expect(s.text).toBe('m');
+  s = keys(s, ['ArrowDown', 'ArrowDown'], history);
+  expect(s).toMatchObject({ text: 'y1', historyIndex: -1 });
+
+  const sent = editLine(insertText(s, ' a\r\nb'), 'Enter', history);
+  expect(sent.submit).toBe('y1 a b');
+  expect(sent.state).toEqual(createLineEditor());
+});
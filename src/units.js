@@ -0,0 +1,174 @@
+/* =========================================================================
+   Display units
+   - One preference per quantity (temperature, pressure, gas, PM); "" keeps
+     the unit the header reports
+   - Stored series, alarms, calibration and AQI stay in the reported unit;
+     conversion happens only where values are shown or exported
+   - Gas mixing ratio ↔ mass concentration uses the row's measured TEMP and
+     PRESS (ideal gas), falling back to 25 °C / 1013.25 hPa when absent
+   ======================================================================= */
+
+export const UNIT_QUANTITIES = [
+  ["temperature", "Temperature", ["°C", "°F", "K"]],
+  ["pressure", "Pressure", ["hPa", "kPa", "inHg", "mmHg"]],
+  ["gas", "Gases", ["ppm", "ppb", "µg/m³", "mg/m³"]],
+  ["pm", "Particulate matter", ["µg/m³", "mg/m³"]],
+];
+
+export const QUANTITY_BY_KEY = {
+  TEMP: "temperature",
+  PRESS: "pressure",
+  CO: "gas",
+  NO2: "gas",
+  CO2: "gas",
+  TVOC: "gas",
+  CH4: "gas",
+  PM1: "pm",
+  PM2_5: "pm",
+  PM10: "pm",
+};
+
+// g/mol; TVOC is a mixture, so it only converts between ppm and ppb
+const MOLAR_MASS = { CO: 28.01, NO2: 46.01, CO2: 44.01, CH4: 16.04 };
+
+const R = 8.314462618; // J/(mol·K)
+const STANDARD_AMBIENT = { tempK: 298.15, pressPa: 101325 };
+
+// Conversions via each quantity's base unit: K, Pa, ppb, µg/m³
+const TEMPERATURE = {
+  "°C": (v) => v + 273.15,
+  "°F": (v) => ((v - 32) * 5) / 9 + 273.15,
+  K: (v) => v,
+};
+const FROM_KELVIN = {
+  "°C": (k) => k - 273.15,
+  "°F": (k) => ((k - 273.15) * 9) / 5 + 32,
+  K: (k) => k,
+};
+const PRESSURE_PA = {
+  Pa: 1,
+  hPa: 100,
+  kPa: 1000,
+  inHg: 3386.389,
+  mmHg: 133.322,
+};
+const MIXING_PPB = { ppb: 1, ppm: 1000 };
+const MASS_UGM3 = { "µg/m³": 1, "mg/m³": 1000 };
+
+export function defaultUnitPrefs() {
+  return { temperature: "", pressure: "", gas: "", pm: "" };
+}
+
+/** Persisted preferences, ignoring anything that isn't a known unit. */
+export function loadUnitPrefs(json) {
+  const prefs = defaultUnitPrefs();
+  try {
+    const obj = JSON.parse(json || "{}");
+    for (const [q, , options] of UNIT_QUANTITIES) {
+      if (options.includes(obj?.[q])) prefs[q] = obj[q];
+    }
+  } catch {
+    // keep defaults
+  }
+  return prefs;
+}
+
+// "°c", "inhg", "ugm3" -> canonical spelling used above
+export function canonicalUnit(unit) {
+  const u = String(unit || "").replace(/\s/g, "");
+  const lower = u.toLowerCase();
+  if (lower === "c" || lower === "°c" || lower === "degc") return "°C";
+  if (lower === "f" || lower === "°f" || lower === "degf") return "°F";
+  if (lower === "k") return "K";
+  if (lower === "ugm3" || lower === "ug/m3" || lower === "µg/m³")
+    return "µg/m³";
+  if (lower === "mgm3" || lower === "mg/m3" || lower === "mg/m³")
+    return "mg/m³";
+  for (const known of [
+    ...Object.keys(PRESSURE_PA),
+    ...Object.keys(MIXING_PPB),
+  ]) {
+    if (lower === known.toLowerCase()) return known;
+  }
+  return u;
+}
+
+const roundSig = (v) => Number(v.toPrecision(6));
+
+/**
+ * Ambient conditions for gas conversions, from TEMP/PRESS in their reported
+ * units; missing or unusable values fall back to standard conditions.
+ */
+export function ambientFrom(temp, tempUnit, press, pressUnit) {
+  const toK = TEMPERATURE[canonicalUnit(tempUnit)];
+  const paFactor = PRESSURE_PA[canonicalUnit(pressUnit)];
+  const tempK =
+    toK && Number.isFinite(temp) ? toK(temp) : STANDARD_AMBIENT.tempK;
+  const pressPa =
+    paFactor && Number.isFinite(press) && press > 0
+      ? press * paFactor
+      : STANDARD_AMBIENT.pressPa;
+  return { tempK: tempK > 0 ? tempK : STANDARD_AMBIENT.tempK, pressPa };
+}
+
+// mol of air per m³
+const airMolar = ({ tempK, pressPa }) => pressPa / (R * tempK);
+
+/**
+ * How to show one sensor.
+ * @param {string} key          SENSOR_MAP key
+ * @param {string} sourceUnit   unit the header reports (unitForMeta)
+ * @param {object} prefs        from loadUnitPrefs
+ * @returns {{ unit: string, identity: boolean, needsAmbient: boolean,
+ *             convert: (v: number|null, ambient?: object) => number|null }}
+ */
+export function displayConversion(key, sourceUnit, prefs) {
+  const identity = {
+    unit: sourceUnit,
+    identity: true,
+    needsAmbient: false,
+    convert: (v) => v,
+  };
+  const quantity = QUANTITY_BY_KEY[key];
+  const target = quantity ? prefs?.[quantity] : "";
+  const from = canonicalUnit(sourceUnit);
+  if (!target || target === from) return identity;
+
+  let fn = null;
+  let needsAmbient = false;
+  if (quantity === "temperature" && TEMPERATURE[from]) {
+    fn = (v) => FROM_KELVIN[target](TEMPERATURE[from](v));
+  } else if (quantity === "pressure" && PRESSURE_PA[from]) {
+    fn = (v) => (v * PRESSURE_PA[from]) / PRESSURE_PA[target];
+  } else if (quantity === "pm" && MASS_UGM3[from]) {
+    fn = (v) => (v * MASS_UGM3[from]) / MASS_UGM3[target];
+  } else if (quantity === "gas") {
+    const mw = MOLAR_MASS[key];
+    // ppb <-> µg/m³: µg/m³ = ppb · 1e-3 · M · P / (R·T)
+    const toPpb = MIXING_PPB[from]
+      ? (v) => v * MIXING_PPB[from]
+      : MASS_UGM3[from] && mw
+        ? (v, amb) => (v * MASS_UGM3[from] * 1000) / (mw * airMolar(amb))
+        : null;
+    const fromPpb = MIXING_PPB[target]
+      ? (ppb) => ppb / MIXING_PPB[target]
+      : MASS_UGM3[target] && mw
+        ? (ppb, amb) => (ppb * 1e-3 * mw * airMolar(amb)) / MASS_UGM3[target]
+        : null;
+    if (toPpb && fromPpb) {
+      needsAmbient = !!(MASS_UGM3[from] || MASS_UGM3[target]);
+      fn = (v, amb) => fromPpb(toPpb(v, amb), amb);
+    }
+  }
+  if (!fn) return identity;
+
+  return {
+    unit: target,
+    identity: false,
+    needsAmbient,
+    convert: (v, ambient) =>
+      typeof v === "number" && Number.isFinite(v)
+        ? roundSig(fn(v, ambient || STANDARD_AMBIENT))
+        : null,
+  };
+}
@@ -0,0 +1,57 @@
+import { ambientFrom, displayConversion, loadUnitPrefs } from './units';
+
+const prefs = (p) => ({ ...loadUnitPrefs(null), ...p });
+
+test('keeps the reported unit when no preference is set', () => {
+  const d = displayConversion('TEMP', '°C', prefs());
+  expect(d.identity).toBe(true);
+  expect(d.unit).toBe('°C');
+  expect(d.convert(21.5)).toBe(21.5);
+});
+
+test('converts temperature, pressure and PM', () => {
+  const f = displayConversion('TEMP', '°C', prefs({ temperature: '°F' }));
+  expect(f.unit).toBe('°F');
+  expect(f.convert(21.3)).toBe(70.34);
+  expect(f.convert(null)).toBeNull();
+  expect(displayConversion('PRESS', 'hPa', prefs({ pressure: 'inHg' })).convert(1013.25)).toBe(29.9213);
+  expect(displayConversion('PM2_5', 'µg/m³', prefs({ pm: 'mg/m³' })).convert(35)).toBe(0.035);
+});
+
+test('converts gas mixing ratios without ambient data', () => {
+  const d = displayConversion('CO', 'ppm', prefs({ gas: 'ppb' }));
+  expect(d.needsAmbient).toBe(false);
+  expect(d.convert(0.45)).toBe(450);
+});
+
+test('converts ppm to µg/m³ with the measured temperature and pressure', () => {
+  const d = displayConversion('CO', 'ppm', prefs({ gas: 'µg/m³' }));
+  expect(d.needsAmbient).toBe(true);
+  // 1 ppm CO at 25 °C / 1013.25 hPa is ~1145 µg/m³
+  expect(d.convert(1)).toBeCloseTo(1145, 0);
+  expect(d.convert(1, ambientFrom(25, '°C', 1013.25, 'hPa'))).toBeCloseTo(1145, 0);
+  // Colder, denser air holds more mass per m³
+  expect(d.convert(1, ambientFrom(0, '°C', 1013.25, 'hPa'))).toBeCloseTo(1250, 0);
+  // Thin air at altitude holds less
+  expect(d.convert(1, ambientFrom(77, '°F', 850, 'hPa'))).toBeCloseTo(960.5, 0);
+
+  const back = displayConversion('CO', 'µg/m³', prefs({ gas: 'ppm' }));
+  expect(back.convert(d.convert(2))).toBeCloseTo(2, 3);
+});
+
+test('leaves sensors it cannot convert alone', () => {
+  // TVOC has no single molar mass
+  expect(displayConversion('TVOC', 'ppb', prefs({ gas: 'µg/m³' })).identity).toBe(true);
+  expect(displayConversion('RH', '%', prefs({ temperature: '°F' })).identity).toBe(true);
+  expect(displayConversion('TEMP', 'weird', prefs({ temperature: '°F' })).identity).toBe(true);
+});
+
+test('ignores unknown persisted units', () => {
+  expect(loadUnitPrefs('{"temperature":"°F","pressure":"bar"}')).toEqual({
+    temperature: '°F',
+    pressure: '',
+    gas: '',
+    pm: '',
+  });
+  expect(loadUnitPrefs('nope').gas).toBe('');
+});